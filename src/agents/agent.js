@@ -0,0 +1,451 @@
+/**
+ * Agent class - runs the tool-calling loop step by step instead of hiding it inside chat()
+ * Every step is reported as a structured event, tool calls can wait for a person's approval,
+ * and the loop works over Chat Completions, the Responses API or any object with a next() method
+ */
+
+const ToolCallTracker = require('../modules/tool-call-tracker.js');
+
+/**
+ * Backend that asks the Chat Completions API for the next step
+ * @param {Object} mind - WarpMind instance
+ * @returns {Object} - Backend with next({ messages, tools, model, signal })
+ */
+function createChatBackend(mind) {
+  return {
+    async next({ messages, tools, model, signal }) {
+      const requestData = {
+        model: model || mind.model,
+        messages,
+        temperature: mind.temperature
+      };
+      if (tools.length > 0) {
+        requestData.tools = tools;
+        requestData.tool_choice = 'auto';
+      }
+
+      const response = await mind.makeRequest('/chat/completions', requestData, { signal });
+      mind._recordUsage('agent', response.model || requestData.model, response.usage);
+
+      const message = response.choices?.[0]?.message || {};
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(toolCall => ({
+          id: toolCall.id,
+          name: toolCall.function.name,
+          arguments: toolCall.function.arguments
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Backend that asks the Responses API for the next step
+ * The transcript is sent in full every time, so nothing has to be stored on the server
+ * @param {Object} mind - WarpMind instance
+ * @returns {Object} - Backend with next({ messages, tools, model, signal })
+ */
+function createResponsesBackend(mind) {
+  const { ResponseClient } = require('../core/response-client.js');
+
+  return {
+    async next({ messages, tools, model, signal }) {
+      const input = [];
+      const instructions = [];
+      for (const message of messages) {
+        if (message.role === 'system') {
+          instructions.push(message.content);
+        } else if (message.role === 'tool') {
+          input.push({ type: 'function_call_output', call_id: message.tool_call_id, output: message.content });
+        } else {
+          if (message.content) {
+            input.push({ role: message.role, content: message.content });
+          }
+          for (const toolCall of message.tool_calls || []) {
+            input.push({
+              type: 'function_call',
+              call_id: toolCall.id,
+              name: toolCall.function.name,
+              arguments: toolCall.function.arguments
+            });
+          }
+        }
+      }
+
+      const payload = { model: model || mind.model, input };
+      if (instructions.length > 0) {
+        payload.instructions = instructions.join('\n\n');
+      }
+      if (tools.length > 0) {
+        payload.tools = tools.map(tool => ({ type: 'function', ...tool.function }));
+      }
+
+      const response = await mind.makeRequest('/responses', payload, { signal });
+      mind._recordUsage('agent', response.model || payload.model, response.usage);
+      if (response.status === 'failed') {
+        throw ResponseClient._createFailedResponseError(response);
+      }
+
+      return {
+        text: ResponseClient._extractText(response.output),
+        toolCalls: ResponseClient._extractToolCalls(response.output || []).map(toolCall => ({
+          id: toolCall.id,
+          name: toolCall.function.name,
+          arguments: toolCall.function.arguments
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Create a backend that plays back a script instead of calling an API, for testing agents
+ * @param {Array} turns - One entry per step: a string (final answer), { text, toolCalls: [{ name, arguments }] },
+ *   or a function (messages) => turn that can look at the transcript
+ * @returns {Object} - Backend with next(); `requests` records the transcript and tools of every step
+ */
+function createScriptedBackend(turns) {
+  const script = [...turns];
+  const requests = [];
+  let callCounter = 0;
+
+  return {
+    requests,
+    async next({ messages, tools }) {
+      requests.push({ messages: messages.map(message => ({ ...message })), tools: tools.map(tool => tool.function.name) });
+      if (script.length === 0) {
+        throw new Error('The scripted backend has no more turns');
+      }
+
+      let turn = script.shift();
+      if (typeof turn === 'function') {
+        turn = await turn(messages);
+      }
+      if (typeof turn === 'string') {
+        return { text: turn, toolCalls: [] };
+      }
+      return {
+        text: turn.text || '',
+        toolCalls: (turn.toolCalls || []).map(toolCall => ({
+          id: toolCall.id || `scripted_call_${++callCounter}`,
+          name: toolCall.name,
+          arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {})
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Parse tool call arguments for step events, keeping the raw text when it is not valid JSON
+ * @param {string} args - Arguments as sent by the model
+ * @returns {*} - Parsed arguments
+ */
+function parseArguments(args) {
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return args;
+  }
+}
+
+/**
+ * Agent with its own tools, step limit and stop condition
+ */
+class Agent {
+  /**
+   * Create an agent (use mind.createAgent())
+   * @param {Object} mind - WarpMind instance
+   * @param {Object} options - Agent options
+   * @param {string} options.instructions - System instructions
+   * @param {Array} options.tools - Tool definitions as for registerTool(), or names of registered tools and tool groups
+   *   (default: every registered tool, at the time of each run)
+   * @param {number} options.maxSteps - Maximum model requests per run (default: 10)
+   * @param {Function} options.stopWhen - (event, trace) => boolean, checked after every event; true ends the run
+   *   once the current step is done
+   * @param {Function} options.approveToolCall - ({ callId, name, parameters, step }) => boolean | Promise<boolean>,
+   *   asked before every tool call; a rejected call is reported to the model instead of executed
+   * @param {Function} options.onStep - Called with every step event
+   * @param {string|Object} options.backend - 'chat' (default), 'responses', or an object with next()
+   * @param {string} options.model - Model to use (default: the instance model)
+   * @param {number} options.toolConcurrency - Tool calls of one step run at the same time (default: instance setting)
+   */
+  constructor(mind, options = {}) {
+    if (options.maxSteps !== undefined && (!Number.isInteger(options.maxSteps) || options.maxSteps < 1)) {
+      throw new Error('maxSteps must be a positive integer');
+    }
+
+    this.mind = mind;
+    this.instructions = options.instructions;
+    this.maxSteps = options.maxSteps || 10;
+    this.stopWhen = options.stopWhen;
+    this.approveToolCall = options.approveToolCall;
+    this.onStep = options.onStep;
+    this.model = options.model;
+    this.toolConcurrency = options.toolConcurrency;
+    this.tracker = new ToolCallTracker();
+    this.trace = [];
+
+    // Tool definitions are checked now, so mistakes show up before the first run
+    this._tools = options.tools === undefined
+      ? null
+      : options.tools.map(tool => (typeof tool === 'string' ? tool : mind._createToolEntry(tool)));
+
+    if (options.backend === undefined || options.backend === 'chat') {
+      this.backend = createChatBackend(mind);
+    } else if (options.backend === 'responses') {
+      this.backend = createResponsesBackend(mind);
+    } else if (options.backend && typeof options.backend.next === 'function') {
+      this.backend = options.backend;
+    } else {
+      throw new Error("backend must be 'chat', 'responses' or an object with a next() method");
+    }
+  }
+
+  /**
+   * Run the agent until it gives a final answer, reaches maxSteps or meets stopWhen
+   * @param {string|Array} input - User message, or an array of chat messages
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Optional signal to stop the run (rejects with AbortError)
+   * @param {Function} options.onStep - Called with every step event, in addition to the agent's onStep
+   * @returns {Promise<Object>} - { text, stopReason, steps, trace, messages } where stopReason is
+   *   'final_answer', 'max_steps' or 'stop_condition'
+   */
+  async run(input, options = {}) {
+    return this._loop(input, options, () => {});
+  }
+
+  /**
+   * Run the agent and receive its step events as they happen
+   * @param {string|Array} input - User message, or an array of chat messages
+   * @param {Object} options - Run options, as for run()
+   * @returns {AsyncGenerator<Object>} - Step events; the generator's return value is the result of run().
+   *   Leaving the loop early (break, return or throw) aborts the run
+   */
+  async *stream(input, options = {}) {
+    const queue = [];
+    let wake = () => {};
+    let finished = false;
+    let failure = null;
+    let result;
+
+    // The run gets its own signal, so it can be stopped when the consumer stops reading
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(options.signal.reason);
+    if (options.signal) {
+      if (options.signal.aborted) {
+        forwardAbort();
+      } else {
+        options.signal.addEventListener('abort', forwardAbort, { once: true });
+      }
+    }
+
+    this._loop(input, { ...options, signal: controller.signal }, (event) => {
+      queue.push(event);
+      wake();
+    }).then(
+      (value) => { result = value; },
+      (error) => { failure = error; }
+    ).finally(() => {
+      finished = true;
+      if (options.signal) {
+        options.signal.removeEventListener('abort', forwardAbort);
+      }
+      wake();
+    });
+
+    try {
+      for (;;) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      if (!finished) {
+        controller.abort();
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+    return result;
+  }
+
+  /**
+   * Get the step events of the last run
+   * @returns {Array} - Step events; render them with ToolCallTracker.formatTrace()
+   */
+  getTrace() {
+    return [...this.trace];
+  }
+
+  /**
+   * Tool entries ({ schema, handler }) available in this run
+   * @private
+   * @returns {Array} - Tool entries
+   */
+  _resolveTools() {
+    if (this._tools === null) {
+      return [...this.mind._tools];
+    }
+    // Names select registered tools by tool name or group, like the tools option of chat()
+    return this._tools.flatMap(tool => (typeof tool === 'string' ? this.mind._selectTools({ tools: [tool] }).tools : [tool]));
+  }
+
+  /**
+   * The agent loop shared by run() and stream()
+   * @private
+   * @param {string|Array} input - User message or chat messages
+   * @param {Object} options - Run options
+   * @param {Function} report - Receives every step event
+   * @returns {Promise<Object>} - Run result
+   */
+  async _loop(input, options, report) {
+    const { signal } = options;
+    const tools = this._resolveTools();
+    const messages = [];
+    if (this.instructions) {
+      messages.push({ role: 'system', content: this.instructions });
+    }
+    messages.push(...(typeof input === 'string' ? [{ role: 'user', content: input }] : input));
+
+    this.trace = [];
+    let stopRequested = false;
+    let step = 0;
+    let lastText = '';
+
+    const emit = (event) => {
+      const entry = { ...event, step, timestamp: new Date().toISOString() };
+      this.trace.push(entry);
+      for (const listener of [this.onStep, options.onStep, report]) {
+        this.mind._safeCallCallback(listener, entry);
+      }
+      if (typeof this.stopWhen === 'function' && this.stopWhen(entry, this.trace)) {
+        stopRequested = true;
+      }
+    };
+
+    const finish = (stopReason) => ({
+      text: lastText,
+      stopReason,
+      steps: step,
+      trace: [...this.trace],
+      messages
+    });
+
+    while (step < this.maxSteps) {
+      this.mind._throwIfAborted(signal, lastText);
+      step++;
+
+      const turn = await this.backend.next({
+        messages,
+        tools: tools.map(tool => tool.schema),
+        model: this.model,
+        signal
+      });
+      lastText = turn.text || '';
+
+      if (!turn.toolCalls || turn.toolCalls.length === 0) {
+        messages.push({ role: 'assistant', content: lastText });
+        emit({ type: 'final_answer', text: lastText });
+        return finish('final_answer');
+      }
+
+      if (lastText) {
+        emit({ type: 'thinking', text: lastText });
+      }
+      const toolCalls = turn.toolCalls.map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: { name: toolCall.name, arguments: toolCall.arguments }
+      }));
+
+      // Tool calls asked for in the last step would never be answered, so they are neither run
+      // nor kept in the messages: a follow-up request with unanswered tool calls is rejected
+      if (stopRequested || step === this.maxSteps) {
+        if (lastText) {
+          messages.push({ role: 'assistant', content: lastText });
+        }
+        break;
+      }
+      messages.push({ role: 'assistant', content: lastText || null, tool_calls: toolCalls });
+
+      const toolMessages = await this.mind._runToolCalls(toolCalls, {
+        concurrency: this.toolConcurrency ?? this.mind.toolConcurrency,
+        signal,
+        partialText: lastText,
+        execute: (toolCall) => this._executeToolCall(toolCall, { tools, emit, step, signal, messages })
+      });
+      messages.push(...toolMessages);
+
+      if (stopRequested) {
+        return finish('stop_condition');
+      }
+    }
+
+    return finish(stopRequested ? 'stop_condition' : 'max_steps');
+  }
+
+  /**
+   * Ask for approval, execute one tool call and report it
+   * @private
+   * @param {Object} toolCall - Tool call in Chat Completions format
+   * @param {Object} run - State of the run
+   * @param {Array} run.tools - Tool entries of this run
+   * @param {Function} run.emit - Step event reporter
+   * @param {number} run.step - Current step
+   * @param {AbortSignal} run.signal - Signal of the run, passed on to the tool handler
+   * @param {Array} run.messages - Transcript so far, passed on to the tool handler
+   * @returns {Promise<*>} - Tool result
+   */
+  async _executeToolCall(toolCall, { tools, emit, step, signal, messages }) {
+    const { name } = toolCall.function;
+    const parameters = parseArguments(toolCall.function.arguments);
+    emit({ type: 'tool_call', callId: toolCall.id, name, parameters });
+
+    if (typeof this.approveToolCall === 'function' &&
+        !(await this.approveToolCall({ callId: toolCall.id, name, parameters, step }))) {
+      const error = 'The user did not approve this tool call';
+      emit({ type: 'tool_result', callId: toolCall.id, name, status: 'rejected', error, duration: 0 });
+      throw new Error(error);
+    }
+
+    let completed = null;
+    let failed = null;
+    try {
+      const result = await this.mind._executeTool(toolCall, {
+        onToolResult: (data) => { completed = data; },
+        onToolError: (data) => { failed = data; },
+        // An approved call counts as confirmed, so tools with requiresConfirmation are not asked about twice
+        confirmToolCall: typeof this.approveToolCall === 'function' ? () => true : undefined
+      }, { tools, tracker: this.tracker, signal, messages });
+      emit({
+        type: 'tool_result',
+        callId: toolCall.id,
+        name,
+        status: 'completed',
+        result: completed ? completed.result : result,
+        duration: completed ? completed.duration : 0
+      });
+      return result;
+    } catch (error) {
+      emit({
+        type: 'tool_result',
+        callId: toolCall.id,
+        name,
+        status: 'error',
+        error: failed ? failed.error : error.message,
+        duration: failed ? failed.duration : 0
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = { Agent, createScriptedBackend };
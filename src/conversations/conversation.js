@@ -1,8 +1,289 @@
 /**
  * Conversation class for managing multi-turn conversations with Responses API
- * Uses previous_response_id chaining for conversation continuity
+ * Uses previous_response_id chaining for conversation continuity, or resends the transcript for servers
+ * that do not store responses (client mode, also used for conversations built on chat())
+ * Keeps a typed transcript of every turn: messages, attachments, tool calls, reasoning and usage
  */
 
+const { ResponseClient } = require('../core/response-client.js');
+const { BadRequestError } = require('../core/errors.js');
+
+// Version of the exportHistory() format; version 1 was a plain list of { role, content } messages
+const TRANSCRIPT_VERSION = 2;
+
+/**
+ * Size in bytes of base64 data
+ * @param {string} data - Base64 text, optionally a data: URL
+ * @returns {number} - Decoded size
+ */
+function base64Size(data) {
+  const base64 = data.slice(data.indexOf(',') + 1);
+  return Math.floor((base64.length * 3) / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+}
+
+/**
+ * Describe an image, audio or file content part by reference; inline data is not copied into the transcript
+ * @param {Object} part - Content part
+ * @returns {Object|null} - { type: 'image' | 'audio' | 'file', url | fileId | mediaType and size, ... }, or null for text
+ */
+function toAttachment(part) {
+  switch (part.type) {
+    case 'input_image':
+    case 'image_url': {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const attachment = { type: 'image' };
+      if (part.file_id) {
+        attachment.fileId = part.file_id;
+      } else if (url && url.startsWith('data:')) {
+        attachment.mediaType = url.slice(5, url.indexOf(';'));
+        attachment.size = base64Size(url);
+      } else if (url) {
+        attachment.url = url;
+      }
+      const detail = part.detail || part.image_url?.detail;
+      if (detail) attachment.detail = detail;
+      return attachment;
+    }
+    case 'input_audio': {
+      const audio = part.input_audio || part;
+      return { type: 'audio', format: audio.format, size: audio.data ? base64Size(audio.data) : 0 };
+    }
+    case 'input_file': {
+      const attachment = { type: 'file' };
+      if (part.file_id) attachment.fileId = part.file_id;
+      if (part.file_url) attachment.url = part.file_url;
+      if (part.filename) attachment.filename = part.filename;
+      if (part.file_data) attachment.size = base64Size(part.file_data);
+      return attachment;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a Responses API item to a transcript item
+ * @param {Object} item - Input or output item
+ * @param {string|null} responseId - Response that produced the item (null for input)
+ * @returns {Object} - Transcript item with a type; unknown item types are kept whole in `item`
+ */
+function toTranscriptItem(item, responseId) {
+  const timestamp = Date.now();
+  switch (item.type) {
+    case 'message': {
+      const parts = typeof item.content === 'string' ? [{ type: 'input_text', text: item.content }] : item.content || [];
+      const text = parts
+        .map(part => (part.type === 'refusal' ? part.refusal : part.text))
+        .filter(value => typeof value === 'string')
+        .join('\n');
+      const attachments = parts.map(toAttachment).filter(Boolean);
+      const message = { type: 'message', role: item.role, content: text };
+      if (attachments.length > 0) message.attachments = attachments;
+      if (responseId) message.responseId = responseId;
+      message.timestamp = timestamp;
+      return message;
+    }
+    case 'function_call':
+      return { type: 'function_call', callId: item.call_id, name: item.name, arguments: item.arguments, responseId, timestamp };
+    case 'function_call_output':
+      return { type: 'function_call_output', callId: item.call_id, output: item.output, timestamp };
+    case 'reasoning':
+      return { type: 'reasoning', summary: (item.summary || []).map(part => part.text), responseId, timestamp };
+    default:
+      return { type: item.type, item, responseId, timestamp };
+  }
+}
+
+/**
+ * Text standing in for an attachment whose data was not kept in the transcript
+ * @param {Object} attachment - Transcript attachment
+ * @returns {string} - Placeholder text
+ */
+function missingAttachmentText(attachment) {
+  const kind = attachment.mediaType || attachment.format || attachment.type;
+  return `[${kind} ${attachment.type} of ${attachment.size} bytes, not kept in the conversation history]`;
+}
+
+/**
+ * Rebuild Responses API input items from transcript items, for client mode
+ * @param {Array} items - Transcript items
+ * @returns {Array} - Input items; reasoning is left out, it can only be sent back to a server that stored it
+ */
+function toResponsesInput(items) {
+  const input = [];
+  for (const item of items) {
+    switch (item.type) {
+      case 'message': {
+        if (item.role === 'assistant') {
+          input.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: item.content }] });
+          break;
+        }
+        const content = item.content ? [{ type: 'input_text', text: item.content }] : [];
+        for (const attachment of item.attachments || []) {
+          if (attachment.type === 'image' && (attachment.url || attachment.fileId)) {
+            const part = { type: 'input_image' };
+            if (attachment.url) part.image_url = attachment.url;
+            if (attachment.fileId) part.file_id = attachment.fileId;
+            if (attachment.detail) part.detail = attachment.detail;
+            content.push(part);
+          } else if (attachment.type === 'file' && (attachment.url || attachment.fileId)) {
+            content.push(attachment.fileId
+              ? { type: 'input_file', file_id: attachment.fileId }
+              : { type: 'input_file', file_url: attachment.url });
+          } else {
+            content.push({ type: 'input_text', text: missingAttachmentText(attachment) });
+          }
+        }
+        input.push({ type: 'message', role: item.role, content });
+        break;
+      }
+      case 'function_call':
+        input.push({ type: 'function_call', call_id: item.callId, name: item.name, arguments: item.arguments });
+        break;
+      case 'function_call_output':
+        input.push({ type: 'function_call_output', call_id: item.callId, output: item.output });
+        break;
+      default:
+        // Reasoning and other server-side items cannot be replayed
+        break;
+    }
+  }
+  return input;
+}
+
+/**
+ * Rebuild Chat Completions messages from transcript items
+ * @param {Array} items - Transcript items
+ * @returns {Array} - Messages; consecutive function calls become one assistant message with tool_calls
+ */
+function toChatMessages(items) {
+  const messages = [];
+  for (const item of items) {
+    const last = messages[messages.length - 1];
+    switch (item.type) {
+      case 'message': {
+        const attachments = item.attachments || [];
+        if (attachments.length === 0) {
+          messages.push({ role: item.role, content: item.content });
+          break;
+        }
+        const content = item.content ? [{ type: 'text', text: item.content }] : [];
+        for (const attachment of attachments) {
+          if (attachment.type === 'image' && attachment.url) {
+            const imageUrl = { url: attachment.url };
+            if (attachment.detail) imageUrl.detail = attachment.detail;
+            content.push({ type: 'image_url', image_url: imageUrl });
+          } else {
+            content.push({ type: 'text', text: missingAttachmentText(attachment) });
+          }
+        }
+        messages.push({ role: item.role, content });
+        break;
+      }
+      case 'function_call': {
+        const toolCall = { id: item.callId, type: 'function', function: { name: item.name, arguments: item.arguments } };
+        // Calls made together with a text answer belong to that assistant message
+        if (last && last.role === 'assistant') {
+          last.tool_calls = [...(last.tool_calls || []), toolCall];
+        } else {
+          messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+        }
+        break;
+      }
+      case 'function_call_output':
+        messages.push({ role: 'tool', tool_call_id: item.callId, content: item.output });
+        break;
+      default:
+        break;
+    }
+  }
+  return messages;
+}
+
+/**
+ * Convert new user input to Chat Completions messages, keeping inline image data
+ * @param {string|Array|Object} input - Input in any format respond() accepts
+ * @returns {Array} - Messages
+ */
+function inputToChatMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  const items = Array.isArray(input) ? input : [input];
+  return items.flatMap(item => {
+    // Chat Completions messages are used as they are
+    if (!item.type) {
+      return [item];
+    }
+    // Function calls and results carry no inline data, so the transcript conversion is exact
+    if (item.type !== 'message') {
+      return toChatMessages([toTranscriptItem(item, null)]);
+    }
+    if (typeof item.content === 'string') {
+      return [{ role: item.role, content: item.content }];
+    }
+    const content = item.content.map(part => {
+      if (part.type === 'input_image') {
+        const imageUrl = { url: part.image_url };
+        if (part.detail) imageUrl.detail = part.detail;
+        return { type: 'image_url', image_url: imageUrl };
+      }
+      return part.type === 'input_text' || part.type === 'output_text' ? { type: 'text', text: part.text } : part;
+    });
+    return [{ role: item.role, content }];
+  });
+}
+
+/**
+ * Convert a message added by chat()/streamChat() to Responses API output items
+ * @param {Object} message - Assistant or tool message in Chat Completions format
+ * @returns {Array} - Message, function_call and function_call_output items
+ */
+function fromChatMessage(message) {
+  if (message.role === 'tool') {
+    return [{ type: 'function_call_output', call_id: message.tool_call_id, output: message.content }];
+  }
+  const items = [];
+  if (message.content) {
+    items.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: message.content }] });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    items.push({ type: 'function_call', call_id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments });
+  }
+  return items;
+}
+
+/**
+ * Whether the server refused the previous_response_id, because it expired or the server does not store responses
+ * @param {Error} error - Error from respond()
+ * @returns {boolean}
+ */
+function isPreviousResponseError(error) {
+  if (!(error instanceof BadRequestError)) return false;
+  const text = `${error.message} ${JSON.stringify(error.body || '')}`;
+  return /previous[_ ]response/i.test(text);
+}
+
+/**
+ * Add up two usage objects, including nested token details
+ * @param {Object|null} total - Usage so far
+ * @param {Object|null} usage - Usage of one request
+ * @returns {Object|null} - Sum
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  const sum = { ...total };
+  for (const [key, value] of Object.entries(usage)) {
+    if (typeof value === 'number') {
+      sum[key] = (sum[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      sum[key] = addUsage(sum[key] || null, value);
+    }
+  }
+  return sum;
+}
+
 /**
  * Conversation manager with history tracking and localStorage support
  */
@@ -13,13 +294,60 @@ class Conversation {
    * @param {Object} options - Conversation options
    * @param {string} options.instructions - System instructions for the conversation
    * @param {string} options.model - Model to use
+   * @param {string} options.id - Conversation ID, stored with its tool calls in the tool call log (default: generated)
+   * @param {string} options.api - 'responses' (default) or 'chat' to build the conversation on chat()/streamChat()
+   * @param {string} options.mode - Where the history is kept between turns: 'server' (previous_response_id),
+   *   'client' (the transcript is sent with every turn) or 'auto' (server, falling back to client when the server
+   *   refuses the previous response); default 'auto', and always 'client' for the chat API
+   * @param {ContextManager|Object} options.contextWindow - Context manager, or its options, that trims or summarizes
+   *   the oldest turns when the history no longer fits the model's context
    */
   constructor(mind, options = {}) {
+    const api = options.api || 'responses';
+    if (!['responses', 'chat'].includes(api)) {
+      throw new Error(`Unknown conversation api '${api}'. Use 'responses' or 'chat'`);
+    }
+    const mode = options.mode || (api === 'chat' ? 'client' : 'auto');
+    if (!['server', 'client', 'auto'].includes(mode)) {
+      throw new Error(`Unknown conversation mode '${mode}'. Use 'server', 'client' or 'auto'`);
+    }
+    if (api === 'chat' && mode === 'server') {
+      throw new Error("Chat Completions keep no history on the server, use mode 'client' or 'auto'");
+    }
+
     this.mind = mind;
+    this.id = options.id || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.instructions = options.instructions;
     this.model = options.model;
+    this.api = api;
+    this.mode = mode;
     this.previousResponseId = null;
-    this.history = []; // Client-side backup
+    this.turns = []; // Client-side transcript, one entry per respond()/streamRespond()
+    this._refusedPreviousResponses = 0; // Auto mode stays on the client after the server refused twice
+    this.contextManager = options.contextWindow ? mind._contextManagerFor(options.contextWindow) : null;
+    this._context = null; // { items, fromTurn }: history trimmed by the context manager, and the turns since
+  }
+
+  /**
+   * Transcript items of all turns, oldest first (read-only view of the turns)
+   * @returns {Array} - Transcript items
+   */
+  get history() {
+    return this.getHistory();
+  }
+
+  /**
+   * Where the next turn gets its history from
+   * @returns {string} - 'server' (previous_response_id) or 'client' (the transcript is sent along)
+   */
+  get activeMode() {
+    if (this.api === 'chat' || this.mode === 'client') return 'client';
+    if (this.mode === 'server') return 'server';
+    // Auto: without a response to chain to (e.g. after importing an old export), the transcript is the history
+    if (this._refusedPreviousResponses >= 2 || (!this.previousResponseId && this.turns.length > 0)) {
+      return 'client';
+    }
+    return 'server';
   }
 
   /**
@@ -29,32 +357,7 @@ class Conversation {
    * @returns {Promise<Object>} - Response object
    */
   async respond(input, options = {}) {
-    const requestOptions = {
-      ...options,
-      model: this.model || options.model,
-      instructions: this.instructions || options.instructions
-    };
-
-    // Use previous_response_id for chaining
-    if (this.previousResponseId) {
-      requestOptions.previous_response_id = this.previousResponseId;
-    }
-
-    const response = await this.mind.respond(input, requestOptions);
-
-    // Update state
-    if (response.id) {
-      this.previousResponseId = response.id;
-    }
-
-    // Keep client-side backup
-    const inputText = typeof input === 'string' ? input : JSON.stringify(input);
-    this.history.push(
-      { role: 'user', content: inputText, timestamp: Date.now() },
-      { role: 'assistant', content: response.text, timestamp: Date.now() }
-    );
-
-    return response;
+    return await this._send(input, null, options);
   }
 
   /**
@@ -65,58 +368,49 @@ class Conversation {
    * @returns {Promise<Object>} - Final response object
    */
   async streamRespond(input, onChunk, options = {}) {
-    const requestOptions = {
-      ...options,
-      model: this.model || options.model,
-      instructions: this.instructions || options.instructions
-    };
-
-    // Use previous_response_id for chaining
-    if (this.previousResponseId) {
-      requestOptions.previous_response_id = this.previousResponseId;
-    }
-
-    const response = await this.mind.streamRespond(input, onChunk, requestOptions);
-
-    // Update state
-    if (response.id) {
-      this.previousResponseId = response.id;
-    }
-
-    // Keep client-side backup
-    const inputText = typeof input === 'string' ? input : JSON.stringify(input);
-    this.history.push(
-      { role: 'user', content: inputText, timestamp: Date.now() },
-      { role: 'assistant', content: response.text, timestamp: Date.now() }
-    );
-
-    return response;
+    return await this._send(input, onChunk || (() => {}), options);
   }
 
   /**
    * Clear conversation history
    */
   async clear() {
-    this.history = [];
+    this.turns = [];
     this.previousResponseId = null;
+    this._refusedPreviousResponses = 0;
+    this._context = null;
   }
 
   /**
    * Get conversation history
-   * @returns {Array} - History array
+   * @returns {Array} - Transcript items of every turn: { type: 'message', role, content, attachments },
+   *   { type: 'function_call', callId, name, arguments }, { type: 'function_call_output', callId, output }
+   *   and { type: 'reasoning', summary }; items from the model carry the responseId that produced them
    */
   getHistory() {
-    return this.history;
+    return this.turns.flatMap(turn => turn.items);
+  }
+
+  /**
+   * Get the turns of the conversation
+   * @returns {Array} - One { responseId, usage, items } per respond()/streamRespond(); usage is summed
+   *   over every request of the turn, including follow-up requests after tool calls
+   */
+  getTurns() {
+    return this.turns;
   }
 
   /**
    * Export conversation to JSON string for localStorage
-   * @returns {string} - JSON string
+   * @returns {string} - JSON string in the versioned transcript format
    */
   exportHistory() {
     return JSON.stringify({
-      history: this.history,
+      version: TRANSCRIPT_VERSION,
+      id: this.id,
+      turns: this.turns,
       previousResponseId: this.previousResponseId,
+      context: this._context,
       instructions: this.instructions,
       model: this.model
     });
@@ -124,26 +418,39 @@ class Conversation {
 
   /**
    * Import conversation from JSON string
+   * Exports from older versions are converted; exports from a newer version are refused
    * @param {string} data - JSON string from exportHistory()
    */
   importHistory(data) {
+    let parsed;
     try {
-      const parsed = JSON.parse(data);
-      this.history = parsed.history || [];
-      this.previousResponseId = parsed.previousResponseId || null;
-      this.instructions = parsed.instructions || this.instructions;
-      this.model = parsed.model || this.model;
+      parsed = JSON.parse(data);
     } catch (error) {
       console.error('Failed to import conversation history:', error);
+      return;
     }
+
+    const version = parsed.version || 1;
+    if (version > TRANSCRIPT_VERSION) {
+      throw new Error(`Conversation export has format version ${version}, this WarpMind reads up to version ${TRANSCRIPT_VERSION}`);
+    }
+
+    this.id = parsed.id || this.id;
+    this.previousResponseId = parsed.previousResponseId || null;
+    this.turns = version === 1
+      ? this._turnsFromMessages(parsed.history || [], this.previousResponseId)
+      : parsed.turns || [];
+    this._context = parsed.context || null;
+    this.instructions = parsed.instructions || this.instructions;
+    this.model = parsed.model || this.model;
   }
 
   /**
    * Get the number of messages in the conversation
-   * @returns {number}
+   * @returns {number} - User and assistant messages (tool calls and reasoning are not counted)
    */
   getMessageCount() {
-    return this.history.length;
+    return this.getHistory().filter(item => item.type === 'message').length;
   }
 
   /**
@@ -151,8 +458,215 @@ class Conversation {
    * @returns {Object|null}
    */
   getLastMessage() {
-    return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+    const messages = this.getHistory().filter(item => item.type === 'message');
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+  }
+
+  /**
+   * Run one turn and add it to the transcript
+   * @private
+   * @param {string|Array} input - User input
+   * @param {Function|null} onChunk - Chunk callback for streaming, null for respond()
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response object
+   */
+  async _send(input, onChunk, options) {
+    const { history, trimmed } = await this._fitHistory(input, options);
+
+    if (this.api === 'chat') {
+      const response = await this._sendWithChat(input, onChunk, options, history);
+      this._recordTurn(input, response);
+      return response;
+    }
+
+    // The history on the server got too long: start a new chain from the trimmed history
+    const mode = trimmed ? 'client' : this.activeMode;
+    let response;
+    try {
+      response = await this._sendWithResponses(input, onChunk, options, mode, history);
+    } catch (error) {
+      if (this.mode !== 'auto' || mode !== 'server' || !this.previousResponseId || !isPreviousResponseError(error)) {
+        throw error;
+      }
+      // The server no longer has the previous response (expired, or it never stored it): resend the transcript
+      this._refusedPreviousResponses++;
+      response = await this._sendWithResponses(input, onChunk, options, 'client', history);
+    }
+
+    // Update state
+    if (response.id) {
+      this.previousResponseId = response.id;
+    }
+
+    this._recordTurn(input, response);
+    return response;
+  }
+
+  /**
+   * Send a turn with respond()/streamRespond()
+   * @private
+   * @param {string|Array} input - User input
+   * @param {Function|null} onChunk - Chunk callback, null for respond()
+   * @param {Object} options - Request options
+   * @param {string} mode - 'server' chains with previous_response_id, 'client' sends the history
+   * @param {Array} history - Transcript items the model sees, sent in client mode
+   * @returns {Promise<Object>} - Response object
+   */
+  async _sendWithResponses(input, onChunk, options, mode, history) {
+    const requestOptions = {
+      ...options,
+      model: this.model || options.model,
+      instructions: this.instructions || options.instructions,
+      conversationId: this.id
+    };
+
+    let requestInput = input;
+    if (mode === 'client') {
+      requestInput = [...toResponsesInput(history), ...ResponseClient._convertInput(input)];
+      requestOptions.stateless = true;
+      // Instructions from a developer message in the input still apply
+      if (Array.isArray(input)) {
+        requestOptions.instructions = ResponseClient._extractInstructions(input) || requestOptions.instructions;
+      }
+    } else if (this.previousResponseId) {
+      // Use previous_response_id for chaining
+      requestOptions.previous_response_id = this.previousResponseId;
+    }
+
+    return onChunk
+      ? await this.mind.streamRespond(requestInput, onChunk, requestOptions)
+      : await this.mind.respond(requestInput, requestOptions);
+  }
+
+  /**
+   * Send a turn with chat()/streamChat(), rebuilding the messages from the transcript
+   * @private
+   * @param {string|Array} input - User input
+   * @param {Function|null} onChunk - Chunk callback (gets { delta } like streamRespond()), null for chat()
+   * @param {Object} options - Chat options
+   * @param {Array} history - Transcript items the model sees
+   * @returns {Promise<Object>} - { text, id: null, usage: null, rounds }
+   */
+  async _sendWithChat(input, onChunk, options, history) {
+    // The answer is always text here, so returnMetadata does not apply
+    const { instructions = this.instructions, returnMetadata, ...chatOptions } = options;
+    const messages = [...toChatMessages(history), ...inputToChatMessages(input)];
+    if (instructions) {
+      messages.unshift({ role: 'system', content: instructions });
+    }
+
+    const added = [];
+    const requestOptions = {
+      ...chatOptions,
+      model: this.model || options.model,
+      conversationId: this.id,
+      onMessage: (message) => {
+        added.push(message);
+        if (options.onMessage) options.onMessage(message);
+      }
+    };
+    const text = onChunk
+      ? await this.mind.streamChat(messages, (chunk) => onChunk({ delta: chunk.content }), requestOptions)
+      : await this.mind.chat(messages, requestOptions);
+
+    return {
+      text,
+      id: null,
+      usage: null,
+      rounds: [{ id: null, usage: null, output: added.flatMap(fromChatMessage), toolResults: [] }]
+    };
+  }
+
+  /**
+   * Get the history the model sees: the whole transcript, or the last trimmed history and the turns since
+   * @private
+   * @returns {Array} - Transcript items
+   */
+  _contextHistory() {
+    if (!this._context) {
+      return this.getHistory();
+    }
+    return [...this._context.items, ...this.turns.slice(this._context.fromTurn).flatMap(turn => turn.items)];
+  }
+
+  /**
+   * Trim the history with the context manager before a turn
+   * @private
+   * @param {string|Array} input - New input, counted toward the budget
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - { history, trimmed }; trimmed is true when turns were dropped or summarized
+   */
+  async _fitHistory(input, options) {
+    const history = this._contextHistory();
+    if (!this.contextManager) {
+      return { history, trimmed: false };
+    }
+
+    const instructions = this.instructions || options.instructions || '';
+    const overheadTokens = this.contextManager.countTokens(instructions) +
+      this.contextManager.countTokens(ResponseClient._convertInput(input));
+    const fitted = await this.contextManager.fit(history, {
+      model: this.model || options.model || this.mind.model,
+      overheadTokens
+    });
+    if (fitted.messages === history) {
+      return { history, trimmed: false };
+    }
+
+    this._context = { items: fitted.messages, fromTurn: this.turns.length };
+    return { history: fitted.messages, trimmed: true };
+  }
+
+  /**
+   * Add a turn to the transcript
+   * @private
+   * @param {string|Array|Object} input - Input given to respond()/streamRespond()
+   * @param {Object} response - Response with { id, usage, rounds }
+   */
+  _recordTurn(input, response) {
+    const items = ResponseClient._convertInput(input).map(item => toTranscriptItem(item, null));
+    const rounds = response.rounds || [{
+      id: response.id,
+      usage: response.usage,
+      output: ResponseClient._streamedOutput(null, response.text),
+      toolResults: []
+    }];
+
+    let usage = null;
+    for (const round of rounds) {
+      for (const item of round.output || []) {
+        items.push(toTranscriptItem(item, round.id || null));
+      }
+      for (const result of round.toolResults || []) {
+        items.push(toTranscriptItem(result, null));
+      }
+      usage = addUsage(usage, round.usage);
+    }
+
+    this.turns.push({ responseId: response.id || null, usage, items });
+  }
+
+  /**
+   * Convert a version 1 history ({ role, content, timestamp } messages) to turns
+   * @private
+   * @param {Array} messages - Messages
+   * @param {string|null} lastResponseId - Response ID of the last turn, the only one version 1 kept
+   * @returns {Array} - Turns, each starting at a user message
+   */
+  _turnsFromMessages(messages, lastResponseId) {
+    const turns = [];
+    for (const message of messages) {
+      const item = { type: 'message', role: message.role, content: message.content, timestamp: message.timestamp };
+      if (message.role === 'user' || turns.length === 0) {
+        turns.push({ responseId: null, usage: null, items: [] });
+      }
+      turns[turns.length - 1].items.push(item);
+    }
+    if (turns.length > 0) {
+      turns[turns.length - 1].responseId = lastResponseId;
+    }
+    return turns;
   }
 }
 
-module.exports = { Conversation };
+module.exports = { Conversation, TRANSCRIPT_VERSION };
@@ -11,15 +11,22 @@ const {
   sleep 
 } = require('../util.js');
 
-/**
- * Custom error class for timeout errors
- */
-class TimeoutError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'TimeoutError';
-  }
-}
+// Import the error types thrown by the transport
+const {
+  WarpMindError,
+  TimeoutError,
+  AbortError,
+  AuthenticationError,
+  NetworkError,
+  createHttpError,
+  getRequestId
+} = require('./errors.js');
+
+// Import the limiter that schedules requests under the configured limits
+const RequestLimiter = require('./request-limiter.js');
+
+// Import the opt-in cache for repeated requests
+const ResponseCache = require('./response-cache.js');
 
 /**
  * Base client class that handles HTTP requests, retries, and configuration
@@ -33,6 +40,10 @@ class BaseClient {
     this.defaultTimeoutMs = config.defaultTimeoutMs || 60000;
     this.customHeaders = config.customHeaders || {}; // Support for custom headers
     this.authType = config.authType || 'default';
+    this.fetchImplementation = config.fetch || null; // Optional fetch override (test doubles, undici agents)
+    this._middleware = []; // Request/response hooks registered with use()
+    this._limiter = new RequestLimiter(config.limits); // Rate limits and token budgets, if configured
+    this._cache = new ResponseCache(config.cache); // Response cache, disabled unless configured
   }
 
   /**
@@ -59,6 +70,65 @@ class BaseClient {
     this.customHeaders = headers || {};
   }
 
+  /**
+   * Set a custom fetch implementation used for every request
+   * Useful for test doubles or a Node.js fetch bound to a custom agent (e.g. undici)
+   * @param {Function|null} fetchImplementation - fetch-compatible function, or null to use the global fetch
+   */
+  setFetch(fetchImplementation) {
+    this.fetchImplementation = fetchImplementation || null;
+  }
+
+  /**
+   * Register middleware that sees every API request
+   * Hooks receive a context with endpoint, url, method, payload, headers, attempt and timing:
+   * - onRequest(ctx): runs before each attempt; may edit ctx.payload and ctx.headers,
+   *   or return a value to skip the network and use it as the response
+   * - onResponse(ctx): runs after success with ctx.result; may return a replacement result
+   * - onError(ctx): runs after the final failure with ctx.error; may return a value to recover
+   * - onStreamEvent(ctx): runs synchronously for each streamed event in ctx.event;
+   *   may return a replacement event, or null to drop it
+   * Hooks run in registration order and may be async (except onStreamEvent)
+   * @param {Object} middleware - Object with any of the hooks above
+   * @returns {Function} - Call to remove the middleware again
+   */
+  use(middleware) {
+    const hooks = ['onRequest', 'onResponse', 'onError', 'onStreamEvent'];
+    if (!middleware || !hooks.some(hook => typeof middleware[hook] === 'function')) {
+      throw new Error(`Middleware must be an object with at least one of: ${hooks.join(', ')}`);
+    }
+
+    this._middleware.push(middleware);
+    return () => {
+      this._middleware = this._middleware.filter(m => m !== middleware);
+    };
+  }
+
+  /**
+   * Report the configured request limits and token budgets and how much headroom is left
+   * @returns {Object} - { requestsPerMinute, maxConcurrent, tokensPerSession, tokensPerDay, onLimit };
+   *   each limit has `limit` and `remaining` (null when not configured)
+   */
+  getLimits() {
+    return this._limiter.getLimits();
+  }
+
+  /**
+   * Remove all cached responses
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    await this._cache.clear();
+  }
+
+  /**
+   * Report how often the response cache was used
+   * @returns {Object} - { enabled, hits, misses, hitRate }
+   */
+  getCacheStats() {
+    return this._cache.getStats();
+  }
+
   /**
    * Set the model to use for completions
    * @param {string} model - The model name (e.g., 'gpt-3.5-turbo', 'gpt-4')
@@ -76,6 +146,7 @@ class BaseClient {
    * @param {string} params.baseURL - Base URL
    * @param {string} params.authType - Auth type ('default' or 'bearer')
    * @param {number} params.defaultTimeoutMs - Default timeout in milliseconds
+   * @param {Function} params.fetch - Custom fetch implementation
    */
   configure(params = {}) {
     if (params.temperature !== undefined) this.temperature = params.temperature;
@@ -84,6 +155,7 @@ class BaseClient {
     if (params.baseURL !== undefined) this.baseURL = params.baseURL;
     if (params.authType !== undefined) this.authType = params.authType;
     if (params.defaultTimeoutMs !== undefined) this.defaultTimeoutMs = params.defaultTimeoutMs;
+    if (params.fetch !== undefined) this.fetchImplementation = params.fetch || null;
   }
 
   /**
@@ -129,81 +201,343 @@ class BaseClient {
   }
 
   /**
-   * Make a request to the OpenAI-compatible API with proper headers, retry logic, and timeout
+   * Throw an AbortError if the caller-supplied signal has been aborted
+   * @param {AbortSignal} signal - Optional caller-supplied abort signal
+   * @param {string} partialText - Text received so far, attached to the error
+   */
+  _throwIfAborted(signal, partialText = '') {
+    if (signal && signal.aborted) {
+      throw new AbortError('Request was aborted', partialText);
+    }
+  }
+
+  /**
+   * Translate a low-level fetch abort into an AbortError or TimeoutError
+   * Errors that are not aborts are returned unchanged
+   * @param {Error} error - Error raised by fetch or a stream reader
+   * @param {AbortSignal} signal - Optional caller-supplied abort signal
+   * @param {number} timeoutMs - Timeout that was in effect for the request
+   * @param {string} partialText - Text received so far, attached to an AbortError
+   * @param {Object} details - Request context (endpoint, attempts) attached to the new error
+   * @returns {Error} - The error to throw
+   */
+  _normalizeAbortError(error, signal, timeoutMs, partialText = '', details = {}) {
+    if (error instanceof AbortError) {
+      return error;
+    }
+    if (error.name === 'AbortError') {
+      if (signal && signal.aborted) {
+        return new AbortError('Request was aborted', partialText, details);
+      }
+      return new TimeoutError(`Request timed out after ${timeoutMs}ms`, details);
+    }
+    return error;
+  }
+
+  /**
+   * Call fetch, using the injected implementation when one is configured
+   * The global fetch is resolved on every call so it can be replaced at runtime
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} - fetch response
+   */
+  _fetch(url, init) {
+    const fetchFn = this.fetchImplementation || fetch;
+    return fetchFn(url, init);
+  }
+
+  /**
+   * Build request headers with custom headers and authentication applied
+   * @param {boolean} isJson - Whether to send a JSON Content-Type header
+   * @param {Object} extraHeaders - Additional per-request headers
+   * @returns {Object} - Headers object
+   */
+  _buildHeaders(isJson = true, extraHeaders = {}) {
+    const headers = isJson ? { 'Content-Type': 'application/json' } : {};
+    Object.assign(headers, this.customHeaders, extraHeaders);
+
+    if (this.authType === 'bearer') {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    } else {
+      headers['api-key'] = this.apiKey; // Custom header for proxy authentication
+    }
+
+    return headers;
+  }
+
+  /**
+   * Read the body of a failed response, preferring JSON and falling back to text
+   * @param {Response} response - Failed fetch response
+   * @returns {Promise<Object|string|null>} - Parsed JSON, raw text, or null if unreadable
+   */
+  async _readErrorBody(response) {
+    // Keep an unread copy so the text fallback still works after a failed JSON parse
+    const fallback = typeof response.clone === 'function' ? response.clone() : response;
+    try {
+      return await response.json();
+    } catch (jsonError) {
+      try {
+        return await fallback.text();
+      } catch (textError) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Read the Retry-After header of a response; mocked responses may have no headers
+   * @param {Response} response - fetch response
+   * @returns {string|null} - Header value
+   */
+  _readRetryAfter(response) {
+    return response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('Retry-After')
+      : null;
+  }
+
+  /**
+   * Format the error message for a failed HTTP response
+   * @param {Response} response - Failed fetch response
+   * @param {Object|string|null} errorBody - Body returned by _readErrorBody()
+   * @param {string} errorPrefix - Message prefix (e.g. 'API request failed')
+   * @returns {string} - Error message
+   */
+  _formatHttpError(response, errorBody, errorPrefix) {
+    let details = '';
+    if (errorBody && typeof errorBody === 'object') {
+      details = errorBody.error?.message || '';
+    } else if (typeof errorBody === 'string') {
+      details = errorBody;
+    }
+    return `${errorPrefix}: ${response.status} ${response.statusText}. ${details}`;
+  }
+
+  /**
+   * Transport used by every API call: JSON, multipart and streaming requests all
+   * go through here so retries, Retry-After, custom headers, auth and timeouts
+   * behave the same everywhere
    * @param {string} endpoint - API endpoint
-   * @param {Object} data - Request data (ignored for GET/DELETE requests)
+   * @param {Object|FormData} data - Request body; FormData is sent as multipart (ignored for GET/DELETE)
    * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: 'POST')
+   * @param {string} options.responseType - 'json' (default), 'blob' or 'stream'
    * @param {number} options.timeoutMs - Request timeout in milliseconds
    * @param {number} options.maxRetries - Maximum number of retry attempts (default: 5)
-   * @param {string} options.method - HTTP method (default: 'POST')
-   * @param {Object} options.queryParams - Query parameters for GET requests
-   * @returns {Promise} - API response
+   * @param {Object} options.queryParams - Query parameters
+   * @param {Object} options.headers - Additional headers for this request
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.errorPrefix - Prefix for HTTP error messages (default: 'API request failed')
+   * @param {Function} options.formatError - Custom formatter (response, errorBody) => message
+   * @param {string} options.networkErrorMessage - Message used when the API cannot be reached
+   * @param {boolean|string} options.cache - false skips the response cache, 'refresh' skips the
+   *   lookup but stores the new response
+   * @param {Function} options.cacheValidator - (result) => boolean; results it rejects are neither
+   *   stored in nor served from the response cache
+   * @throws {BudgetExceededError} - If a configured limit rejects the request
+   * @returns {Promise<Object|Blob>} - Parsed JSON or Blob; for 'stream', an object
+   *   { response, done, context } where done() must be called once the body has been consumed
+   *   and context is passed to _applyStreamEventMiddleware() for each parsed event
    */
-  async makeRequest(endpoint, data, options = {}) {
+  async sendRequest(endpoint, data, options = {}) {
     if (!this.apiKey) {
-      throw new Error('API key is required. Use setApiKey() to set your proxy authentication key.');
+      throw new AuthenticationError('API key is required. Use setApiKey() to set your proxy authentication key.', { endpoint });
     }
 
-    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.defaultTimeoutMs;
-    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
     const method = options.method || 'POST';
+    const responseType = options.responseType || 'json';
     const queryParams = options.queryParams || {};
-    const url = Object.keys(queryParams).length > 0
-      ? this._buildApiUrlWithQuery(endpoint, queryParams)
-      : this._buildApiUrl(endpoint);
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      const { controller, timeoutId } = createTimeoutController(timeoutMs);
-      
+    const isMultipart = typeof FormData !== 'undefined' && data instanceof FormData;
+
+    // Shared with every middleware hook; onRequest may rewrite payload and headers
+    const context = {
+      endpoint,
+      url: Object.keys(queryParams).length > 0
+        ? this._buildApiUrlWithQuery(endpoint, queryParams)
+        : this._buildApiUrl(endpoint),
+      method,
+      responseType,
+      stream: responseType === 'stream',
+      payload: data,
+      // Let the runtime set the multipart Content-Type with its boundary
+      headers: this._buildHeaders(!isMultipart, options.headers),
+      attempt: 0,
+      startTime: Date.now(),
+      duration: null,
+      response: null,
+      result: undefined,
+      error: null,
+      shortCircuited: false,
+      cached: false
+    };
+
+    // Keyed on the request as the caller built it, before onRequest hooks rewrite it
+    const cacheKey = this._cache.getKey(context, options);
+    let outcome = null;
+
+    const isCacheable = (result) => typeof options.cacheValidator !== 'function' || options.cacheValidator(result);
+
+    if (cacheKey && options.cache !== 'refresh') {
+      const cached = await this._cache.get(cacheKey, isCacheable);
+      if (cached) {
+        // No tokens were spent, so there is no usage to record or count against budgets
+        delete cached.usage;
+        context.cached = true;
+        outcome = { result: cached, done: () => {} };
+      }
+    }
+
+    if (!outcome) {
+      // Wait for a slot under the configured limits; held until the response (or stream) is finished
+      const release = await this._limiter.acquire(options.signal);
+
       try {
-        const headers = {
-          'Content-Type': 'application/json',
-          ...this.customHeaders
+        outcome = await this._sendWithRetries(context, options);
+      } catch (error) {
+        release();
+        context.error = error;
+        context.duration = Date.now() - context.startTime;
+
+        // The first onError hook that returns a value recovers the request
+        for (const middleware of this._middleware) {
+          if (typeof middleware.onError === 'function') {
+            const recovered = await middleware.onError(context);
+            if (recovered !== undefined) {
+              return responseType === 'stream' ? { response: recovered, done: () => {}, context } : recovered;
+            }
+          }
+        }
+        throw error;
+      }
+
+      if (responseType === 'stream') {
+        const releaseStream = outcome.done;
+        outcome.done = () => {
+          releaseStream();
+          release();
         };
+      } else {
+        release();
+      }
 
-        if (this.authType === 'bearer') {
-          headers['Authorization'] = `Bearer ${this.apiKey}`;
-        } else {
-          headers['api-key'] = this.apiKey; // Custom header for proxy authentication
+      if (cacheKey && !context.shortCircuited && isCacheable(outcome.result)) {
+        await this._cache.set(cacheKey, outcome.result);
+      }
+    }
+
+    context.result = outcome.result;
+    context.duration = Date.now() - context.startTime;
+
+    // Each onResponse hook may replace the result seen by the next one
+    for (const middleware of this._middleware) {
+      if (typeof middleware.onResponse === 'function') {
+        const replacement = await middleware.onResponse(context);
+        if (replacement !== undefined) {
+          context.result = replacement;
         }
+      }
+    }
 
+    if (responseType === 'stream') {
+      return { response: context.result, done: outcome.done, context };
+    }
+    return context.result;
+  }
+
+  /**
+   * Run the request with retries; called by sendRequest() once the middleware context exists
+   * @private
+   * @param {Object} context - Middleware context (endpoint, url, method, payload, headers, ...)
+   * @param {Object} options - Request options (see sendRequest())
+   * @returns {Promise<Object>} - { result, done } where done() releases a streaming response
+   */
+  async _sendWithRetries(context, options) {
+    const { endpoint, method, responseType } = context;
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.defaultTimeoutMs;
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    const errorPrefix = options.errorPrefix || 'API request failed';
+    const signal = options.signal;
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      this._throwIfAborted(signal);
+      context.attempt = attempt + 1;
+
+      // The first onRequest hook that returns a value short-circuits the request
+      for (const middleware of this._middleware) {
+        if (typeof middleware.onRequest === 'function') {
+          const synthetic = await middleware.onRequest(context);
+          if (synthetic !== undefined) {
+            context.shortCircuited = true;
+            return { result: synthetic, done: () => {} };
+          }
+        }
+      }
+
+      const { controller, cleanup } = createTimeoutController(timeoutMs, signal);
+      // A streamed body is still being read after this returns; the caller releases it with done()
+      let releasedByCaller = false;
+      
+      try {
+        const isMultipart = typeof FormData !== 'undefined' && context.payload instanceof FormData;
         const fetchOptions = {
           method: method,
-          headers: headers,
+          headers: context.headers,
           signal: controller ? controller.signal : undefined
         };
 
         // Only include body for POST/PUT/PATCH requests
-        if (data && method !== 'GET' && method !== 'DELETE') {
-          fetchOptions.body = JSON.stringify(data);
+        if (context.payload && method !== 'GET' && method !== 'DELETE') {
+          fetchOptions.body = isMultipart ? context.payload : JSON.stringify(context.payload);
         }
 
-        const response = await fetch(url, fetchOptions);
-
-        clearTimeout(timeoutId);
+        const response = await this._fetch(context.url, fetchOptions);
+        context.response = response;
 
         if (!response.ok) {
+          cleanup();
+
           // Check if we should retry this status code
           if (shouldRetry(response.status) && attempt < maxRetries) {
-            const retryAfter = response.headers.get ? response.headers.get('Retry-After') : null;
-            const delay = calculateRetryDelay(attempt, retryAfter);
+            const delay = calculateRetryDelay(attempt, this._readRetryAfter(response));
             
             console.warn(`Request failed with status ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
             await sleep(delay);
             continue;
           }
 
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(`API request failed: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+          const errorBody = await this._readErrorBody(response);
+          const message = options.formatError
+            ? options.formatError(response, errorBody)
+            : this._formatHttpError(response, errorBody, errorPrefix);
+          throw createHttpError(message, {
+            status: response.status,
+            body: errorBody,
+            requestId: getRequestId(response),
+            endpoint,
+            attempts: attempt + 1,
+            retryable: shouldRetry(response.status),
+            retryAfter: this._readRetryAfter(response)
+          });
+        }
+
+        if (responseType === 'stream') {
+          // Keep the timeout and the caller's signal attached while the caller consumes the body
+          releasedByCaller = true;
+          return { result: response, done: cleanup };
         }
 
-        return await response.json();
+        const result = responseType === 'blob' ? await response.blob() : await response.json();
+        return { result, done: () => {} };
       } catch (error) {
-        clearTimeout(timeoutId);
+        cleanup();
         
-        // Handle timeout errors
+        // Errors raised above already carry their request context
+        if (error instanceof WarpMindError) {
+          throw error;
+        }
+
+        // Handle timeout and caller-initiated aborts
         if (error.name === 'AbortError') {
-          throw new TimeoutError(`Request timed out after ${timeoutMs}ms`);
+          throw this._normalizeAbortError(error, signal, timeoutMs, '', { endpoint, attempts: attempt + 1 });
         }
         
         // Handle network errors - retry if not last attempt
@@ -214,15 +548,61 @@ class BaseClient {
             await sleep(delay);
             continue;
           }
-          throw new Error('Network error: Unable to connect to the API. Please check your internet connection.');
+          throw new NetworkError(
+            options.networkErrorMessage || 'Network error: Unable to connect to the API. Please check your internet connection.',
+            { endpoint, attempts: attempt + 1 }
+          );
         }
         
         // For other errors, don't retry
         throw error;
+      } finally {
+        if (!releasedByCaller) {
+          cleanup();
+        }
       }
     }
   }
+
+  /**
+   * Pass a parsed streaming event through the onStreamEvent middleware hooks
+   * Hooks run synchronously; each may return a replacement event, or null to drop it
+   * @param {Object} context - Context returned by sendRequest() for the streaming request
+   * @param {Object} event - Parsed stream event (e.g. { delta, tool_calls })
+   * @returns {Object|null} - Event to deliver, or null if a hook dropped it
+   */
+  _applyStreamEventMiddleware(context, event) {
+    let current = event;
+    for (const middleware of this._middleware) {
+      if (typeof middleware.onStreamEvent === 'function') {
+        const replacement = middleware.onStreamEvent({ ...context, event: current });
+        if (replacement === null) {
+          return null;
+        }
+        if (replacement !== undefined) {
+          current = replacement;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Make a JSON request to the OpenAI-compatible API with proper headers, retry logic, and timeout
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data (ignored for GET/DELETE requests)
+   * @param {Object} options - Request options (see sendRequest())
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {number} options.maxRetries - Maximum number of retry attempts (default: 5)
+   * @param {string} options.method - HTTP method (default: 'POST')
+   * @param {Object} options.queryParams - Query parameters for GET requests
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @returns {Promise} - API response
+   */
+  async makeRequest(endpoint, data, options = {}) {
+    return await this.sendRequest(endpoint, data, { ...options, responseType: 'json' });
+  }
 }
 
-// Export both the BaseClient class and TimeoutError
-module.exports = { BaseClient, TimeoutError };
+// Export the BaseClient class and error types
+module.exports = { BaseClient, TimeoutError, AbortError };
@@ -0,0 +1,249 @@
+/**
+ * Error types thrown by WarpMind
+ * Every error carries the request context so callers can branch on the class
+ * (or on `retryable`) instead of parsing the message
+ */
+
+/**
+ * Base class for all WarpMind errors
+ */
+class WarpMindError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Request context
+   * @param {number} details.status - HTTP status code, if there was a response
+   * @param {Object|string} details.body - Parsed API error body
+   * @param {string} details.requestId - Value of the response request-id header
+   * @param {string} details.endpoint - API endpoint that was called
+   * @param {number} details.attempts - Number of attempts made, including retries
+   * @param {boolean} details.retryable - Whether retrying the request may succeed
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WarpMindError';
+    this.status = details.status ?? null;
+    this.body = details.body ?? null;
+    this.requestId = details.requestId ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.attempts = details.attempts ?? null;
+    this.retryable = details.retryable ?? false;
+  }
+}
+
+/**
+ * Custom error class for timeout errors
+ */
+class TimeoutError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Custom error class for requests cancelled through a caller-supplied AbortSignal
+ * Carries any text that was received before the request was aborted
+ */
+class AbortError extends WarpMindError {
+  constructor(message, partialText = '', details = {}) {
+    super(message, details);
+    this.name = 'AbortError';
+    this.partialText = partialText;
+  }
+}
+
+/**
+ * The API rejected the credentials (HTTP 401/403)
+ */
+class AuthenticationError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The API is rate limiting the client (HTTP 429)
+ * `retryAfter` holds the raw Retry-After header value, when the server sent one
+ */
+class RateLimitError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * The request itself was invalid (other 4xx responses)
+ */
+class BadRequestError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'BadRequestError';
+  }
+}
+
+/**
+ * The API failed while handling the request (HTTP 5xx)
+ */
+class ServerError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * The API could not be reached at all
+ */
+class NetworkError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The provider's content filter blocked the prompt or the completion
+ */
+class ContentFilterError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ContentFilterError';
+  }
+}
+
+/**
+ * A registered tool was missing, was called with invalid arguments, or its handler threw
+ * `toolName` names the tool, `cause` holds the original error, if any, and `validationErrors`
+ * lists rejected arguments as { path, message }
+ */
+class ToolExecutionError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolExecutionError';
+    this.toolName = details.toolName ?? null;
+    this.cause = details.cause ?? null;
+    this.validationErrors = details.validationErrors ?? [];
+  }
+}
+
+/**
+ * A model response did not match the requested schema
+ * `rawResponse` holds the text the model returned and `validationErrors`
+ * lists each problem as { path, message }, e.g. { path: '$.items[2].price', message: 'expected number, got string' }
+ */
+class SchemaValidationError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'SchemaValidationError';
+    this.rawResponse = details.rawResponse ?? null;
+    this.validationErrors = details.validationErrors ?? [];
+  }
+}
+
+/**
+ * A client-side limit configured with the `limits` option was reached
+ * `limit` names the limit (requestsPerMinute, maxConcurrent, tokensPerSession or tokensPerDay)
+ * and `retryAfterMs` says when it frees up, if known
+ */
+class BudgetExceededError extends WarpMindError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'BudgetExceededError';
+    this.limit = details.limit ?? null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+// Error codes used by OpenAI and Azure OpenAI when a content filter blocks a request
+const CONTENT_FILTER_CODES = ['content_filter', 'content_policy_violation', 'ResponsibleAIPolicyViolation'];
+
+/**
+ * Check whether an API error body describes a content filter block
+ * @param {Object|string|null} body - Parsed API error body
+ * @returns {boolean} - True if the content filter rejected the request
+ */
+function isContentFilterBody(body) {
+  if (!body || typeof body !== 'object') {
+    return false;
+  }
+  const error = body.error || body;
+  return CONTENT_FILTER_CODES.includes(error.code) ||
+    CONTENT_FILTER_CODES.includes(error.type) ||
+    CONTENT_FILTER_CODES.includes(error.innererror?.code);
+}
+
+/**
+ * Read the request id the API attached to a response, if any
+ * @param {Response} response - fetch response
+ * @returns {string|null} - Request id
+ */
+function getRequestId(response) {
+  if (!response || !response.headers || typeof response.headers.get !== 'function') {
+    return null;
+  }
+  return response.headers.get('x-request-id') ||
+    response.headers.get('request-id') ||
+    response.headers.get('apim-request-id') ||
+    null;
+}
+
+/**
+ * Create the typed error for a failed HTTP response
+ * @param {string} message - Error message
+ * @param {Object} details - Request context (see WarpMindError); `status` picks the class
+ * @returns {WarpMindError} - The matching error subclass
+ */
+function createHttpError(message, details = {}) {
+  const { status, body } = details;
+
+  if (isContentFilterBody(body)) {
+    return new ContentFilterError(message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, details);
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new BadRequestError(message, details);
+}
+
+/**
+ * Add context to an error message while keeping the error type and request details
+ * Other errors are wrapped in a plain Error with the same prefix
+ * @param {Error} error - Original error
+ * @param {string} context - Message prefix (e.g. 'Failed to process PDF')
+ * @returns {Error} - Error to throw
+ */
+function withErrorContext(error, context) {
+  if (error instanceof WarpMindError) {
+    error.message = `${context}: ${error.message}`;
+    return error;
+  }
+  return new Error(`${context}: ${error.message}`);
+}
+
+module.exports = {
+  WarpMindError,
+  TimeoutError,
+  AbortError,
+  AuthenticationError,
+  RateLimitError,
+  BadRequestError,
+  ServerError,
+  NetworkError,
+  ContentFilterError,
+  ToolExecutionError,
+  SchemaValidationError,
+  BudgetExceededError,
+  createHttpError,
+  getRequestId,
+  isContentFilterBody,
+  withErrorContext
+};
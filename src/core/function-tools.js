@@ -0,0 +1,333 @@
+/**
+ * Function tools - build registerTool() definitions from plain functions and objects
+ * Parameter schemas come from type descriptors ({ city: 'string', days: 'number?' }), from JSDoc
+ * comments, or from the parameter names in the function's signature
+ */
+
+const { typeToSchema, descriptorsToSchema, isJsonSchema } = require('./json-schema.js');
+
+/**
+ * Remove comments from a piece of source code
+ * @param {string} source - Source code
+ * @returns {string} - Source without comments
+ */
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+}
+
+/**
+ * Split a list on commas that are not inside brackets or strings
+ * @param {string} text - e.g. "a, { b, c } = {}, d = [1, 2]"
+ * @returns {Array<string>} - Trimmed, non-empty parts
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (text[++i] || '');
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Read a function's parameters from its source
+ * @param {Function} fn - Function, method or arrow function
+ * @returns {Object} - { params: [{ name, optional }], destructured } where destructured means the function
+ *   takes a single { a, b } object, whose keys are listed as params; null if the parameters cannot be read
+ */
+function parseSignature(fn) {
+  const source = stripComments(Function.prototype.toString.call(fn)).trim();
+  const bareArrow = source.match(/^(?:async\s+)?([A-Za-z_$][\w$]*)\s*=>/);
+  let list;
+  if (bareArrow) {
+    list = bareArrow[1];
+  } else {
+    const start = source.indexOf('(');
+    if (start === -1) return null;
+    let depth = 0;
+    let end = start;
+    for (; end < source.length; end++) {
+      if (source[end] === '(') depth++;
+      if (source[end] === ')' && --depth === 0) break;
+    }
+    list = source.slice(start + 1, end);
+  }
+
+  const toParam = (part) => {
+    const [target, ...defaultValue] = part.split('=');
+    // In { key: alias = 1 } the property name is the key
+    const name = target.split(':')[0].trim();
+    return { name, optional: defaultValue.length > 0 };
+  };
+
+  const parts = splitTopLevel(list);
+  if (parts.some(part => part.startsWith('...') || part.startsWith('['))) {
+    return null;
+  }
+  if (parts.length === 1 && parts[0].startsWith('{')) {
+    const inner = parts[0].slice(1, parts[0].lastIndexOf('}'));
+    return { params: splitTopLevel(inner).filter(part => !part.startsWith('...')).map(toParam), destructured: true };
+  }
+  return { params: parts.map(toParam), destructured: false };
+}
+
+/**
+ * Find the JSDoc comment written right before a method in class source code
+ * @param {string} source - Source of the class
+ * @param {string} name - Method name
+ * @returns {string|null} - Comment text without the comment markers
+ */
+function findJsDoc(source, name) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  const pattern = new RegExp(`/\\*\\*((?:(?!\\*/)[\\s\\S])*)\\*/\\s*(?:static\\s+)?(?:async\\s+)?\\*?\\s*${escaped}\\s*\\(`);
+  const match = source.match(pattern);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the description and @param tags of a JSDoc comment
+ * `@param {Object} args` followed by `@param {string} args.city` describes a function taking one object
+ * @param {string} comment - JSDoc comment, with or without the comment markers
+ * @returns {Object} - { description, params: [{ name, path, type, optional, default, description }] }
+ */
+function parseJsDoc(comment) {
+  const lines = comment
+    .replace(/^\s*\/\*\*/, '')
+    .replace(/\*\/\s*$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\*\s?/, '').trim());
+
+  const description = [];
+  const tags = [];
+  for (const line of lines) {
+    if (line.startsWith('@')) {
+      tags.push(line);
+    } else if (tags.length === 0) {
+      if (line) description.push(line);
+    } else if (line) {
+      // Continuation of the previous tag
+      tags[tags.length - 1] += ` ${line}`;
+    }
+  }
+
+  const params = [];
+  for (const tag of tags) {
+    const match = tag.match(/^@(?:param|arg|argument)\s+(?:\{([^}]*)\}\s*)?(\[[^\]]*\]|\S+)\s*(?:-\s*)?(.*)$/);
+    if (!match) continue;
+    const [, rawType = 'any', rawName, text] = match;
+    let name = rawName;
+    let optional = rawType.trim().endsWith('=');
+    let defaultValue;
+    if (name.startsWith('[')) {
+      optional = true;
+      const [inner, ...value] = name.slice(1, -1).split('=');
+      name = inner.trim();
+      if (value.length > 0) {
+        const valueText = value.join('=').trim();
+        try {
+          defaultValue = JSON.parse(valueText);
+        } catch (error) {
+          defaultValue = valueText.replace(/^(['"])(.*)\1$/, '$2');
+        }
+      }
+    }
+    params.push({
+      name,
+      path: name.split('.'),
+      type: rawType.trim().replace(/=$/, ''),
+      optional,
+      default: defaultValue,
+      description: text.trim()
+    });
+  }
+
+  return { description: description.join(' '), params };
+}
+
+/**
+ * Build an object schema from parsed JSDoc @param tags
+ * @param {Array} params - Tags from parseJsDoc(), either all top-level or all below one object parameter
+ * @returns {Object} - { schema, objectParam } where objectParam names the object parameter, if there is one
+ */
+function jsDocToSchema(params) {
+  const nested = params.filter(param => param.path.length > 1);
+  const root = nested.length > 0 ? nested[0].path[0] : null;
+  const fields = root ? nested.filter(param => param.path[0] === root) : params;
+
+  const properties = {};
+  const required = [];
+  for (const param of fields) {
+    const name = param.path[param.path.length - 1];
+    const property = param.type === 'any' ? {} : typeToSchema(param.type, name);
+    if (param.description) property.description = param.description;
+    if (param.default !== undefined) property.default = param.default;
+    properties[name] = property;
+    if (!param.optional) required.push(name);
+  }
+  return { schema: { type: 'object', properties, required }, objectParam: root };
+}
+
+/**
+ * Turn a method name into a short description, e.g. getWeather → "Get weather"
+ * @param {string} name - Function name
+ * @returns {string} - Description
+ */
+function describeName(name) {
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Build a registerTool() definition for a function
+ * @param {Function} fn - The function to expose as a tool
+ * @param {Object} options - Tool options
+ * @param {string} options.name - Tool name (default: the function's name)
+ * @param {string} options.description - What the tool does (default: the JSDoc description, or the name in words)
+ * @param {Object} options.params - Type descriptors such as { city: 'string', days: 'number?' }, or a JSON schema
+ * @param {string} options.jsdoc - JSDoc comment describing the function
+ * @param {Object} options.thisArg - Object the function is called on
+ * @returns {Object} - Tool definition for registerTool(); other options (group, timeoutMs, ...) are kept
+ */
+function functionToTool(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new Error('registerFunction() needs a function');
+  }
+  const { name: givenName, description, params, jsdoc, thisArg, ...toolOptions } = options;
+  const name = givenName || fn.name.replace(/^bound /, '');
+  if (!name) {
+    throw new Error('Anonymous functions need a name: registerFunction(fn, { name: "myTool" })');
+  }
+
+  const signature = parseSignature(fn);
+  const doc = jsdoc ? parseJsDoc(jsdoc) : null;
+
+  let parameters;
+  let objectParam = signature ? signature.destructured : true;
+  if (params) {
+    parameters = isJsonSchema(params) && params.type === 'object' ? params : descriptorsToSchema(params);
+  } else if (doc && doc.params.length > 0) {
+    const fromDoc = jsDocToSchema(doc.params);
+    parameters = fromDoc.schema;
+    objectParam = objectParam || fromDoc.objectParam !== null;
+  } else if (signature) {
+    // Only the names are known, so every value is accepted
+    const properties = {};
+    for (const param of signature.params) {
+      properties[param.name] = {};
+    }
+    parameters = {
+      type: 'object',
+      properties,
+      required: signature.params.filter(param => !param.optional).map(param => param.name)
+    };
+  } else {
+    throw new Error(`Cannot read the parameters of '${name}', describe them with params: { name: 'type' }`);
+  }
+
+  // Functions written as f(a, b) get the arguments in order, followed by the call context;
+  // f({ a, b }) and f(args) get the arguments object
+  const propertyNames = Object.keys(parameters.properties || {});
+  const ordered = objectParam ? [] : signature.params.slice(0, propertyNames.length);
+  const positional = ordered.length > 0 && ordered.length === propertyNames.length &&
+    ordered.every(param => propertyNames.includes(param.name));
+  if (!objectParam && !positional && signature.params.length > 1) {
+    throw new Error(`The parameters of '${name}' (${signature.params.map(p => p.name).join(', ')}) ` +
+      `do not match the described parameters (${propertyNames.join(', ')})`);
+  }
+
+  const handler = positional
+    ? (args, context) => fn.call(thisArg, ...ordered.map(param => args[param.name]), context)
+    : (args, context) => fn.call(thisArg, args, context);
+
+  return {
+    ...toolOptions,
+    name,
+    description: description || (doc && doc.description) || describeName(name),
+    parameters,
+    handler
+  };
+}
+
+/**
+ * Build registerTool() definitions for every method of an object or class instance
+ * Methods whose names start with _ are left out; JSDoc comments in class source are used when present
+ * @param {Object} object - Object or class instance
+ * @param {Object} options - Options
+ * @param {Array<string>} options.only - Only these methods
+ * @param {Object} options.methods - Per-method options for functionToTool(), e.g. { getWeather: { params } }
+ * @param {string} options.group - Group of the tools (default: the class name for class instances)
+ * @returns {Array<Object>} - Tool definitions
+ */
+function objectToTools(object, options = {}) {
+  if (!object || typeof object !== 'object') {
+    throw new Error('registerToolsFrom() needs an object or class instance');
+  }
+  const { only, methods = {}, group, ...toolOptions } = options;
+
+  // Collect methods along the prototype chain, with the class source that documents them
+  const found = new Map();
+  for (let target = object; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+    const owner = Object.prototype.hasOwnProperty.call(target, 'constructor') ? target.constructor : null;
+    const source = owner && /^class\b/.test(Function.prototype.toString.call(owner))
+      ? Function.prototype.toString.call(owner)
+      : null;
+    for (const key of Object.getOwnPropertyNames(target)) {
+      const descriptor = Object.getOwnPropertyDescriptor(target, key);
+      if (key === 'constructor' || key.startsWith('_') || found.has(key) || typeof descriptor.value !== 'function') {
+        continue;
+      }
+      found.set(key, { fn: descriptor.value, source });
+    }
+  }
+
+  const className = Object.getPrototypeOf(object) !== Object.prototype ? object.constructor.name : undefined;
+  const names = only || [...found.keys()];
+  return names.map(key => {
+    if (!found.has(key)) {
+      throw new Error(`'${key}' is not a method of the object`);
+    }
+    const { fn, source } = found.get(key);
+    const jsdoc = source ? findJsDoc(source, key) : null;
+    return functionToTool(fn, {
+      group: group ?? className,
+      ...toolOptions,
+      name: key,
+      jsdoc: jsdoc || undefined,
+      thisArg: object,
+      ...methods[key]
+    });
+  });
+}
+
+module.exports = {
+  parseSignature,
+  parseJsDoc,
+  findJsDoc,
+  functionToTool,
+  objectToTools
+};
@@ -0,0 +1,410 @@
+/**
+ * JSON Schema helpers for structured output
+ * A small validator for the subset of JSON Schema that structured-output APIs accept
+ * (types, enums, nested objects and arrays, combinators and local $refs), plus the
+ * conversions process() needs: the `{ key: description }` shorthand and OpenAI's strict mode
+ */
+
+const JSON_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Check whether a schema argument is a full JSON Schema rather than the `{ key: description }` shorthand
+ * @param {Object} schema - Schema argument of process()
+ * @returns {boolean} - True for a JSON Schema
+ */
+function isJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return false;
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return typeof schema.$schema === 'string' ||
+    typeof schema.$ref === 'string' ||
+    (schema.type !== undefined && types.every(type => JSON_TYPES.includes(type))) ||
+    ['properties', 'items'].some(key => schema[key] && typeof schema[key] === 'object') ||
+    ['anyOf', 'oneOf', 'allOf', 'enum'].some(key => Array.isArray(schema[key]));
+}
+
+/**
+ * Turn the `{ key: description }` shorthand into a JSON Schema; every key is required, values may have any type
+ * @param {Object} shorthand - Map of field names to descriptions
+ * @returns {Object} - JSON Schema (an empty schema accepts any JSON)
+ */
+function shorthandToSchema(shorthand = {}) {
+  const keys = Object.keys(shorthand);
+  if (keys.length === 0) {
+    return {};
+  }
+  const properties = {};
+  for (const key of keys) {
+    properties[key] = { description: String(shorthand[key]) };
+  }
+  return { type: 'object', properties, required: keys };
+}
+
+const DESCRIPTOR_TYPES = {
+  string: 'string',
+  number: 'number',
+  integer: 'integer',
+  int: 'integer',
+  boolean: 'boolean',
+  bool: 'boolean',
+  object: 'object',
+  array: 'array',
+  null: 'null'
+};
+
+/**
+ * Turn a type name into a JSON Schema
+ * Accepts 'string', 'number', 'integer', 'boolean', 'object', 'array', 'any' (or '*'), lists as 'string[]'
+ * or 'Array<string>', several types as 'string|null' and allowed values as 'celsius|fahrenheit'
+ * @param {string} type - Type name (case does not matter)
+ * @param {string} name - Property the type belongs to, for error messages
+ * @returns {Object} - JSON Schema
+ */
+function typeToSchema(type, name) {
+  const text = String(type).trim();
+  const list = text.match(/^(.+)\[\]$/) || text.match(/^Array\s*<(.+)>$/i);
+  if (list) {
+    return { type: 'array', items: typeToSchema(list[1], name) };
+  }
+  if (/^(any|\*|mixed)$/i.test(text)) {
+    return {};
+  }
+
+  const parts = text.replace(/^\((.*)\)$/, '$1').split('|').map(part => part.trim());
+  const types = parts.map(part => DESCRIPTOR_TYPES[part.toLowerCase()]);
+  if (types.every(Boolean)) {
+    return { type: types.length === 1 ? types[0] : types };
+  }
+  if (parts.length === 1) {
+    throw new Error(`Unknown type '${text}'${name ? ` for '${name}'` : ''}. Use string, number, integer, boolean, object, array or any, ` +
+      "add [] for a list, or list the allowed values as 'a|b'");
+  }
+  return { type: 'string', enum: parts.map(part => part.replace(/^(['"])(.*)\1$/, '$2')) };
+}
+
+/**
+ * Turn type descriptors such as { city: 'string', days: 'number?' } into an object schema
+ * A trailing ? makes a property optional, a nested { ... } describes an object, and
+ * { type, description, default } adds details to a property
+ * @param {Object} descriptors - Map of property names to type descriptors
+ * @returns {Object} - JSON Schema of an object
+ */
+function descriptorsToSchema(descriptors = {}) {
+  const properties = {};
+  const required = [];
+  for (const [name, descriptor] of Object.entries(descriptors)) {
+    const spec = typeof descriptor === 'string' ? { type: descriptor } : descriptor;
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`The type of '${name}' must be a string such as 'string' or 'number?', or an object`);
+    }
+
+    let property;
+    let optional = false;
+    if (typeof spec.type === 'string') {
+      const { type, ...details } = spec;
+      optional = type.trim().endsWith('?');
+      property = { ...typeToSchema(optional ? type.trim().slice(0, -1) : type, name), ...details };
+    } else {
+      // A nested object: its keys are property descriptors themselves
+      property = descriptorsToSchema(spec);
+    }
+
+    properties[name] = property;
+    if (!optional && property.default === undefined) {
+      required.push(name);
+    }
+  }
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Name the JSON type of a value the way JSON Schema does
+ * @param {*} value - Parsed JSON value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Append an object key to a path, e.g. $.items or $["first name"]
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} - Child path
+ */
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resolve a local reference such as '#/$defs/address'
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object} - Referenced schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported, got '${ref}'`);
+  }
+  const target = ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, root);
+  if (!target || typeof target !== 'object') {
+    throw new Error(`Cannot resolve schema reference '${ref}'`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {Object} root - Root schema for $ref lookups (default: schema)
+ * @param {string} path - Path of the value (default: '$')
+ * @returns {Array<{path: string, message: string}>} - Validation errors, empty if the value is valid
+ */
+function validate(value, schema, root = schema, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [{ path, message: 'no value is allowed here' }];
+
+  if (schema.$ref) {
+    return validate(value, resolveRef(schema.$ref, root), root, path);
+  }
+
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) {
+      return [{ path, message: `expected ${types.join(' or ')}, got ${actual}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match the pattern ${schema.pattern}` });
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, root, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `missing required property '${key}'` });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validate(item, properties[key], root, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unexpected property '${key}'` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(item, schema.additionalProperties, root, childPath(path, key)));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => errors.push(...validate(value, subschema, root, path)));
+  }
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(subschema => validate(value, subschema, root, path));
+    if (!branches.some(branch => branch.length === 0)) {
+      // Report the branch that came closest, its errors are usually the useful ones
+      const closest = branches.reduce((best, branch) => (branch.length < best.length ? branch : best));
+      errors.push(...(branches.length === 1 ? closest : [{ path, message: 'does not match any of the allowed schemas' }, ...closest]));
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validate(value, subschema, root, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `must match exactly one of the allowed schemas, matched ${matches}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one line each, e.g. "$.items[2].price: expected number, got string"
+ * @param {Array<{path: string, message: string}>} errors - Errors from validate()
+ * @returns {string[]} - Formatted errors
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+/**
+ * Drop properties the model set to null because strict mode made them required,
+ * when the schema does not actually allow null for them
+ * @param {*} value - Parsed JSON value (modified in place)
+ * @param {Object} schema - Original JSON Schema
+ * @param {Object} root - Root schema for $ref lookups
+ * @returns {*} - The value
+ */
+function removeNullOptionals(value, schema, root = schema) {
+  if (!schema || typeof schema !== 'object' || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (schema.$ref) {
+    return removeNullOptionals(value, resolveRef(schema.$ref, root), root);
+  }
+  if (Array.isArray(value)) {
+    if (schema.items) value.forEach(item => removeNullOptionals(item, schema.items, root));
+    return value;
+  }
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (!(key in value)) continue;
+    if (value[key] === null && !required.includes(key) && validate(null, propertySchema, root).length > 0) {
+      delete value[key];
+    } else {
+      removeNullOptionals(value[key], propertySchema, root);
+    }
+  }
+  return value;
+}
+
+/**
+ * Fill in the declared `default` of properties that are missing, e.g. tool arguments the model left out
+ * @param {*} value - Parsed JSON value (modified in place)
+ * @param {Object} schema - JSON Schema
+ * @param {Object} root - Root schema for $ref lookups
+ * @returns {*} - The value
+ */
+function applyDefaults(value, schema, root = schema) {
+  if (!schema || typeof schema !== 'object' || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (schema.$ref) {
+    return applyDefaults(value, resolveRef(schema.$ref, root), root);
+  }
+  if (Array.isArray(value)) {
+    if (schema.items) value.forEach(item => applyDefaults(item, schema.items, root));
+    return value;
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    if (!(key in value) && propertySchema && propertySchema.default !== undefined) {
+      // Copy, so a handler that changes its arguments cannot change the schema
+      value[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    } else if (key in value) {
+      applyDefaults(value[key], propertySchema, root);
+    }
+  }
+  return value;
+}
+
+/**
+ * Convert a schema to the form OpenAI's strict mode requires: every object lists all of its
+ * properties as required and forbids extra ones. Optional properties become nullable instead;
+ * removeNullOptionals() undoes that on the response.
+ * @param {Object} schema - JSON Schema
+ * @returns {{schema: Object, strict: boolean}} - The converted schema, and whether strict mode can be used
+ *   (false for free-form objects, objects that allow additional properties, oneOf and allOf)
+ */
+function toStrictSchema(schema) {
+  let strict = true;
+
+  const convert = (node) => {
+    if (!node || typeof node !== 'object') return node;
+    if (Array.isArray(node)) return node.map(convert);
+
+    const result = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (['properties', '$defs', 'definitions'].includes(key) && child && typeof child === 'object') {
+        result[key] = Object.fromEntries(Object.entries(child).map(([name, subschema]) => [name, convert(subschema)]));
+      } else if (['items', 'anyOf', 'allOf', 'oneOf', 'additionalProperties'].includes(key)) {
+        result[key] = convert(child);
+      } else {
+        result[key] = child;
+      }
+    }
+
+    if (result.oneOf || result.allOf || (result.type === 'object' && !result.properties)) {
+      strict = false;
+    }
+    if (result.properties) {
+      if (result.additionalProperties === undefined) {
+        result.additionalProperties = false;
+      } else if (result.additionalProperties !== false) {
+        strict = false;
+      }
+      const required = node.required || [];
+      for (const key of Object.keys(result.properties)) {
+        if (!required.includes(key)) {
+          result.properties[key] = { anyOf: [result.properties[key], { type: 'null' }] };
+        }
+      }
+      result.required = Object.keys(result.properties);
+    }
+    return result;
+  };
+
+  return { schema: convert(schema), strict };
+}
+
+module.exports = {
+  isJsonSchema,
+  shorthandToSchema,
+  typeToSchema,
+  descriptorsToSchema,
+  validate,
+  formatErrors,
+  removeNullOptionals,
+  applyDefaults,
+  toStrictSchema
+};
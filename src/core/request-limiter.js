@@ -0,0 +1,354 @@
+/**
+ * Request limiter - client-side guardrails in front of every API request
+ * Enforces requests per minute, concurrent requests and token budgets per session and per day,
+ * either by queueing calls until they fit or by rejecting them with a BudgetExceededError
+ */
+
+const { AbortError, BudgetExceededError } = require('./errors.js');
+
+const MINUTE_MS = 60000;
+
+/**
+ * Get a Web Storage object if the runtime has one
+ * Accessing storage can throw (e.g. blocked cookies), which counts as unavailable
+ * @param {string} name - 'localStorage' or 'sessionStorage'
+ * @returns {Storage|null} - Storage object or null
+ */
+function getDefaultStorage(name) {
+  try {
+    return typeof globalThis[name] !== 'undefined' ? globalThis[name] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get today's date in local time as YYYY-MM-DD, the key of the daily token budget
+ * @returns {string} - Date key
+ */
+function getDayKey() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the next local midnight, when the daily token budget resets
+ * @returns {Date} - Next midnight
+ */
+function getNextMidnight() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  return midnight;
+}
+
+class RequestLimiter {
+  /**
+   * @param {Object} limits - Limits; leave a limit out to disable it
+   * @param {number} limits.requestsPerMinute - Maximum requests started in any 60 second window
+   * @param {number} limits.maxConcurrent - Maximum requests in flight at the same time
+   * @param {number} limits.tokensPerSession - Token budget for the browser session
+   * @param {number} limits.tokensPerDay - Token budget per calendar day (local time)
+   * @param {string} limits.onLimit - 'queue' (default) waits for a free slot, 'reject' throws immediately;
+   *   exhausted token budgets always reject
+   * @param {string} limits.storageKey - Key the counters are saved under (default: 'warpmind-limits')
+   * @param {Storage|null} limits.storage - Storage for the daily budget and request times
+   *   (default: localStorage when available)
+   * @param {Storage|null} limits.sessionStorage - Storage for the session budget
+   *   (default: sessionStorage when available, otherwise the session is the instance's lifetime)
+   */
+  constructor(limits = {}) {
+    const onLimit = limits.onLimit || 'queue';
+    if (onLimit !== 'queue' && onLimit !== 'reject') {
+      throw new Error("limits.onLimit must be 'queue' or 'reject'");
+    }
+
+    this.requestsPerMinute = limits.requestsPerMinute ?? null;
+    this.maxConcurrent = limits.maxConcurrent ?? null;
+    this.tokensPerSession = limits.tokensPerSession ?? null;
+    this.tokensPerDay = limits.tokensPerDay ?? null;
+    this.onLimit = onLimit;
+    this.storageKey = limits.storageKey || 'warpmind-limits';
+    this.storage = limits.storage !== undefined ? limits.storage : getDefaultStorage('localStorage');
+    this.sessionStorage = limits.sessionStorage !== undefined
+      ? limits.sessionStorage
+      : getDefaultStorage('sessionStorage');
+
+    this.active = 0;
+    this.queued = 0;
+    this._waiters = [];
+    this._day = getDayKey();
+    this._dayTokens = 0;
+    this._sessionTokens = 0;
+    this._requestTimes = [];
+  }
+
+  /**
+   * Whether any limit is configured; without limits nothing is tracked or saved
+   * @returns {boolean} - True if at least one limit is set
+   */
+  isEnabled() {
+    return this.requestsPerMinute !== null || this.maxConcurrent !== null ||
+      this.tokensPerSession !== null || this.tokensPerDay !== null;
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {AbortSignal} signal - Optional signal that cancels the wait
+   * @returns {Promise<Function>} - Call once the request has finished to free the slot
+   * @throws {BudgetExceededError} - If a token budget is used up, or a limit is hit with onLimit 'reject'
+   */
+  async acquire(signal) {
+    if (!this.isEnabled()) {
+      return () => {};
+    }
+
+    this.queued++;
+    try {
+      for (;;) {
+        if (signal && signal.aborted) {
+          throw new AbortError('Request was aborted');
+        }
+
+        this._load();
+        this._checkTokenBudgets();
+
+        const blocked = this._getBlockingLimit();
+        if (!blocked) break;
+
+        if (this.onLimit === 'reject') {
+          throw new BudgetExceededError(blocked.message, {
+            limit: blocked.limit,
+            retryAfterMs: blocked.retryAfterMs,
+            retryable: true
+          });
+        }
+        await this._wait(blocked.retryAfterMs, signal);
+      }
+    } finally {
+      this.queued--;
+    }
+
+    // Nothing awaited since the last check, so the slot cannot have been taken meanwhile
+    this.active++;
+    this._requestTimes.push(Date.now());
+    this._save();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this._wakeWaiters();
+    };
+  }
+
+  /**
+   * Count tokens reported by a finished request against the budgets
+   * @param {number} tokens - Total tokens of the request
+   */
+  recordTokens(tokens) {
+    if (!this.isEnabled() || !tokens) return;
+
+    this._load();
+    this._dayTokens += tokens;
+    this._sessionTokens += tokens;
+    this._save();
+  }
+
+  /**
+   * Report the configured limits and the remaining headroom
+   * `remaining` is null for limits that are not configured
+   * @returns {Object} - { requestsPerMinute, maxConcurrent, tokensPerSession, tokensPerDay, onLimit }
+   */
+  getLimits() {
+    this._load();
+    const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+    const oldest = this._requestTimes[0];
+
+    return {
+      requestsPerMinute: {
+        limit: this.requestsPerMinute,
+        used: this._requestTimes.length,
+        remaining: remaining(this.requestsPerMinute, this._requestTimes.length),
+        resetsInMs: oldest !== undefined ? Math.max(0, oldest + MINUTE_MS - Date.now()) : 0
+      },
+      maxConcurrent: {
+        limit: this.maxConcurrent,
+        active: this.active,
+        queued: this.queued,
+        remaining: remaining(this.maxConcurrent, this.active)
+      },
+      tokensPerSession: {
+        limit: this.tokensPerSession,
+        used: this._sessionTokens,
+        remaining: remaining(this.tokensPerSession, this._sessionTokens)
+      },
+      tokensPerDay: {
+        limit: this.tokensPerDay,
+        used: this._dayTokens,
+        remaining: remaining(this.tokensPerDay, this._dayTokens),
+        resetsAt: getNextMidnight().toISOString()
+      },
+      onLimit: this.onLimit
+    };
+  }
+
+  /**
+   * Throw if a token budget is used up; these never free up by waiting in a queue
+   * @private
+   */
+  _checkTokenBudgets() {
+    if (this.tokensPerSession !== null && this._sessionTokens >= this.tokensPerSession) {
+      throw new BudgetExceededError(
+        `Session token budget of ${this.tokensPerSession} tokens is used up`,
+        { limit: 'tokensPerSession' }
+      );
+    }
+    if (this.tokensPerDay !== null && this._dayTokens >= this.tokensPerDay) {
+      throw new BudgetExceededError(
+        `Daily token budget of ${this.tokensPerDay} tokens is used up`,
+        { limit: 'tokensPerDay', retryAfterMs: getNextMidnight().getTime() - Date.now() }
+      );
+    }
+  }
+
+  /**
+   * Find a limit that keeps a new request from starting right now
+   * @private
+   * @returns {Object|null} - { limit, message, retryAfterMs } or null if the request may start;
+   *   retryAfterMs is null when the wait depends on another request finishing
+   */
+  _getBlockingLimit() {
+    if (this.maxConcurrent !== null && this.active >= this.maxConcurrent) {
+      return {
+        limit: 'maxConcurrent',
+        message: `Concurrency limit of ${this.maxConcurrent} requests reached`,
+        retryAfterMs: null
+      };
+    }
+    if (this.requestsPerMinute !== null && this._requestTimes.length >= this.requestsPerMinute) {
+      return {
+        limit: 'requestsPerMinute',
+        message: `Request limit of ${this.requestsPerMinute} requests per minute reached`,
+        retryAfterMs: Math.max(0, this._requestTimes[0] + MINUTE_MS - Date.now())
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Sleep until a slot frees up: after `ms`, or when a request finishes if ms is null
+   * @private
+   * @param {number|null} ms - Time to wait
+   * @param {AbortSignal} signal - Optional signal that cancels the wait
+   * @returns {Promise<void>}
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        this._waiters = this._waiters.filter(waiter => waiter !== wake);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const wake = () => {
+        cleanup();
+        resolve();
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new AbortError('Request was aborted'));
+      };
+
+      if (ms !== null) {
+        timer = setTimeout(wake, ms);
+      }
+      this._waiters.push(wake);
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  /**
+   * Let queued requests check the limits again
+   * @private
+   */
+  _wakeWaiters() {
+    for (const wake of [...this._waiters]) {
+      wake();
+    }
+  }
+
+  /**
+   * Read the saved counters so a page reload (or another tab) shares the same budget,
+   * then drop request times older than a minute and start a new day if needed
+   * @private
+   */
+  _load() {
+    const saved = this._readStorage(this.storage);
+    if (saved) {
+      this._day = saved.day || this._day;
+      this._dayTokens = saved.dayTokens || 0;
+      this._requestTimes = Array.isArray(saved.requestTimes) ? saved.requestTimes : [];
+    }
+
+    const savedSession = this._readStorage(this.sessionStorage);
+    if (savedSession) {
+      this._sessionTokens = savedSession.sessionTokens || 0;
+    }
+
+    const today = getDayKey();
+    if (this._day !== today) {
+      this._day = today;
+      this._dayTokens = 0;
+    }
+
+    const windowStart = Date.now() - MINUTE_MS;
+    this._requestTimes = this._requestTimes.filter(time => time > windowStart);
+  }
+
+  /**
+   * Save the counters
+   * @private
+   */
+  _save() {
+    this._writeStorage(this.storage, {
+      day: this._day,
+      dayTokens: this._dayTokens,
+      requestTimes: this._requestTimes
+    });
+    this._writeStorage(this.sessionStorage, { sessionTokens: this._sessionTokens });
+  }
+
+  /**
+   * @private
+   * @param {Storage|null} storage - Storage to read from
+   * @returns {Object|null} - Saved state, or null if missing or unreadable
+   */
+  _readStorage(storage) {
+    if (!storage) return null;
+    try {
+      const raw = storage.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {Storage|null} storage - Storage to write to
+   * @param {Object} state - State to save
+   */
+  _writeStorage(storage, state) {
+    if (!storage) return;
+    try {
+      storage.setItem(this.storageKey, JSON.stringify(state));
+    } catch (error) {
+      console.warn('Could not save request limits:', error.message);
+    }
+  }
+}
+
+module.exports = RequestLimiter;
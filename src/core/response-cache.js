@@ -0,0 +1,306 @@
+/**
+ * Response cache - opt-in cache for repeated chat, completion and embedding requests
+ * Responses are keyed on a stable hash of the URL and the full request body
+ * (model, messages, tools, temperature, ...) and expire after a TTL
+ */
+
+// Endpoints whose responses depend only on the request body
+const CACHEABLE_ENDPOINTS = ['/chat/completions', '/completions', '/embeddings'];
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Import the stable hashing the cache keys are made of
+const { stableStringify, hashString } = require('../util.js');
+
+/**
+ * In-memory cache storage, the default; entries live as long as the instance
+ */
+class MemoryCacheStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * IndexedDB cache storage (browser); survives page reloads
+ */
+class IndexedDBCacheStorage {
+  constructor() {
+    this.dbName = 'warpmind-cache';
+    this.dbVersion = 1;
+    this.storeName = 'responses';
+    this.db = null;
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  async init() {
+    if (this.db) return this.db;
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onerror = () => reject(new Error('Failed to open IndexedDB'));
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('expiresAt', 'expiresAt', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * Run a single request against the object store
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async _run(mode, operation) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      request.onerror = () => reject(new Error('Cache storage request failed'));
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  async get(key) {
+    return (await this._run('readonly', store => store.get(key))) || null;
+  }
+
+  async set(key, entry) {
+    await this._run('readwrite', store => store.put({ ...entry, key }));
+  }
+
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * File cache storage (Node.js); one JSON file per entry, survives restarts
+ */
+class FileCacheStorage {
+  /**
+   * @param {string} directory - Directory for the cache files (default: '.warpmind-cache')
+   */
+  constructor(directory = '.warpmind-cache') {
+    this.directory = directory;
+    this.fs = require('fs').promises;
+    this.path = require('path');
+  }
+
+  _filePath(key) {
+    return this.path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await this.fs.readFile(this._filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await this.fs.mkdir(this.directory, { recursive: true });
+    await this.fs.writeFile(this._filePath(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await this.fs.rm(this._filePath(key), { force: true });
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await this.fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.fs.rm(this.path.join(this.directory, file), { force: true })));
+  }
+}
+
+/**
+ * Create the storage backend named in the cache config
+ * @param {string|Object} storage - 'memory', 'indexeddb', 'file', or an object with get/set/delete/clear
+ * @param {Object} config - Cache config (`directory` is used by the file backend)
+ * @returns {Object} - Storage backend
+ */
+function createCacheStorage(storage, config) {
+  if (storage && typeof storage === 'object') {
+    for (const method of ['get', 'set', 'delete', 'clear']) {
+      if (typeof storage[method] !== 'function') {
+        throw new Error(`Cache storage must implement ${method}()`);
+      }
+    }
+    return storage;
+  }
+
+  switch (storage || 'memory') {
+    case 'memory':
+      return new MemoryCacheStorage();
+    case 'indexeddb':
+      return new IndexedDBCacheStorage();
+    case 'file':
+      return new FileCacheStorage(config.directory);
+    default:
+      throw new Error(`Unknown cache storage '${storage}'. Use 'memory', 'indexeddb', 'file' or a storage object`);
+  }
+}
+
+class ResponseCache {
+  /**
+   * @param {Object|boolean} config - Cache config, or true for an in-memory cache with defaults
+   * @param {boolean} config.enabled - Whether responses are cached (default: true when a config is given)
+   * @param {number} config.ttlMs - Time to live in milliseconds (default: 1 hour; Infinity never expires)
+   * @param {string|Object} config.storage - 'memory' (default), 'indexeddb', 'file', or a custom storage object
+   * @param {string} config.directory - Directory for the file backend (default: '.warpmind-cache')
+   */
+  constructor(config) {
+    const options = config === true ? {} : (config || {});
+
+    this.enabled = Boolean(config) && options.enabled !== false;
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.storage = this.enabled ? createCacheStorage(options.storage, options) : null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Compute the cache key of a request, or null if the request must not be cached
+   * @param {Object} request - { endpoint, url, method, responseType, payload }
+   * @param {Object} options - Request options; `cache: false` skips the cache
+   * @returns {string|null} - Cache key
+   */
+  getKey(request, options = {}) {
+    const isMultipart = typeof FormData !== 'undefined' && request.payload instanceof FormData;
+    if (!this.enabled || options.cache === false || isMultipart ||
+        request.method !== 'POST' || request.responseType !== 'json' ||
+        !CACHEABLE_ENDPOINTS.includes(request.endpoint)) {
+      return null;
+    }
+
+    const source = stableStringify({ url: request.url, payload: request.payload });
+    return hashString(source, 0) + hashString(source, 1);
+  }
+
+  /**
+   * Look up a cached response; storage failures count as a miss
+   * @param {string} key - Cache key
+   * @param {Function} accept - Optional (response) => boolean; rejected entries are deleted and count as a miss
+   * @returns {Promise<Object|null>} - A copy of the cached response, or null
+   */
+  async get(key, accept = null) {
+    let entry = null;
+    try {
+      entry = await this.storage.get(key);
+      const expired = entry && entry.expiresAt !== null && entry.expiresAt <= Date.now();
+      if (expired || (entry && accept && !accept(JSON.parse(JSON.stringify(entry.value))))) {
+        await this.storage.delete(key);
+        entry = null;
+      }
+    } catch (error) {
+      console.warn('Cache lookup failed:', error.message);
+      entry = null;
+    }
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return JSON.parse(JSON.stringify(entry.value));
+  }
+
+  /**
+   * Store a response; storage failures are logged and ignored
+   * @param {string} key - Cache key
+   * @param {Object} value - API response
+   */
+  async set(key, value) {
+    const now = Date.now();
+    try {
+      await this.storage.set(key, {
+        value: JSON.parse(JSON.stringify(value)),
+        createdAt: now,
+        expiresAt: Number.isFinite(this.ttlMs) ? now + this.ttlMs : null
+      });
+    } catch (error) {
+      console.warn('Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Remove all cached responses and reset the statistics
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.hits = 0;
+    this.misses = 0;
+    if (this.storage) {
+      await this.storage.clear();
+    }
+  }
+
+  /**
+   * @returns {Object} - { enabled, hits, misses, hitRate }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+}
+
+ResponseCache.MemoryCacheStorage = MemoryCacheStorage;
+ResponseCache.IndexedDBCacheStorage = IndexedDBCacheStorage;
+ResponseCache.FileCacheStorage = FileCacheStorage;
+
+module.exports = ResponseCache;
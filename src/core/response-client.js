@@ -4,11 +4,23 @@
  */
 
 const { sleep } = require('../util.js');
+const { ServerError, ContentFilterError, isContentFilterBody } = require('./errors.js');
 
 /**
  * Static client for Responses API operations
  */
 class ResponseClient {
+  /**
+   * Create the error for a response whose status is 'failed'
+   * @param {Object} response - Responses API response object
+   * @returns {Error} - ContentFilterError or ServerError
+   */
+  static _createFailedResponseError(response) {
+    const message = `Response failed: ${response.error?.message || 'Unknown error'}`;
+    const ErrorType = isContentFilterBody(response) ? ContentFilterError : ServerError;
+    return new ErrorType(message, { body: response.error || null, endpoint: '/responses' });
+  }
+
   /**
    * Convert various input formats to Responses API format
    * @param {string|Array|Object} input - User input
@@ -159,19 +171,73 @@ class ResponseClient {
     return toolCalls;
   }
 
+  /**
+   * Convert tool entries to the flat Responses API tool format
+   * @param {Array} tools - Tool entries ({ schema, handler })
+   * @returns {Array} - Tools in Responses API format
+   */
+  static _toResponsesTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      name: tool.schema.function.name,
+      description: tool.schema.function.description,
+      parameters: tool.schema.function.parameters
+    }));
+  }
+
+  /**
+   * Convert a Chat Completions tool_choice to the Responses API format
+   * @param {string|Object} toolChoice - 'auto', 'none', 'required' or { type: 'function', function: { name } }
+   * @returns {string|Object} - 'auto', 'none', 'required' or { type: 'function', name }
+   */
+  static _toResponsesToolChoice(toolChoice) {
+    return typeof toolChoice === 'object' ? { type: 'function', name: toolChoice.function.name } : toolChoice;
+  }
+
+  /**
+   * Build the output of a streamed response for the transcript
+   * The streamed text replaces the text of the message items, so middleware edits to the stream are kept
+   * @param {Array|null} output - Output items from the response.completed event, if the server sent them
+   * @param {string} text - Text delivered to the caller
+   * @returns {Array} - Output items with one assistant message holding the streamed text
+   */
+  static _streamedOutput(output, text) {
+    const message = { type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] };
+    const items = [];
+    let placed = false;
+    for (const item of output || []) {
+      if (item.type !== 'message') {
+        items.push(item);
+      } else if (!placed) {
+        items.push(message);
+        placed = true;
+      }
+    }
+    if (!placed) items.push(message);
+    return items;
+  }
+
   /**
    * Handle tool calls and return results
    * @param {Object} mind - WarpMind instance
    * @param {Array} toolCalls - Tool calls to execute
+   * @param {Object} context - Execution context
+   * @param {AbortSignal} context.signal - Optional signal that stops the tool calls
+   * @param {Array} context.messages - Input so far, passed on to the tool handlers
+   * @param {Array} context.tools - Tool entries the model was offered (default: the registered tools)
+   * @param {string} context.conversationId - Conversation the calls are logged under
    * @returns {Promise<Array>} - Tool results
    */
-  static async _handleToolCalls(mind, toolCalls) {
+  static async _handleToolCalls(mind, toolCalls, { signal, messages = [], tools = mind._tools, conversationId } = {}) {
     const results = [];
 
     for (const toolCall of toolCalls) {
+      // Stop executing tools once the caller has cancelled
+      mind._throwIfAborted(signal);
+
       try {
         console.log('Executing tool call:', toolCall);
-        const result = await mind._executeTool(toolCall);
+        const result = await mind._executeTool(toolCall, {}, { tools, signal, messages, conversationId });
         console.log('Tool result:', result);
         
         results.push({
@@ -184,7 +250,7 @@ class ResponseClient {
         results.push({
           type: 'function_call_output',
           call_id: toolCall.id,
-          output: JSON.stringify({ error: error.message })
+          output: JSON.stringify(mind._toolErrorResult(error))
         });
       }
     }
@@ -197,9 +263,36 @@ class ResponseClient {
    * @param {Object} mind - WarpMind instance
    * @param {string|Array} input - User input
    * @param {Object} options - Request options
-   * @returns {Promise<Object>} - Response object with {text, id, usage}
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {boolean|Object} options.cache - Cache options for this request, or false to bypass the cache
+   * @param {Function} options.cacheValidator - Decides whether a cached response may be reused
+   * @param {boolean} options.stateless - Send the whole exchange with every follow-up request after tool calls
+   *   instead of previous_response_id, for servers that do not store responses (default: false)
+   * @param {number} options.maxToolRounds - Tool-call rounds before the model must answer without tools
+   *   (default: the maxToolRounds config option)
+   * @param {Function} options.onToolLimitReached - Called with { maxToolRounds, lastToolCalls } when the
+   *   round limit is reached; throw from it to stop instead of answering without tools
+   * @returns {Promise<Object>} - Response object with {text, id, usage, rounds}, where rounds lists every
+   *   request of the turn as { id, usage, output, toolResults } (more than one when tools were called)
    */
   static async respond(mind, input, options = {}) {
+    const {
+      signal,
+      timeoutMs,
+      cache,
+      cacheValidator,
+      usageMethod = 'respond',
+      tools: toolSelection,
+      tool_choice: requestedToolChoice,
+      conversationId,
+      stateless = false,
+      maxToolRounds = mind.maxToolRounds,
+      onToolLimitReached
+    } = options;
+    // Client-side options must not be sent to the API (tools and tool_choice are set below)
+    const payloadOptions = mind._payloadOptions(options);
+
     // Convert input format
     const convertedInput = this._convertInput(input);
 
@@ -212,7 +305,7 @@ class ResponseClient {
     const payload = {
       model: options.model || mind.model,
       input: convertedInput,
-      ...options
+      ...payloadOptions
     };
 
     // Set instructions (prefer extracted over options)
@@ -222,46 +315,70 @@ class ResponseClient {
       payload.instructions = options.instructions;
     }
 
-    // Add tools if registered (Responses API uses different format than Chat Completions)
-    if (mind._tools && mind._tools.length > 0) {
-      payload.tools = mind._tools.map(tool => ({
-        type: 'function',
-        name: tool.schema.function.name,
-        description: tool.schema.function.description,
-        parameters: tool.schema.function.parameters
-      }));
+    // Add the selected tools (Responses API uses different format than Chat Completions)
+    const { tools, toolChoice } = mind._selectTools({ tools: toolSelection, tool_choice: requestedToolChoice });
+    if (tools.length > 0 && maxToolRounds > 0) {
+      payload.tools = this._toResponsesTools(tools);
+      if (requestedToolChoice !== undefined) {
+        payload.tool_choice = this._toResponsesToolChoice(toolChoice);
+      }
     }
 
     // Debug: log the payload
     console.log('Responses API payload:', JSON.stringify(payload, null, 2));
 
-    // Make request
-    let response = await mind.makeRequest('/responses', payload);
+    // Make request; transport options go to the transport, not into the payload
+    const requestOptions = { signal, timeoutMs, cache, cacheValidator };
+    let response = await mind.makeRequest('/responses', payload, requestOptions);
+    mind._recordUsage(usageMethod, response.model || payload.model, response.usage);
+    const rounds = [];
+    let exchange = convertedInput;
 
-    // Handle tool calls
-    while (response.status === 'completed' && this._hasToolCalls(response.output)) {
+    // Handle tool calls, up to maxToolRounds rounds
+    while (response.status === 'completed' && this._hasToolCalls(response.output) && rounds.length < maxToolRounds) {
       const toolCalls = this._extractToolCalls(response.output);
-      const toolResults = await this._handleToolCalls(mind, toolCalls);
-
-      // Continue conversation with tool results only
-      // Don't include previous response.output - use previous_response_id instead
-      const followUpInput = [
-        ...convertedInput,
-        ...toolResults
-      ];
-
-      payload.input = followUpInput;
-      if (response.id) {
-        payload.previous_response_id = response.id;
+      const toolResults = await this._handleToolCalls(mind, toolCalls, { signal, messages: convertedInput, tools, conversationId });
+      rounds.push({ id: response.id, usage: response.usage, output: response.output, toolResults });
+
+      // A forced tool choice only applies to the first request
+      if (payload.tool_choice && payload.tool_choice !== 'none') {
+        payload.tool_choice = 'auto';
+      }
+
+      // The next request is sent without tools once every round has been used
+      mind._notifyToolLimit(rounds.length, maxToolRounds, toolCalls, { onToolLimitReached });
+      if (rounds.length >= maxToolRounds) {
+        delete payload.tools;
+        delete payload.tool_choice;
+      }
+
+      if (stateless) {
+        // Nothing is stored on the server, so send the calls along with their results
+        // (reasoning items are left out, they can only be sent back to a server that stored them)
+        exchange = [...exchange, ...response.output.filter(item => item.type !== 'reasoning'), ...toolResults];
+        payload.input = exchange;
+      } else {
+        // Continue conversation with tool results only
+        // Don't include previous response.output - use previous_response_id instead
+        const followUpInput = [
+          ...convertedInput,
+          ...toolResults
+        ];
+
+        payload.input = followUpInput;
+        if (response.id) {
+          payload.previous_response_id = response.id;
+        }
       }
 
       console.log('Follow-up payload with tool results:', JSON.stringify(payload, null, 2));
-      response = await mind.makeRequest('/responses', payload);
+      response = await mind.makeRequest('/responses', payload, requestOptions);
+      mind._recordUsage(usageMethod, response.model || payload.model, response.usage);
     }
 
     // Handle error status
     if (response.status === 'failed') {
-      throw new Error(`Response failed: ${response.error?.message || 'Unknown error'}`);
+      throw this._createFailedResponseError(response);
     }
 
     if (response.status === 'incomplete') {
@@ -272,11 +389,14 @@ class ResponseClient {
     console.log('Final response object:', JSON.stringify(response, null, 2));
     console.log('Extracted text:', this._extractText(response.output));
 
+    rounds.push({ id: response.id, usage: response.usage, output: response.output || [], toolResults: [] });
+
     // Return simplified format (matching WarpMind style)
     return {
       text: this._extractText(response.output),
       id: response.id,
-      usage: response.usage
+      usage: response.usage,
+      rounds
     };
   }
 
@@ -286,9 +406,22 @@ class ResponseClient {
    * @param {string|Array} input - User input
    * @param {Function} onChunk - Callback for each chunk
    * @param {Object} options - Request options
-   * @returns {Promise<Object>} - Final response object
+   * @param {AbortSignal} options.signal - Optional signal to stop generation
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Object>} - Final response object with {text, id, usage, rounds} as for respond()
    */
   static async streamRespond(mind, input, onChunk, options = {}) {
+    const {
+      signal,
+      timeoutMs: requestedTimeoutMs,
+      usageMethod = 'streamRespond',
+      tools: toolSelection,
+      tool_choice: requestedToolChoice
+    } = options;
+    // Client-side options must not be sent to the API (tools and tool_choice are set below);
+    // streams are never cached, and streamRespond() does not run tool calls
+    const payloadOptions = mind._payloadOptions(options);
+
     // Convert input format
     const convertedInput = this._convertInput(input);
 
@@ -302,7 +435,7 @@ class ResponseClient {
       model: options.model || mind.model,
       input: convertedInput,
       stream: true,
-      ...options
+      ...payloadOptions
     };
 
     // Set instructions
@@ -312,52 +445,59 @@ class ResponseClient {
       payload.instructions = options.instructions;
     }
 
-    // Add tools (Responses API format) - but respect tool_choice: 'none'
-    if (mind._tools && mind._tools.length > 0 && options.tool_choice !== 'none') {
-      payload.tools = mind._tools.map(tool => ({
-        type: 'function',
-        name: tool.schema.function.name,
-        description: tool.schema.function.description,
-        parameters: tool.schema.function.parameters
-      }));
-    }
-    
-    // Remove tool_choice from payload if set to 'none' (don't send it to API)
-    if (payload.tool_choice === 'none') {
-      delete payload.tool_choice;
+    // Add the selected tools (Responses API format) - but respect tool_choice: 'none' by sending no tools
+    const { tools, toolChoice } = mind._selectTools({ tools: toolSelection, tool_choice: requestedToolChoice });
+    if (tools.length > 0 && toolChoice !== 'none') {
+      payload.tools = this._toResponsesTools(tools);
+      if (requestedToolChoice !== undefined) {
+        payload.tool_choice = this._toResponsesToolChoice(toolChoice);
+      }
     }
 
-    // Prepare headers
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
-    if (mind.authType === 'bearer') {
-      headers['Authorization'] = `Bearer ${mind.apiKey}`;
-    } else {
-      headers['api-key'] = mind.apiKey;
-    }
+    const timeoutMs = requestedTimeoutMs !== undefined ? requestedTimeoutMs : mind.defaultTimeoutMs;
 
-    // Make streaming request (similar to streamChat implementation)
-    const url = mind._buildApiUrl('/responses');
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`API request failed: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
-    }
+    // Track the text received so far so an abort can return it
+    let partialText = '';
+    let releaseStream = null;
 
-    const reader = response.body.getReader();
-    
-    // Use the SSE parser (it now handles Responses API format)
-    const { parseSSE } = require('../streaming/sse-parser.js');
-    const result = await parseSSE(reader, onChunk);
+    try {
+      // Make streaming request through the shared transport (retries before the first byte)
+      const { response, done, context } = await mind.sendRequest('/responses', payload, {
+        responseType: 'stream',
+        timeoutMs,
+        signal
+      });
+      releaseStream = done;
 
-    return result; // Now returns {text, id, usage}
+      const reader = response.body.getReader();
+      
+      // Use the SSE parser (it now handles Responses API format)
+      const { parseSSE } = require('../streaming/sse-parser.js');
+      const result = await parseSSE(reader, (parsedEvent) => {
+        // Middleware may rewrite or drop the event before it reaches the caller
+        const event = mind._applyStreamEventMiddleware(context, parsedEvent);
+        if (!event) return;
+        if (event.delta) {
+          partialText += event.delta;
+        }
+        if (onChunk) onChunk(event);
+      });
+
+      releaseStream();
+      mind._recordUsage(usageMethod, payload.model, result && result.usage);
+      mind._throwIfAborted(signal, partialText);
+
+      // Use the delivered text so middleware edits to stream events are reflected
+      const { output, ...final } = result || {};
+      return {
+        ...final,
+        text: partialText,
+        rounds: [{ id: final.id, usage: final.usage, output: this._streamedOutput(output, partialText), toolResults: [] }]
+      };
+    } catch (error) {
+      if (releaseStream) releaseStream();
+      throw mind._normalizeAbortError(error, signal, timeoutMs, partialText);
+    }
   }
 }
 
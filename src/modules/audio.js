@@ -3,21 +3,6 @@
  * Includes text-to-speech, speech-to-text, and voice chat functionality
  */
 
-// Import required utilities
-let createTimeoutController, TimeoutError;
-
-if (typeof module !== 'undefined' && module.exports) {
-  // Node.js environment
-  const { createTimeoutController: ctc } = require('../util.js');
-  const { TimeoutError: te } = require('../core/base-client.js');
-  createTimeoutController = ctc;
-  TimeoutError = te;
-} else {
-  // Browser environment - utilities should be available globally
-  createTimeoutController = window.createTimeoutController;
-  TimeoutError = window.TimeoutError;
-}
-
 /**
  * Audio module factory function that accepts a client instance
  * @param {Object} client - The client instance (BaseClient or WarpMind)
@@ -36,13 +21,10 @@ function createAudioModule(client) {
      * @param {boolean} options.stream - Enable streaming for real-time audio (default: false)
      * @param {Function} options.onChunk - Callback for streaming chunks (chunk) => {}
      * @param {number} options.timeoutMs - Request timeout in milliseconds
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
      * @returns {Promise<Blob>} - Audio data as Blob, or Promise<void> if streaming
      */
     async textToSpeech(text, options = {}) {
-      if (!client.apiKey) {
-        throw new Error('API key is required. Use setApiKey() to set your proxy authentication key.');
-      }
-
       const requestData = {
         model: options.model || 'tts-1',
         input: text,
@@ -60,66 +42,42 @@ function createAudioModule(client) {
         }
       }
 
-      const timeoutMs = options.timeoutMs || client.defaultTimeoutMs;
-      const { controller, timeoutId } = createTimeoutController(timeoutMs);
-      const url = client._buildApiUrl('/audio/speech');
-      
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'api-key': client.apiKey
-          },
-          body: JSON.stringify(requestData),
-          signal: controller.signal
-        });
+      const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : client.defaultTimeoutMs;
+      const requestOptions = {
+        timeoutMs,
+        signal: options.signal,
+        errorPrefix: 'TTS request failed',
+        networkErrorMessage: 'Network error: Unable to connect to the TTS API.'
+      };
 
-        if (!response.ok) {
-          clearTimeout(timeoutId);
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(`TTS request failed: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
-        }
+      // Standard non-streaming response
+      if (!(options.stream && options.onChunk)) {
+        return await client.sendRequest('/audio/speech', requestData, { ...requestOptions, responseType: 'blob' });
+      }
 
-        // Handle streaming response
-        if (options.stream && options.onChunk) {
-          const reader = response.body.getReader();
-          const chunks = [];
+      // Handle streaming response
+      const { response, done } = await client.sendRequest('/audio/speech', requestData, { ...requestOptions, responseType: 'stream' });
+      const reader = response.body.getReader();
+      const chunks = [];
+      
+      try {
+        while (true) {
+          const { done: finished, value } = await reader.read();
           
-          try {
-            while (true) {
-              const { done, value } = await reader.read();
-              
-              if (done) break;
-              
-              // Store chunk for final blob and call callback
-              chunks.push(value);
-              options.onChunk(value);
-            }
-            
-            clearTimeout(timeoutId);
-            
-            // Return combined blob for compatibility
-            return new Blob(chunks, { type: response.headers.get('content-type') || 'audio/opus' });
-          } finally {
-            reader.releaseLock();
-          }
-        } else {
-          // Standard non-streaming response
-          clearTimeout(timeoutId);
-          return await response.blob();
-        }
-      } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
-          throw new TimeoutError(`Request timed out after ${timeoutMs}ms`);
+          if (finished) break;
+          
+          // Store chunk for final blob and call callback
+          chunks.push(value);
+          options.onChunk(value);
         }
         
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          throw new Error('Network error: Unable to connect to the TTS API.');
-        }
-        throw error;
+        // Return combined blob for compatibility
+        return new Blob(chunks, { type: response.headers.get('content-type') || 'audio/opus' });
+      } catch (error) {
+        throw client._normalizeAbortError(error, options.signal, timeoutMs);
+      } finally {
+        done();
+        reader.releaseLock();
       }
     },
 
@@ -134,13 +92,10 @@ function createAudioModule(client) {
      * @param {boolean} options.stream - Enable streaming for partial transcripts (default: false)
      * @param {Function} options.onPartial - Callback for partial transcripts (text) => {}
      * @param {number} options.timeoutMs - Request timeout in milliseconds
+     * @param {AbortSignal} options.signal - Optional signal to cancel the transcription
      * @returns {Promise<string>} - Transcribed text
      */
     async speechToText(audioFile, options = {}) {
-      if (!client.apiKey) {
-        throw new Error('API key is required. Use setApiKey() to set your proxy authentication key.');
-      }
-
       if (!audioFile || !(audioFile instanceof File || audioFile instanceof Blob)) {
         throw new Error('Audio file must be a File or Blob object');
       }
@@ -170,78 +125,44 @@ function createAudioModule(client) {
         // formData.append('timestamp_granularities[]', 'word');
       }
 
-      const timeoutMs = options.timeoutMs || client.defaultTimeoutMs;
-      const { controller, timeoutId } = createTimeoutController(timeoutMs);
-      
-      // Always use the standard transcriptions endpoint
-      const url = client._buildApiUrl('/audio/transcriptions');
-      
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'api-key': client.apiKey
-            // Don't set Content-Type for FormData - let browser set it with boundary
-          },
-          body: formData,
-          signal: controller.signal
-        });
-
-        if (!response.ok) {
-          clearTimeout(timeoutId);
-          let errorDetails = '';
-          try {
-            const errorData = await response.json();
-            errorDetails = errorData.error?.message || JSON.stringify(errorData);
-          } catch (e) {
-            // If we can't parse JSON, try to get text
-            try {
-              errorDetails = await response.text();
-            } catch (e2) {
-              errorDetails = 'Unable to parse error response';
-            }
+      const result = await client.sendRequest('/audio/transcriptions', formData, {
+        timeoutMs: options.timeoutMs,
+        signal: options.signal,
+        networkErrorMessage: 'Network error: Unable to connect to the STT API.',
+        formatError: (response, errorBody) => {
+          let errorDetails = 'Unable to parse error response';
+          if (errorBody && typeof errorBody === 'object') {
+            errorDetails = errorBody.error?.message || JSON.stringify(errorBody);
+          } else if (typeof errorBody === 'string') {
+            errorDetails = errorBody;
           }
-          
           // Enhanced error message with more details
-          throw new Error(`STT request failed: ${response.status} ${response.statusText}. Error details: ${errorDetails}`);
+          return `STT request failed: ${response.status} ${response.statusText}. Error details: ${errorDetails}`;
         }
-
-        clearTimeout(timeoutId);
-        const result = await response.json();
+      });
+      
+      // If streaming was requested but API doesn't support it, simulate streaming
+      if (options.stream && options.onPartial && result.text) {
+        // Simulate streaming by breaking the text into chunks
+        const words = result.text.split(' ');
+        let currentText = '';
         
-        // If streaming was requested but API doesn't support it, simulate streaming
-        if (options.stream && options.onPartial && result.text) {
-          // Simulate streaming by breaking the text into chunks
-          const words = result.text.split(' ');
-          let currentText = '';
+        // Emit partial results word by word with small delays
+        for (let i = 0; i < words.length; i++) {
+          client._throwIfAborted(options.signal, currentText);
+          currentText += (i > 0 ? ' ' : '') + words[i];
+          options.onPartial(currentText);
           
-          // Emit partial results word by word with small delays
-          for (let i = 0; i < words.length; i++) {
-            currentText += (i > 0 ? ' ' : '') + words[i];
-            options.onPartial(currentText);
-            
-            // Small delay to simulate streaming (only if more words remain)
-            if (i < words.length - 1) {
-              await new Promise(resolve => setTimeout(resolve, 50));
-            }
+          // Small delay to simulate streaming (only if more words remain)
+          if (i < words.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, 50));
           }
-          
-          return result.text;
-        } else {
-          // Standard non-streaming response
-          return result.text || '';
-        }
-      } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
-          throw new TimeoutError(`Request timed out after ${timeoutMs}ms`);
         }
         
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          throw new Error('Network error: Unable to connect to the STT API.');
-        }
-        throw error;
+        return result.text;
+      } else {
+        // Standard non-streaming response
+        return result.text || '';
       }
     },
 
@@ -274,10 +195,13 @@ function createAudioModule(client) {
      * Create an interactive voice conversation
      * @param {string} systemPrompt - System instructions for the AI
      * @param {Object} options - Configuration options
+     * @param {Object} options.contextWindow - Context manager, or its options, that trims or summarizes the oldest
+     *   turns before each answer, so long sessions stay within the model's context
      * @returns {Object} - Voice conversation controller
      */
     createVoiceChat(systemPrompt = "You are a helpful assistant.", options = {}) {
       const conversation = [];
+      const contextManager = options.contextWindow ? client._contextManagerFor(options.contextWindow) : null;
       let isRecording = false;
       let mediaRecorder = null;
       let audioChunks = [];
@@ -349,6 +273,14 @@ function createAudioModule(client) {
                 const userMessage = await self.speechToText(audioBlob, options.stt || {});
                 conversation.push({ role: 'user', content: userMessage });
                 
+                // Trim the history in place, so it does not grow past the model's context
+                if (contextManager) {
+                  const { messages } = await contextManager.fit(conversation, {
+                    model: (options.chat && options.chat.model) || client.model
+                  });
+                  conversation.splice(0, conversation.length, ...messages);
+                }
+                
                 // Get AI response
                 const aiResponse = await client.chat(conversation, options.chat || {});
                 conversation.push({ role: 'assistant', content: aiResponse });
@@ -0,0 +1,477 @@
+/**
+ * Context Window Module - Keeps long conversations within the model's context window
+ * Estimates tokens the way BPE tokenizers split text, and trims or summarizes the oldest turns
+ */
+
+/**
+ * Context window sizes in tokens; models not listed use the longest matching prefix,
+ * so 'gpt-4o-2024-08-06' uses the 'gpt-4o' entry
+ */
+const DEFAULT_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4.1-nano': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'gpt-5': 400000,
+  'o1': 200000,
+  'o3': 200000,
+  'o4-mini': 200000
+};
+
+// Context window assumed for models that are not in the table
+const FALLBACK_CONTEXT_WINDOW = 8192;
+
+// Tokens every message costs on top of its content, and tokens that prime the reply
+const MESSAGE_OVERHEAD = 3;
+const REPLY_OVERHEAD = 3;
+
+// Tokens of an image at low detail, and of a 1024x1024 image at high detail (used when the size is unknown)
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+const HIGH_DETAIL_IMAGE_TOKENS = 765;
+
+// Summary messages start with this text, so a later summary can fold the previous one in
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:\n';
+
+const SUMMARY_INSTRUCTIONS = 'You summarize conversations so they can be continued without the full history. ' +
+  'Keep names, facts, decisions, numbers, open questions and what the user asked for. ' +
+  'Include the previous summary if there is one. Write plain text in the language of the conversation.';
+
+// Longest text per message that is sent to the summary request
+const SUMMARY_MESSAGE_CHARS = 2000;
+
+/**
+ * Splits text the way the GPT-4o tokenizer does before it applies its merges:
+ * words with their leading space, numbers in groups of up to three digits, punctuation runs and whitespace
+ */
+const PRE_TOKENIZER = new RegExp([
+  "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:'[sStTmMdD]|'[rR][eE]|'[vV][eE]|'[lL][lL])?",
+  "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:'[sStTmMdD]|'[rR][eE]|'[vV][eE]|'[lL][lL])?",
+  '\\p{N}{1,3}',
+  ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+  '\\s*[\\r\\n]+',
+  '\\s+(?!\\S)',
+  '\\s+'
+].join('|'), 'gu');
+
+// Scripts written without spaces between words, about one token per character
+const DENSE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/gu;
+
+/**
+ * Tokens of one pre-tokenizer piece
+ * @param {string} piece - Word, number, punctuation run or whitespace
+ * @returns {number} - Estimated tokens
+ */
+function pieceTokens(piece) {
+  if (/^\s+$/.test(piece) || /^\p{N}+$/u.test(piece)) {
+    return 1;
+  }
+
+  const letters = piece.match(/[\p{L}\p{M}]/gu);
+  if (letters) {
+    const dense = piece.match(DENSE_SCRIPT);
+    if (dense) {
+      return dense.length + Math.ceil((letters.length - dense.length) / 4);
+    }
+    const nonAscii = letters.filter(char => char > '\x7f').length;
+    if (nonAscii === letters.length) {
+      // Words in other alphabets (Cyrillic, Greek, ...) take a few characters per token
+      return Math.ceil(letters.length / 4);
+    }
+    // Common English words are one token; long and rare words are split into pieces of about five letters
+    const base = letters.length <= 8 ? 1 : 1 + Math.ceil((letters.length - 8) / 5);
+    return base + Math.ceil(nonAscii / 2);
+  }
+
+  // Punctuation and symbols: ASCII runs merge well, emoji and other symbols take several bytes each
+  const symbols = [...piece.trim()];
+  const ascii = symbols.filter(char => char <= '\x7f').length;
+  return Math.max(1, Math.ceil(ascii / 3) + (symbols.length - ascii) * 2);
+}
+
+/**
+ * Estimate the tokens of a text
+ * Splits the text like the GPT-4o tokenizer and estimates the tokens of each piece, which is much closer
+ * to the real count than characters / 4, especially for code, numbers and languages other than English
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PRE_TOKENIZER)) {
+    tokens += pieceTokens(piece);
+  }
+  return tokens;
+}
+
+/**
+ * Tokens of an image content part or attachment
+ * @param {string} detail - 'low', 'high' or 'auto'
+ * @returns {number}
+ */
+function imageTokens(detail) {
+  return detail === 'low' ? LOW_DETAIL_IMAGE_TOKENS : HIGH_DETAIL_IMAGE_TOKENS;
+}
+
+/**
+ * Whether a message is a user message, where a new turn starts
+ * @param {Object} message - Chat message, Responses API item or transcript item
+ * @returns {boolean}
+ */
+function isUserMessage(message) {
+  return message.role === 'user' && (!message.type || message.type === 'message');
+}
+
+/**
+ * Whether a message is a system or developer message
+ * @param {Object} message - Chat message, Responses API item or transcript item
+ * @returns {boolean}
+ */
+function isSystemMessage(message) {
+  return (message.role === 'system' || message.role === 'developer') && (!message.type || message.type === 'message');
+}
+
+/**
+ * Text of a message's content
+ * @param {string|Array} content - String or content parts
+ * @returns {string} - Text parts joined; other parts are left out
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => typeof part.text === 'string').map(part => part.text).join('\n');
+}
+
+/**
+ * Whether a message is a summary made by a context manager
+ * @param {Object} message - Message
+ * @returns {boolean}
+ */
+function isSummaryMessage(message) {
+  return isSystemMessage(message) && contentText(message.content).startsWith(SUMMARY_PREFIX);
+}
+
+/**
+ * Write a message as a line of the text sent to the summary request
+ * @param {Object} message - Chat message, Responses API item or transcript item
+ * @returns {string|null} - Line, or null for items without text (reasoning)
+ */
+function describeMessage(message) {
+  const clip = (text) => text.length > SUMMARY_MESSAGE_CHARS ? `${text.slice(0, SUMMARY_MESSAGE_CHARS)}...` : text;
+
+  if (message.type === 'function_call') {
+    return `Tool call: ${message.name}(${clip(message.arguments || '')})`;
+  }
+  if (message.type === 'function_call_output') {
+    return `Tool result: ${clip(String(message.output))}`;
+  }
+  if (message.type && message.type !== 'message') {
+    return null;
+  }
+  if (message.role === 'tool') {
+    return `Tool result: ${clip(contentText(message.content))}`;
+  }
+
+  const role = message.role.charAt(0).toUpperCase() + message.role.slice(1);
+  const lines = [];
+  const text = contentText(message.content);
+  if (text) lines.push(`${role}: ${clip(text)}`);
+  for (const toolCall of message.tool_calls || []) {
+    lines.push(`Tool call: ${toolCall.function.name}(${clip(toolCall.function.arguments || '')})`);
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+class ContextManager {
+  /**
+   * @param {Object} mind - WarpMind instance, used for summary requests
+   * @param {Object} options - Context manager options
+   * @param {number} options.maxTokens - Token budget for the messages of every model (default: per model)
+   * @param {Object} options.budgets - Token budget per model, e.g. { 'gpt-4o': 20000 }; models use the longest
+   *   matching prefix (default: the model's context window minus reserveTokens)
+   * @param {number} options.reserveTokens - Tokens kept free for the answer when the budget comes from
+   *   the context window (default: 4096)
+   * @param {string} options.strategy - 'sliding-window' drops the oldest turns, 'summarize' replaces them
+   *   with a summary written by the model (default: 'sliding-window')
+   * @param {boolean} options.pinSystemPrompt - Never drop the system messages at the start (default: true)
+   * @param {string} options.summaryModel - Model that writes summaries (default: the model of the request)
+   * @param {number} options.summaryTokens - Maximum length of a summary in tokens (default: 500)
+   * @param {Function} options.tokenizer - (text) => number of tokens, e.g. from js-tiktoken (default: estimate)
+   * @param {Function} options.onTrim - Called with { model, budget, tokensBefore, tokensAfter, dropped,
+   *   summarized } whenever messages were dropped or summarized
+   */
+  constructor(mind, options = {}) {
+    const strategy = options.strategy || 'sliding-window';
+    if (!['sliding-window', 'summarize'].includes(strategy)) {
+      throw new Error(`Unknown context strategy '${strategy}'. Use 'sliding-window' or 'summarize'`);
+    }
+    if (options.maxTokens !== undefined && !(options.maxTokens > 0)) {
+      throw new Error('maxTokens must be a positive number');
+    }
+    if (options.tokenizer !== undefined && typeof options.tokenizer !== 'function') {
+      throw new Error('Tokenizer must be a function that returns the number of tokens in a text');
+    }
+
+    this.mind = mind;
+    this.strategy = strategy;
+    this.maxTokens = options.maxTokens;
+    this.budgets = { ...(options.budgets || {}) };
+    this.reserveTokens = options.reserveTokens ?? 4096;
+    this.pinSystemPrompt = options.pinSystemPrompt !== false;
+    this.summaryModel = options.summaryModel;
+    this.summaryTokens = options.summaryTokens ?? 500;
+    this.tokenizer = options.tokenizer || estimateTokens;
+    this.onTrim = options.onTrim || null;
+
+    // Last summary, so a growing message array is not summarized again from the start on every call
+    this._summaryCache = null;
+  }
+
+  /**
+   * Get the token budget for a model's messages
+   * @param {string} model - Model name
+   * @returns {number} - Tokens
+   */
+  getBudget(model) {
+    if (this.maxTokens) return this.maxTokens;
+
+    const budget = longestPrefixMatch(this.budgets, model);
+    if (budget !== undefined) return budget;
+
+    const contextWindow = longestPrefixMatch(DEFAULT_CONTEXT_WINDOWS, model) ?? FALLBACK_CONTEXT_WINDOW;
+    return contextWindow - this.reserveTokens;
+  }
+
+  /**
+   * Count the tokens of a text or a list of messages
+   * @param {string|Array} messages - Text, or Chat Completions messages, Responses API items or transcript items
+   * @returns {number} - Tokens, including the overhead of every message and of the reply
+   */
+  countTokens(messages) {
+    if (typeof messages === 'string') {
+      return this.tokenizer(messages);
+    }
+    return messages.reduce((total, message) => total + this._messageTokens(message), REPLY_OVERHEAD);
+  }
+
+  /**
+   * Fit messages into the model's token budget
+   * Messages are dropped or summarized a whole turn at a time (a user message and everything up to the next
+   * one), so tool calls stay together with their results; the newest turn is always kept
+   * @param {Array} messages - Chat Completions messages, Responses API items or transcript items
+   * @param {Object} options - Fit options
+   * @param {string} options.model - Model the messages are sent to
+   * @param {number} options.overheadTokens - Tokens sent along that are not in the messages, such as
+   *   instructions or new input (default: 0)
+   * @returns {Promise<Object>} - { messages, tokens, budget, dropped, summarized }; messages is the
+   *   original array when it already fits
+   */
+  async fit(messages, { model, overheadTokens = 0 } = {}) {
+    const budget = this.getBudget(model) - overheadTokens;
+    const tokensBefore = this.countTokens(messages);
+    if (tokensBefore <= budget) {
+      return { messages, tokens: tokensBefore, budget, dropped: 0, summarized: 0 };
+    }
+
+    // System messages at the start stay; a summary from an earlier fit is folded into the next one
+    let start = 0;
+    const pinned = [];
+    while (this.pinSystemPrompt && start < messages.length && isSystemMessage(messages[start]) && !isSummaryMessage(messages[start])) {
+      pinned.push(messages[start++]);
+    }
+    let previousSummary = null;
+    if (this.strategy === 'summarize' && start < messages.length && isSummaryMessage(messages[start])) {
+      previousSummary = contentText(messages[start].content).slice(SUMMARY_PREFIX.length);
+      start++;
+    }
+    const turns = splitTurns(messages.slice(start));
+
+    const available = budget - this.countTokens(pinned);
+    const newest = turns[turns.length - 1] || [];
+    const newestTokens = newest.reduce((total, message) => total + this._messageTokens(message), 0);
+    if (newestTokens > available) {
+      throw new Error(
+        `The newest message needs about ${newestTokens} tokens, more than the context budget of ${available} tokens ` +
+        `for ${model}. Shorten it, or raise maxTokens`
+      );
+    }
+
+    // Keep the newest turns that fit; a summary leaves room for itself and keeps only half the budget,
+    // so the next few turns fit without another summary
+    const room = this.strategy === 'summarize'
+      ? Math.min(available - this.summaryTokens - MESSAGE_OVERHEAD, Math.floor(available / 2))
+      : available;
+    let kept = 0;
+    let keptTokens = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const tokens = turns[i].reduce((total, message) => total + this._messageTokens(message), 0);
+      if (kept > 0 && keptTokens + tokens > room) break;
+      kept++;
+      keptTokens += tokens;
+    }
+    const removed = turns.slice(0, turns.length - kept).flat();
+    const recent = turns.slice(turns.length - kept).flat();
+
+    let result = [...pinned, ...recent];
+    let summarized = 0;
+    if (this.strategy === 'summarize') {
+      const summary = removed.length > 0 ? await this._summarize(removed, previousSummary, model) : previousSummary;
+      if (summary) {
+        // Transcript and Responses API items carry a type, Chat Completions messages do not
+        const summaryMessage = messages.some(message => message.type)
+          ? { type: 'message', role: 'system', content: SUMMARY_PREFIX + summary }
+          : { role: 'system', content: SUMMARY_PREFIX + summary };
+        result = [...pinned, summaryMessage, ...recent];
+      }
+      summarized = removed.length;
+    }
+
+    const outcome = {
+      messages: result,
+      tokens: this.countTokens(result),
+      budget,
+      dropped: this.strategy === 'summarize' ? 0 : removed.length,
+      summarized
+    };
+    if (this.onTrim) {
+      try {
+        this.onTrim({
+          model,
+          budget,
+          tokensBefore,
+          tokensAfter: outcome.tokens,
+          dropped: outcome.dropped,
+          summarized: outcome.summarized
+        });
+      } catch (error) {
+        console.warn('Error in context onTrim callback:', error);
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Tokens of one message, without the reply overhead
+   * @private
+   * @param {Object} message - Chat message, Responses API item or transcript item
+   * @returns {number}
+   */
+  _messageTokens(message) {
+    switch (message.type) {
+      case 'function_call':
+        return MESSAGE_OVERHEAD + this.tokenizer(message.name || '') + this.tokenizer(message.arguments || '');
+      case 'function_call_output':
+        return MESSAGE_OVERHEAD + this.tokenizer(typeof message.output === 'string' ? message.output : JSON.stringify(message.output));
+      case undefined:
+      case 'message':
+        break;
+      default:
+        // Reasoning is not sent back when the history is rebuilt
+        return 0;
+    }
+
+    let tokens = MESSAGE_OVERHEAD;
+    if (typeof message.content === 'string') {
+      tokens += this.tokenizer(message.content);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (typeof part.text === 'string') {
+          tokens += this.tokenizer(part.text);
+        } else if (part.type === 'image_url' || part.type === 'input_image') {
+          tokens += imageTokens(part.detail || part.image_url?.detail);
+        }
+      }
+    }
+    for (const attachment of message.attachments || []) {
+      if (attachment.type === 'image') tokens += imageTokens(attachment.detail);
+    }
+    for (const toolCall of message.tool_calls || []) {
+      tokens += MESSAGE_OVERHEAD + this.tokenizer(toolCall.function.name) + this.tokenizer(toolCall.function.arguments || '');
+    }
+    if (message.name) tokens += 1;
+    return tokens;
+  }
+
+  /**
+   * Summarize messages, folding in the previous summary
+   * @private
+   * @param {Array} messages - Messages that are taken out of the context
+   * @param {string|null} previousSummary - Summary they continue from
+   * @param {string} model - Model of the request
+   * @returns {Promise<string>} - Summary text
+   */
+  async _summarize(messages, previousSummary, model) {
+    // A growing array passed again to chat(): reuse the summary of the messages it already covers
+    const cache = this._summaryCache;
+    let pending = messages;
+    if (!previousSummary && cache && messages.length >= cache.count &&
+        JSON.stringify(messages.slice(0, cache.count)) === cache.key) {
+      previousSummary = cache.summary;
+      pending = messages.slice(cache.count);
+    }
+    if (pending.length === 0 && previousSummary) {
+      return previousSummary;
+    }
+
+    const lines = pending.map(describeMessage).filter(Boolean);
+    const text = (previousSummary ? `Previous summary:\n${previousSummary}\n\n` : '') +
+      `Conversation to add to the summary:\n${lines.join('\n')}`;
+    const summary = await this.mind.chat([
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      { role: 'user', content: text }
+    ], {
+      model: this.summaryModel || model,
+      max_tokens: this.summaryTokens,
+      tools: [],
+      usageMethod: 'summarize'
+    });
+
+    this._summaryCache = { count: messages.length, key: JSON.stringify(messages), summary };
+    return summary;
+  }
+}
+
+/**
+ * Look a model up in a table by name, falling back to the longest matching prefix
+ * @param {Object} table - Map of model name to value
+ * @param {string} model - Model name
+ * @returns {*} - Value, or undefined if no entry matches
+ */
+function longestPrefixMatch(table, model) {
+  if (!model) return undefined;
+  if (table[model] !== undefined) return table[model];
+
+  let match = null;
+  for (const name of Object.keys(table)) {
+    if (model.startsWith(name) && (!match || name.length > match.length)) {
+      match = name;
+    }
+  }
+  return match ? table[match] : undefined;
+}
+
+/**
+ * Split messages into turns, each starting at a user message
+ * @param {Array} messages - Messages without the pinned system messages
+ * @returns {Array<Array>} - Turns; messages before the first user message form a turn of their own
+ */
+function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (turns.length === 0 || isUserMessage(message)) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+}
+
+ContextManager.DEFAULT_CONTEXT_WINDOWS = DEFAULT_CONTEXT_WINDOWS;
+ContextManager.SUMMARY_PREFIX = SUMMARY_PREFIX;
+ContextManager.estimateTokens = estimateTokens;
+
+module.exports = ContextManager;
@@ -3,85 +3,832 @@
  * Handles data analysis, schema validation, and retry logic for structured responses
  */
 
+// Import error types
+const {
+  createHttpError,
+  WarpMindError,
+  SchemaValidationError,
+  AbortError,
+  AuthenticationError,
+  BudgetExceededError
+} = require('../core/errors.js');
+
+// Import JSON Schema validation
+const jsonSchema = require('../core/json-schema.js');
+
+// Import CSV/TSV parsing and compact table formatting
+const tabular = require('./tabular.js');
+
+// Import the tolerant parser used to read structured output while it streams in
+const { parsePartialJson } = require('../streaming/partial-json.js');
+
+// Import the stable hashing used to recognize a batch job when resuming it
+const { stableStringify, hashString } = require('../util.js');
+
+/**
+ * Describe the data to process below the prompt
+ * Tables from readCsv() (and arrays of flat records with dataFormat 'table') are sent as CSV,
+ * which takes far fewer tokens than JSON; everything else is sent as JSON
+ * @param {string} prompt - Instructions
+ * @param {string|Object|Array|null} data - Data to process
+ * @param {string} dataFormat - 'auto', 'table' or 'json'
+ * @returns {string} - Prompt with the data appended
+ */
+function appendData(prompt, data, dataFormat = 'auto') {
+  if (data === null || data === undefined) {
+    return prompt;
+  }
+  if (typeof data === 'string') {
+    return `${prompt}\n\nData to process:\n${data}`;
+  }
+
+  const asTable = dataFormat !== 'json' &&
+    (tabular.isTable(data) || (dataFormat === 'table' && tabular.isRecordArray(data)));
+  if (asTable) {
+    const rowCount = tabular.isTable(data) ? data.rows.length : data.length;
+    return `${prompt}\n\nData to process (CSV, ${rowCount} rows):\n${tabular.formatTable(data)}`;
+  }
+  return `${prompt}\n\nData to process:\n${JSON.stringify(data, null, 2)}`;
+}
+
+/**
+ * Work out how to request and check a structured response for the schema argument of process()
+ * Full JSON Schemas whose root is not an object are wrapped in { result: ... },
+ * because the API only returns JSON objects
+ * @param {Object} schema - JSON Schema or { key: description } shorthand
+ * @param {string} name - Schema name sent with json_schema response formats
+ * @returns {Object} - { isFullSchema, wrapped, validationSchema, responseSchema, strict, name, shorthand }
+ */
+function prepareSchema(schema, name) {
+  if (!jsonSchema.isJsonSchema(schema)) {
+    return { isFullSchema: false, wrapped: false, validationSchema: jsonSchema.shorthandToSchema(schema), shorthand: schema || {} };
+  }
+
+  const wrapped = schema.type !== 'object' && !schema.properties;
+  const requestSchema = wrapped
+    ? { type: 'object', properties: { result: schema }, required: ['result'], ...(schema.$defs ? { $defs: schema.$defs } : {}) }
+    : schema;
+  const { schema: responseSchema, strict } = jsonSchema.toStrictSchema(requestSchema);
+
+  return {
+    isFullSchema: true,
+    wrapped,
+    validationSchema: schema,
+    requestSchema,
+    responseSchema,
+    strict,
+    name: String(name || schema.title || 'response').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64)
+  };
+}
+
+/**
+ * Tell the model which JSON to produce when the schema is not sent as a response format
+ * @param {Object} prepared - Result of prepareSchema()
+ * @returns {string} - Instructions appended to the prompt
+ */
+function describeSchema(prepared) {
+  if (prepared.isFullSchema) {
+    return "\n\nPlease respond with a JSON object that matches this JSON Schema:\n" +
+      JSON.stringify(prepared.requestSchema, null, 2) +
+      "\n\nRespond only with valid JSON, no extra text.";
+  }
+
+  const entries = Object.entries(prepared.shorthand);
+  if (entries.length === 0) {
+    return "\n\nPlease respond with valid JSON only, no extra text.";
+  }
+  let text = "\n\nPlease respond with a JSON object that has these fields:\n";
+  for (const [key, description] of entries) {
+    text += `- ${key}: ${description}\n`;
+  }
+  return text + "\nRespond only with valid JSON, no extra text.";
+}
+
+/**
+ * Instructions appended to the prompt for a structured response
+ * @param {Object} prepared - Result of prepareSchema()
+ * @param {boolean} useJsonSchema - Whether the schema is sent as a json_schema response format
+ * @returns {string} - Instructions
+ */
+function schemaInstructions(prepared, useJsonSchema) {
+  return useJsonSchema
+    ? "\n\nRespond only with JSON that matches the requested schema."
+    : describeSchema(prepared);
+}
+
+/**
+ * Build the response_format request parameter for a structured response
+ * @param {Object} prepared - Result of prepareSchema()
+ * @param {boolean} useJsonSchema - Whether to send the schema as a json_schema response format
+ * @returns {Object} - response_format value
+ */
+function responseFormatFor(prepared, useJsonSchema) {
+  return useJsonSchema
+    ? { type: 'json_schema', json_schema: { name: prepared.name, schema: prepared.responseSchema, strict: prepared.strict } }
+    : { type: "json_object" };
+}
+
+/**
+ * Parse a model response and check it against the schema
+ * @param {string} response - Raw model output
+ * @param {Object} prepared - Result of prepareSchema()
+ * @param {Function} transform - Optional (result) => result applied before validation
+ * @returns {Object|Array} - The validated result
+ * @throws {SchemaValidationError} - If the response is not valid JSON or does not match the schema
+ */
+function parseStructuredResponse(response, prepared, transform = null) {
+  const fail = (errors) => new SchemaValidationError(
+    `Response validation failed: ${jsonSchema.formatErrors(errors).join('; ')}. Raw response: ${response}`,
+    { rawResponse: response, validationErrors: errors }
+  );
+
+  let result;
+  try {
+    result = JSON.parse(response);
+  } catch (parseError) {
+    throw fail([{ path: '$', message: `not valid JSON (${parseError.message})` }]);
+  }
+
+  if (prepared.wrapped) {
+    if (!result || typeof result !== 'object' || !('result' in result)) {
+      throw fail([{ path: '$', message: "missing required property 'result'" }]);
+    }
+    result = result.result;
+  }
+
+  if (prepared.isFullSchema) {
+    jsonSchema.removeNullOptionals(result, prepared.validationSchema);
+  }
+  if (typeof transform === 'function') {
+    result = transform(result);
+  }
+
+  const errors = jsonSchema.validate(result, prepared.validationSchema);
+  if (errors.length > 0) {
+    throw fail(errors);
+  }
+  return result;
+}
+
+/**
+ * Find the array whose finished items processStream() reports: the result itself when it is an array,
+ * otherwise the first array property declared in the schema (or, for shorthand schemas, received so far)
+ * @param {*} partial - Best-effort result so far
+ * @param {Object} prepared - Result of prepareSchema()
+ * @returns {Array|null} - The array, or null if there is none (yet)
+ */
+function findStreamedArray(partial, prepared) {
+  if (Array.isArray(partial)) {
+    return partial;
+  }
+  if (!partial || typeof partial !== 'object') {
+    return null;
+  }
+  const declared = Object.entries(prepared.isFullSchema ? prepared.validationSchema.properties || {} : {})
+    .filter(([, propertySchema]) => [].concat(propertySchema && propertySchema.type).includes('array'))
+    .map(([key]) => key);
+  const key = declared.length > 0 ? declared[0] : Object.keys(partial).find(name => Array.isArray(partial[name]));
+  return Array.isArray(partial[key]) ? partial[key] : null;
+}
+
+const CHECKPOINT_PREFIX = 'warpmind-batch:';
+
+/**
+ * Resolve the `checkpoint` option of processBatch()
+ * @param {string|Object} checkpoint - Job name, or { key, storage } with a Web Storage-like object
+ * @returns {Object|null} - { key, storage }, or null when checkpointing is off or unavailable
+ */
+function resolveCheckpoint(checkpoint) {
+  if (!checkpoint) {
+    return null;
+  }
+  const { key, storage } = typeof checkpoint === 'string' ? { key: checkpoint } : checkpoint;
+  if (!key) {
+    throw new Error('checkpoint needs a key naming the batch job');
+  }
+
+  let target = storage;
+  if (target === undefined) {
+    try {
+      target = typeof globalThis.localStorage !== 'undefined' ? globalThis.localStorage : null;
+    } catch (error) {
+      target = null;
+    }
+  }
+  if (!target) {
+    console.warn('Batch checkpoints need localStorage or a storage object; this job will not be resumable.');
+    return null;
+  }
+  return { key: CHECKPOINT_PREFIX + key, storage: target };
+}
+
+/**
+ * Read a saved checkpoint; unreadable checkpoints count as missing
+ * @param {Object} checkpoint - { key, storage }
+ * @returns {Object|null} - { fingerprint, results }
+ */
+function readCheckpoint(checkpoint) {
+  try {
+    const raw = checkpoint.storage.getItem(checkpoint.key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save a checkpoint; a full storage only loses resumability, never results
+ * @param {Object} checkpoint - { key, storage }
+ * @param {Object} state - { fingerprint, results }
+ */
+function writeCheckpoint(checkpoint, state) {
+  try {
+    checkpoint.storage.setItem(checkpoint.key, JSON.stringify(state));
+  } catch (error) {
+    console.warn('Could not save batch checkpoint:', error.message);
+  }
+}
+
+/**
+ * Check whether the API rejected the json_schema response format itself
+ * @param {Error} error - Error thrown by chat()
+ * @returns {boolean} - True if retrying with json_object may work
+ */
+function isUnsupportedResponseFormatError(error) {
+  if (!(error instanceof WarpMindError) || error.status !== 400) {
+    return false;
+  }
+  const details = `${error.message} ${JSON.stringify(error.body || '')}`;
+  return /response_format|json_schema/i.test(details);
+}
+
+/**
+ * Normalize labels or entity types given as an array of names or a { name: description } map
+ * @param {string[]|Object} names - Names, or names mapped to descriptions
+ * @param {string} what - What the names are, for error messages
+ * @returns {Array<{name: string, description: string|null}>} - Names with optional descriptions
+ */
+function normalizeNames(names, what) {
+  const list = Array.isArray(names)
+    ? names.map(name => ({ name, description: null }))
+    : Object.entries(names || {}).map(([name, description]) => ({ name, description: description ? String(description) : null }));
+  if (list.length === 0 || list.some(({ name }) => typeof name !== 'string' || name.trim() === '')) {
+    throw new Error(`${what} must be a non-empty array of names or an object mapping names to descriptions`);
+  }
+  return list;
+}
+
+/**
+ * List names (with their descriptions) for a prompt
+ * @param {Array<{name: string, description: string|null}>} list - Result of normalizeNames()
+ * @returns {string} - One "- name: description" line per name
+ */
+function describeNames(list) {
+  return list.map(({ name, description }) => (description ? `- ${name}: ${description}` : `- ${name}`)).join('\n');
+}
+
+/**
+ * Format few-shot examples for a prompt
+ * @param {Array<Object>} examples - Examples as { text, ...expected output }
+ * @returns {string} - Examples section, or '' when there are none
+ */
+function formatExamples(examples) {
+  if (!Array.isArray(examples) || examples.length === 0) {
+    return '';
+  }
+  const lines = examples.map(({ text, ...output }) => `Input: ${text}\nOutput: ${JSON.stringify(output)}`);
+  return `\n\nExamples:\n${lines.join('\n\n')}`;
+}
+
+const CONFIDENCE_SCHEMA = {
+  type: 'number',
+  minimum: 0,
+  maximum: 1,
+  description: 'How sure you are, from 0 (guessing) to 1 (certain)'
+};
+
 /**
  * Data processing module factory function that accepts a client instance
  * @param {Object} client - The client instance (BaseClient or WarpMind)
  * @returns {Object} - Object with data processing methods to be mixed into the main class
  */
 function createDataProcessingModule(client) {
+  // Set once the backend rejects json_schema response formats, so later calls go straight to json_object
+  let jsonSchemaUnsupported = false;
+
+  /**
+   * Shared attempt loop of process() and processStream(): requests a structured response, falls back to
+   * json_object once the backend rejects json_schema, and retries invalid answers with the problems fed back
+   * @param {Object} prepared - Result of prepareSchema()
+   * @param {Object} settings - { retries, responseFormat, transform } from the caller's options
+   * @param {Function} send - (useJsonSchema, feedback, attempt) => Promise<string> with the raw model output
+   * @returns {Promise<Object|Array>} - The validated result
+   */
+  const requestStructured = async (prepared, { retries, responseFormat, transform }, send) => {
+    let feedback = '';
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const useJsonSchema = prepared.isFullSchema && responseFormat !== 'json_object' &&
+          !(responseFormat === 'auto' && jsonSchemaUnsupported);
+
+        let response;
+        try {
+          response = await send(useJsonSchema, feedback, attempt);
+        } catch (error) {
+          if (!useJsonSchema || responseFormat !== 'auto' || !isUnsupportedResponseFormatError(error)) {
+            throw error;
+          }
+          jsonSchemaUnsupported = true;
+          console.warn('The API does not support json_schema response formats, falling back to json_object.');
+          response = await send(false, feedback, attempt);
+        }
+
+        return parseStructuredResponse(response, prepared, transform);
+      } catch (error) {
+        // If the error came from client.chat (network/API error), re-throw it directly
+        // If it came from parsing/validation, it will have the expected message format
+        console.warn(`Process attempt ${attempt + 1} failed: ${error.message}`);
+
+        // Retrying will not fix a rejected key or an invalid request
+        const isFatalApiError = error instanceof WarpMindError &&
+          !(error instanceof SchemaValidationError) &&
+          !error.retryable;
+
+        if (attempt === retries || isFatalApiError) {
+            console.error('All process attempts failed.');
+            throw error; // All retries failed, re-throw the last error
+        }
+
+        // Tell the model what was wrong with its last answer
+        if (error instanceof SchemaValidationError) {
+          feedback = "\n\nYour previous response was rejected because of these problems:\n" +
+            jsonSchema.formatErrors(error.validationErrors).map(line => `- ${line}`).join('\n') +
+            "\nFix them and respond again.";
+        }
+
+        // Optional: wait a bit before retrying
+        await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+      }
+    }
+  };
+
+  /**
+   * Shared runner of classify(), extractEntities() and scoreSentiment(): one process() call for a text,
+   * processBatch() for an array of texts
+   * @param {string} usageMethod - Method name for usage tracking
+   * @param {string} instructions - Prompt
+   * @param {string|string[]} input - Text or texts
+   * @param {Object} schema - JSON Schema of one result
+   * @param {Object} options - Helper options; `examples` and `concurrency` are handled here, the rest go to process()
+   * @param {Function} unwrap - Turns a validated result into the value returned to the caller
+   * @returns {Promise<*>} - The result, or for an array one result per text with null for texts that failed
+   */
+  const runTextHelper = async (usageMethod, instructions, input, schema, options, unwrap = result => result) => {
+    const isBatch = Array.isArray(input);
+    const texts = isBatch ? input : [input];
+    if (texts.length === 0 && isBatch) {
+      return [];
+    }
+    if (texts.some(text => typeof text !== 'string' || text.trim() === '')) {
+      throw new Error('Text must be a non-empty string or an array of non-empty strings');
+    }
+
+    const { examples, concurrency, ...processOptions } = options;
+    const prompt = instructions + formatExamples(examples);
+
+    if (!isBatch) {
+      return unwrap(await client.process(prompt, input, schema, { usageMethod, ...processOptions }));
+    }
+
+    const entries = await client.processBatch(prompt, input, schema, { usageMethod, concurrency, ...processOptions });
+    const failed = entries.filter(entry => entry.error);
+    if (failed.length === entries.length) {
+      throw failed[failed.length - 1].error;
+    }
+    return entries.map(entry => (entry.error ? null : unwrap(entry.result)));
+  };
+
   return {
     /**
      * Process data or questions with structured JSON output
+     * A full JSON Schema is sent as a strict json_schema response format when the backend supports it
+     * (falling back to json_object otherwise) and the result is validated locally against it.
+     * Failed attempts are retried with the validation errors fed back to the model.
      * @param {string} prompt - Instructions for what to process or analyze
      * @param {string|Object|Array} data - Optional data to process (text, object, or array)
-     * @param {Object} schema - Object describing the expected JSON structure
+     * @param {Object} schema - JSON Schema, or a shorthand { key: description } map of required fields
      * @param {Object} options - Optional parameters
-     * @param {number} options.retries - Number of retries for failed JSON parsing (default: 2)
-     * @returns {Promise<Object>} - The AI response as a parsed JSON object
+     * @param {number} options.retries - Number of retries for failed JSON parsing or validation (default: 2)
+     * @param {string} options.responseFormat - 'auto' (default), 'json_schema' (no fallback) or 'json_object'
+     *   (schema described in the prompt); only used with a full JSON Schema
+     * @param {string} options.schemaName - Name sent with the json_schema response format (default: schema title or 'response')
+     * @param {string} options.dataFormat - How object data is sent: 'auto' (default; tables from readCsv() as CSV,
+     *   the rest as JSON), 'table' (arrays of flat records as CSV too) or 'json'
+     * @param {Function} options.transform - (result) => result applied before validation, e.g. to convert values;
+     *   whatever it cannot fix is caught by validation and retried
+     * @param {boolean} options.cache - Set to false to bypass the response cache for this call
+     * @returns {Promise<Object|Array>} - The AI response as parsed JSON, matching the schema
      */
     async process(prompt, data = null, schema = {}, options = {}) {
-      const { retries = 2, ...restOptions } = options;
+      const { retries = 2, responseFormat = 'auto', schemaName, dataFormat, transform, ...restOptions } = options;
+      const prepared = prepareSchema(schema, schemaName);
+      const basePrompt = appendData(prompt, data, dataFormat);
 
-      for (let attempt = 0; attempt <= retries; attempt++) {
+      const isValidResponse = (result) => {
         try {
-          // Build the full prompt
-          let fullPrompt = prompt;
-          
-          // Add data if provided
-          if (data !== null) {
-            if (typeof data === 'string') {
-              fullPrompt += "\n\nData to process:\n" + data;
-            } else {
-              fullPrompt += "\n\nData to process:\n" + JSON.stringify(data, null, 2);
-            }
+          parseStructuredResponse(result.choices?.[0]?.message?.content ?? '', prepared, transform);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      };
+
+      return requestStructured(prepared, { retries, responseFormat, transform }, (useJsonSchema, feedback) =>
+        client.chat(basePrompt + schemaInstructions(prepared, useJsonSchema) + feedback, {
+          usageMethod: 'process',
+          ...restOptions,
+          // Only responses that pass validation are cached, so a bad answer is not served again
+          cacheValidator: isValidResponse,
+          response_format: responseFormatFor(prepared, useJsonSchema)
+        }));
+    },
+
+    /**
+     * Process data like process(), but stream the answer and report the result while it is being written
+     * The growing JSON is read with a tolerant parser, so onPartial sees a best-effort result after every chunk
+     * (strings, arrays and objects that are still open are closed). Items of the result array - the result
+     * itself, or its first array property - are listed in completedItems once they have been received in full.
+     * The final result is validated against the schema; an invalid answer is retried and streamed again from
+     * the start, with onPartial's `attempt` counting up.
+     * @param {string} prompt - Instructions for what to process or analyze
+     * @param {string|Object|Array} data - Optional data to process (text, object, or array)
+     * @param {Object} schema - JSON Schema, or a shorthand { key: description } map of required fields
+     * @param {Function} onPartial - (partial, { completedItems, newItems, attempt }) called whenever the partial
+     *   result changes; newItems holds the items completed since the previous call
+     * @param {Object} options - The options of process(), plus streamChat() options such as signal
+     * @returns {Promise<Object|Array>} - The complete result, matching the schema
+     */
+    async processStream(prompt, data = null, schema = {}, onPartial = null, options = {}) {
+      const { retries = 2, responseFormat = 'auto', schemaName, dataFormat, transform, ...restOptions } = options;
+      const prepared = prepareSchema(schema, schemaName);
+      const basePrompt = appendData(prompt, data, dataFormat);
+
+      return requestStructured(prepared, { retries, responseFormat, transform }, (useJsonSchema, feedback, attempt) => {
+        let text = '';
+        let lastSnapshot;
+        let reported = 0;
+
+        const onChunk = (chunk) => {
+          text += chunk.content;
+          if (typeof onPartial !== 'function') {
+            return;
           }
-          
-          // Add schema instructions
-          if (Object.keys(schema).length > 0) {
-            fullPrompt += "\n\nPlease respond with a JSON object that has these fields:\n";
-            for (const [key, description] of Object.entries(schema)) {
-              fullPrompt += `- ${key}: ${description}\n`;
-            }
-            fullPrompt += "\nRespond only with valid JSON, no extra text.";
-          } else {
-            fullPrompt += "\n\nPlease respond with valid JSON only, no extra text.";
+
+          const { value, completedItems } = parsePartialJson(text);
+          let partial = prepared.wrapped ? value && value.result : value;
+          if (partial === undefined) {
+            return;
+          }
+          if (prepared.isFullSchema) {
+            partial = jsonSchema.removeNullOptionals(partial, prepared.validationSchema);
+          }
+
+          // Chunks that only add whitespace or half a token do not change the result
+          const snapshot = JSON.stringify(partial);
+          if (snapshot === lastSnapshot) {
+            return;
           }
+          lastSnapshot = snapshot;
+
+          const array = findStreamedArray(partial, prepared);
+          const finished = array ? array.slice(0, completedItems(array)) : [];
+          const newItems = finished.slice(reported);
+          reported = finished.length;
+          onPartial(partial, { completedItems: finished, newItems, attempt });
+        };
+
+        return client.streamChat(basePrompt + schemaInstructions(prepared, useJsonSchema) + feedback, onChunk, {
+          usageMethod: 'processStream',
+          ...restOptions,
+          response_format: responseFormatFor(prepared, useJsonSchema)
+        });
+      });
+    },
+
+    /**
+     * Read CSV or TSV data into a table with typed columns
+     * @param {string|File|Blob|URL} source - CSV text, a File/Blob, or a URL (a single-line string
+     *   starting with http(s)://, / or ./)
+     * @param {Object} options - Parse options
+     * @param {string} options.delimiter - Cell delimiter (default: detected, e.g. ',' or tab)
+     * @param {boolean} options.header - Whether the first row holds column names (default: true)
+     * @param {boolean} options.inferTypes - Infer column types and convert values (default: true)
+     * @param {boolean} options.yesNoBooleans - Also infer yes/no and y/n columns as booleans (default: false)
+     * @returns {Promise<Object>} - { columns: [{ name, type }], rows, delimiter }; pass it to process() as data
+     *   to send it as a compact table
+     */
+    async readCsv(source, options = {}) {
+      let text;
+      const isUrl = source instanceof URL ||
+        (typeof source === 'string' && !/[\r\n]/.test(source) && /^(https?:\/\/|\.{0,2}\/)\S+$/.test(source.trim()));
+
+      if (isUrl) {
+        const url = String(source).trim();
+        const response = await client._fetch(url);
+        if (!response.ok) {
+          throw createHttpError(`Failed to fetch CSV: ${response.status} ${response.statusText}`, { status: response.status, endpoint: url });
+        }
+        text = await response.text();
+      } else if (typeof source === 'string') {
+        text = source;
+      } else if (source && typeof source.text === 'function') {
+        text = await source.text(); // File or Blob
+      } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(source)) {
+        text = source.toString('utf8');
+      } else {
+        throw new Error('CSV source must be a string, File, Blob or URL');
+      }
 
-          const response = await client.chat(fullPrompt, {
-            ...restOptions,
-            response_format: { type: "json_object" }
-          });
+      return tabular.parseDelimited(text, options);
+    },
 
+    /**
+     * Turn messy text into rows with the given columns
+     * Values are converted to the declared types (e.g. '1,234' to 1234, 'March 1, 2024' to '2024-03-01'),
+     * missing values become null, and rows that still do not fit are retried like process()
+     * @param {string|Object|Array} text - Source text (or any data process() accepts)
+     * @param {Object} columns - { name: type } or { name: { type, description } } with type
+     *   'string', 'number', 'integer', 'boolean' or 'date'
+     * @param {Object} options - Options passed to process(); `prompt` replaces the default instructions
+     * @returns {Promise<Object[]>} - Rows as objects with one key per column
+     */
+    async extractTable(text, columns, options = {}) {
+      const { prompt, ...processOptions } = options;
+      const { schema, types } = tabular.columnsToSchema(columns);
+
+      const coerceRows = (rows) => (Array.isArray(rows)
+        ? rows.map(row => {
+          if (!row || typeof row !== 'object') return row;
+          const converted = { ...row };
+          for (const [name, type] of Object.entries(types)) {
+            converted[name] = tabular.coerceValue(row[name], type);
+          }
+          return converted;
+        })
+        : rows);
+
+      return await client.process(
+        prompt || 'Extract every row of the table described by the schema from the data. Use null for values that are missing.',
+        text,
+        schema,
+        { usageMethod: 'extractTable', ...processOptions, transform: coerceRows }
+      );
+    },
+
+    /**
+     * Run process() over many items with the same prompt and schema
+     * Items are processed `concurrency` at a time; each one gets the retries of process().
+     * With `checkpoint`, finished results are saved after every item, so calling processBatch()
+     * again with the same prompt, items and schema (e.g. after a page reload) only processes
+     * the items that are still missing.
+     * @param {string} prompt - Instructions applied to every item
+     * @param {Array} items - Items to process, each passed to process() as its data
+     * @param {Object} schema - JSON Schema or { key: description } shorthand (see process())
+     * @param {Object} options - Optional parameters; other options are passed to process()
+     * @param {number} options.concurrency - Items processed at the same time (default: 4)
+     * @param {Function} options.onItem - Called with { index, item, result, error, resumed } as each item finishes
+     * @param {Function} options.onProgress - Called with { completed, failed, total } after each item
+     * @param {boolean} options.stopOnError - Stop starting new items after the first failure and throw it (default: false)
+     * @param {string|Object} options.checkpoint - Job name, or { key, storage } with a localStorage-like object
+     *   (default storage: localStorage)
+     * @param {boolean} options.resume - Use results saved under the checkpoint (default: true)
+     * @param {AbortSignal} options.signal - Stops the batch; in-flight items are cancelled
+     * @returns {Promise<Array<{index: number, result: *, error: Error|null}>>} - One entry per item, in input order
+     */
+    async processBatch(prompt, items, schema = {}, options = {}) {
+      if (!Array.isArray(items)) {
+        throw new Error('Items must be an array');
+      }
+
+      const {
+        concurrency = 4,
+        onItem,
+        onProgress,
+        stopOnError = false,
+        checkpoint: checkpointOption,
+        resume = true,
+        ...processOptions
+      } = options;
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('concurrency must be a positive integer');
+      }
+      if (!processOptions.usageMethod) {
+        processOptions.usageMethod = 'processBatch';
+      }
+
+      const checkpoint = resolveCheckpoint(checkpointOption);
+      const fingerprint = hashString(stableStringify({ prompt, items, schema }));
+      let saved = {};
+      if (checkpoint && resume) {
+        const state = readCheckpoint(checkpoint);
+        if (state && state.fingerprint === fingerprint) {
+          saved = state.results || {};
+        } else if (state) {
+          console.warn('Ignoring a batch checkpoint that was saved for different items, prompt or schema.');
+        }
+      }
+
+      const entries = new Array(items.length);
+      const progress = { completed: 0, failed: 0, total: items.length };
+      const pending = [];
+
+      const notify = (callback, value, label) => {
+        if (typeof callback === 'function') {
           try {
-            const result = JSON.parse(response);
-
-            // Validate that the response contains all keys from the schema
-            if (Object.keys(schema).length > 0) {
-              for (const key of Object.keys(schema)) {
-                if (!(key in result)) {
-                  throw new Error(`AI response is missing the required field: '${key}'`);
-                }
-              }
-            }
-            
-            return result; // Validation successful
-          } catch (parseError) {
-            // This will catch both JSON parsing errors and our schema validation errors.
-            // We re-throw the error so the retry logic can catch it.
-            throw new Error(`Response validation failed: ${parseError.message}. Raw response: ${response}`);
+            callback(value);
+          } catch (error) {
+            console.warn(`Error in ${label} callback:`, error);
+          }
+        }
+      };
+
+      items.forEach((item, index) => {
+        if (Object.prototype.hasOwnProperty.call(saved, index)) {
+          entries[index] = { index, result: saved[index], error: null };
+          progress.completed++;
+          notify(onItem, { index, item, result: saved[index], error: null, resumed: true }, 'item');
+        } else {
+          pending.push(index);
+        }
+      });
+      if (pending.length < items.length) {
+        notify(onProgress, { ...progress }, 'progress');
+      }
+
+      // Set when the rest of the batch cannot succeed (or the caller asked to stop)
+      let stopError = null;
+
+      const runItem = async (index) => {
+        let entry;
+        try {
+          const result = await client.process(prompt, items[index], schema, processOptions);
+          entry = { index, result, error: null };
+          progress.completed++;
+          if (checkpoint) {
+            saved[index] = result;
+            writeCheckpoint(checkpoint, { fingerprint, results: saved });
           }
         } catch (error) {
-          // If the error came from client.chat (network/API error), re-throw it directly
-          // If it came from parsing/validation, it will have the expected message format
-          console.warn(`Process attempt ${attempt + 1} failed: ${error.message}`);
-          if (attempt === retries) {
-              console.error('All process attempts failed.');
-              throw error; // All retries failed, re-throw the last error
+          entry = { index, result: null, error };
+          progress.failed++;
+          console.warn(`Batch item ${index} failed:`, error.message);
+
+          const isFatal = error instanceof AbortError ||
+            error instanceof AuthenticationError ||
+            (error instanceof BudgetExceededError && !error.retryable);
+          if (!stopError && (stopOnError || isFatal)) {
+            stopError = error;
           }
-          // Optional: wait a bit before retrying
-          await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
         }
+        entries[index] = entry;
+        notify(onItem, { ...entry, item: items[index], resumed: false }, 'item');
+        notify(onProgress, { ...progress }, 'progress');
+      };
+
+      // A small worker pool keeps `concurrency` items in flight
+      let next = 0;
+      const workers = Array.from({ length: Math.min(concurrency, pending.length) }, async () => {
+        while (next < pending.length && !stopError && !processOptions.signal?.aborted) {
+          await runItem(pending[next++]);
+        }
+      });
+      await Promise.all(workers);
+
+      client._throwIfAborted(processOptions.signal);
+      if (stopError) {
+        throw stopError;
       }
+
+      if (checkpoint && progress.failed === 0) {
+        try {
+          checkpoint.storage.removeItem(checkpoint.key);
+        } catch (error) {
+          // The finished job just stays resumable
+        }
+      }
+      return entries;
+    },
+
+    /**
+     * Sort text into one (or several) of the given labels
+     * @param {string|string[]} text - Text, or an array of texts to classify in a batch
+     * @param {string[]|Object} labels - Label names, or { label: description }
+     * @param {Object} options - Optional parameters; other options are passed to process()
+     * @param {boolean} options.multiLabel - Allow any number of labels per text (default: false)
+     * @param {boolean} options.explain - Add a short explanation (default: false)
+     * @param {Array<Object>} options.examples - Few-shot examples, { text, label } or { text, labels: [...] }
+     * @param {number} options.concurrency - Texts classified at the same time in a batch (default: 4)
+     * @returns {Promise<Object|Array>} - { label, confidence } or { labels: [{ label, confidence }] },
+     *   plus `explanation` when requested; for an array, one result per text (null if it failed)
+     */
+    async classify(text, labels, options = {}) {
+      const { multiLabel = false, explain = false, ...helperOptions } = options;
+      const list = normalizeNames(labels, 'Labels');
+      const labelSchema = { type: 'string', enum: list.map(({ name }) => name) };
+
+      const properties = multiLabel
+        ? {
+          labels: {
+            type: 'array',
+            description: 'Every label that applies, most likely first; empty if none apply',
+            items: {
+              type: 'object',
+              properties: { label: labelSchema, confidence: CONFIDENCE_SCHEMA },
+              required: ['label', 'confidence']
+            }
+          }
+        }
+        : { label: labelSchema, confidence: CONFIDENCE_SCHEMA };
+      if (explain) {
+        properties.explanation = { type: 'string', description: 'One or two sentences explaining the choice' };
+      }
+
+      const instructions = (multiLabel
+        ? 'Classify the text with every label that applies.'
+        : 'Classify the text with the single best label.') +
+        `\n\nLabels:\n${describeNames(list)}`;
+
+      return await runTextHelper('classify', instructions, text, {
+        type: 'object',
+        properties,
+        required: Object.keys(properties)
+      }, helperOptions);
+    },
+
+    /**
+     * Find named entities such as people, places or dates in text
+     * @param {string|string[]} text - Text, or an array of texts to process in a batch
+     * @param {string[]|Object} entityTypes - Entity types, or { type: description }
+     * @param {Object} options - Optional parameters; other options are passed to process()
+     * @param {Array<Object>} options.examples - Few-shot examples, { text, entities: [{ type, text }] }
+     * @param {number} options.concurrency - Texts processed at the same time in a batch (default: 4)
+     * @returns {Promise<Array>} - [{ type, text, confidence }] in order of appearance;
+     *   for an array, one list per text (null if it failed)
+     */
+    async extractEntities(text, entityTypes, options = {}) {
+      const list = normalizeNames(entityTypes, 'Entity types');
+      const instructions = 'Find every entity of the listed types in the text, in order of appearance. ' +
+        'Copy each entity exactly as it is written in the text.' +
+        `\n\nEntity types:\n${describeNames(list)}`;
+
+      return await runTextHelper('extractEntities', instructions, text, {
+        type: 'object',
+        properties: {
+          entities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: list.map(({ name }) => name) },
+                text: { type: 'string' },
+                confidence: CONFIDENCE_SCHEMA
+              },
+              required: ['type', 'text', 'confidence']
+            }
+          }
+        },
+        required: ['entities']
+      }, options, result => result.entities);
+    },
+
+    /**
+     * Rate the sentiment of text
+     * @param {string|string[]} text - Text, or an array of texts to score in a batch
+     * @param {Object} options - Optional parameters; other options are passed to process()
+     * @param {boolean} options.explain - Add a short explanation (default: false)
+     * @param {Array<Object>} options.examples - Few-shot examples, { text, sentiment, score }
+     * @param {number} options.concurrency - Texts scored at the same time in a batch (default: 4)
+     * @returns {Promise<Object|Array>} - { sentiment, score, confidence } (plus `explanation` when requested),
+     *   where sentiment is 'positive', 'negative', 'neutral' or 'mixed' and score runs from -1 to 1;
+     *   for an array, one result per text (null if it failed)
+     */
+    async scoreSentiment(text, options = {}) {
+      const { explain = false, ...helperOptions } = options;
+      const properties = {
+        sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral', 'mixed'] },
+        score: { type: 'number', minimum: -1, maximum: 1, description: 'From -1 (very negative) to 1 (very positive)' },
+        confidence: CONFIDENCE_SCHEMA
+      };
+      if (explain) {
+        properties.explanation = { type: 'string', description: 'One or two sentences explaining the rating' };
+      }
+
+      return await runTextHelper('scoreSentiment', 'Rate the sentiment of the text.', text, {
+        type: 'object',
+        properties,
+        required: Object.keys(properties)
+      }, helperOptions);
     }
   };
 }
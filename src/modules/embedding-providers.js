@@ -0,0 +1,162 @@
+/**
+ * Embedding providers - where embed(), the memory module and the PDF loader get their vectors
+ * A provider is an object { id, embed(texts) } that returns one vector per text.
+ * Vectors from different providers (or with different lengths) live in different spaces,
+ * so every stored vector records its provider and dimensions and is only compared with its own kind.
+ */
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const DEFAULT_HASHING_DIMENSIONS = 384;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed text by feature hashing: words and word pairs are hashed into a fixed number of
+ * buckets, weighted by sublinear term frequency (1 + log tf) and L2-normalized.
+ * Deterministic and offline; texts that share words get similar vectors.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} - Normalized vector
+ */
+function hashingEmbedding(text, dimensions = DEFAULT_HASHING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const counts = new Map();
+  const addFeature = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+  words.forEach((word, i) => {
+    addFeature(word);
+    if (i > 0) addFeature(`${words[i - 1]} ${word}`);
+  });
+
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    // A second hash picks the sign so colliding features tend to cancel out instead of adding up
+    const sign = fnv1a(`#${feature}`) & 1 ? 1 : -1;
+    vector[hash % dimensions] += sign * (1 + Math.log(count));
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+/**
+ * Check that a provider returned one numeric vector per text
+ * @param {string} id - Provider id, for error messages
+ * @param {Array} vectors - Provider output
+ * @param {number} expected - Number of texts
+ * @returns {number[][]} - The vectors
+ */
+function validateVectors(id, vectors, expected) {
+  if (!Array.isArray(vectors) || vectors.length !== expected) {
+    throw new Error(`Embedding provider '${id}' must return one vector per text`);
+  }
+  for (const vector of vectors) {
+    if (!Array.isArray(vector) || vector.length === 0 || vector.some(value => typeof value !== 'number')) {
+      throw new Error(`Embedding provider '${id}' returned an invalid vector`);
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Offline provider using hashingEmbedding(); good for tests and for working without an API
+ * @param {Object} options - Provider options
+ * @param {number} options.dimensions - Vector length (default: 384)
+ * @returns {Object} - Provider
+ */
+function createHashingEmbeddingProvider(options = {}) {
+  const dimensions = options.dimensions || DEFAULT_HASHING_DIMENSIONS;
+  return {
+    id: 'hashing',
+    dimensions,
+    async embed(texts) {
+      return texts.map(text => hashingEmbedding(text, dimensions));
+    }
+  };
+}
+
+/**
+ * Provider that calls a user-supplied function for each text
+ * @param {Function} fn - (text) => number[] or Promise<number[]>
+ * @param {Object} options - Provider options
+ * @param {string} options.id - Name stored with every vector (default: 'custom'); change it when
+ *   the function changes so old vectors are not compared with new ones
+ * @returns {Object} - Provider
+ */
+function createFunctionEmbeddingProvider(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new Error('Embedding function must be a function');
+  }
+  const id = options.id || 'custom';
+  return {
+    id,
+    async embed(texts) {
+      return validateVectors(id, await Promise.all(texts.map(text => fn(text))), texts.length);
+    }
+  };
+}
+
+/**
+ * Turn the `embeddingProvider` config value into a provider
+ * @param {string|Function|Object} provider - 'api' (default), 'hashing', a function (text) => vector,
+ *   or an object { id, embed(texts) }
+ * @returns {Object|null} - Provider, or null for the remote embeddings API
+ */
+function resolveEmbeddingProvider(provider) {
+  if (provider === undefined || provider === null || provider === 'api') {
+    return null;
+  }
+  if (provider === 'hashing') {
+    return createHashingEmbeddingProvider();
+  }
+  if (typeof provider === 'function') {
+    return createFunctionEmbeddingProvider(provider);
+  }
+  if (typeof provider === 'object' && typeof provider.embed === 'function') {
+    if (!provider.id || typeof provider.id !== 'string') {
+      throw new Error('Embedding provider objects need a string id');
+    }
+    return {
+      ...provider,
+      embed: async (texts) => validateVectors(provider.id, await provider.embed(texts), texts.length)
+    };
+  }
+  throw new Error("embeddingProvider must be 'api', 'hashing', a function or an object with id and embed()");
+}
+
+/**
+ * Check whether a stored vector can be compared with a query vector
+ * Vectors stored before providers were recorded are compared by length only
+ * @param {Object} stored - { embedding, embeddingProvider }
+ * @param {string} providerId - Provider of the query vector
+ * @param {number} dimensions - Length of the query vector
+ * @returns {boolean} - True if the vectors live in the same space
+ */
+function isCompatibleEmbedding(stored, providerId, dimensions) {
+  if (!stored || !Array.isArray(stored.embedding) || stored.embedding.length !== dimensions) {
+    return false;
+  }
+  return !stored.embeddingProvider || stored.embeddingProvider === providerId;
+}
+
+module.exports = {
+  DEFAULT_EMBEDDING_MODEL,
+  hashingEmbedding,
+  createHashingEmbeddingProvider,
+  createFunctionEmbeddingProvider,
+  resolveEmbeddingProvider,
+  isCompatibleEmbedding
+};
@@ -6,6 +6,9 @@
 // Import required utilities
 let createTimeoutController, TimeoutError;
 
+// Stored vectors are only compared with vectors from the same embedding provider
+const { isCompatibleEmbedding } = require('./embedding-providers.js');
+
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment
   const { createTimeoutController: ctc } = require('../util.js');
@@ -297,6 +300,7 @@ function createMemoryModule(client) {
     
     const memoryTool = {
       name: "recall_memory",
+      group: "memory",
       description: "Search for relevant memories when the user explicitly asks to remember or recall information. Only use this tool when the user specifically mentions remembering, recalling, or accessing stored information. Do not use for general knowledge questions or current conversation context.",
       parameters: {
         type: "object",
@@ -388,6 +392,8 @@ function createMemoryModule(client) {
       try {
         const embedding = await client.embed(content);
         memory.embedding = embedding;
+        memory.embeddingProvider = client.getEmbeddingProviderId();
+        memory.embeddingDimensions = embedding.length;
       } catch (error) {
         console.warn('Failed to generate embedding for memory:', error.message);
         // Continue without embedding (will use keyword search as fallback)
@@ -420,8 +426,16 @@ function createMemoryModule(client) {
       try {
         // Try semantic search with embeddings
         const promptEmbedding = await client.embed(prompt);
+        const providerId = client.getEmbeddingProviderId();
         
-        const memoriesWithEmbeddings = memories.filter(memory => memory.embedding);
+        // Vectors from another provider live in a different space and cannot be compared
+        const memoriesWithEmbeddings = memories.filter(memory =>
+          isCompatibleEmbedding(memory, providerId, promptEmbedding.length)
+        );
+        const incompatible = memories.filter(memory => memory.embedding).length - memoriesWithEmbeddings.length;
+        if (incompatible > 0) {
+          console.warn(`Skipped ${incompatible} memories embedded with a different provider than '${providerId}'. Re-import them with regenerateEmbeddings to search them.`);
+        }
         
         if (memoriesWithEmbeddings.length === 0) {
           // Fall back to keyword search
@@ -517,6 +531,8 @@ function createMemoryModule(client) {
           // Remove embedding unless specifically requested
           if (!options.includeEmbeddings && exported.embedding) {
             delete exported.embedding;
+            delete exported.embeddingProvider;
+            delete exported.embeddingDimensions;
           }
           
           return exported;
@@ -623,7 +639,8 @@ function createMemoryModule(client) {
         }
       }
 
-      // Process each memory for import
+      // Prepare each memory for import
+      const memories = [];
       for (const memoryData of importData.memories) {
         try {
           // Check for duplicates by content
@@ -643,31 +660,49 @@ function createMemoryModule(client) {
             content: memoryData.content,
             rawData: memoryData.rawData,
             tags: memoryData.tags || [],
-            timestamp: memoryData.timestamp || Date.now()
+            timestamp: memoryData.timestamp || Date.now(),
+            embedding: null
           };
 
-          // Handle embeddings
-          if (regenerateEmbeddings) {
-            // Generate new embedding
-            try {
-              const embedding = await client.embed(memory.content);
-              memory.embedding = embedding;
-            } catch (error) {
-              console.warn('Failed to generate embedding for imported memory:', error);
-              memory.embedding = null;
-            }
-          } else if (memoryData.embedding) {
-            // Use existing embedding if available
+          // Use existing embedding if available, keeping the provider it came from
+          if (!regenerateEmbeddings && memoryData.embedding) {
             memory.embedding = memoryData.embedding;
-          } else {
-            memory.embedding = null;
+            memory.embeddingProvider = memoryData.embeddingProvider;
+            memory.embeddingDimensions = memoryData.embedding.length;
+          }
+
+          memories.push(memory);
+        } catch (error) {
+          stats.errors.push(`Failed to import memory "${memoryData.content?.slice(0, 50)}...": ${error.message}`);
+        }
+      }
+
+      // Generate new embeddings in batched requests instead of one request per memory
+      if (regenerateEmbeddings) {
+        const embeddable = memories.filter(memory => memory.content && typeof memory.content === 'string');
+        if (embeddable.length > 0) {
+          try {
+            const embeddings = await client.embedBatch(embeddable.map(memory => memory.content));
+            const providerId = client.getEmbeddingProviderId();
+            embeddable.forEach((memory, i) => {
+              memory.embedding = embeddings[i];
+              if (embeddings[i]) {
+                memory.embeddingProvider = providerId;
+                memory.embeddingDimensions = embeddings[i].length;
+              }
+            });
+          } catch (error) {
+            console.warn('Failed to generate embeddings for imported memories:', error);
           }
+        }
+      }
 
+      for (const memory of memories) {
+        try {
           await memoryStore.store(memory);
           stats.imported++;
-
         } catch (error) {
-          stats.errors.push(`Failed to import memory "${memoryData.content?.slice(0, 50)}...": ${error.message}`);
+          stats.errors.push(`Failed to import memory "${memory.content?.slice(0, 50)}...": ${error.message}`);
         }
       }
 
@@ -3,6 +3,12 @@
  * Dependencies: PDF.js, IndexedDB for vector storage
  */
 
+// Import error helpers
+const { createHttpError, withErrorContext } = require('../core/errors.js');
+
+// Import the offline embedding and the check that keeps vectors from different providers apart
+const { hashingEmbedding, isCompatibleEmbedding } = require('./embedding-providers.js');
+
 // Import PDF.js for PDF processing
 let pdfjsLib;
 let pdfLoadingPromise;
@@ -273,6 +279,7 @@ class PdfStorage {
       textStart: chunk.textStart,
       textEnd: chunk.textEnd,
       embedding: chunk.embedding,
+      embeddingProvider: chunk.embeddingProvider,
       embeddingText: chunk.embeddingText,
       pageReferences: chunk.pageReferences
     };
@@ -424,6 +431,7 @@ class PdfStorage {
         chunkIndex: chunk.chunkIndex,
         text,
         embedding: chunk.embedding,
+        embeddingProvider: chunk.embeddingProvider,
         embeddingText: chunk.embeddingText,
         pageReferences: chunk.pageReferences,
         textStart: chunk.textStart,
@@ -608,7 +616,8 @@ function chunkText(text, maxTokens = 400) {
 }
 
 function estimateTokens(text) {
-  // Simple token estimation: ~4 characters per token
+  // Simple token estimation: ~4 characters per token. Not the context manager's estimate on purpose:
+  // stored PDFs were chunked with this one, and a new estimate would chunk the same PDF differently
   return Math.ceil(text.length / 4);
 }
 
@@ -722,8 +731,10 @@ function createPdfLoaderModule(client) {
           }
           
           // All other strings are treated as URLs (relative or absolute)
-          const response = await fetch(src);
-          if (!response.ok) throw new Error(`Failed to fetch PDF: ${response.statusText}`);
+          const response = await client._fetch(src);
+          if (!response.ok) {
+            throw createHttpError(`Failed to fetch PDF: ${response.statusText}`, { status: response.status, endpoint: src });
+          }
           const arrayBuffer = await response.arrayBuffer();
           file = new Uint8Array(arrayBuffer);
           pdfId = pdfId || src.split('/').pop().replace('.pdf', '');
@@ -877,31 +888,20 @@ function createPdfLoaderModule(client) {
         
         if (onProgress) onProgress(0.8);
         
-        // Process embeddings with better progress updates
-        for (let i = 0; i < chunkTextsForEmbedding.length; i++) {
-          const { chunk, embeddingText } = chunkTextsForEmbedding[i];
-          
-          try {
-            const embedding = await this._generateEmbedding(embeddingText, embedModel);
-            chunksWithEmbeddings.push({
-              ...chunk,
-              embedding,
-              embeddingText
-            });
-          } catch (error) {
-            console.warn(`Failed to generate embedding for chunk ${i}:`, error);
-            chunksWithEmbeddings.push({
-              ...chunk,
-              embedding: null,
-              embeddingText: chunk.embeddingText
-            });
-          }
-
-          // Update progress less frequently
-          if (i % 3 === 0 || i === chunkTextsForEmbedding.length - 1) {
-            safeProgress(0.8 + (i / chunkTextsForEmbedding.length) * 0.15);
-          }
-        }
+        // Embed all chunks in batched, concurrent requests
+        const embeddings = await this._generateEmbeddings(
+          chunkTextsForEmbedding.map(({ embeddingText }) => embeddingText),
+          embedModel,
+          ({ completed, failed, total }) => safeProgress(0.8 + ((completed + failed) / total) * 0.15)
+        );
+
+        chunkTextsForEmbedding.forEach(({ chunk, embeddingText }, i) => {
+          chunksWithEmbeddings.push({
+            ...chunk,
+            ...embeddings[i],
+            embeddingText
+          });
+        });
 
         // Store in optimized format
         const metadata = {
@@ -912,6 +912,7 @@ function createPdfLoaderModule(client) {
           totalChunks: chunksWithEmbeddings.length,
           chunkTokens,
           embedModel,
+          embeddingProvider: client.getEmbeddingProviderId({ model: embedModel }),
           estimatedTokens: Math.ceil(fullText.length / 4)
         };
 
@@ -954,6 +955,7 @@ function createPdfLoaderModule(client) {
           chunkIndex: chunk.chunkIndex,
           text: fullText.substring(chunk.textStart, chunk.textEnd),
           embedding: chunk.embedding,
+          embeddingProvider: chunk.embeddingProvider,
           embeddingText: chunk.embeddingText,
           pageReferences: chunk.pageReferences,
           textStart: chunk.textStart,
@@ -990,7 +992,7 @@ function createPdfLoaderModule(client) {
           throw new Error('Storage quota exceeded. Please clear some space by removing unused PDFs.');
         } else {
           // Generic error with the original message
-          throw new Error(`Failed to process PDF: ${error.message}`);
+          throw withErrorContext(error, 'Failed to process PDF');
         }
       } finally {
         // Make sure we clean up the progress pulse
@@ -1141,10 +1143,21 @@ function createPdfLoaderModule(client) {
         };
 
       } catch (error) {
-        throw new Error(`PDF export failed: ${error.message}`);
+        throw withErrorContext(error, 'PDF export failed');
       }
     },
 
+    /**
+     * Import a PDF exported with exportPdf()
+     * Chunks without an embedding are embedded again in batched requests
+     * @param {File|Blob|ArrayBuffer} zipFile - ZIP file created by exportPdf()
+     * @param {Object} options - Import options
+     * @param {boolean} options.overwrite - Replace an existing PDF with the same ID (default: false)
+     * @param {Function} options.onProgress - Called with (percentage, message)
+     * @param {boolean} options.regenerateEmbeddings - Embed every chunk again, e.g. with another model (default: false)
+     * @param {string} options.embedModel - Embedding model for regenerated embeddings (default: the exported model)
+     * @returns {Promise<Object>} - Import result
+     */
     async importPdf(zipFile, options = {}) {
       try {
         // Check if JSZip is available
@@ -1155,7 +1168,7 @@ function createPdfLoaderModule(client) {
           throw new Error('JSZip is required for PDF import functionality. Please install it with: npm install jszip');
         }
 
-        const { overwrite = false, onProgress = null } = options;
+        const { overwrite = false, onProgress = null, regenerateEmbeddings = false } = options;
 
         // Load ZIP file
         const zip = await JSZip.loadAsync(zipFile);
@@ -1213,6 +1226,24 @@ function createPdfLoaderModule(client) {
         }
         const chunks = JSON.parse(await embeddingsFile.async('string'));
 
+        // Embed chunks that have no embedding (or all of them on request) in batched requests
+        const chunksToEmbed = chunks.filter(chunk => regenerateEmbeddings || !Array.isArray(chunk.embedding));
+        if (chunksToEmbed.length > 0) {
+          const embedModel = options.embedModel || metadata.embedModel || 'text-embedding-3-small';
+          const fullText = contentData.fullText || '';
+          const texts = chunksToEmbed.map(chunk =>
+            chunk.embeddingText ||
+            fullText.substring(chunk.textStart, chunk.textEnd) ||
+            `Chunk ${chunk.chunkIndex}`
+          );
+          const embeddings = await this._generateEmbeddings(texts, embedModel);
+          chunksToEmbed.forEach((chunk, i) => Object.assign(chunk, embeddings[i]));
+          if (regenerateEmbeddings) {
+            metadata.embedModel = embedModel;
+            metadata.embeddingProvider = client.getEmbeddingProviderId({ model: embedModel });
+          }
+        }
+
         updateProgress(++currentStep, 'Storing data...');
 
         // Store the data (clean up existing data first if overwriting)
@@ -1263,23 +1294,51 @@ function createPdfLoaderModule(client) {
         };
 
       } catch (error) {
-        throw new Error(`PDF import failed: ${error.message}`);
+        throw withErrorContext(error, 'PDF import failed');
       }
     },
 
+    /**
+     * Generate embeddings for many texts with client.embedBatch()
+     * Texts the provider could not embed fall back to local embeddings, like _generateEmbedding()
+     * @param {string[]} texts - Texts to embed
+     * @param {string} model - Embedding model
+     * @param {Function} onProgress - Called with { completed, failed, total } after each batch
+     * @returns {Promise<Object[]>} - { embedding, embeddingProvider } per text, in input order
+     */
+    async _generateEmbeddings(texts, model, onProgress = null) {
+      if (texts.length === 0) return [];
+
+      let embeddings;
+      try {
+        embeddings = await client.embedBatch(texts, { model, usageMethod: 'readPdf', onProgress });
+      } catch (error) {
+        console.warn('API embedding failed, falling back to local embedding:', error.message);
+        embeddings = new Array(texts.length).fill(null);
+      }
+
+      const providerId = client.getEmbeddingProviderId({ model });
+      return embeddings.map((embedding, i) => (embedding
+        ? { embedding, embeddingProvider: providerId }
+        : { embedding: this._generateLocalEmbedding(texts[i]), embeddingProvider: 'hashing' }));
+    },
+
+    /**
+     * Generate an embedding with the client's provider, falling back to a local embedding
+     * @param {string} text - Text to embed
+     * @param {string} model - Embedding model
+     * @returns {Promise<Object>} - { embedding, embeddingProvider }
+     */
     async _generateEmbedding(text, model) {
+      // Add a timeout indicator for slow backend responses
+      const startTime = Date.now();
+      const timeoutWarning = setTimeout(() => {
+        console.log('Embedding request taking longer than expected. Backend may be slow to respond.');
+      }, 5000); // 5 second warning
+
       // Use the client's embed method
       try {
-        // Add a timeout indicator for slow backend responses
-        const startTime = Date.now();
-        const timeoutWarning = setTimeout(() => {
-          console.log('Embedding request taking longer than expected. Backend may be slow to respond.');
-        }, 5000); // 5 second warning
-        
-        const result = await client.embed(text, { model });
-        
-        // Clear the timeout warning
-        clearTimeout(timeoutWarning);
+        const embedding = await client.embed(text, { model, usageMethod: 'readPdf' });
         
         // Log duration for performance monitoring
         const duration = Date.now() - startTime;
@@ -1287,48 +1346,19 @@ function createPdfLoaderModule(client) {
           console.log(`Embedding request completed after ${(duration/1000).toFixed(1)}s - backend response was slow.`);
         }
         
-        return result;
+        return { embedding, embeddingProvider: client.getEmbeddingProviderId({ model }) };
       } catch (error) {
         console.warn('API embedding failed, falling back to local embedding:', error.message);
-        return this._generateLocalEmbedding(text);
+        return { embedding: this._generateLocalEmbedding(text), embeddingProvider: 'hashing' };
+      } finally {
+        // Clear the timeout warning
+        clearTimeout(timeoutWarning);
       }
     },
 
     _generateLocalEmbedding(text) {
-      // Simple local embedding: convert text to a feature vector
-      // This is a basic implementation for demo purposes
-      const words = text.toLowerCase().split(/\s+/);
-      const embedding = new Array(384).fill(0); // Standard embedding size
-      
-      // Use word frequencies and positions to create features
-      const wordCounts = {};
-      words.forEach((word, index) => {
-        wordCounts[word] = (wordCounts[word] || 0) + 1;
-        
-        // Add positional information
-        const hash = this._simpleHash(word);
-        embedding[hash % 384] += 1 / (index + 1); // Weight by position
-      });
-      
-      // Add word frequency features
-      Object.entries(wordCounts).forEach(([word, count]) => {
-        const hash = this._simpleHash(word);
-        embedding[(hash + 100) % 384] += Math.log(count + 1);
-      });
-      
-      // Add text length features
-      embedding[0] = Math.log(text.length + 1) / 10;
-      embedding[1] = words.length / 100;
-      
-      // Normalize the embedding
-      const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-      if (magnitude > 0) {
-        for (let i = 0; i < embedding.length; i++) {
-          embedding[i] /= magnitude;
-        }
-      }
-      
-      return embedding;
+      // Offline feature-hashing embedding, the same vectors as the 'hashing' embedding provider
+      return hashingEmbedding(text);
     },
 
     _simpleHash(str) {
@@ -1414,6 +1444,7 @@ function createPdfLoaderModule(client) {
         // Register semantic search tool (for large PDFs or specific queries)
         client.registerTool({
           name: searchToolName,
+          group: 'pdf',
           description: `Searches the PDF "${title}" to find relevant passages about specific topics, concepts, or quotes. Returns the most relevant text chunks that match the search query.`,
           parameters: {
             type: 'object',
@@ -1426,20 +1457,22 @@ function createPdfLoaderModule(client) {
                 type: 'number',
                 description: 'Number of relevant passages to return (1-8)',
                 default: 4,
+                minimum: 1,
                 maximum: 8
               }
             },
             required: ['query']
           },
           handler: async (args) => {
-            const numResults = Math.min(args.topResults || 4, 8);
-            return await this._searchPdf(pdfId, args.query, numResults);
+            // Arguments are validated against the schema above, with topResults defaulting to 4
+            return await this._searchPdf(pdfId, args.query, args.topResults);
           }
         });
 
         // Register full text tool (for smaller PDFs or comprehensive analysis)
         client.registerTool({
           name: fullTextToolName,
+          group: 'pdf',
           description: `Retrieves the complete text content of the PDF "${title}". Useful for comprehensive analysis, summaries, or when examining the entire document structure.`,
           parameters: {
             type: 'object',
@@ -1481,13 +1514,27 @@ function createPdfLoaderModule(client) {
           return { error: 'PDF not found or has no content' };
         }
 
-        // Generate embedding for query
-        const queryEmbedding = await this._generateEmbedding(query, 'text-embedding-3-small');
+        // Embed the query with the model the PDF was indexed with
+        const metadata = loadedPdfs.has(pdfId)
+          ? loadedPdfs.get(pdfId).metadata
+          : await storage.getMetadata(pdfId);
+        const { embedding: queryEmbedding, embeddingProvider } = await this._generateEmbedding(
+          query,
+          metadata?.embedModel || 'text-embedding-3-small'
+        );
+
+        // Only chunks embedded by the same provider can be compared with the query
+        const comparableChunks = chunks.filter(chunk =>
+          isCompatibleEmbedding(chunk, embeddingProvider, queryEmbedding.length)
+        );
+        if (comparableChunks.length === 0) {
+          return { error: `The query was embedded with '${embeddingProvider}', but this PDF was indexed with a different embedding provider. Use importPdf() with regenerateEmbeddings or readPdf() again to re-index it.` };
+        }
 
         // Calculate similarities
-        const similarities = chunks.map(chunk => ({
+        const similarities = comparableChunks.map(chunk => ({
           ...chunk,
-          similarity: chunk.embedding ? cosineSimilarity(queryEmbedding, chunk.embedding) : 0
+          similarity: cosineSimilarity(queryEmbedding, chunk.embedding)
         }));
 
         // Sort by similarity and get top results
@@ -1600,7 +1647,7 @@ function createPdfLoaderModule(client) {
         // Start progress pulse before potentially slow embedding operation
         startProgressPulse(options.currentProgress, `Generating embedding for chunk ${options.chunkCounter}/${options.totalChunks}`);
         
-        const embedding = await this._generateEmbedding(content, options.embeddingModel);
+        const { embedding } = await this._generateEmbedding(content, options.embeddingModel);
         
         // Stop progress pulse as we've completed this embedding
         stopProgressPulse();
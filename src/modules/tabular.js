@@ -0,0 +1,334 @@
+/**
+ * Tabular data helpers - CSV/TSV parsing, column type inference and compact table text
+ * A table is { columns: [{ name, type }], rows: [{ column: value }] }, where type is one of
+ * 'string', 'number', 'integer', 'boolean' or 'date' (dates are 'YYYY-MM-DD' strings)
+ */
+
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+const NULL_VALUES = ['', 'null', 'n/a', 'na', '-', 'none'];
+const TRUE_VALUES = ['true'];
+const FALSE_VALUES = ['false'];
+// Only read as booleans when the caller asks for it: 'y' or 'N' are just as often codes or initials
+const YES_VALUES = ['yes', 'y'];
+const NO_VALUES = ['no', 'n'];
+
+/**
+ * Pick the delimiter that splits the first line into the most cells
+ * @param {string} text - CSV or TSV text
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split delimited text into rows of cells, following RFC 4180 quoting
+ * (quoted cells may contain delimiters, newlines and "" for a quote)
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string[][]} - Rows of cells; blank lines are skipped
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * @param {string} value - Date text, e.g. '2024-03-01', '2024/3/1' or 'March 1, 2024'
+ * @returns {string|null} - ISO date, or null if the text is not a date
+ */
+function toIsoDate(value) {
+  const text = String(value).trim();
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+  if (ymd) {
+    const [, year, month, day] = ymd;
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    return date.getUTCMonth() === +month - 1 && date.getUTCDate() === +day
+      ? date.toISOString().slice(0, 10)
+      : null;
+  }
+  // Only accept other formats when they name a month, so '12' or '1.5' are never dates
+  if (!/[a-z]{3}/i.test(text)) {
+    return null;
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  const date = new Date(time);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Parse a number written by a person, e.g. '1,234.50', '$12' or ' 7 '
+ * @param {string} value - Number text
+ * @returns {number|null} - The number, or null if the text is not a number
+ */
+function toNumber(value) {
+  const text = String(value).trim()
+    .replace(/^[$€£¥]\s*|\s*[$€£¥]$/g, '')
+    .replace(/,(?=\d{3}(\D|$))/g, '');
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+    return null;
+  }
+  return Number(text);
+}
+
+/**
+ * Check whether a value is a number written with leading zeros, such as a ZIP code or an ID
+ * @param {*} value - Cell value
+ * @returns {boolean} - True for e.g. '02139' or '00042', false for '0' or '0.5'
+ */
+function isZeroPadded(value) {
+  return typeof value === 'string' && /^[+-]?0\d/.test(value.trim());
+}
+
+/**
+ * Convert a value to a column type
+ * Values that cannot be converted are returned unchanged, so validation can report them
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.yesNoBooleans - Also read yes/no and y/n as booleans (default: false)
+ * @returns {*} - Converted value; empty cells and placeholders such as 'n/a' become null
+ */
+function coerceValue(value, type, options = {}) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'string' && NULL_VALUES.includes(value.trim().toLowerCase())) {
+    return null;
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : toNumber(value);
+      if (number === null || (type === 'integer' && !Number.isInteger(number))) {
+        return value;
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text) || (options.yesNoBooleans && YES_VALUES.includes(text))) return true;
+      if (FALSE_VALUES.includes(text) || (options.yesNoBooleans && NO_VALUES.includes(text))) return false;
+      return value;
+    }
+    case 'date':
+      return toIsoDate(value) ?? value;
+    default:
+      return typeof value === 'string' ? value.trim() : String(value);
+  }
+}
+
+/**
+ * Infer the type of a column from its values: the narrowest of integer, number, boolean, date and string
+ * that fits every non-empty value. Numbers with leading zeros keep the column a string, so they keep their zeros
+ * @param {Array} values - Cell values
+ * @param {Object} options - Conversion options, as for coerceValue()
+ * @returns {string} - Column type
+ */
+function inferColumnType(values, options = {}) {
+  const present = values.filter(value => coerceValue(value, 'string') !== null);
+  if (present.length === 0) {
+    return 'string';
+  }
+  const fits = {
+    integer: value => !isZeroPadded(value) && Number.isInteger(coerceValue(value, 'integer')),
+    number: value => !isZeroPadded(value) && typeof coerceValue(value, 'number') === 'number',
+    boolean: value => typeof coerceValue(value, 'boolean', options) === 'boolean',
+    date: value => toIsoDate(value) !== null
+  };
+  return Object.keys(fits).find(type => present.every(fits[type])) || 'string';
+}
+
+/**
+ * Parse CSV or TSV text into a table
+ * @param {string} text - Delimited text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Cell delimiter (default: detected from the first line)
+ * @param {boolean} options.header - Whether the first row holds column names (default: true)
+ * @param {boolean} options.inferTypes - Infer column types and convert values (default: true)
+ * @param {boolean} options.yesNoBooleans - Also infer yes/no and y/n columns as booleans (default: false)
+ * @returns {Object} - { columns: [{ name, type }], rows, delimiter }
+ */
+function parseDelimited(text, options = {}) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const { header = true, inferTypes = true, yesNoBooleans = false } = options;
+
+  const cells = splitRows(source, delimiter);
+  const width = cells.reduce((max, row) => Math.max(max, row.length), 0);
+  const headerRow = header && cells.length > 0 ? cells.shift() : [];
+
+  // Blank or repeated header names would overwrite each other in the row objects
+  const seen = new Set();
+  const names = Array.from({ length: width }, (_, i) => {
+    let name = (headerRow[i] || '').trim() || `column_${i + 1}`;
+    while (seen.has(name)) name = `${name}_${i + 1}`;
+    seen.add(name);
+    return name;
+  });
+
+  const columns = names.map((name, i) => ({
+    name,
+    type: inferTypes ? inferColumnType(cells.map(row => row[i]), { yesNoBooleans }) : 'string'
+  }));
+  const rows = cells.map(row => {
+    const record = {};
+    columns.forEach(({ name, type }, i) => {
+      record[name] = inferTypes ? coerceValue(row[i], type, { yesNoBooleans }) : (row[i] ?? null);
+    });
+    return record;
+  });
+
+  return { columns, rows, delimiter };
+}
+
+/**
+ * Check whether a value is a table from parseDelimited() / readCsv()
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for { columns, rows }
+ */
+function isTable(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    Array.isArray(value.columns) && Array.isArray(value.rows) &&
+    value.columns.every(column => column && typeof column.name === 'string');
+}
+
+/**
+ * Check whether an array holds flat records that can be written as a table
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a non-empty array of objects with primitive values
+ */
+function isRecordArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(record =>
+    record && typeof record === 'object' && !Array.isArray(record) &&
+    Object.values(record).every(cell => cell === null || typeof cell !== 'object'));
+}
+
+/**
+ * Write a table as compact CSV with a typed header line - far fewer tokens than JSON,
+ * which repeats every column name in every row
+ * @param {Object|Array} table - Table, or an array of flat records
+ * @returns {string} - e.g. "name (string),age (integer)\nAda,36"
+ */
+function formatTable(table) {
+  const { columns, rows } = isTable(table)
+    ? table
+    : { columns: [...new Set(table.flatMap(Object.keys))].map(name => ({ name })), rows: table };
+
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const headerLine = columns.map(({ name, type }) => escape(type ? `${name} (${type})` : name)).join(',');
+  const lines = rows.map(row => columns.map(({ name }) => escape(row[name])).join(','));
+  return [headerLine, ...lines].join('\n');
+}
+
+/**
+ * Build the JSON Schema for rows of declared columns; every cell may be null when the value is missing
+ * @param {Object} columns - { name: type } or { name: { type, description } }
+ * @returns {Object} - { schema, types } where types maps column names to column types
+ */
+function columnsToSchema(columns) {
+  const properties = {};
+  const types = {};
+  for (const [name, spec] of Object.entries(columns)) {
+    const { type = 'string', description } = typeof spec === 'string' ? { type: spec } : (spec || {});
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Unknown column type '${type}' for '${name}'. Use ${COLUMN_TYPES.join(', ')}`);
+    }
+    types[name] = type;
+    const property = type === 'date'
+      ? { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+      : { type: [type, 'null'] };
+    const details = [description, type === 'date' ? 'Date as YYYY-MM-DD' : null].filter(Boolean).join('. ');
+    properties[name] = details ? { ...property, description: details } : property;
+  }
+
+  const names = Object.keys(properties);
+  if (names.length === 0) {
+    throw new Error('extractTable() needs at least one column');
+  }
+  return {
+    schema: {
+      type: 'array',
+      items: { type: 'object', properties, required: names, additionalProperties: false }
+    },
+    types
+  };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  detectDelimiter,
+  parseDelimited,
+  coerceValue,
+  inferColumnType,
+  isTable,
+  isRecordArray,
+  formatTable,
+  columnsToSchema
+};
@@ -1,31 +1,305 @@
 /**
  * Tool Call Tracker Module - Manages tool call lifecycle and provides inspection capabilities
+ * Finished calls can be written to a storage backend, so the log survives page reloads and restarts
  */
 
-class ToolCallTracker {
+/**
+ * IndexedDB call log storage (browser)
+ */
+class IndexedDBCallStorage {
   constructor() {
+    this.dbName = 'warpmind-tool-calls';
+    this.dbVersion = 1;
+    this.storeName = 'calls';
+    this.db = null;
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  async init() {
+    if (this.db) return this.db;
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onerror = () => reject(new Error('Failed to open IndexedDB'));
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'callId' });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * Run a single request against the object store
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async _run(mode, operation) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      request.onerror = () => reject(new Error('Tool call log request failed'));
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  async append(record) {
+    await this._run('readwrite', store => store.put(record));
+  }
+
+  async load() {
+    return this._run('readonly', store => store.index('timestamp').getAll());
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * File call log storage (Node.js); one JSON record per line, survives restarts
+ */
+class FileCallStorage {
+  /**
+   * @param {string} path - Log file (default: '.warpmind-cache/tool-calls.ndjson')
+   */
+  constructor(path = '.warpmind-cache/tool-calls.ndjson') {
+    this.path = path;
+    this.fs = require('fs').promises;
+    this.directory = require('path').dirname(path);
+  }
+
+  async append(record) {
+    await this.fs.mkdir(this.directory, { recursive: true });
+    await this.fs.appendFile(this.path, `${JSON.stringify(record)}\n`);
+  }
+
+  async load() {
+    let text;
+    try {
+      text = await this.fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut off by a crash is skipped
+      }
+    }
+    return records;
+  }
+
+  async clear() {
+    await this.fs.rm(this.path, { force: true });
+  }
+}
+
+/**
+ * Create the storage backend named in the tracker options
+ * @param {string|Object} storage - 'indexeddb', 'file', or an object with append/load/clear
+ * @param {Object} options - Tracker options (`path` is used by the file backend)
+ * @returns {Object} - Storage backend
+ */
+function createCallStorage(storage, options) {
+  if (storage && typeof storage === 'object') {
+    for (const method of ['append', 'load', 'clear']) {
+      if (typeof storage[method] !== 'function') {
+        throw new Error(`Tool call storage must implement ${method}()`);
+      }
+    }
+    return storage;
+  }
+
+  switch (storage) {
+    case 'indexeddb':
+      return new IndexedDBCallStorage();
+    case 'file':
+      return new FileCallStorage(options.path);
+    default:
+      throw new Error(`Unknown tool call storage '${storage}'. Use 'indexeddb', 'file' or a storage object`);
+  }
+}
+
+/**
+ * Convert a time filter to milliseconds
+ * @param {Date|number|string} value - Date, timestamp in milliseconds or ISO string
+ * @returns {number} - Milliseconds since the epoch
+ */
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+}
+
+/**
+ * List the differences between two JSON values
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - Path of the values (default: '$')
+ * @returns {Array<{path: string, before: *, after: *}>} - One entry per changed value
+ */
+function diffValues(before, after, path = '$') {
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(
+      before[key],
+      after[key],
+      typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`
+    ));
+  }
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path, before, after }];
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} - The value, or null without numbers
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+// Upper bounds (exclusive) of the argument size histogram buckets, in bytes
+const ARGUMENT_SIZE_BUCKETS = [100, 1000, 10000];
+
+/**
+ * Summarize a group of call records
+ * @param {Array} records - Finished calls
+ * @returns {Object} - Counts, rates, duration and argument size distributions and common errors
+ */
+function summarize(records) {
+  const durations = records.map(record => record.duration).filter(Number.isFinite).sort((a, b) => a - b);
+  const sizes = records.map(argumentSize).sort((a, b) => a - b);
+  const errors = records.filter(record => record.status === 'error');
+
+  const errorCounts = new Map();
+  for (const record of errors) {
+    errorCounts.set(record.error, (errorCounts.get(record.error) || 0) + 1);
+  }
+
+  const histogram = {};
+  ARGUMENT_SIZE_BUCKETS.forEach((limit, i) => {
+    const from = i === 0 ? 0 : ARGUMENT_SIZE_BUCKETS[i - 1];
+    histogram[`${from}-${limit - 1}`] = sizes.filter(size => size >= from && size < limit).length;
+  });
+  const largest = ARGUMENT_SIZE_BUCKETS[ARGUMENT_SIZE_BUCKETS.length - 1];
+  histogram[`${largest}+`] = sizes.filter(size => size >= largest).length;
+
+  const rate = count => (records.length > 0 ? count / records.length : 0);
+  return {
+    calls: records.length,
+    completed: records.length - errors.length,
+    errors: errors.length,
+    timedOut: errors.filter(record => record.timedOut).length,
+    retried: records.filter(record => record.retries && record.retries.length > 0).length,
+    successRate: rate(records.length - errors.length),
+    errorRate: rate(errors.length),
+    duration: {
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95),
+      max: durations.length > 0 ? durations[durations.length - 1] : null,
+      mean: durations.length > 0 ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length) : null
+    },
+    commonErrors: [...errorCounts]
+      .map(([message, count]) => ({ message, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5),
+    argumentSize: {
+      p50: percentile(sizes, 50),
+      p95: percentile(sizes, 95),
+      max: sizes.length > 0 ? sizes[sizes.length - 1] : null,
+      histogram
+    }
+  };
+}
+
+/**
+ * Size of a call's arguments as JSON, in characters
+ * @param {Object} record - Call record
+ * @returns {number} - Size; records logged before sizes were kept are measured from their parameters
+ */
+function argumentSize(record) {
+  if (Number.isFinite(record.argumentSize)) return record.argumentSize;
+  const text = JSON.stringify(record.parameters);
+  return text ? text.length : 0;
+}
+
+class ToolCallTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {string|Object} options.storage - Where finished calls are logged: 'indexeddb', 'file' or a custom
+   *   object with append(record), load() and clear() (default: kept in memory only)
+   * @param {string} options.path - Log file for the file backend (default: '.warpmind-cache/tool-calls.ndjson')
+   */
+  constructor(options = {}) {
     this.activeCalls = new Map();
     this.callHistory = [];
     this.callIdCounter = 0;
+    this.storage = options.storage ? createCallStorage(options.storage, options) : null;
+    this._pendingWrite = Promise.resolve();
+    this.listeners = [];
+    // Running counts per tool for live metrics, since the tracker was created or cleared
+    this._liveTotals = new Map();
   }
   
   /**
    * Start tracking a new tool call
    * @param {string} name - Tool name
    * @param {Object} parameters - Tool parameters
+   * @param {Object} details - Optional details stored with the call
+   * @param {string} details.conversationId - Conversation the call belongs to
    * @returns {Object} - Tool call object with callId
    */
-  startCall(name, parameters) {
+  startCall(name, parameters, { conversationId = null } = {}) {
     const callId = this.generateCallId();
+    let size = 0;
+    try {
+      size = (JSON.stringify(parameters) || '').length;
+    } catch (error) {
+      // Parameters that cannot be serialized are recorded as an error object by _sanitizeParameters()
+    }
     const call = {
       callId,
       name,
       parameters: this._sanitizeParameters(parameters),
+      argumentSize: size,
+      conversationId,
       timestamp: new Date().toISOString(),
-      startTime: performance.now()
+      startTime: performance.now(),
+      retries: []
     };
     
     this.activeCalls.set(callId, call);
+    this._emit({ type: 'start', callId, name, conversationId, argumentSize: size, timestamp: call.timestamp });
     return call;
   }
   
@@ -48,6 +322,8 @@ class ToolCallTracker {
       
       this.activeCalls.delete(callId);
       this.callHistory.push(completedCall);
+      this._persist(completedCall);
+      this._emitFinished(completedCall);
       return completedCall;
     }
     return null;
@@ -66,17 +342,42 @@ class ToolCallTracker {
       const errorCall = {
         ...call,
         error: error.message,
+        timedOut: error.name === 'TimeoutError',
         duration,
         status: 'error'
       };
       
       this.activeCalls.delete(callId);
       this.callHistory.push(errorCall);
+      this._persist(errorCall);
+      this._emitFinished(errorCall);
       return errorCall;
     }
     return null;
   }
   
+  /**
+   * Record a failed attempt of a tool call that is about to be retried
+   * @param {string} callId - Call ID
+   * @param {Error} error - Error of the failed attempt
+   * @returns {Object} - The retry record, or null if the call is not active
+   */
+  recordRetry(callId, error) {
+    const call = this.activeCalls.get(callId);
+    if (call) {
+      const retry = {
+        attempt: call.retries.length + 1,
+        error: error.message,
+        timedOut: error.name === 'TimeoutError',
+        timestamp: new Date().toISOString()
+      };
+      call.retries.push(retry);
+      this._emit({ type: 'retry', callId, name: call.name, ...retry });
+      return retry;
+    }
+    return null;
+  }
+  
   /**
    * Generate a unique call ID
    * @returns {string} - Unique call ID
@@ -103,12 +404,245 @@ class ToolCallTracker {
   }
   
   /**
-   * Clear call history
+   * Clear call history kept in memory; the stored log is left alone (see clearLog())
    */
   clearHistory() {
     this.callHistory = [];
+    this._liveTotals.clear();
+  }
+
+  /**
+   * Clear the stored log, after the calls still being written have landed
+   * @returns {Promise<void>}
+   */
+  async clearLog() {
+    if (this.storage) {
+      await this.flush();
+      await this.storage.clear();
+    }
+  }
+
+  /**
+   * Wait until every finished call has been written to storage
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this._pendingWrite;
+  }
+
+  /**
+   * Find logged calls, from storage when there is one (so earlier sessions are included)
+   * @param {Object} filters - All given filters must match
+   * @param {string|Array<string>} filters.name - Tool name(s)
+   * @param {string} filters.status - 'completed' or 'error'
+   * @param {Date|number|string} filters.since - Calls started at or after this time
+   * @param {Date|number|string} filters.until - Calls started before this time
+   * @param {string} filters.conversationId - Calls made in this conversation
+   * @param {number} filters.limit - Only the most recent calls
+   * @returns {Promise<Array>} - Call records, oldest first
+   */
+  async query(filters = {}) {
+    const { name, status, since, until, conversationId, limit } = filters;
+    let records;
+    if (this.storage) {
+      await this.flush();
+      records = await this.storage.load();
+    } else {
+      records = this.callHistory.map(call => this._toRecord(call));
+    }
+
+    const names = name === undefined ? null : [].concat(name);
+    const matches = records
+      .filter(record => !names || names.includes(record.name))
+      .filter(record => status === undefined || record.status === status)
+      .filter(record => conversationId === undefined || record.conversationId === conversationId)
+      .filter(record => since === undefined || Date.parse(record.timestamp) >= toTime(since))
+      .filter(record => until === undefined || Date.parse(record.timestamp) < toTime(until))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    return limit === undefined ? matches : matches.slice(-limit);
+  }
+
+  /**
+   * Export logged calls as text
+   * @param {string} format - 'json' (an array) or 'ndjson' (one call per line)
+   * @param {Object} filters - Filters as for query()
+   * @returns {Promise<string>} - Exported calls
+   */
+  async export(format = 'json', filters = {}) {
+    const records = await this.query(filters);
+    switch (format) {
+      case 'json':
+        return JSON.stringify(records, null, 2);
+      case 'ndjson':
+        return records.map(record => JSON.stringify(record)).join('\n');
+      default:
+        throw new Error(`Unknown export format '${format}'. Use 'json' or 'ndjson'`);
+    }
+  }
+
+  /**
+   * Aggregate logged calls per tool, e.g. to find tools that fail often or are slow
+   * @param {Object} options - Which calls to include
+   * @param {Date|number|string} options.since - Calls started at or after this time
+   * @param {Date|number|string} options.until - Calls started before this time
+   * @param {string|Array<string>} options.toolName - Only these tools
+   * @param {string} options.conversationId - Only calls made in this conversation
+   * @returns {Promise<Object>} - { total, byTool, since, until } where total and each byTool entry hold
+   *   { calls, completed, errors, timedOut, retried, successRate, errorRate, duration: { p50, p95, max, mean },
+   *   commonErrors: [{ message, count }], argumentSize: { p50, p95, max, histogram } }; durations are in
+   *   milliseconds, argument sizes in characters of JSON
+   */
+  async getStatistics(options = {}) {
+    const { since, until, toolName, conversationId } = options;
+    const records = await this.query({ since, until, conversationId, name: toolName });
+
+    const groups = new Map();
+    for (const record of records) {
+      if (!groups.has(record.name)) groups.set(record.name, []);
+      groups.get(record.name).push(record);
+    }
+
+    const byTool = {};
+    for (const name of [...groups.keys()].sort()) {
+      byTool[name] = summarize(groups.get(name));
+    }
+    return {
+      total: summarize(records),
+      byTool,
+      since: since === undefined ? null : new Date(toTime(since)).toISOString(),
+      until: until === undefined ? null : new Date(toTime(until)).toISOString()
+    };
+  }
+
+  /**
+   * Subscribe to live metrics, one event when a call starts, is retried or finishes
+   * @param {Function} listener - Called with { type: 'start' | 'retry' | 'complete' | 'error', callId, name,
+   *   timestamp, active } plus, for finished calls, { duration, retries, timedOut, error, argumentSize, totals }
+   *   where totals holds the tool's { calls, completed, errors, errorRate } since the tracker was created
+   * @returns {Function} - Call to unsubscribe
+   */
+  onMetrics(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Metrics listener must be a function');
+    }
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * List the differences between two results
+   * @param {*} before - Recorded result
+   * @param {*} after - New result
+   * @returns {Array<{path: string, before: *, after: *}>} - Changed values, empty if the results are equal
+   */
+  static diff(before, after) {
+    return diffValues(before, after);
   }
   
+  /**
+   * Render a trace as readable text, one line per entry
+   * Accepts agent step events (agent.getTrace()) as well as entries from getCallHistory()
+   * @param {Array} entries - Trace entries
+   * @returns {string} - Text with one line per entry
+   */
+  static formatTrace(entries) {
+    const preview = (value) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return text && text.length > 200 ? `${text.substring(0, 197)}...` : text;
+    };
+
+    return entries.map(entry => {
+      const prefix = entry.step !== undefined ? `[step ${entry.step}] ` : '';
+      switch (entry.type) {
+        case 'thinking':
+          return `${prefix}thinking: ${preview(entry.text)}`;
+        case 'final_answer':
+          return `${prefix}answer: ${preview(entry.text)}`;
+        case 'tool_call':
+          return `${prefix}call ${entry.name}(${preview(entry.parameters)})`;
+        default: {
+          // tool_result events, and call history entries which also carry the parameters
+          const call = entry.type === 'tool_result' ? entry.name : `${entry.name}(${preview(entry.parameters)})`;
+          const outcome = entry.status === 'completed' ? `→ ${preview(entry.result)}` : `${entry.status}: ${entry.error}`;
+          const retries = entry.retries && entry.retries.length > 0
+            ? `, ${entry.retries.length} ${entry.retries.length === 1 ? 'retry' : 'retries'}`
+            : '';
+          return `${prefix}${call} ${outcome} (${entry.duration}ms${retries})`;
+        }
+      }
+    }).join('\n');
+  }
+
+  /**
+   * The stored form of a finished call, without timing data that only makes sense in this session
+   * @private
+   * @param {Object} call - Finished call from the history
+   * @returns {Object} - Call record
+   */
+  _toRecord(call) {
+    const { startTime, ...record } = call;
+    return record;
+  }
+
+  /**
+   * Count a finished call in the live totals and tell the listeners
+   * @private
+   * @param {Object} call - Finished call
+   */
+  _emitFinished(call) {
+    const totals = this._liveTotals.get(call.name) || { calls: 0, completed: 0, errors: 0, errorRate: 0 };
+    totals.calls++;
+    totals[call.status === 'completed' ? 'completed' : 'errors']++;
+    totals.errorRate = totals.errors / totals.calls;
+    this._liveTotals.set(call.name, totals);
+
+    this._emit({
+      type: call.status === 'completed' ? 'complete' : 'error',
+      callId: call.callId,
+      name: call.name,
+      conversationId: call.conversationId,
+      duration: call.duration,
+      retries: call.retries.length,
+      timedOut: Boolean(call.timedOut),
+      error: call.error,
+      argumentSize: call.argumentSize,
+      totals: { ...totals },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a metrics event to every listener; listener errors are logged and ignored
+   * @private
+   * @param {Object} event - Metrics event
+   */
+  _emit(event) {
+    if (this.listeners.length === 0) return;
+    const withActive = { ...event, active: this.activeCalls.size };
+    for (const listener of this.listeners) {
+      try {
+        listener(withActive);
+      } catch (error) {
+        console.warn('Error in tool metrics listener:', error);
+      }
+    }
+  }
+
+  /**
+   * Write a finished call to storage in the background; failures are logged and ignored
+   * @private
+   * @param {Object} call - Finished call
+   */
+  _persist(call) {
+    if (!this.storage) return;
+    const record = this._toRecord(call);
+    this._pendingWrite = this._pendingWrite
+      .then(() => this.storage.append(record))
+      .catch(error => console.warn('Tool call log write failed:', error.message));
+  }
+
   /**
    * Sanitize parameters to prevent circular references and limit size
    * @param {*} parameters - Parameters to sanitize
@@ -168,4 +702,7 @@ class ToolCallTracker {
   }
 }
 
+ToolCallTracker.IndexedDBCallStorage = IndexedDBCallStorage;
+ToolCallTracker.FileCallStorage = FileCallStorage;
+
 module.exports = ToolCallTracker;
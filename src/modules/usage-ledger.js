@@ -0,0 +1,211 @@
+/**
+ * Usage Ledger Module - Aggregates token usage and estimated cost across all API calls
+ * Totals are kept per model and per method (chat, streamChat, respond, embed, ...)
+ */
+
+/**
+ * Default prices in USD per 1M tokens, used for cost estimates
+ * Providers change prices often, so override them with setPrices() or the `prices` config option
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+  'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'o4-mini': { input: 1.10, cachedInput: 0.275, output: 4.40 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'text-embedding-ada-002': { input: 0.10 }
+};
+
+/**
+ * Create an empty usage bucket
+ * @returns {Object} - Bucket with zeroed counters
+ */
+function createBucket() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    cachedTokens: 0,
+    totalTokens: 0,
+    cost: 0
+  };
+}
+
+/**
+ * Normalize usage objects from the Chat Completions, Responses and Embeddings APIs
+ * @param {Object} usage - Raw usage object from an API response
+ * @returns {Object} - { promptTokens, completionTokens, cachedTokens, totalTokens }
+ */
+function normalizeUsage(usage) {
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens ??
+    usage.input_tokens_details?.cached_tokens ?? 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    cachedTokens,
+    totalTokens: usage.total_tokens ?? (promptTokens + completionTokens)
+  };
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {Object} options.prices - Price overrides, merged into the defaults
+   */
+  constructor(options = {}) {
+    this.prices = { ...DEFAULT_PRICES, ...(options.prices || {}) };
+    this.listeners = [];
+    this.reset();
+  }
+
+  /**
+   * Clear all recorded usage (prices and listeners are kept)
+   */
+  reset() {
+    this.total = createBucket();
+    this.byModel = {};
+    this.byMethod = {};
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Merge price overrides into the price table
+   * @param {Object} prices - Map of model name to { input, cachedInput, output } in USD per 1M tokens
+   */
+  setPrices(prices) {
+    this.prices = { ...this.prices, ...(prices || {}) };
+  }
+
+  /**
+   * Find the price entry for a model, falling back to the longest matching prefix
+   * so dated snapshots like 'gpt-4o-2024-08-06' use the 'gpt-4o' price
+   * @param {string} model - Model name
+   * @returns {Object|null} - Price entry or null if the model is unknown
+   */
+  getPrice(model) {
+    if (!model) return null;
+    if (this.prices[model]) return this.prices[model];
+
+    let match = null;
+    for (const name of Object.keys(this.prices)) {
+      if (model.startsWith(name) && (!match || name.length > match.length)) {
+        match = name;
+      }
+    }
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Estimate the cost of a normalized usage entry
+   * @param {string} model - Model name
+   * @param {Object} tokens - Normalized token counts
+   * @returns {number|null} - Cost in USD, or null if the model has no price
+   */
+  estimateCost(model, tokens) {
+    const price = this.getPrice(model);
+    if (!price) return null;
+
+    // Cached prompt tokens are billed at the cached rate when the model has one
+    const cachedRate = price.cachedInput ?? price.input ?? 0;
+    const uncachedPrompt = tokens.promptTokens - tokens.cachedTokens;
+    return (
+      uncachedPrompt * (price.input || 0) +
+      tokens.cachedTokens * cachedRate +
+      tokens.completionTokens * (price.output || 0)
+    ) / 1000000;
+  }
+
+  /**
+   * Record the usage of one API request
+   * @param {Object} entry - Usage entry
+   * @param {string} entry.method - Public method that made the request (e.g. 'chat')
+   * @param {string} entry.model - Model that served the request
+   * @param {Object} entry.usage - Raw usage object from the API response
+   * @returns {Object|null} - Recorded entry, or null if there was no usage to record
+   */
+  record({ method, model, usage }) {
+    if (!usage) return null;
+
+    const tokens = normalizeUsage(usage);
+    const cost = this.estimateCost(model, tokens);
+    if (cost === null && model) {
+      this.unpricedModels.add(model);
+    }
+
+    const modelKey = model || 'unknown';
+    const methodKey = method || 'unknown';
+    this.byModel[modelKey] = this.byModel[modelKey] || createBucket();
+    this.byMethod[methodKey] = this.byMethod[methodKey] || createBucket();
+
+    for (const bucket of [this.total, this.byModel[modelKey], this.byMethod[methodKey]]) {
+      bucket.requests++;
+      bucket.promptTokens += tokens.promptTokens;
+      bucket.completionTokens += tokens.completionTokens;
+      bucket.cachedTokens += tokens.cachedTokens;
+      bucket.totalTokens += tokens.totalTokens;
+      bucket.cost += cost || 0;
+    }
+
+    const recorded = {
+      method: methodKey,
+      model: modelKey,
+      ...tokens,
+      cost,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const listener of this.listeners) {
+      try {
+        listener(recorded);
+      } catch (error) {
+        console.warn('Error in usage listener:', error);
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Subscribe to usage events, one per recorded request
+   * @param {Function} listener - Called with the recorded entry
+   * @returns {Function} - Call to unsubscribe
+   */
+  onUsage(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Usage listener must be a function');
+    }
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get a snapshot of the aggregated usage
+   * @returns {Object} - { total, byModel, byMethod, currency, unpricedModels }
+   */
+  getUsage() {
+    const copyBuckets = (buckets) => Object.fromEntries(
+      Object.entries(buckets).map(([key, bucket]) => [key, { ...bucket }])
+    );
+
+    return {
+      total: { ...this.total },
+      byModel: copyBuckets(this.byModel),
+      byMethod: copyBuckets(this.byMethod),
+      currency: 'USD',
+      unpricedModels: [...this.unpricedModels]
+    };
+  }
+}
+
+UsageLedger.DEFAULT_PRICES = DEFAULT_PRICES;
+
+module.exports = UsageLedger;
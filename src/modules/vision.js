@@ -30,6 +30,8 @@ function createVisionModule(client) {
      * @param {string} options.model - Vision model to use (default: 'gpt-4o')
      * @param {string} options.detail - Image detail level: "low" or "high" (default: "low")
      * @param {number} options.timeoutMs - Request timeout in milliseconds
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @param {boolean} options.cache - Set to false to bypass the response cache for this call
      * @returns {Promise<Object>} - AI response object with image analysis
      */
     async analyzeImage(image, prompt = "What do you see in this image?", options = {}) {
@@ -63,7 +65,7 @@ function createVisionModule(client) {
         }
       } else if (image && image.tagName === 'IMG') {
         // HTML img element - fetch and convert to blob
-        const response = await fetch(image.src);
+        const response = await client._fetch(image.src);
         const blob = await response.blob();
         const base64 = await fileToBase64(blob);
         imageContent = {
@@ -105,7 +107,8 @@ function createVisionModule(client) {
 
       // Extract only valid chat options, excluding vision-specific options like 'detail'
       const chatOptions = {
-        model: options.model || 'gpt-4o'
+        model: options.model || 'gpt-4o',
+        usageMethod: 'analyzeImage'
       };
       
       // Only pass through recognized chat options
@@ -115,6 +118,8 @@ function createVisionModule(client) {
       if (options.frequency_penalty !== undefined) chatOptions.frequency_penalty = options.frequency_penalty;
       if (options.presence_penalty !== undefined) chatOptions.presence_penalty = options.presence_penalty;
       if (options.timeoutMs !== undefined) chatOptions.timeoutMs = options.timeoutMs;
+      if (options.signal !== undefined) chatOptions.signal = options.signal;
+      if (options.cache !== undefined) chatOptions.cache = options.cache;
 
       return await client.chat(messages, chatOptions);
     }
@@ -0,0 +1,189 @@
+/**
+ * Tolerant parser for JSON that is still arriving, e.g. structured output streamed by processStream()
+ * Reads the best-effort value of a truncated document: open strings, arrays and objects are closed,
+ * while a key without a value or a half-written literal is left out until more text arrives
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const LITERALS = { true: true, false: false, null: null };
+const NUMBER = /-?\d*(?:\.\d*)?(?:[eE][+-]?\d*)?/y;
+
+/**
+ * Parse the JSON received so far
+ * Invalid JSON is not an error here: parsing stops at the first unexpected character and
+ * returns what was read before it (the final document should still be checked with JSON.parse)
+ * @param {string} text - A JSON document, possibly cut off anywhere
+ * @returns {Object} - { value, complete, completedItems } where value is undefined while nothing can be read yet,
+ *   complete is true once the whole document has arrived, and completedItems(array) counts the leading
+ *   elements of an array from value that have been received in full
+ */
+function parsePartialJson(text) {
+  const source = String(text);
+  const completeCounts = new WeakMap();
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+
+  // Every reader returns { value, complete }; value is undefined when nothing usable was read
+  const stop = (value) => {
+    pos = source.length;
+    return { value, complete: false };
+  };
+
+  const readString = () => {
+    pos++; // Opening quote
+    let result = '';
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '"') {
+        pos++;
+        return { value: result, complete: true };
+      }
+      if (char !== '\\') {
+        result += char;
+        pos++;
+        continue;
+      }
+      // A cut-off escape sequence is dropped until the rest of it arrives
+      const escape = source[pos + 1];
+      if (escape === 'u') {
+        const hex = source.slice(pos + 2, pos + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+        result += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else if (escape in ESCAPES) {
+        result += ESCAPES[escape];
+        pos += 2;
+      } else {
+        break;
+      }
+    }
+    return stop(result);
+  };
+
+  const readNumber = () => {
+    NUMBER.lastIndex = pos;
+    const match = NUMBER.exec(source)[0];
+    pos += match.length;
+    const value = Number(match);
+    if (pos < source.length) {
+      return Number.isNaN(value) ? stop(undefined) : { value, complete: true };
+    }
+    // The number may still grow, but its digits so far are the best estimate (nothing for '-' or '1e')
+    return { value: Number.isNaN(value) ? undefined : value, complete: false };
+  };
+
+  // A half-written literal such as 'tru' reads as nothing yet
+  const readLiteral = () => {
+    for (const [word, value] of Object.entries(LITERALS)) {
+      if (source.startsWith(word, pos)) {
+        pos += word.length;
+        return { value, complete: true };
+      }
+    }
+    return stop(undefined);
+  };
+
+  const readArray = () => {
+    pos++; // Opening bracket
+    const result = [];
+    completeCounts.set(result, 0);
+    skipWhitespace();
+    if (source[pos] === ']') {
+      pos++;
+      return { value: result, complete: true };
+    }
+    while (pos < source.length) {
+      const item = readValue();
+      if (item.value !== undefined) {
+        result.push(item.value);
+      }
+      if (!item.complete) {
+        break;
+      }
+      completeCounts.set(result, result.length);
+      skipWhitespace();
+      if (source[pos] === ']') {
+        pos++;
+        return { value: result, complete: true };
+      }
+      if (source[pos] !== ',') {
+        break;
+      }
+      pos++;
+    }
+    return stop(result);
+  };
+
+  const readObject = () => {
+    pos++; // Opening brace
+    const result = {};
+    skipWhitespace();
+    if (source[pos] === '}') {
+      pos++;
+      return { value: result, complete: true };
+    }
+    while (pos < source.length) {
+      skipWhitespace();
+      if (source[pos] !== '"') {
+        break;
+      }
+      // A key is only added once its value has started
+      const key = readString();
+      if (!key.complete) {
+        break;
+      }
+      skipWhitespace();
+      if (source[pos] !== ':') {
+        break;
+      }
+      pos++;
+      const entry = readValue();
+      if (entry.value !== undefined) {
+        result[key.value] = entry.value;
+      }
+      if (!entry.complete) {
+        break;
+      }
+      skipWhitespace();
+      if (source[pos] === '}') {
+        pos++;
+        return { value: result, complete: true };
+      }
+      if (source[pos] !== ',') {
+        break;
+      }
+      pos++;
+    }
+    return stop(result);
+  };
+
+  const readValue = () => {
+    skipWhitespace();
+    const char = source[pos];
+    if (char === undefined) return stop(undefined);
+    if (char === '{') return readObject();
+    if (char === '[') return readArray();
+    if (char === '"') return readString();
+    if (char === '-' || (char >= '0' && char <= '9')) return readNumber();
+    return readLiteral();
+  };
+
+  const { value, complete } = readValue();
+  skipWhitespace();
+
+  return {
+    value,
+    complete: complete && pos === source.length,
+    completedItems: (array) => completeCounts.get(array) ?? (Array.isArray(array) ? array.length : 0)
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parsePartialJson };
+} else {
+  // Browser environment
+  window.PartialJson = { parsePartialJson };
+}
@@ -36,6 +36,7 @@ async function parseSSE(reader, onEvent) {
   let fullResponse = '';
   let responseId = null;
   let usage = null;
+  let output = null;
   let eventType = null;
   
   // Create the SSE parser
@@ -127,6 +128,7 @@ async function parseSSE(reader, onEvent) {
         // Final event with full response
         responseId = data.response?.id || data.id || responseId;
         usage = data.response?.usage || data.usage;
+        output = data.response?.output || output;
         break;
 
       case 'response.error':
@@ -185,15 +187,24 @@ async function parseSSE(reader, onEvent) {
       parser.feed(chunk);
     }
   } catch (error) {
+    // Let aborts through untouched so callers can tell cancellation from timeouts
+    if (error.name === 'AbortError') {
+      throw error;
+    }
     throw new Error(`SSE parsing failed: ${error.message}`);
   }
 
   // Return response object (compatible with both APIs)
-  return {
+  const result = {
     text: fullResponse,
     id: responseId,
     usage: usage
   };
+  // Responses API streams end with the full output items (reasoning, function calls, messages)
+  if (output) {
+    result.output = output;
+  }
+  return result;
 }
 
 // Export the function and createParser for use by other modules
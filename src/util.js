@@ -45,14 +45,18 @@ function shouldRetry(status) {
  * Creates an AbortController with automatic timeout
  * Useful for canceling requests that take too long
  * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Object} - Object with controller and timeout ID {controller, timeoutId}
+ * @param {AbortSignal} signal - Optional caller-supplied signal that also aborts the controller
+ * @returns {Object} - {controller, timeoutId, cleanup}; cleanup() clears the timeout and detaches the
+ *   caller's signal, so a long-lived signal does not collect one listener per request
  */
-function createTimeoutController(timeoutMs) {
+function createTimeoutController(timeoutMs, signal) {
   if (typeof AbortController === 'undefined') {
     // Return a fallback when AbortController is not available
+    const timeoutId = setTimeout(() => {}, timeoutMs);
     return {
       controller: null,
-      timeoutId: setTimeout(() => {}, timeoutMs)
+      timeoutId,
+      cleanup: () => clearTimeout(timeoutId)
     };
   }
   
@@ -60,8 +64,28 @@ function createTimeoutController(timeoutMs) {
   const timeoutId = setTimeout(() => {
     controller.abort();
   }, timeoutMs);
+
+  // Forward caller-initiated aborts to the internal controller
+  const forwardAbort = () => controller.abort();
+  let listening = false;
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else if (typeof signal.addEventListener === 'function') {
+      signal.addEventListener('abort', forwardAbort, { once: true });
+      listening = true;
+    }
+  }
+
+  const cleanup = () => {
+    clearTimeout(timeoutId);
+    if (listening) {
+      signal.removeEventListener('abort', forwardAbort);
+      listening = false;
+    }
+  };
   
-  return { controller, timeoutId };
+  return { controller, timeoutId, cleanup };
 }
 
 /**
@@ -120,6 +144,44 @@ function fileToBase64(file) {
   });
 }
 
+/**
+ * Serialize a value as JSON with object keys sorted, so equal requests give equal strings
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * 53-bit string hash (cyrb53), synchronous so it works the same in Node.js and browsers
+ * @param {string} str - String to hash
+ * @param {number} seed - Hash seed
+ * @returns {string} - Hash as 14 hex characters
+ */
+function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
 // Export for both CommonJS and ES modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -129,7 +191,9 @@ if (typeof module !== 'undefined' && module.exports) {
     createTimeoutController,
     sleep,
     delayForRetry,
-    fileToBase64
+    fileToBase64,
+    stableStringify,
+    hashString
   };
 } else if (typeof window !== 'undefined') {
   // Browser environment - attach to window for global access
@@ -140,6 +204,8 @@ if (typeof module !== 'undefined' && module.exports) {
     createTimeoutController,
     sleep,
     delayForRetry,
-    fileToBase64
+    fileToBase64,
+    stableStringify,
+    hashString
   };
 }
@@ -6,8 +6,68 @@
 // Import utility functions for better modularity
 let addJitter, calculateRetryDelay, shouldRetry, createTimeoutController, sleep, delayForRetry, fileToBase64;
 
-// Import base client and TimeoutError
-const { BaseClient, TimeoutError } = require('./core/base-client.js');
+// Import base client and error types
+const { BaseClient } = require('./core/base-client.js');
+const {
+  WarpMindError,
+  TimeoutError,
+  AbortError,
+  AuthenticationError,
+  RateLimitError,
+  BadRequestError,
+  ServerError,
+  NetworkError,
+  ContentFilterError,
+  ToolExecutionError,
+  SchemaValidationError,
+  BudgetExceededError,
+  withErrorContext
+} = require('./core/errors.js');
+
+// Error types exposed to users, e.g. `catch (e) { if (e instanceof WarpMind.RateLimitError) ... }`
+const errorTypes = {
+  WarpMindError,
+  TimeoutError,
+  AbortError,
+  AuthenticationError,
+  RateLimitError,
+  BadRequestError,
+  ServerError,
+  NetworkError,
+  ContentFilterError,
+  ToolExecutionError,
+  SchemaValidationError,
+  BudgetExceededError
+};
+
+// Options that configure the client side of a call and must never reach the API
+const CLIENT_OPTIONS = [
+  'timeoutMs',
+  'signal',
+  'cache',
+  'cacheValidator',
+  'usageMethod',
+  'returnMetadata',
+  'onToolCall',
+  'onToolResult',
+  'onToolError',
+  'onToolLimitReached',
+  'confirmToolCall',
+  'tools',
+  'tool_choice',
+  'maxToolRounds',
+  'toolConcurrency',
+  'conversationId',
+  'onMessage',
+  'contextWindow',
+  'stateless'
+];
+
+// Import JSON Schema validation for tool arguments
+const jsonSchema = require('./core/json-schema.js');
+
+// Import tool definitions from plain functions and objects
+const { functionToTool, objectToTools } = require('./core/function-tools.js');
 
 // Import SSE parser for streaming functionality
 const { parseSSE, createParser } = require('./streaming/sse-parser.js');
@@ -30,6 +90,15 @@ let createMemoryModule;
 // Import tool call tracker
 let ToolCallTracker;
 
+// Import usage ledger
+let UsageLedger;
+
+// Import embedding providers
+let embeddingProviders;
+
+// Import context manager
+let ContextManager;
+
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment
   const utils = require('./util.js');
@@ -58,6 +127,15 @@ if (typeof module !== 'undefined' && module.exports) {
   // Import tool call tracker in Node.js
   ToolCallTracker = require('./modules/tool-call-tracker.js');
   
+  // Import usage ledger in Node.js
+  UsageLedger = require('./modules/usage-ledger.js');
+  
+  // Import embedding providers in Node.js
+  embeddingProviders = require('./modules/embedding-providers.js');
+  
+  // Import context manager in Node.js
+  ContextManager = require('./modules/context-window.js');
+  
   // Import PDF loader module in Node.js
   createPdfLoaderModule = require('./modules/pdf-loader.js');
 } else {
@@ -91,6 +169,15 @@ if (typeof module !== 'undefined' && module.exports) {
     
     // Import tool call tracker in browser
     ToolCallTracker = require('./modules/tool-call-tracker.js');
+    
+    // Import usage ledger in browser
+    UsageLedger = require('./modules/usage-ledger.js');
+    
+    // Import embedding providers in browser
+    embeddingProviders = require('./modules/embedding-providers.js');
+    
+    // Import context manager in browser
+    ContextManager = require('./modules/context-window.js');
   } catch (error) {
     throw new Error('Utility functions are required. Please ensure util.js is bundled with your application.');
   }
@@ -126,9 +213,23 @@ class WarpMind extends BaseClient {
 
     // Initialize tool registry
     this._tools = [];
+
+    // Tool-call rounds per request before the model must answer, and tools run at the same time per round
+    this.maxToolRounds = config.maxToolRounds ?? 2;
+    this.toolConcurrency = config.toolConcurrency ?? 4;
+
+    // Time limit for tools that set no timeoutMs, and who is asked before tools with requiresConfirmation run
+    this.toolTimeoutMs = config.toolTimeoutMs ?? 30000;
+    this.confirmToolCall = config.confirmToolCall || null;
     
-    // Initialize tool call tracker
-    this._toolCallTracker = new ToolCallTracker();
+    // Initialize tool call tracker (config.toolCallLog: { storage: 'indexeddb' | 'file' | object, path })
+    this._toolCallTracker = new ToolCallTracker(config.toolCallLog);
+    
+    // Initialize usage ledger (token totals and cost estimates for every request)
+    this._usageLedger = new UsageLedger({ prices: config.prices });
+    
+    // Embedding provider used by embed(), memories and PDFs (null = the embeddings API)
+    this._embeddingProvider = embeddingProviders.resolveEmbeddingProvider(config.embeddingProvider);
     
     // Memory tool configuration
     this._memoryToolConfig = {
@@ -211,11 +312,76 @@ class WarpMind extends BaseClient {
     return null;
   }
 
+  /**
+   * Get the token usage and estimated cost recorded by this instance
+   * @returns {Object} - { total, byModel, byMethod, currency, unpricedModels }; each bucket has
+   *   requests, promptTokens, completionTokens, cachedTokens, totalTokens and cost
+   */
+  getUsage() {
+    return this._usageLedger.getUsage();
+  }
+
+  /**
+   * Clear the recorded usage
+   */
+  resetUsage() {
+    this._usageLedger.reset();
+  }
+
+  /**
+   * Subscribe to usage events, one per API request (including every tool-call hop)
+   * @param {Function} listener - Called with { method, model, promptTokens, completionTokens,
+   *   cachedTokens, totalTokens, cost, timestamp }
+   * @returns {Function} - Call to unsubscribe
+   */
+  onUsage(listener) {
+    return this._usageLedger.onUsage(listener);
+  }
+
+  /**
+   * Override model prices used for cost estimates
+   * @param {Object} prices - Map of model name to { input, cachedInput, output } in USD per 1M tokens
+   */
+  setPrices(prices) {
+    this._usageLedger.setPrices(prices);
+  }
+
+  /**
+   * Record the usage reported by an API response in the ledger
+   * @private
+   * @param {string} method - Public method that made the request
+   * @param {string} model - Model that served the request
+   * @param {Object} usage - Raw usage object from the response
+   */
+  _recordUsage(method, model, usage) {
+    if (usage) {
+      const entry = this._usageLedger.record({ method, model, usage });
+      this._limiter.recordTokens(entry.totalTokens);
+    }
+  }
+
   /**
    * Generate a chat completion
    * @param {string|Array} messages - Single message string or array of message objects
    * @param {Object} options - Optional parameters
    * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request (rejects with AbortError)
+   * @param {boolean} options.cache - Set to false to bypass the response cache for this call
+   * @param {number} options.maxToolRounds - Tool-call rounds before the model must answer without tools
+   *   (default: the maxToolRounds config option, 2)
+   * @param {number} options.toolConcurrency - Tool calls of one round run at the same time (default: 4)
+   * @param {Function} options.onToolLimitReached - Called with { maxToolRounds, lastToolCalls } when the
+   *   round limit is reached; throw from it to stop instead of answering without tools
+   * @param {Function} options.confirmToolCall - Called with { callId, name, parameters } before tools registered
+   *   with requiresConfirmation run; resolve to true to allow the call (default: the confirmToolCall config option)
+   * @param {Array<string>} options.tools - Names of the tools and tool groups the model may use (default: all)
+   * @param {string|Object} options.tool_choice - 'auto', 'none', 'required' or the name of a tool the model
+   *   must call first
+   * @param {string} options.conversationId - ID stored with the tool calls of this request in the tool call log
+   * @param {Function} options.onMessage - Called with every message the call adds to the conversation: assistant
+   *   messages with tool_calls, tool results and the final answer, in Chat Completions format
+   * @param {ContextManager|Object} options.contextWindow - Context manager, or its options, that trims or
+   *   summarizes the oldest messages when they do not fit the model's context (see createContextManager())
    * @returns {Promise<string>} - The generated response
    */
   async chat(messages, options = {}) {
@@ -224,6 +390,10 @@ class WarpMind extends BaseClient {
       messages = [{ role: 'user', content: messages }];
     }
 
+    if (options.contextWindow) {
+      ({ messages } = await this._contextManagerFor(options.contextWindow).fit(messages, { model: options.model || this.model }));
+    }
+
     // Support tool calling with depth limit
     return await this._chatWithTools(messages, options, 0);
   }
@@ -237,7 +407,7 @@ class WarpMind extends BaseClient {
    * @returns {Promise<string>} - The final response
    */
   async _chatWithTools(messages, options = {}, depth = 0) {
-    const MAX_TOOL_CALL_DEPTH = 2;
+    const maxToolRounds = options.maxToolRounds ?? this.maxToolRounds;
     
     // Track tool calls for metadata if requested
     const toolCallsMetadata = [];
@@ -249,50 +419,62 @@ class WarpMind extends BaseClient {
       temperature: options.temperature !== undefined ? options.temperature : this.temperature
     };
 
-    // Include tools if registered and not at max depth
-    if (this._tools.length > 0 && depth < MAX_TOOL_CALL_DEPTH) {
-      requestData.tools = this._tools.map(t => t.schema);
-      requestData.tool_choice = 'auto'; // Let the model decide when to use tools
+    // Include the selected tools unless every tool round has been used
+    const { tools, toolChoice } = this._selectTools(options, depth);
+    if (tools.length > 0 && depth < maxToolRounds) {
+      requestData.tools = tools.map(t => t.schema);
+      requestData.tool_choice = toolChoice;
     }
 
     // Add other options, but filter out our custom ones to avoid conflicts
-    const filteredOptions = { ...options };
-    delete filteredOptions.model;
-    delete filteredOptions.temperature;
-    delete filteredOptions.timeoutMs;
-    delete filteredOptions.onToolCall;
-    delete filteredOptions.onToolResult;
-    delete filteredOptions.onToolError;
-    delete filteredOptions.returnMetadata;
-    
-    Object.assign(requestData, filteredOptions);
+    Object.assign(requestData, this._payloadOptions(options, ['model', 'temperature']));
 
     const requestOptions = {
-      timeoutMs: options.timeoutMs
+      timeoutMs: options.timeoutMs,
+      signal: options.signal,
+      cache: options.cache,
+      cacheValidator: options.cacheValidator
     };
 
     const response = await this.makeRequest('/chat/completions', requestData, requestOptions);
+    this._recordUsage(options.usageMethod || 'chat', response.model || requestData.model, response.usage);
+
     const message = response.choices[0]?.message;
     
     if (!message) {
-      throw new Error('No message in response');
+      throw new ServerError('No message in response', { body: response, endpoint: '/chat/completions' });
+    }
+
+    // A filtered completion comes back as a successful response with no content
+    if (response.choices[0].finish_reason === 'content_filter' && !message.content && !message.tool_calls) {
+      throw new ContentFilterError('The response was blocked by the content filter', {
+        body: response,
+        endpoint: '/chat/completions'
+      });
     }
 
     // Check if the assistant wants to call tools
-    if (message.tool_calls && message.tool_calls.length > 0 && depth < MAX_TOOL_CALL_DEPTH) {
+    if (message.tool_calls && message.tool_calls.length > 0 && depth < maxToolRounds) {
       // Add the assistant's message to the conversation
-      const newMessages = [...messages, {
+      const assistantMessage = {
         role: 'assistant',
         content: message.content,
         tool_calls: message.tool_calls
-      }];
-
-      // Execute each tool call
-      for (const toolCall of message.tool_calls) {
-        let toolCallMetadata = null;
-        
-        try {
-          const result = await this._executeTool(toolCall, {
+      };
+      const newMessages = [...messages, assistantMessage];
+      this._safeCallCallback(options.onMessage, assistantMessage);
+
+      // Execute the tool calls, independent ones at the same time
+      const toolMessages = await this._runToolCalls(message.tool_calls, {
+        concurrency: options.toolConcurrency ?? this.toolConcurrency,
+        signal: options.signal,
+        partialText: message.content || '',
+        messages: newMessages,
+        tools,
+        conversationId: options.conversationId,
+        callbacks: () => {
+          let toolCallMetadata = null;
+          return {
             onToolCall: (callData) => {
               // Store metadata for returnMetadata option
               if (options.returnMetadata) {
@@ -333,24 +515,16 @@ class WarpMind extends BaseClient {
               if (options.onToolError) {
                 options.onToolError(errorData);
               }
-            }
-          });
-          
-          // Add tool result to messages
-          newMessages.push({
-            role: 'tool',
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(result ?? null)
-          });
-        } catch (error) {
-          // Add error result to messages
-          newMessages.push({
-            role: 'tool',
-            tool_call_id: toolCall.id,
-            content: JSON.stringify({ error: error.message })
-          });
+            },
+            confirmToolCall: options.confirmToolCall
+          };
         }
-      }
+      });
+      newMessages.push(...toolMessages);
+      toolMessages.forEach(toolMessage => this._safeCallCallback(options.onMessage, toolMessage));
+
+      // The next request is sent without tools once every round has been used
+      this._notifyToolLimit(depth + 1, maxToolRounds, message.tool_calls, options);
 
       // Recursively call chat to let the model respond to tool results
       const recursiveResult = await this._chatWithTools(newMessages, options, depth + 1);
@@ -373,6 +547,7 @@ class WarpMind extends BaseClient {
 
     // No tool calls or max depth reached, return the content
     const finalResponse = message.content || '';
+    this._safeCallCallback(options.onMessage, { role: 'assistant', content: finalResponse });
     
     // If returnMetadata is requested and this is the top-level call, wrap the result
     if (options.returnMetadata && depth === 0) {
@@ -395,6 +570,7 @@ class WarpMind extends BaseClient {
    * @param {string} prompt - The prompt text
    * @param {Object} options - Optional parameters
    * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {boolean} options.cache - Set to false to bypass the response cache for this call
    * @returns {Promise<string>} - The generated response
    */
   async complete(prompt, options = {}) {
@@ -412,19 +588,15 @@ class WarpMind extends BaseClient {
     };
 
     // Add other options, but filter out our custom ones to avoid conflicts
-    const filteredOptions = { ...options };
-    delete filteredOptions.model;
-    delete filteredOptions.temperature;
-    delete filteredOptions.timeoutMs;
-    delete filteredOptions.max_tokens;
-    
-    Object.assign(requestData, filteredOptions);
+    Object.assign(requestData, this._payloadOptions(options, ['model', 'temperature', 'max_tokens']));
 
     const requestOptions = {
-      timeoutMs: options.timeoutMs
+      timeoutMs: options.timeoutMs,
+      cache: options.cache
     };
 
     const response = await this.makeRequest('/chat/completions', requestData, requestOptions);
+    this._recordUsage(options.usageMethod || 'complete', response.model || requestData.model, response.usage);
     return response.choices[0]?.message?.content || '';
   }
 
@@ -445,6 +617,16 @@ class WarpMind extends BaseClient {
    * @param {Function} onChunk - Callback function for each chunk - receives { type: "chunk", content: string }
    * @param {Object} options - Optional parameters
    * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {AbortSignal} options.signal - Optional signal to stop generation (rejects with AbortError carrying partialText)
+   * @param {number} options.maxToolRounds - Tool-call rounds before the model must answer without tools (see chat())
+   * @param {number} options.toolConcurrency - Tool calls of one round run at the same time (default: 4)
+   * @param {Function} options.onToolLimitReached - Called when the round limit is reached (see chat())
+   * @param {Function} options.confirmToolCall - Asked before tools with requiresConfirmation run (see chat())
+   * @param {Array<string>} options.tools - Names of the tools and tool groups the model may use (see chat())
+   * @param {string|Object} options.tool_choice - 'auto', 'none', 'required' or a tool name (see chat())
+   * @param {string} options.conversationId - ID stored with the tool calls in the tool call log
+   * @param {Function} options.onMessage - Called with every message the call adds to the conversation (see chat())
+   * @param {ContextManager|Object} options.contextWindow - Context manager, or its options (see chat())
    * @returns {Promise<string>} - The complete generated response
    */
   async streamChat(messages, onChunk, options = {}) {
@@ -452,6 +634,10 @@ class WarpMind extends BaseClient {
       messages = [{ role: 'user', content: messages }];
     }
 
+    if (options.contextWindow) {
+      ({ messages } = await this._contextManagerFor(options.contextWindow).fit(messages, { model: options.model || this.model }));
+    }
+
     // Support tool calling with depth limit
     return await this._streamChatWithTools(messages, onChunk, options, 0);
   }
@@ -466,7 +652,7 @@ class WarpMind extends BaseClient {
    * @returns {Promise<string>} - The final response
    */
   async _streamChatWithTools(messages, onChunk, options = {}, depth = 0) {
-    const MAX_TOOL_CALL_DEPTH = 2;
+    const maxToolRounds = options.maxToolRounds ?? this.maxToolRounds;
     
     const requestData = {
       model: options.model || this.model,
@@ -475,62 +661,46 @@ class WarpMind extends BaseClient {
       stream: true
     };
 
-    // Include tools if registered and not at max depth
-    if (this._tools.length > 0 && depth < MAX_TOOL_CALL_DEPTH) {
-      requestData.tools = this._tools.map(t => t.schema);
-      requestData.tool_choice = 'auto'; // Let the model decide when to use tools
+    // Include the selected tools unless every tool round has been used
+    const { tools, toolChoice } = this._selectTools(options, depth);
+    if (tools.length > 0 && depth < maxToolRounds) {
+      requestData.tools = tools.map(t => t.schema);
+      requestData.tool_choice = toolChoice;
     }
 
     // Add other options, but filter out our custom ones to avoid conflicts
-    const filteredOptions = { ...options };
-    delete filteredOptions.model;
-    delete filteredOptions.temperature;
-    delete filteredOptions.stream;
-    delete filteredOptions.timeoutMs;
-    delete filteredOptions.onToolCall;
-    delete filteredOptions.onToolResult;
-    delete filteredOptions.onToolError;
-    
-    Object.assign(requestData, filteredOptions);
+    Object.assign(requestData, this._payloadOptions(options, ['model', 'temperature', 'stream']));
+
+    // Ask for the final usage chunk so streamed requests are counted too
+    if (!requestData.stream_options) {
+      requestData.stream_options = { include_usage: true };
+    }
 
     const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.defaultTimeoutMs;
-    const { controller, timeoutId } = createTimeoutController(timeoutMs);
     
     // Internal accumulator for full response
     let fullResponse = '';
     let currentMessage = { role: 'assistant', content: '', tool_calls: [] };
     let hasToolCalls = false;
+    let releaseStream = null;
     
     try {
-      const headers = {
-        'Content-Type': 'application/json'
-      };
-
-      if (this.authType === 'bearer') {
-        headers['Authorization'] = `Bearer ${this.apiKey}`;
-      } else {
-        headers['api-key'] = this.apiKey;
-      }
-
-      const response = await fetch(this._buildApiUrl('/chat/completions'), {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(requestData),
-        signal: controller.signal
+      // The transport retries before the first byte; the timeout keeps running for the streaming phase
+      const { response, done, context } = await this.sendRequest('/chat/completions', requestData, {
+        responseType: 'stream',
+        timeoutMs,
+        signal: options.signal
       });
-
-      // Don't clear timeout yet - we need it for the streaming phase too
-
-      if (!response.ok) {
-        clearTimeout(timeoutId);
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API request failed: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
-      }
+      releaseStream = done;
 
       const reader = response.body.getReader();
       
       // Use the new SSE parser with enhanced event callback
-      await this.parseSSE(reader, (event) => {
+      const streamResult = await this.parseSSE(reader, (parsedEvent) => {
+        // Middleware may rewrite or drop the event before it is handled
+        const event = this._applyStreamEventMiddleware(context, parsedEvent);
+        if (!event) return;
+
         // Handle different types of streaming events
         if (event.delta !== undefined && event.delta !== null) { // Check for both undefined and null
           const deltaContent = event.delta || ''; // Ensure it's a string
@@ -591,10 +761,14 @@ class WarpMind extends BaseClient {
       });
 
       // Clear timeout only after streaming completes
-      clearTimeout(timeoutId);
+      releaseStream();
+      this._recordUsage(options.usageMethod || 'streamChat', requestData.model, streamResult && streamResult.usage);
+
+      // A reader may end quietly when cancelled, so check the caller's signal explicitly
+      this._throwIfAborted(options.signal, fullResponse);
       
       // Check if we need to handle tool calls
-      if (hasToolCalls && currentMessage.tool_calls && currentMessage.tool_calls.length > 0 && depth < MAX_TOOL_CALL_DEPTH) {
+      if (hasToolCalls && currentMessage.tool_calls && currentMessage.tool_calls.length > 0 && depth < maxToolRounds) {
         // Filter out incomplete tool calls and validate
         const validToolCalls = currentMessage.tool_calls.filter(toolCall => {
           return toolCall && 
@@ -606,6 +780,7 @@ class WarpMind extends BaseClient {
         
         if (validToolCalls.length === 0) {
           // No valid tool calls, return current response
+          this._safeCallCallback(options.onMessage, { role: 'assistant', content: fullResponse });
           return fullResponse;
         }
         
@@ -615,53 +790,48 @@ class WarpMind extends BaseClient {
         
         // Add the assistant's message to the conversation
         const newMessages = [...messages, currentMessage];
+        this._safeCallCallback(options.onMessage, currentMessage);
+
+        // Execute the tool calls, independent ones at the same time (results should not be shown in UI)
+        const toolMessages = await this._runToolCalls(validToolCalls, {
+          concurrency: options.toolConcurrency ?? this.toolConcurrency,
+          signal: options.signal,
+          partialText: fullResponse,
+          messages: newMessages,
+          tools,
+          conversationId: options.conversationId,
+          callbacks: () => ({
+            onToolCall: options.onToolCall,
+            onToolResult: options.onToolResult,
+            onToolError: options.onToolError,
+            confirmToolCall: options.confirmToolCall
+          })
+        });
+        newMessages.push(...toolMessages);
+        toolMessages.forEach(toolMessage => this._safeCallCallback(options.onMessage, toolMessage));
 
-        // Execute each valid tool call
-        for (const toolCall of validToolCalls) {
-          try {
-            const result = await this._executeTool(toolCall, {
-              onToolCall: options.onToolCall,
-              onToolResult: options.onToolResult,
-              onToolError: options.onToolError
-            });
-            
-            // Add tool result to messages (these should not be shown in UI)
-            newMessages.push({
-              role: 'tool',
-              tool_call_id: toolCall.id,
-              content: JSON.stringify(result ?? null)
-            });
-          } catch (error) {
-            // Add error result to messages (these should not be shown in UI)
-            newMessages.push({
-              role: 'tool',
-              tool_call_id: toolCall.id,
-              content: JSON.stringify({ error: error.message })
-            });
-          }
-        }
+        // The next request is sent without tools once every round has been used
+        this._notifyToolLimit(depth + 1, maxToolRounds, validToolCalls, options);
 
-        // Make a final call with tool_choice: "none" to get the user-facing response
-        const finalOptions = {
-          ...options,
-          tool_choice: 'none' // Force final response without more tool calls
-        };
-        
-        // Remove tools from final options to ensure no more tool calls
-        delete finalOptions.tools;
-        
-        // Recursively call to get final response
-        const toolResponse = await this._streamChatWithTools(newMessages, onChunk, finalOptions, depth + 1);
+        // Recursively call to let the model respond to the tool results
+        const toolResponse = await this._streamChatWithTools(newMessages, onChunk, options, depth + 1);
         return fullResponse + toolResponse;
       }
       
       // Return the accumulated full response
+      this._safeCallCallback(options.onMessage, { role: 'assistant', content: fullResponse });
       return fullResponse;
     } catch (error) {
-      clearTimeout(timeoutId);
+      if (releaseStream) releaseStream();
       
+      // An abort from a deeper tool-call round only knows its own text, so prepend ours
+      if (error instanceof AbortError) {
+        error.partialText = fullResponse + error.partialText;
+        throw error;
+      }
+
       if (error.name === 'AbortError') {
-        throw new TimeoutError(`Request timed out after ${timeoutMs}ms`);
+        throw this._normalizeAbortError(error, options.signal, timeoutMs, fullResponse);
       }
       
       throw error;
@@ -674,10 +844,77 @@ class WarpMind extends BaseClient {
    * @param {string} tool.name - Tool name (must be unique)
    * @param {string} tool.description - Description of what the tool does
    * @param {Object} tool.parameters - JSON schema for tool parameters
-   * @param {Function} tool.handler - Async function to execute when tool is called
+   * @param {Function} tool.handler - Async function to execute when tool is called,
+   *   receives (args, { signal, callId, toolCallId, messages, attempt })
+   * @param {number} tool.timeoutMs - Time limit per attempt (default: the toolTimeoutMs config, 30000)
+   * @param {number} tool.retries - Extra attempts after the handler fails or times out (default: 0)
+   * @param {boolean} tool.idempotent - Running the tool twice is harmless, so timed-out calls may be retried (default: false)
+   * @param {boolean} tool.requiresConfirmation - Ask confirmToolCall before every call (default: false)
+   * @param {string} tool.group - Group the tool belongs to, so calls can select it by group (e.g. 'pdf')
    */
   registerTool(tool) {
-    if (!tool.name || typeof tool.name !== 'string') {
+    const entry = this._createToolEntry(tool);
+
+    // Check for duplicate tool names
+    if (this._tools.find(t => t.schema.function.name === tool.name)) {
+      throw new Error(`Tool with name '${tool.name}' is already registered`);
+    }
+
+    this._tools.push(entry);
+  }
+
+  /**
+   * Register a plain function as a tool, without writing a JSON schema
+   * Functions written as f(city, days) get the arguments in order, f({ city, days }) gets one object
+   * @param {Function} fn - The function to call
+   * @param {Object} options - Tool options
+   * @param {string} options.name - Tool name (default: the function's name)
+   * @param {string} options.description - What the tool does (default: from the JSDoc, or the name in words)
+   * @param {Object} options.params - Type descriptors such as { city: 'string', days: 'number?' }
+   *   (default: from the JSDoc, or the parameter names with any type)
+   * @param {string} options.jsdoc - JSDoc comment describing the function
+   * @returns {string} - Name of the registered tool
+   * @example
+   * mind.registerFunction(getWeather, { description: 'Get the weather', params: { city: 'string', days: 'integer?' } });
+   */
+  registerFunction(fn, options = {}) {
+    const tool = functionToTool(fn, options);
+    this.registerTool(tool);
+    return tool.name;
+  }
+
+  /**
+   * Register every method of an object or class instance as a tool
+   * Methods starting with _ are skipped; JSDoc comments in the class describe the tools and their parameters
+   * @param {Object} object - Object or class instance
+   * @param {Object} options - Options
+   * @param {Array<string>} options.only - Only register these methods
+   * @param {Object} options.methods - Options per method, as for registerFunction()
+   * @param {string} options.group - Group of the tools (default: the class name)
+   * @returns {Array<string>} - Names of the registered tools
+   */
+  registerToolsFrom(object, options = {}) {
+    const tools = objectToTools(object, options);
+    const entries = tools.map(tool => this._createToolEntry(tool));
+
+    // Nothing is registered if one of the names is taken
+    for (const tool of tools) {
+      if (this.isToolRegistered(tool.name)) {
+        throw new Error(`Tool with name '${tool.name}' is already registered`);
+      }
+    }
+    this._tools.push(...entries);
+    return tools.map(tool => tool.name);
+  }
+
+  /**
+   * Check a tool definition and build the entry kept in the registry (also used by agents' own tools)
+   * @private
+   * @param {Object} tool - Tool definition, as for registerTool()
+   * @returns {Object} - { schema, handler, group, policy } where schema is the tool in OpenAI API format
+   */
+  _createToolEntry(tool) {
+    if (!tool || !tool.name || typeof tool.name !== 'string') {
       throw new Error('Tool name must be a non-empty string');
     }
     
@@ -692,10 +929,17 @@ class WarpMind extends BaseClient {
     if (!tool.handler || typeof tool.handler !== 'function') {
       throw new Error('Tool handler must be a function');
     }
-    
-    // Check for duplicate tool names
-    if (this._tools.find(t => t.schema.function.name === tool.name)) {
-      throw new Error(`Tool with name '${tool.name}' is already registered`);
+
+    if (tool.timeoutMs !== undefined && !(typeof tool.timeoutMs === 'number' && tool.timeoutMs > 0)) {
+      throw new Error('Tool timeoutMs must be a positive number');
+    }
+
+    if (tool.retries !== undefined && !(Number.isInteger(tool.retries) && tool.retries >= 0)) {
+      throw new Error('Tool retries must be a non-negative integer');
+    }
+
+    if (tool.group !== undefined && (!tool.group || typeof tool.group !== 'string')) {
+      throw new Error('Tool group must be a non-empty string');
     }
     
     // Create the tool schema for OpenAI API
@@ -708,8 +952,18 @@ class WarpMind extends BaseClient {
       }
     };
     
-    // Store both schema and handler
-    this._tools.push({ schema, handler: tool.handler });
+    // Store the schema, the handler and how calls to it are run
+    return {
+      schema,
+      handler: tool.handler,
+      group: tool.group || null,
+      policy: {
+        timeoutMs: tool.timeoutMs,
+        retries: tool.retries || 0,
+        idempotent: tool.idempotent === true,
+        requiresConfirmation: tool.requiresConfirmation === true
+      }
+    };
   }
 
   /**
@@ -744,10 +998,24 @@ class WarpMind extends BaseClient {
 
   /**
    * Get array of all registered tool names
-   * @returns {Array<string>} - Array of tool names
+   * @param {string|Object} options - A group name, or options
+   * @param {string} options.group - Only list the tools of this group
+   * @param {boolean} options.schemas - Return { name, description, group, parameters } for each tool
+   *   instead of the names, e.g. to check the schemas made by registerFunction()
+   * @returns {Array<string>|Array<Object>} - Array of tool names, or tool descriptions
    */
-  getRegisteredTools() {
-    return this._tools.map(t => t.schema.function.name);
+  getRegisteredTools(options = {}) {
+    const { group, schemas = false } = typeof options === 'string' ? { group: options } : options;
+    return this._tools
+      .filter(t => group === undefined || t.group === group)
+      .map(t => (schemas
+        ? {
+          name: t.schema.function.name,
+          description: t.schema.function.description,
+          group: t.group,
+          parameters: t.schema.function.parameters
+        }
+        : t.schema.function.name));
   }
 
   /**
@@ -757,27 +1025,212 @@ class WarpMind extends BaseClient {
     this._tools = [];
   }
 
+  /**
+   * Find calls in the tool call log
+   * With a toolCallLog storage configured, calls from earlier sessions are included
+   * @param {Object} filters - All given filters must match
+   * @param {string|Array<string>} filters.name - Tool name(s)
+   * @param {string} filters.status - 'completed' or 'error'
+   * @param {Date|number|string} filters.since - Calls started at or after this time
+   * @param {Date|number|string} filters.until - Calls started before this time
+   * @param {string} filters.conversationId - Calls made with this conversationId option
+   * @param {number} filters.limit - Only the most recent calls
+   * @returns {Promise<Array>} - Calls { callId, name, parameters, status, result|error, duration, retries,
+   *   timestamp, conversationId }, oldest first
+   */
+  async getToolCalls(filters = {}) {
+    return await this._toolCallTracker.query(filters);
+  }
+
+  /**
+   * Export the tool call log as text
+   * @param {Object} options - Filters as for getToolCalls(), plus the format
+   * @param {string} options.format - 'json' (default) or 'ndjson' (one call per line)
+   * @returns {Promise<string>} - Exported calls
+   */
+  async exportToolCalls(options = {}) {
+    const { format = 'json', ...filters } = options;
+    return await this._toolCallTracker.export(format, filters);
+  }
+
+  /**
+   * Remove every call from the tool call log, including the stored one
+   * @returns {Promise<void>}
+   */
+  async clearToolCalls() {
+    this._toolCallTracker.clearHistory();
+    await this._toolCallTracker.clearLog();
+  }
+
+  /**
+   * Aggregate the tool call log per tool: how often each tool ran, how often it failed and how long it took
+   * @param {Object} options - Which calls to include (default: the whole log)
+   * @param {Date|number|string} options.since - Calls started at or after this time
+   * @param {Date|number|string} options.until - Calls started before this time
+   * @param {string|Array<string>} options.toolName - Only these tools
+   * @param {string} options.conversationId - Only calls made in this conversation
+   * @returns {Promise<Object>} - { total, byTool, since, until }; total and each byTool entry hold
+   *   { calls, completed, errors, timedOut, retried, successRate, errorRate, duration: { p50, p95, max, mean },
+   *   commonErrors: [{ message, count }], argumentSize: { p50, p95, max, histogram } }
+   */
+  async getToolStatistics(options = {}) {
+    return await this._toolCallTracker.getStatistics(options);
+  }
+
+  /**
+   * Subscribe to live tool metrics, e.g. to update a dashboard while tools run
+   * @param {Function} listener - Called with { type: 'start' | 'retry' | 'complete' | 'error', callId, name,
+   *   timestamp, active } plus, once a call has finished, { duration, retries, timedOut, error, argumentSize,
+   *   totals: { calls, completed, errors, errorRate } } for the tool
+   * @returns {Function} - Call to unsubscribe
+   */
+  onToolMetrics(listener) {
+    return this._toolCallTracker.onMetrics(listener);
+  }
+
+  /**
+   * Run logged tool calls again with the current handlers and compare the results
+   * Replayed tools really run again, so tools with side effects (sending email, deleting files) should be
+   * left out with the name filter; tools with requiresConfirmation still ask confirmToolCall
+   * @param {Object|Array} calls - Filters as for getToolCalls(), or calls returned by it
+   * @param {Object} options - Replay options
+   * @param {Function} options.confirmToolCall - Asked before tools with requiresConfirmation run
+   * @param {AbortSignal} options.signal - Stops the replay
+   * @returns {Promise<Object>} - { total, unchanged, changed, skipped, results: [{ callId, name, parameters,
+   *   outcome: 'unchanged' | 'changed' | 'skipped', reason, before, after, diff }] }
+   */
+  async replayToolCalls(calls = {}, options = {}) {
+    const recorded = Array.isArray(calls) ? calls : await this.getToolCalls(calls);
+    // Replays are tracked separately so they do not end up in the log they are compared with
+    const replayTracker = new ToolCallTracker();
+    const results = [];
+
+    for (const call of recorded) {
+      this._throwIfAborted(options.signal);
+      const before = call.status === 'completed'
+        ? { status: 'completed', result: call.result }
+        : { status: call.status, error: call.error };
+      const entry = { callId: call.callId, name: call.name, parameters: call.parameters, before };
+
+      if (!this.isToolRegistered(call.name)) {
+        results.push({ ...entry, outcome: 'skipped', reason: 'The tool is no longer registered' });
+        continue;
+      }
+      if (call.parameters && call.parameters._truncated) {
+        results.push({ ...entry, outcome: 'skipped', reason: 'The recorded parameters were too large to keep' });
+        continue;
+      }
+
+      await this._executeTool({
+        id: call.callId,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.parameters) }
+      }, { confirmToolCall: options.confirmToolCall }, { tracker: replayTracker, signal: options.signal }).catch(() => {});
+
+      // The replay tracker stores the result the same way as the log, so both can be compared directly
+      const replayed = replayTracker.getCallHistory(1)[0];
+      const after = replayed.status === 'completed'
+        ? { status: 'completed', result: replayed.result }
+        : { status: replayed.status, error: replayed.error };
+      const diff = ToolCallTracker.diff(before, after);
+      results.push({ ...entry, outcome: diff.length === 0 ? 'unchanged' : 'changed', after, diff });
+    }
+
+    const count = outcome => results.filter(result => result.outcome === outcome).length;
+    return {
+      total: results.length,
+      unchanged: count('unchanged'),
+      changed: count('changed'),
+      skipped: count('skipped'),
+      results
+    };
+  }
+
+  /**
+   * Pick the tools offered to the model in one request
+   * @private
+   * @param {Object} options - Call options
+   * @param {Array<string>} options.tools - Names of tools and tool groups to offer (default: every registered tool)
+   * @param {string|Object} options.tool_choice - 'auto', 'none', 'required', a tool name or
+   *   { type: 'function', function: { name } }; a tool named here is offered even if it was not selected
+   * @param {number} depth - Tool round of the request; a forced choice only applies to the first round,
+   *   otherwise the model could never answer
+   * @returns {Object} - { tools: tool entries, toolChoice } with toolChoice in Chat Completions format
+   */
+  _selectTools(options = {}, depth = 0) {
+    let tools = [...this._tools];
+    if (options.tools !== undefined) {
+      if (!Array.isArray(options.tools) || options.tools.some(name => typeof name !== 'string')) {
+        throw new Error('The tools option must be an array of tool or tool group names');
+      }
+      for (const name of options.tools) {
+        if (!this._tools.some(t => t.schema.function.name === name || t.group === name)) {
+          throw new Error(`Tool '${name}' is not registered, and no registered tool has it as its group`);
+        }
+      }
+      tools = this._tools.filter(t => options.tools.includes(t.schema.function.name) || options.tools.includes(t.group));
+    }
+
+    let toolChoice = options.tool_choice ?? 'auto';
+    if (typeof toolChoice === 'string' && !['auto', 'none', 'required'].includes(toolChoice)) {
+      toolChoice = { type: 'function', function: { name: toolChoice } };
+    }
+    if (typeof toolChoice === 'object') {
+      const forced = this._tools.find(t => t.schema.function.name === toolChoice.function?.name);
+      if (!forced) {
+        throw new Error(`Tool '${toolChoice.function?.name}' in tool_choice is not registered`);
+      }
+      if (!tools.includes(forced)) {
+        tools.push(forced);
+      }
+    }
+
+    if (depth > 0 && toolChoice !== 'none') {
+      toolChoice = 'auto';
+    }
+    return { tools, toolChoice };
+  }
+
   /**
    * Execute a tool call
    * @private
    * @param {Object} toolCall - Tool call from OpenAI response
+   * @param {Object} callbacks - Optional onToolCall, onToolResult, onToolError and confirmToolCall callbacks
+   * @param {Object} context - Where the tool comes from, where the call is tracked and what the handler is told
+   * @param {Array} context.tools - Tool entries to look the tool up in (default: the registered tools)
+   * @param {ToolCallTracker} context.tracker - Tracker that records the call (default: the instance tracker)
+   * @param {AbortSignal} context.signal - Caller's signal, cancels a running handler
+   * @param {Array} context.messages - Conversation so far, passed on to the handler
+   * @param {string} context.conversationId - Conversation the call is logged under
    * @returns {Promise<any>} - Result from tool execution
    */
-  async _executeTool(toolCall, callbacks = {}) {
-    const tool = this._tools.find(t => t.schema.function.name === toolCall.function.name);
+  async _executeTool(toolCall, callbacks = {}, {
+    tools = this._tools,
+    tracker = this._toolCallTracker,
+    signal,
+    messages = [],
+    conversationId = null
+  } = {}) {
+    const tool = tools.find(t => t.schema.function.name === toolCall.function.name);
     
     if (!tool) {
-      throw new Error(`Tool '${toolCall.function.name}' not found`);
+      throw new ToolExecutionError(`Tool '${toolCall.function.name}' not found`, { toolName: toolCall.function.name });
     }
     
     let trackedCall = null;
     
     try {
-      // Parse the arguments from JSON
-      const args = JSON.parse(toolCall.function.arguments);
+      // Parse the arguments from JSON (some models send an empty string for tools without parameters)
+      let args = toolCall.function.arguments;
+      let parseError = null;
+      try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (error) {
+        parseError = error;
+      }
       
       // Start tracking the tool call
-      trackedCall = this._toolCallTracker.startCall(toolCall.function.name, args);
+      trackedCall = tracker.startCall(toolCall.function.name, args, { conversationId });
       
       // Call onToolCall callback if provided
       this._safeCallCallback(callbacks.onToolCall, {
@@ -787,11 +1240,41 @@ class WarpMind extends BaseClient {
         timestamp: trackedCall.timestamp
       });
       
+      // Handlers only ever see arguments that match the tool's schema, with defaults filled in
+      const parameterSchema = tool.schema.function.parameters;
+      const validationErrors = parseError
+        ? [{ path: '$', message: `not valid JSON (${parseError.message})` }]
+        : jsonSchema.validate(jsonSchema.applyDefaults(args, parameterSchema), parameterSchema);
+      if (validationErrors.length > 0) {
+        throw new ToolExecutionError(`Invalid arguments: ${jsonSchema.formatErrors(validationErrors).join('; ')}`, {
+          toolName: toolCall.function.name,
+          validationErrors
+        });
+      }
+      
+      // Tools with side effects the user should know about only run once they have said yes
+      if (tool.policy.requiresConfirmation) {
+        const confirm = callbacks.confirmToolCall || this.confirmToolCall;
+        if (typeof confirm !== 'function') {
+          throw new ToolExecutionError(`Tool '${toolCall.function.name}' requires confirmation, but no confirmToolCall callback was given`, {
+            toolName: toolCall.function.name
+          });
+        }
+        const confirmed = await confirm({ callId: trackedCall.callId, name: trackedCall.name, parameters: trackedCall.parameters });
+        if (!confirmed) {
+          throw new ToolExecutionError('The user did not confirm this tool call', { toolName: toolCall.function.name });
+        }
+      }
+      
       // Execute the tool handler
-      const result = await tool.handler(args);
+      const result = await this._runToolHandler(tool, args, {
+        signal,
+        tracker,
+        context: { callId: trackedCall.callId, toolCallId: toolCall.id, messages: [...messages] }
+      });
       
       // Complete the tracked call
-      const completedCall = this._toolCallTracker.completeCall(trackedCall.callId, result);
+      const completedCall = tracker.completeCall(trackedCall.callId, result);
       
       // Call onToolResult callback if provided
       this._safeCallCallback(callbacks.onToolResult, {
@@ -799,6 +1282,7 @@ class WarpMind extends BaseClient {
         name: completedCall.name,
         result: completedCall.result,
         duration: completedCall.duration,
+        retries: completedCall.retries.length,
         timestamp: new Date().toISOString()
       });
       
@@ -806,7 +1290,7 @@ class WarpMind extends BaseClient {
     } catch (error) {
       // Mark call as failed if it was started
       if (trackedCall) {
-        const errorCall = this._toolCallTracker.errorCall(trackedCall.callId, error);
+        const errorCall = tracker.errorCall(trackedCall.callId, error);
         
         // Call onToolError callback if provided
         this._safeCallCallback(callbacks.onToolError, {
@@ -814,11 +1298,185 @@ class WarpMind extends BaseClient {
           name: errorCall.name,
           error: errorCall.error,
           duration: errorCall.duration,
+          retries: errorCall.retries.length,
+          timedOut: errorCall.timedOut,
           timestamp: new Date().toISOString()
         });
       }
       
-      throw new Error(`Tool execution failed: ${error.message}`);
+      throw new ToolExecutionError(`Tool execution failed: ${error.message}`, {
+        toolName: toolCall.function.name,
+        cause: error,
+        validationErrors: error.validationErrors
+      });
+    }
+  }
+
+  /**
+   * Run a tool handler under the tool's policy: every attempt gets its own AbortSignal and time limit,
+   * and failed attempts are retried up to `retries` times
+   * A timed-out attempt may still be running, so it is only retried for idempotent tools
+   * @private
+   * @param {Object} tool - Tool entry from _createToolEntry()
+   * @param {Object} args - Validated arguments
+   * @param {Object} settings - How the handler is run
+   * @param {AbortSignal} settings.signal - Caller's signal, cancels the attempt and stops retrying
+   * @param {ToolCallTracker} settings.tracker - Tracker that records the retries
+   * @param {Object} settings.context - { callId, toolCallId, messages } passed on to the handler
+   * @returns {Promise<any>} - Result of the first attempt that succeeds
+   */
+  async _runToolHandler(tool, args, { signal, tracker, context }) {
+    const name = tool.schema.function.name;
+    const { retries, idempotent } = tool.policy;
+    const timeoutMs = tool.policy.timeoutMs ?? this.toolTimeoutMs;
+
+    for (let attempt = 0; ; attempt++) {
+      this._throwIfAborted(signal);
+
+      // Aborted on timeout or when the caller cancels; the handler can stop its own work through the signal
+      const controller = new AbortController();
+      const stopped = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
+      const cancel = () => controller.abort(new AbortError('Request was aborted'));
+      const timeoutId = setTimeout(() => {
+        controller.abort(new TimeoutError(`Tool '${name}' timed out after ${timeoutMs}ms`, { timeoutMs }));
+      }, timeoutMs);
+      if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+
+      try {
+        const running = (async () => tool.handler(args, { ...context, signal: controller.signal, attempt }))();
+        // A handler that fails after its attempt was given up on is ignored
+        running.catch(() => {});
+        return await Promise.race([running, stopped]);
+      } catch (error) {
+        const retryable = !(error instanceof AbortError) && (idempotent || !(error instanceof TimeoutError));
+        if (attempt >= retries || !retryable) {
+          throw error;
+        }
+        tracker.recordRetry(context.callId, error);
+        await delayForRetry(attempt);
+      } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+      }
+    }
+  }
+
+  /**
+   * Execute the tool calls of one model turn, at most `concurrency` at a time
+   * A failed call becomes an { error } result for the model instead of failing the turn
+   * @private
+   * @param {Array} toolCalls - Tool calls from the assistant message
+   * @param {Object} settings - Execution settings
+   * @param {number} settings.concurrency - Maximum number of tools running at the same time
+   * @param {AbortSignal} settings.signal - Stops starting new tool calls once aborted
+   * @param {string} settings.partialText - Text generated so far, attached to the AbortError
+   * @param {Array} settings.messages - Conversation so far, passed on to the tool handlers
+   * @param {Array} settings.tools - Tool entries the model was offered (default: the registered tools)
+   * @param {string} settings.conversationId - Conversation the calls are logged under
+   * @param {Function} settings.callbacks - (toolCall) => { onToolCall, onToolResult, onToolError, confirmToolCall } for each call
+   * @param {Function} settings.execute - (toolCall) => Promise<result> replacing the default execution
+   *   with the registered tools, e.g. to ask for approval first
+   * @returns {Promise<Array>} - Tool result messages in the order of the calls
+   */
+  async _runToolCalls(toolCalls, {
+    concurrency = 1,
+    signal,
+    partialText = '',
+    messages = [],
+    tools = this._tools,
+    conversationId,
+    callbacks = () => ({}),
+    execute
+  } = {}) {
+    const run = execute || ((toolCall) => this._executeTool(toolCall, callbacks(toolCall), { tools, signal, messages, conversationId }));
+    const toolMessages = new Array(toolCalls.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < toolCalls.length) {
+        const index = next++;
+        const toolCall = toolCalls[index];
+
+        // Stop executing tools once the caller has cancelled
+        this._throwIfAborted(signal, partialText);
+
+        let content;
+        try {
+          const result = await run(toolCall);
+          content = JSON.stringify(result ?? null);
+        } catch (error) {
+          content = JSON.stringify(this._toolErrorResult(error));
+        }
+        toolMessages[index] = { role: 'tool', tool_call_id: toolCall.id, content };
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, toolCalls.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return toolMessages;
+  }
+
+  /**
+   * Describe a failed tool call for the model
+   * Rejected arguments list each problem, so the model can correct the call and try again
+   * @private
+   * @param {Error} error - Error from the tool call
+   * @returns {Object} - { error } or { error, invalidArguments: [{ path, message }] }
+   */
+  _toolErrorResult(error) {
+    if (error.validationErrors && error.validationErrors.length > 0) {
+      return {
+        error: error.message,
+        invalidArguments: error.validationErrors,
+        hint: 'Call the tool again with arguments that match its parameter schema.'
+      };
+    }
+    return { error: error.message };
+  }
+
+  /**
+   * Copy the options that are sent to the API as they are
+   * @private
+   * @param {Object} options - Call options
+   * @param {string[]} handled - API fields the caller sets itself, such as model
+   * @returns {Object} - The options without client-side options and the handled fields
+   */
+  _payloadOptions(options, handled = []) {
+    const payloadOptions = { ...options };
+    for (const key of [...CLIENT_OPTIONS, ...handled]) {
+      delete payloadOptions[key];
+    }
+    return payloadOptions;
+  }
+
+  /**
+   * Report that the tool round limit has been reached, so the model has to answer without tools
+   * @private
+   * @param {number} rounds - Tool rounds completed so far
+   * @param {number} maxToolRounds - Tool round limit of the call
+   * @param {Array} toolCalls - Tool calls of the last round
+   * @param {Object} options - Call options with the optional onToolLimitReached callback
+   */
+  _notifyToolLimit(rounds, maxToolRounds, toolCalls, options) {
+    if (rounds < maxToolRounds) {
+      return;
+    }
+    const info = {
+      maxToolRounds,
+      lastToolCalls: toolCalls.map(toolCall => toolCall.function.name)
+    };
+    if (typeof options.onToolLimitReached === 'function') {
+      // Unlike the other tool callbacks this one may throw, to stop instead of answering without tools
+      options.onToolLimitReached(info);
+    } else {
+      console.warn(`Tool round limit (${maxToolRounds}) reached, the model has to answer without tools. ` +
+        'Raise maxToolRounds or pass onToolLimitReached to handle this.');
     }
   }
 
@@ -839,11 +1497,13 @@ class WarpMind extends BaseClient {
   }
 
   /**
-   * Generate embeddings for text using the embeddings API
+   * Generate embeddings for text with the configured embedding provider (the embeddings API by default)
    * @param {string} text - The text to generate embeddings for
    * @param {Object} options - Optional parameters
    * @param {string} options.model - The embedding model to use (default: 'text-embedding-3-small')
    * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {boolean} options.cache - Set to false to bypass the response cache for this call
    * @returns {Promise<number[]>} - The embedding vector as an array of numbers
    */
   async embed(text, options = {}) {
@@ -851,37 +1511,188 @@ class WarpMind extends BaseClient {
       throw new Error('Text input is required and must be a string');
     }
 
+    if (this._embeddingProvider) {
+      this._throwIfAborted(options.signal);
+      const [embedding] = await this._embeddingProvider.embed([text]);
+      return embedding;
+    }
+
+    try {
+      const [embedding] = await this._requestEmbeddings(text, options);
+      return embedding;
+    } catch (error) {
+      // Re-throw with more context if it's an API error
+      if (error.status) {
+        throw withErrorContext(error, 'Embedding generation failed');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate embeddings for many texts, sending them in batches with several batches in flight
+   * A batch that fails is retried one text at a time, so one bad input only costs its own embedding
+   * @param {string[]} texts - The texts to generate embeddings for
+   * @param {Object} options - Optional parameters (plus the options of embed())
+   * @param {number} options.batchSize - Texts per request (default: 100)
+   * @param {number} options.concurrency - Requests in flight at the same time (default: 4)
+   * @param {Function} options.onProgress - Called after each batch with { completed, failed, total }
+   * @returns {Promise<Array<number[]|null>>} - Embeddings in input order; null for texts that failed
+   * @throws {Error} - If every text failed (the last error), or the signal was aborted
+   */
+  async embedBatch(texts, options = {}) {
+    if (!Array.isArray(texts) || texts.some(text => !text || typeof text !== 'string')) {
+      throw new Error('Texts must be an array of non-empty strings');
+    }
+
+    const { batchSize = 100, concurrency = 4, onProgress, ...embedOptions } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error('batchSize must be a positive integer');
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+    if (!embedOptions.usageMethod) {
+      embedOptions.usageMethod = 'embedBatch';
+    }
+
+    const embeddings = new Array(texts.length).fill(null);
+    const batches = [];
+    for (let start = 0; start < texts.length; start += batchSize) {
+      batches.push({ start, inputs: texts.slice(start, start + batchSize) });
+    }
+
+    const progress = { completed: 0, failed: 0, total: texts.length };
+    let lastError = null;
+
+    const reportProgress = () => {
+      if (typeof onProgress === 'function') {
+        try {
+          onProgress({ ...progress });
+        } catch (error) {
+          console.warn('Error in progress callback:', error);
+        }
+      }
+    };
+
+    const embedOne = async (index) => {
+      try {
+        [embeddings[index]] = await this._embedTexts([texts[index]], embedOptions);
+        progress.completed++;
+      } catch (error) {
+        lastError = error;
+        progress.failed++;
+        console.warn(`Failed to generate embedding for text ${index}:`, error.message);
+      }
+    };
+
+    const runBatch = async ({ start, inputs }) => {
+      try {
+        const vectors = await this._embedTexts(inputs, embedOptions);
+        vectors.forEach((vector, i) => { embeddings[start + i] = vector; });
+        progress.completed += inputs.length;
+      } catch (error) {
+        lastError = error;
+        if (inputs.length === 1 || embedOptions.signal?.aborted || error instanceof AuthenticationError) {
+          progress.failed += inputs.length;
+          console.warn(`Failed to generate embeddings for texts ${start}-${start + inputs.length - 1}:`, error.message);
+        } else {
+          for (let i = 0; i < inputs.length; i++) {
+            await embedOne(start + i);
+          }
+        }
+      }
+      reportProgress();
+    };
+
+    // A small worker pool keeps `concurrency` batches in flight
+    let nextBatch = 0;
+    const workers = Array.from({ length: Math.min(concurrency, batches.length) }, async () => {
+      while (nextBatch < batches.length) {
+        await runBatch(batches[nextBatch++]);
+      }
+    });
+    await Promise.all(workers);
+
+    this._throwIfAborted(embedOptions.signal);
+    if (texts.length > 0 && progress.failed === texts.length) {
+      throw lastError.status ? withErrorContext(lastError, 'Embedding generation failed') : lastError;
+    }
+    return embeddings;
+  }
+
+  /**
+   * Embed texts with the configured provider, or with one request to the embeddings API
+   * @private
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - Options of embed()
+   * @returns {Promise<number[][]>} - One embedding per text, in input order
+   */
+  async _embedTexts(texts, options = {}) {
+    if (this._embeddingProvider) {
+      this._throwIfAborted(options.signal);
+      return await this._embeddingProvider.embed(texts);
+    }
+    return await this._requestEmbeddings(texts, options);
+  }
+
+  /**
+   * Change where embeddings come from
+   * Vectors stored with another provider are kept, but no longer compared with new ones
+   * @param {string|Function|Object} provider - 'api', 'hashing', a function (text) => vector,
+   *   or an object { id, embed(texts) }
+   */
+  setEmbeddingProvider(provider) {
+    this._embeddingProvider = embeddingProviders.resolveEmbeddingProvider(provider);
+  }
+
+  /**
+   * Get the id recorded with vectors from the current provider, e.g. 'api:text-embedding-3-small'
+   * @param {Object} options - Options of embed(); `model` selects the API model
+   * @returns {string} - Provider id
+   */
+  getEmbeddingProviderId(options = {}) {
+    if (this._embeddingProvider) {
+      return this._embeddingProvider.id;
+    }
+    return `api:${options.model || embeddingProviders.DEFAULT_EMBEDDING_MODEL}`;
+  }
+
+  /**
+   * Send one request to the embeddings API
+   * @private
+   * @param {string|string[]} input - Text or texts to embed
+   * @param {Object} options - Options of embed()
+   * @returns {Promise<number[][]>} - One embedding per input, in input order
+   */
+  async _requestEmbeddings(input, options = {}) {
     const requestData = {
       model: options.model || 'text-embedding-3-small',
-      input: text
+      input
     };
 
     // Add other options, but filter out our custom ones to avoid conflicts
-    const filteredOptions = { ...options };
-    delete filteredOptions.model;
-    delete filteredOptions.timeoutMs;
-    
-    Object.assign(requestData, filteredOptions);
+    Object.assign(requestData, this._payloadOptions(options, ['model']));
 
     const requestOptions = {
-      timeoutMs: options.timeoutMs
+      timeoutMs: options.timeoutMs,
+      signal: options.signal,
+      cache: options.cache
     };
 
-    try {
-      const response = await this.makeRequest('/embeddings', requestData, requestOptions);
-      
-      if (!response.data || !response.data[0] || !response.data[0].embedding) {
-        throw new Error('Invalid embedding response format');
-      }
+    const response = await this.makeRequest('/embeddings', requestData, requestOptions);
+    this._recordUsage(options.usageMethod || 'embed', response.model || requestData.model, response.usage);
 
-      return response.data[0].embedding;
-    } catch (error) {
-      // Re-throw with more context if it's an API error
-      if (error.message.includes('API request failed')) {
-        throw new Error(`Embedding generation failed: ${error.message}`);
-      }
-      throw error;
+    const expected = Array.isArray(input) ? input.length : 1;
+    if (!Array.isArray(response.data) || response.data.length !== expected ||
+        response.data.some(item => !item || !item.embedding)) {
+      throw new ServerError('Invalid embedding response format', { body: response, endpoint: '/embeddings' });
     }
+
+    // The API reports each embedding's position in `index`
+    return [...response.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
   }
 
   // ========================================
@@ -897,6 +1708,7 @@ class WarpMind extends BaseClient {
    * @param {string} options.previous_response_id - Previous response ID for conversation chaining
    * @param {boolean} options.store - Whether to store the response (default: true)
    * @param {Object} options.metadata - Custom metadata
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request (rejects with AbortError)
    * @returns {Promise<Object>} - Response object with {text, id, usage}
    */
   async respond(input, options = {}) {
@@ -909,6 +1721,7 @@ class WarpMind extends BaseClient {
    * @param {string|Array} input - User input
    * @param {Function} onChunk - Callback for each chunk
    * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to stop generation (rejects with AbortError carrying partialText)
    * @returns {Promise<Object>} - Final response object
    */
   async streamRespond(input, onChunk, options = {}) {
@@ -921,6 +1734,11 @@ class WarpMind extends BaseClient {
    * @param {Object} options - Conversation options
    * @param {string} options.instructions - System instructions for the conversation
    * @param {string} options.model - Model to use
+   * @param {string} options.id - Conversation ID for the tool call log (default: generated)
+   * @param {string} options.api - 'responses' (default) or 'chat' to build the conversation on chat()/streamChat()
+   * @param {string} options.mode - 'server', 'client' or 'auto' (default): where the history is kept between turns
+   * @param {ContextManager|Object} options.contextWindow - Context manager, or its options, that keeps the
+   *   history within the model's context
    * @returns {Conversation} - Conversation instance
    */
   createConversation(options = {}) {
@@ -928,6 +1746,74 @@ class WarpMind extends BaseClient {
     return new Conversation(this, options);
   }
 
+  /**
+   * Create a context manager that keeps message lists within a model's context window
+   * Pass it as the contextWindow option of chat(), streamChat(), createConversation() or createVoiceChat()
+   * @param {Object} options - Context manager options
+   * @param {number} options.maxTokens - Token budget for the messages (default: the model's context window
+   *   minus reserveTokens)
+   * @param {Object} options.budgets - Token budget per model, e.g. { 'gpt-4o': 20000 }
+   * @param {number} options.reserveTokens - Tokens kept free for the answer (default: 4096)
+   * @param {string} options.strategy - 'sliding-window' (default) or 'summarize'
+   * @param {boolean} options.pinSystemPrompt - Never drop the system messages at the start (default: true)
+   * @param {string} options.summaryModel - Model that writes summaries (default: the model of the request)
+   * @param {number} options.summaryTokens - Maximum length of a summary in tokens (default: 500)
+   * @param {Function} options.tokenizer - (text) => number of tokens (default: built-in estimate)
+   * @param {Function} options.onTrim - Called whenever messages were dropped or summarized
+   * @returns {ContextManager} - Context manager with fit(messages, { model }) and countTokens(messages)
+   */
+  createContextManager(options = {}) {
+    return new ContextManager(this, options);
+  }
+
+  /**
+   * Estimate the tokens of a text or a list of messages
+   * @param {string|Array} messages - Text or messages
+   * @returns {number} - Estimated tokens; lists include the overhead of every message
+   */
+  estimateTokens(messages) {
+    return new ContextManager(this).countTokens(messages);
+  }
+
+  /**
+   * Get the context manager for a contextWindow option
+   * @private
+   * @param {ContextManager|Object} contextWindow - Context manager, or options for a new one
+   * @returns {ContextManager}
+   */
+  _contextManagerFor(contextWindow) {
+    return contextWindow instanceof ContextManager ? contextWindow : this.createContextManager(contextWindow);
+  }
+
+  /**
+   * Create an agent that runs the tool-calling loop step by step
+   * @param {Object} options - Agent options
+   * @param {string} options.instructions - System instructions
+   * @param {Array} options.tools - Tool definitions or names of registered tools (default: all registered tools)
+   * @param {number} options.maxSteps - Maximum model requests per run (default: 10)
+   * @param {Function} options.stopWhen - (event, trace) => boolean that ends the run early
+   * @param {Function} options.approveToolCall - Asked before every tool call; return false to reject it
+   * @param {Function} options.onStep - Called with every step event
+   * @param {string|Object} options.backend - 'chat' (default), 'responses', or a custom backend
+   * @returns {Agent} - Agent with run(input) and stream(input)
+   */
+  createAgent(options = {}) {
+    const { Agent } = require('./agents/agent.js');
+    return new Agent(this, options);
+  }
+
+  /**
+   * Create a backend for createAgent() that plays back scripted turns instead of calling an API
+   * @static
+   * @param {Array} turns - One entry per step: a final answer string, { text, toolCalls: [{ name, arguments }] },
+   *   or a function (messages) => turn
+   * @returns {Object} - Backend to pass as createAgent({ backend })
+   */
+  static createScriptedBackend(turns) {
+    const { createScriptedBackend } = require('./agents/agent.js');
+    return createScriptedBackend(turns);
+  }
+
   /**
    * Get a response by ID
    * @param {string} responseId - Response ID
@@ -1002,11 +1888,12 @@ class WarpMind extends BaseClient {
       }
 
       if (response.status === 'failed') {
-        throw new Error(`Response failed: ${response.error?.message || 'Unknown error'}`);
+        const { ResponseClient } = require('./core/response-client.js');
+        throw ResponseClient._createFailedResponseError(response);
       }
 
       if (response.status === 'cancelled') {
-        throw new Error('Response was cancelled');
+        throw new AbortError('Response was cancelled', '', { endpoint: `/responses/${responseId}` });
       }
 
       // Exponential backoff: 1s → 2s → 4s → 8s → max 10s
@@ -1020,7 +1907,7 @@ class WarpMind extends BaseClient {
 // Export for both CommonJS and ES modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = WarpMind;
-  module.exports.TimeoutError = TimeoutError;
+  Object.assign(module.exports, errorTypes);
   // Also export utility functions for testing purposes
   module.exports.utils = {
     addJitter,
@@ -1032,7 +1919,7 @@ if (typeof module !== 'undefined' && module.exports) {
   };
 } else if (typeof window !== 'undefined') {
   window.WarpMind = WarpMind;
-  window.TimeoutError = TimeoutError;
+  Object.assign(window, errorTypes);
   // Also expose utilities for testing in browser
   window.WarpMindUtils = {
     addJitter,
@@ -1044,5 +1931,5 @@ if (typeof module !== 'undefined' && module.exports) {
   };
 }
 
-// Also attach TimeoutError to WarpMind class for webpack UMD compatibility
-WarpMind.TimeoutError = TimeoutError;
\ No newline at end of file
+// Also attach error types to WarpMind class for webpack UMD compatibility
+Object.assign(WarpMind, errorTypes);
\ No newline at end of file
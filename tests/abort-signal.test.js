@@ -0,0 +1,278 @@
+/**
+ * Tests for AbortSignal-based cancellation
+ * Covers chat, streamChat, respond, streamRespond, embed, analyzeImage and speechToText
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { TimeoutError, AbortError } = require('../src/warpmind.js');
+
+/**
+ * Build a fetch mock whose stream emits the given SSE chunks and then hangs
+ * until the request signal is aborted, like a real fetch body would
+ */
+function createHangingStreamFetch(chunks) {
+  return jest.fn((url, options) => {
+    const encoder = new TextEncoder();
+    let index = 0;
+    return Promise.resolve({
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: () => {
+            if (index < chunks.length) {
+              return Promise.resolve({ done: false, value: encoder.encode(chunks[index++]) });
+            }
+            return new Promise((resolve, reject) => {
+              const abort = () => reject(new DOMException('The operation was aborted', 'AbortError'));
+              if (options.signal.aborted) {
+                abort();
+              } else {
+                options.signal.addEventListener('abort', abort);
+              }
+            });
+          }
+        })
+      }
+    });
+  });
+}
+
+describe('AbortSignal cancellation', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({
+      apiKey: 'test-key',
+      baseURL: 'https://api.test.com/v1',
+      memoryToolEnabled: false
+    });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('AbortError is exported and distinct from TimeoutError', () => {
+    const error = new AbortError('stopped', 'partial');
+    expect(error).toBeInstanceOf(Error);
+    expect(error).not.toBeInstanceOf(TimeoutError);
+    expect(error.name).toBe('AbortError');
+    expect(error.partialText).toBe('partial');
+    expect(WarpMind.AbortError).toBe(AbortError);
+  });
+
+  describe('chat()', () => {
+    test('rejects immediately with an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(mind.chat('Hello', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('rejects with AbortError rather than TimeoutError when the caller aborts', async () => {
+      const controller = new AbortController();
+      fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          reject(new DOMException('The operation was aborted', 'AbortError'));
+        });
+      }));
+
+      const promise = mind.chat('Hello', { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(AbortError);
+    });
+
+    test('does not send the signal to the API', async () => {
+      const controller = new AbortController();
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: 'Hi' } }] })
+      });
+
+      await mind.chat('Hello', { signal: controller.signal });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body).not.toHaveProperty('signal');
+    });
+
+    test('stops tool-call recursion once aborted', async () => {
+      const controller = new AbortController();
+      mind.makeRequest = jest.fn().mockResolvedValue({
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [
+              { id: 'call_1', type: 'function', function: { name: 'first', arguments: '{}' } },
+              { id: 'call_2', type: 'function', function: { name: 'second', arguments: '{}' } }
+            ]
+          }
+        }]
+      });
+
+      const secondHandler = jest.fn();
+      mind.registerTool({
+        name: 'first',
+        description: 'Aborts the request',
+        parameters: { type: 'object', properties: {} },
+        handler: async () => {
+          controller.abort();
+          return 'done';
+        }
+      });
+      mind.registerTool({
+        name: 'second',
+        description: 'Should never run',
+        parameters: { type: 'object', properties: {} },
+        handler: secondHandler
+      });
+
+      await expect(mind.chat('Hello', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+      expect(secondHandler).not.toHaveBeenCalled();
+      expect(mind.makeRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('requests detach from a long-lived signal once they finish', async () => {
+    const controller = new AbortController();
+    const add = jest.spyOn(controller.signal, 'addEventListener');
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+    const encoder = new TextEncoder();
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ choices: [{ message: { content: 'Hi' } }] }) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ choices: [{ message: { content: 'Hi again' } }] }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        body: {
+          getReader: () => {
+            const chunks = [encoder.encode('data: {"choices":[{"delta":{"content":"Hey"}}]}\n\n'), encoder.encode('data: [DONE]\n\n')];
+            return { read: () => Promise.resolve(chunks.length ? { done: false, value: chunks.shift() } : { done: true }), releaseLock: () => {} };
+          }
+        }
+      });
+
+    await mind.chat('Hello', { signal: controller.signal });
+    await mind.chat('Hello again', { signal: controller.signal });
+    await mind.streamChat('Stream', () => {}, { signal: controller.signal });
+
+    const abortListeners = (spy) => spy.mock.calls.filter(([type]) => type === 'abort').map(([, listener]) => listener);
+    expect(abortListeners(add)).toHaveLength(3);
+    expect(abortListeners(remove)).toEqual(abortListeners(add));
+  });
+
+  describe('streamChat()', () => {
+    test('rejects with AbortError carrying the partial text', async () => {
+      const controller = new AbortController();
+      global.fetch = createHangingStreamFetch([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":" world"}}]}\n\n'
+      ]);
+
+      const chunks = [];
+      const promise = mind.streamChat('Hi', (chunk) => {
+        chunks.push(chunk.content);
+        if (chunks.length === 2) {
+          controller.abort();
+        }
+      }, { signal: controller.signal });
+
+      const error = await promise.catch(e => e);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.partialText).toBe('Hello world');
+      expect(chunks).toEqual(['Hello', ' world']);
+    });
+
+    test('still reports timeouts as TimeoutError', async () => {
+      const abortError = new Error('The operation was aborted');
+      abortError.name = 'AbortError';
+      fetch.mockRejectedValue(abortError);
+
+      const controller = new AbortController();
+      await expect(
+        mind.streamChat('Hi', null, { timeoutMs: 1000, signal: controller.signal })
+      ).rejects.toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('Responses API', () => {
+    test('respond() forwards the signal and keeps it out of the payload', async () => {
+      const controller = new AbortController();
+      mind.makeRequest = jest.fn().mockResolvedValue({
+        id: 'resp_1',
+        status: 'completed',
+        output: [{ type: 'message', content: [{ type: 'output_text', text: 'Hi' }] }]
+      });
+
+      await mind.respond('Hello', { signal: controller.signal });
+
+      const [, payload, requestOptions] = mind.makeRequest.mock.calls[0];
+      expect(payload).not.toHaveProperty('signal');
+      expect(requestOptions.signal).toBe(controller.signal);
+    });
+
+    test('respond() passes timeoutMs and cache to the transport instead of the API', async () => {
+      mind.makeRequest = jest.fn().mockResolvedValue({
+        id: 'resp_1',
+        status: 'completed',
+        output: [{ type: 'message', content: [{ type: 'output_text', text: 'Hi' }] }]
+      });
+
+      await mind.respond('Hello', { timeoutMs: 5000, cache: false, temperature: 0.2 });
+
+      const [, payload, requestOptions] = mind.makeRequest.mock.calls[0];
+      expect(payload).not.toHaveProperty('timeoutMs');
+      expect(payload).not.toHaveProperty('cache');
+      expect(payload.temperature).toBe(0.2);
+      expect(requestOptions).toMatchObject({ timeoutMs: 5000, cache: false });
+    });
+
+    test('streamRespond() rejects with AbortError carrying the partial text', async () => {
+      const controller = new AbortController();
+      global.fetch = createHangingStreamFetch([
+        'event: response.output_text.delta\ndata: {"delta":"Partial"}\n\n'
+      ]);
+
+      const promise = mind.streamRespond('Hi', () => controller.abort(), { signal: controller.signal });
+
+      const error = await promise.catch(e => e);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.partialText).toBe('Partial');
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).not.toHaveProperty('signal');
+    });
+  });
+
+  describe('other methods', () => {
+    test('embed() rejects with an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(mind.embed('text', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('analyzeImage() passes the signal to chat()', async () => {
+      const controller = new AbortController();
+      const chatSpy = jest.spyOn(mind, 'chat').mockResolvedValue('An image');
+
+      await mind.analyzeImage('https://example.com/cat.png', 'What is this?', { signal: controller.signal });
+
+      expect(chatSpy.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('speechToText() rejects with AbortError when the caller aborts', async () => {
+      const controller = new AbortController();
+      fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          reject(new DOMException('The operation was aborted', 'AbortError'));
+        });
+      }));
+
+      const promise = mind.speechToText(new Blob(['audio']), { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(AbortError);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for createAgent() and the agent loop
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const ToolCallTracker = require('../src/modules/tool-call-tracker.js');
+
+const weatherTool = {
+  name: 'getWeather',
+  description: 'Get the weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+  handler: jest.fn(async ({ city }) => ({ city, temperature: 21 }))
+};
+
+describe('Agents', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+    weatherTool.handler.mockClear();
+  });
+
+  test('runs tools step by step and reports every step', async () => {
+    const backend = WarpMind.createScriptedBackend([
+      { text: 'Let me check the weather.', toolCalls: [{ name: 'getWeather', arguments: { city: 'Paris' } }] },
+      (messages) => `It is ${JSON.parse(messages[messages.length - 1].content).temperature}°C in Paris.`
+    ]);
+    const agent = mind.createAgent({ instructions: 'You are a weather bot', tools: [weatherTool], backend });
+    const onStep = jest.fn();
+
+    const result = await agent.run('Weather in Paris?', { onStep });
+
+    expect(result.text).toBe('It is 21°C in Paris.');
+    expect(result.stopReason).toBe('final_answer');
+    expect(result.steps).toBe(2);
+    expect(result.trace.map(event => [event.step, event.type])).toEqual([
+      [1, 'thinking'], [1, 'tool_call'], [1, 'tool_result'], [2, 'final_answer']
+    ]);
+    expect(result.trace[1]).toMatchObject({ name: 'getWeather', parameters: { city: 'Paris' } });
+    expect(result.trace[2]).toMatchObject({ status: 'completed', result: { city: 'Paris', temperature: 21 } });
+    expect(onStep).toHaveBeenCalledTimes(4);
+    expect(backend.requests[0].messages[0]).toEqual({ role: 'system', content: 'You are a weather bot' });
+    expect(backend.requests[0].tools).toEqual(['getWeather']);
+    expect(agent.tracker.getCallHistory()).toHaveLength(1);
+    expect(ToolCallTracker.formatTrace(agent.getTrace()).split('\n')).toEqual([
+      '[step 1] thinking: Let me check the weather.',
+      '[step 1] call getWeather({"city":"Paris"})',
+      expect.stringMatching(/^\[step 1\] getWeather → \{"city":"Paris","temperature":21\} \(\d+ms\)$/),
+      '[step 2] answer: It is 21°C in Paris.'
+    ]);
+  });
+
+  test('a rejected tool call is not executed and the model is told', async () => {
+    const backend = WarpMind.createScriptedBackend([
+      { toolCalls: [{ name: 'getWeather', arguments: { city: 'Oslo' } }] },
+      'I was not allowed to check the weather.'
+    ]);
+    const approveToolCall = jest.fn(async () => false);
+    const agent = mind.createAgent({ tools: [weatherTool], backend, approveToolCall });
+
+    const result = await agent.run('Weather in Oslo?');
+
+    expect(approveToolCall).toHaveBeenCalledWith(expect.objectContaining({ name: 'getWeather', parameters: { city: 'Oslo' }, step: 1 }));
+    expect(weatherTool.handler).not.toHaveBeenCalled();
+    expect(result.trace[1]).toMatchObject({ type: 'tool_result', status: 'rejected' });
+    const toolMessage = backend.requests[1].messages.find(message => message.role === 'tool');
+    expect(JSON.parse(toolMessage.content)).toEqual({ error: 'The user did not approve this tool call' });
+  });
+
+  test('stops at maxSteps without running the last tool calls', async () => {
+    const alwaysCallTool = () => ({ text: 'Checking again.', toolCalls: [{ name: 'getWeather', arguments: { city: 'Rome' } }] });
+    const backend = WarpMind.createScriptedBackend([alwaysCallTool, alwaysCallTool, alwaysCallTool]);
+    const agent = mind.createAgent({ tools: [weatherTool], backend, maxSteps: 2 });
+
+    const result = await agent.run('Loop forever');
+
+    expect(result.stopReason).toBe('max_steps');
+    expect(result.steps).toBe(2);
+    expect(weatherTool.handler).toHaveBeenCalledTimes(1);
+    // The messages can be sent again: every tool call in them has an answer
+    expect(result.messages.slice(-2)).toEqual([
+      expect.objectContaining({ role: 'tool' }),
+      { role: 'assistant', content: 'Checking again.' }
+    ]);
+    expect(() => mind.createAgent({ maxSteps: 0 })).toThrow('maxSteps must be a positive integer');
+  });
+
+  test('stopWhen ends the run after the current step', async () => {
+    const backend = WarpMind.createScriptedBackend([
+      { toolCalls: [{ name: 'getWeather', arguments: { city: 'Rome' } }] },
+      'never reached'
+    ]);
+    const agent = mind.createAgent({
+      tools: [weatherTool],
+      backend,
+      stopWhen: (event) => event.type === 'tool_result' && event.name === 'getWeather'
+    });
+
+    const result = await agent.run('Weather in Rome?');
+
+    expect(result.stopReason).toBe('stop_condition');
+    expect(backend.requests).toHaveLength(1);
+    expect(result.messages[result.messages.length - 1]).toMatchObject({ role: 'tool' });
+  });
+
+  test('stream() yields step events as they happen', async () => {
+    const backend = WarpMind.createScriptedBackend([
+      { toolCalls: [{ name: 'getWeather', arguments: { city: 'Bergen' } }] },
+      'Rainy, as always.'
+    ]);
+    const agent = mind.createAgent({ tools: [weatherTool], backend });
+
+    const types = [];
+    const iterator = agent.stream('Weather in Bergen?');
+    let next = await iterator.next();
+    while (!next.done) {
+      types.push(next.value.type);
+      next = await iterator.next();
+    }
+
+    expect(types).toEqual(['tool_call', 'tool_result', 'final_answer']);
+    expect(next.value.text).toBe('Rainy, as always.');
+  });
+
+  test('stream() stops the run when the consumer leaves early', async () => {
+    let finishTool;
+    let toolSignal;
+    const slowTool = {
+      ...weatherTool,
+      handler: jest.fn((args, { signal }) => {
+        toolSignal = signal;
+        return new Promise(resolve => { finishTool = () => resolve({ temperature: 21 }); });
+      })
+    };
+    const alwaysCallTool = () => ({ toolCalls: [{ name: 'getWeather', arguments: { city: 'Bergen' } }] });
+    const backend = WarpMind.createScriptedBackend([alwaysCallTool, alwaysCallTool, alwaysCallTool]);
+    const agent = mind.createAgent({ tools: [slowTool], backend });
+
+    for await (const event of agent.stream('Weather in Bergen?')) {
+      if (event.type === 'tool_call') break;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    finishTool();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(toolSignal.aborted).toBe(true);
+    expect(backend.requests).toHaveLength(1);
+    expect(slowTool.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('the chat backend uses registered tools and records usage', async () => {
+    mind.registerTool(weatherTool);
+    mind.makeRequest
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'getWeather', arguments: '{"city":"Paris"}' } }] } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      })
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: 'Sunny' } }],
+        usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 }
+      });
+
+    const result = await mind.createAgent({ tools: ['getWeather'] }).run('Weather?');
+
+    expect(result.text).toBe('Sunny');
+    const [endpoint, firstRequest] = mind.makeRequest.mock.calls[0];
+    expect(endpoint).toBe('/chat/completions');
+    expect(firstRequest.tools[0].function.name).toBe('getWeather');
+    expect(mind.makeRequest.mock.calls[1][1].messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"city":"Paris","temperature":21}' });
+    expect(mind.getUsage().byMethod.agent.requests).toBe(2);
+    await expect(mind.createAgent({ tools: ['missing'] }).run('x')).rejects.toThrow("Tool 'missing' is not registered");
+  });
+
+  test('the responses backend sends the transcript as Responses API input', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce({
+        status: 'completed',
+        output: [{ type: 'function_call', call_id: 'call_1', name: 'getWeather', arguments: '{"city":"Paris"}' }]
+      })
+      .mockResolvedValueOnce({
+        status: 'completed',
+        output: [{ type: 'message', content: [{ type: 'output_text', text: 'Sunny' }] }]
+      });
+
+    const agent = mind.createAgent({ instructions: 'Be brief', tools: [weatherTool], backend: 'responses' });
+    const result = await agent.run('Weather?');
+
+    expect(result.text).toBe('Sunny');
+    const [endpoint, payload] = mind.makeRequest.mock.calls[1];
+    expect(endpoint).toBe('/responses');
+    expect(payload.instructions).toBe('Be brief');
+    expect(payload.tools[0]).toMatchObject({ type: 'function', name: 'getWeather' });
+    expect(payload.input).toEqual([
+      { role: 'user', content: 'Weather?' },
+      { type: 'function_call', call_id: 'call_1', name: 'getWeather', arguments: '{"city":"Paris"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: '{"city":"Paris","temperature":21}' }
+    ]);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 const createAudioModule = require('../src/modules/audio');
+const { BaseClient } = require('../src/core/base-client');
 
 // Mock global fetch
 global.fetch = jest.fn();
@@ -45,13 +46,15 @@ describe('Audio Module Direct Tests', () => {
   let audioModule;
 
   beforeEach(() => {
-    mockClient = {
+    // Audio requests go through the BaseClient transport, so build on a real client
+    mockClient = Object.assign(new BaseClient({
       apiKey: 'test-api-key',
-      baseURL: 'https://api.openai.com',
+      baseURL: 'https://api.openai.com'
+    }), {
       makeRequest: jest.fn(),
       chat: jest.fn().mockResolvedValue('AI response text'),
       _buildApiUrl: jest.fn((endpoint) => `https://api.openai.com/v1${endpoint}`)
-    };
+    });
     audioModule = createAudioModule(mockClient);
     fetch.mockClear();
     global.Audio.mockClear();
@@ -6,6 +6,12 @@
 const WarpMind = require('../src/warpmind.js');
 const { TimeoutError } = require('../src/warpmind.js');
 
+// Skip retry back-off delays - audio requests share the retrying transport
+jest.mock('../src/util', () => ({
+  ...jest.requireActual('../src/util'),
+  sleep: jest.fn().mockResolvedValue(undefined)
+}));
+
 // Mock fetch for testing
 global.fetch = jest.fn();
 
@@ -0,0 +1,143 @@
+/**
+ * Tests for the context manager: token estimates, budgets, sliding window and rolling summaries
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const ContextManager = require('../src/modules/context-window.js');
+
+// Text of exactly n tokens: one token per word
+function words(n) {
+  return 'word' + ' word'.repeat(n - 1);
+}
+
+function answer(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+describe('Context window', () => {
+  let mind;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('estimates tokens like the tokenizer splits text, and budgets per model', () => {
+    const { estimateTokens } = ContextManager;
+    expect(estimateTokens('Hello, world!')).toBe(4);
+    expect(estimateTokens('The quick brown fox jumps over the lazy dog.')).toBe(10);
+    expect(estimateTokens('1234567')).toBe(3);
+    expect(estimateTokens('')).toBe(0);
+    expect(mind.estimateTokens([{ role: 'user', content: 'Hello, world!' }])).toBe(10);
+
+    const manager = mind.createContextManager({ budgets: { 'gpt-4o-mini': 20000 }, reserveTokens: 1000 });
+    expect(manager.getBudget('gpt-4o-mini-2024-07-18')).toBe(20000);
+    expect(manager.getBudget('gpt-4o-2024-08-06')).toBe(127000);
+    expect(manager.getBudget('llama-3')).toBe(7192);
+    expect(mind.createContextManager({ maxTokens: 500 }).getBudget('gpt-4.1')).toBe(500);
+
+    expect(() => mind.createContextManager({ strategy: 'random' })).toThrow("Unknown context strategy 'random'");
+    expect(() => mind.createContextManager({ maxTokens: 0 })).toThrow('maxTokens must be a positive number');
+    expect(() => mind.createContextManager({ tokenizer: 'tiktoken' })).toThrow('Tokenizer must be a function');
+  });
+
+  test('the sliding window drops whole turns, keeps the system prompt and reports what it did', async () => {
+    const system = { role: 'system', content: words(10) };
+    const firstTurn = [
+      { role: 'user', content: words(100) },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":21}' },
+      { role: 'assistant', content: words(100) }
+    ];
+    const secondTurn = [{ role: 'user', content: words(100) }, { role: 'assistant', content: words(100) }];
+    const newest = { role: 'user', content: words(10) };
+    const onTrim = jest.fn();
+    const manager = mind.createContextManager({
+      maxTokens: mind.estimateTokens([system, ...secondTurn, newest]),
+      onTrim
+    });
+    mind.makeRequest.mockResolvedValue(answer('ok'));
+
+    await mind.chat([system, ...firstTurn, ...secondTurn, newest], { contextWindow: manager });
+
+    const payload = mind.makeRequest.mock.calls[0][1];
+    expect(payload.messages).toEqual([system, ...secondTurn, newest]);
+    expect(payload.contextWindow).toBeUndefined();
+    expect(onTrim).toHaveBeenCalledWith(expect.objectContaining({ dropped: 4, summarized: 0, tokensAfter: manager.maxTokens }));
+
+    await expect(mind.chat([{ role: 'user', content: words(100) }], { contextWindow: { maxTokens: 50 } }))
+      .rejects.toThrow('The newest message needs about 103 tokens');
+  });
+
+  test('the summarize strategy replaces old turns with a rolling summary', async () => {
+    const system = { role: 'system', content: words(10) };
+    const older = [
+      { role: 'user', content: 'My name is Alice. ' + words(95) },
+      { role: 'assistant', content: words(100) },
+      { role: 'user', content: words(100) },
+      { role: 'assistant', content: words(100) }
+    ];
+    const manager = mind.createContextManager({ strategy: 'summarize', maxTokens: 400, summaryTokens: 20, summaryModel: 'gpt-4o-mini' });
+    mind.makeRequest
+      .mockResolvedValueOnce(answer('Alice introduced herself.'))
+      .mockResolvedValue(answer('ok'));
+
+    const messages = [system, ...older, { role: 'user', content: words(10) }];
+    await mind.chat(messages, { contextWindow: manager });
+
+    const [summaryRequest, chatRequest] = mind.makeRequest.mock.calls.map(call => call[1]);
+    expect(summaryRequest).toMatchObject({ model: 'gpt-4o-mini', max_tokens: 20 });
+    expect(summaryRequest.messages[1].content).toContain('User: My name is Alice.');
+    expect(chatRequest.messages).toEqual([
+      system,
+      { role: 'system', content: `${ContextManager.SUMMARY_PREFIX}Alice introduced herself.` },
+      { role: 'user', content: words(10) }
+    ]);
+
+    // The same array with a new turn reuses the summary instead of summarizing again
+    messages.push({ role: 'assistant', content: words(10) }, { role: 'user', content: words(10) });
+    await mind.chat(messages, { contextWindow: manager });
+    expect(mind.makeRequest).toHaveBeenCalledTimes(3);
+    expect(mind.makeRequest.mock.calls[2][1].messages).toHaveLength(5);
+
+    // A history that already has a summary folds it into the next one
+    mind.makeRequest.mockResolvedValueOnce(answer('Alice introduced herself and asked for a story.'));
+    const fitted = await manager.fit([...chatRequest.messages, { role: 'assistant', content: words(400) }, { role: 'user', content: words(10) }], { model: 'gpt-4o' });
+    expect(mind.makeRequest.mock.calls[3][1].messages[1].content).toContain('Previous summary:\nAlice introduced herself.');
+    expect(fitted).toMatchObject({ summarized: 2, dropped: 0 });
+    expect(fitted.messages[1].content).toBe(`${ContextManager.SUMMARY_PREFIX}Alice introduced herself and asked for a story.`);
+  });
+
+  test('a conversation trims its history and starts a new chain from it when the context is full', async () => {
+    const payloads = [];
+    let responses = 0;
+    mind.makeRequest.mockImplementation(async (endpoint, payload) => {
+      payloads.push(JSON.parse(JSON.stringify(payload)));
+      responses++;
+      return {
+        id: `resp_${responses}`,
+        status: 'completed',
+        output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Noted' }] }]
+      };
+    });
+    const conversation = mind.createConversation({ contextWindow: { maxTokens: 250 } });
+
+    await conversation.respond(`First ${words(99)}`);
+    await conversation.respond(`Second ${words(99)}`);
+    await conversation.respond(`Third ${words(99)}`);
+    await conversation.respond('Thanks');
+
+    expect(payloads[1].previous_response_id).toBe('resp_1');
+    // The third turn does not fit on top of the first two: the first turn is left out
+    expect(payloads[2].previous_response_id).toBeUndefined();
+    expect(payloads[2].input.map(item => item.content[0].text.split(' ')[0])).toEqual(['Second', 'Noted', 'Third']);
+    expect(payloads[3].previous_response_id).toBe('resp_3');
+    // The transcript keeps everything
+    expect(conversation.getMessageCount()).toBe(8);
+  });
+});
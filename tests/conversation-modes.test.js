@@ -0,0 +1,168 @@
+/**
+ * Tests for conversation modes: server chaining, client-side history and the automatic fallback
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { BadRequestError } = require('../src/core/errors.js');
+
+function reply(id, text, output = null) {
+  return {
+    id,
+    status: 'completed',
+    output: output || [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] }],
+    usage: { total_tokens: 10 }
+  };
+}
+
+describe('Conversation modes', () => {
+  let mind;
+  let payloads;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    payloads = [];
+    mind.makeRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  function respondWith(...responses) {
+    mind.makeRequest.mockImplementation(async (endpoint, payload) => {
+      // Payloads are reused between requests, so keep a copy of each one
+      payloads.push(JSON.parse(JSON.stringify(payload)));
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    });
+  }
+
+  const inputTexts = (payload) => payload.input.map(item =>
+    item.type === 'message' ? `${item.role}: ${item.content.map(part => part.text).join(' ')}` : item.type);
+
+  test('client mode sends the transcript with every turn instead of previous_response_id', async () => {
+    mind.registerTool({
+      name: 'weather',
+      description: 'Get the weather',
+      parameters: { type: 'object', properties: {} },
+      handler: async () => ({ temperature: 21 })
+    });
+    respondWith(
+      reply('resp_1', 'Hi Alice'),
+      reply('resp_2', null, [
+        { type: 'reasoning', summary: [] },
+        { type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{}' }
+      ]),
+      reply('resp_3', 'It is 21 degrees'),
+      reply('resp_4', 'Your name is Alice')
+    );
+    const conversation = mind.createConversation({ mode: 'client', instructions: 'Be brief' });
+
+    await conversation.respond('My name is Alice');
+    await conversation.respond('Weather?');
+    await conversation.respond('What is my name?');
+
+    expect(payloads.every(payload => payload.previous_response_id === undefined)).toBe(true);
+    expect(payloads.every(payload => payload.stateless === undefined && payload.instructions === 'Be brief')).toBe(true);
+    // The follow-up after the tool call carries the call itself, without the reasoning item
+    expect(inputTexts(payloads[2])).toEqual([
+      'user: My name is Alice', 'assistant: Hi Alice', 'user: Weather?', 'function_call', 'function_call_output'
+    ]);
+    expect(inputTexts(payloads[3])).toEqual([
+      'user: My name is Alice', 'assistant: Hi Alice',
+      'user: Weather?', 'function_call', 'function_call_output', 'assistant: It is 21 degrees',
+      'user: What is my name?'
+    ]);
+  });
+
+  test('auto mode chains on the server and resends the transcript when the previous response is gone', async () => {
+    const stale = new BadRequestError("Previous response with id 'resp_1' not found.", {
+      status: 400,
+      body: { error: { param: 'previous_response_id', code: 'previous_response_not_found' } }
+    });
+    respondWith(reply('resp_1', 'Hi Alice'), stale, reply('resp_2', 'Your name is Alice'), reply('resp_3', 'Bye'));
+    const conversation = mind.createConversation();
+
+    await conversation.respond('My name is Alice');
+    const response = await conversation.respond('What is my name?');
+    await conversation.respond('Bye');
+
+    expect(response.text).toBe('Your name is Alice');
+    expect(payloads[1].previous_response_id).toBe('resp_1');
+    expect(payloads[2].previous_response_id).toBeUndefined();
+    expect(inputTexts(payloads[2])).toEqual(['user: My name is Alice', 'assistant: Hi Alice', 'user: What is my name?']);
+    // The new response can be chained to again
+    expect(payloads[3].previous_response_id).toBe('resp_2');
+    expect(conversation.getMessageCount()).toBe(6);
+  });
+
+  test('auto mode stays on the client once the server refused twice, and server mode never falls back', async () => {
+    const stale = () => new BadRequestError('Unsupported parameter: previous_response_id', { status: 400 });
+    respondWith(reply('a', 'One'), stale(), reply('b', 'Two'), stale(), reply('c', 'Three'), reply('d', 'Four'));
+    const conversation = mind.createConversation({ mode: 'auto' });
+
+    for (const text of ['1', '2', '3', '4']) {
+      await conversation.respond(text);
+    }
+
+    expect(conversation.activeMode).toBe('client');
+    expect(payloads[5].previous_response_id).toBeUndefined();
+    expect(payloads[5].input).toHaveLength(7);
+
+    const server = mind.createConversation({ mode: 'server' });
+    server.previousResponseId = 'expired';
+    respondWith(stale());
+    await expect(server.respond('Hello')).rejects.toThrow('Unsupported parameter');
+  });
+
+  test('a conversation imported without a response ID replays its history', async () => {
+    respondWith(reply('resp_1', 'You asked about Rome'));
+    const conversation = mind.createConversation();
+    conversation.importHistory(JSON.stringify({
+      history: [{ role: 'user', content: 'Tell me about Rome' }, { role: 'assistant', content: 'Rome is old' }]
+    }));
+
+    expect(conversation.activeMode).toBe('client');
+    await conversation.respond('What did I ask?');
+
+    expect(inputTexts(payloads[0])).toEqual(['user: Tell me about Rome', 'assistant: Rome is old', 'user: What did I ask?']);
+    expect(conversation.activeMode).toBe('server');
+  });
+
+  test('chat conversations rebuild the messages from the transcript, including tool calls', async () => {
+    mind.registerTool({
+      name: 'weather',
+      description: 'Get the weather',
+      parameters: { type: 'object', properties: {} },
+      handler: async () => ({ temperature: 21 })
+    });
+    mind.makeRequest
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{}' } }] } }]
+      })
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'It is 21 degrees' } }] })
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'You asked about the weather' } }] });
+    const conversation = mind.createConversation({ api: 'chat', instructions: 'Be brief' });
+
+    const first = await conversation.respond('Weather?');
+    await conversation.respond('What did I ask?');
+
+    expect(first).toEqual({ text: 'It is 21 degrees', id: null, usage: null, rounds: expect.any(Array) });
+    expect(conversation.getHistory().map(item => item.type)).toEqual([
+      'message', 'function_call', 'function_call_output', 'message', 'message', 'message'
+    ]);
+    const { messages } = mind.makeRequest.mock.calls[2][1];
+    expect(messages).toEqual([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Weather?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":21}' },
+      { role: 'assistant', content: 'It is 21 degrees' },
+      { role: 'user', content: 'What did I ask?' }
+    ]);
+    expect(() => mind.createConversation({ api: 'chat', mode: 'server' })).toThrow("use mode 'client' or 'auto'");
+    expect(() => mind.createConversation({ mode: 'local' })).toThrow("Unknown conversation mode 'local'");
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the typed conversation transcript and its versioned export format
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { TRANSCRIPT_VERSION } = require('../src/conversations/conversation.js');
+
+function message(text) {
+  return { type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] };
+}
+
+describe('Conversation transcript', () => {
+  let mind;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('records attachments by reference, tool calls, reasoning, usage and response IDs', async () => {
+    mind.registerTool({
+      name: 'weather',
+      description: 'Get the weather',
+      parameters: { type: 'object', properties: { city: { type: 'string' } } },
+      handler: async ({ city }) => ({ city, temperature: 21 })
+    });
+    mind.makeRequest
+      .mockResolvedValueOnce({
+        id: 'resp_1',
+        status: 'completed',
+        output: [
+          { type: 'reasoning', summary: [{ type: 'summary_text', text: 'The photo shows Rome, check the weather' }] },
+          { type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{"city":"Rome"}' }
+        ],
+        usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120, output_tokens_details: { reasoning_tokens: 8 } }
+      })
+      .mockResolvedValueOnce({
+        id: 'resp_2',
+        status: 'completed',
+        output: [message('It is 21 degrees in Rome')],
+        usage: { input_tokens: 150, output_tokens: 10, total_tokens: 160, output_tokens_details: { reasoning_tokens: 0 } }
+      });
+    const conversation = mind.createConversation();
+
+    await conversation.respond([{
+      role: 'user',
+      content: [
+        { type: 'input_text', text: 'What is the weather where this photo was taken?' },
+        { type: 'input_image', image_url: 'data:image/png;base64,iVBORw0KGgo=' },
+        { type: 'input_image', image_url: 'https://example.com/rome.jpg', detail: 'high' }
+      ]
+    }]);
+
+    const [turn] = conversation.getTurns();
+    expect(turn.responseId).toBe('resp_2');
+    expect(turn.usage).toEqual({ input_tokens: 250, output_tokens: 30, total_tokens: 280, output_tokens_details: { reasoning_tokens: 8 } });
+    expect(conversation.getHistory().map(({ timestamp, ...item }) => item)).toEqual([
+      {
+        type: 'message',
+        role: 'user',
+        content: 'What is the weather where this photo was taken?',
+        attachments: [
+          { type: 'image', mediaType: 'image/png', size: 8 },
+          { type: 'image', url: 'https://example.com/rome.jpg', detail: 'high' }
+        ]
+      },
+      { type: 'reasoning', summary: ['The photo shows Rome, check the weather'], responseId: 'resp_1' },
+      { type: 'function_call', callId: 'call_1', name: 'weather', arguments: '{"city":"Rome"}', responseId: 'resp_1' },
+      { type: 'function_call_output', callId: 'call_1', output: '{"city":"Rome","temperature":21}' },
+      { type: 'message', role: 'assistant', content: 'It is 21 degrees in Rome', responseId: 'resp_2' }
+    ]);
+    expect(conversation.getMessageCount()).toBe(2);
+    expect(conversation.getLastMessage().content).toBe('It is 21 degrees in Rome');
+  });
+
+  test('exportHistory() and importHistory() round-trip the transcript', async () => {
+    mind.makeRequest.mockResolvedValue({ id: 'resp_1', status: 'completed', output: [message('Hi Alice')], usage: { total_tokens: 5 } });
+    const conversation = mind.createConversation({ id: 'chat-1', instructions: 'Be brief' });
+    await conversation.respond('My name is Alice');
+
+    const exported = conversation.exportHistory();
+    const restored = mind.createConversation();
+    restored.importHistory(exported);
+
+    expect(JSON.parse(exported).version).toBe(TRANSCRIPT_VERSION);
+    expect(restored.getTurns()).toEqual(conversation.getTurns());
+    expect(restored).toMatchObject({ id: 'chat-1', instructions: 'Be brief', previousResponseId: 'resp_1' });
+    expect(restored.exportHistory()).toBe(exported);
+  });
+
+  test('importHistory() reads version 1 exports and refuses newer versions', () => {
+    const conversation = mind.createConversation();
+    conversation.importHistory(JSON.stringify({
+      history: [
+        { role: 'user', content: 'Hello', timestamp: 1 },
+        { role: 'assistant', content: 'Hi', timestamp: 2 },
+        { role: 'user', content: 'Bye', timestamp: 3 },
+        { role: 'assistant', content: 'Goodbye', timestamp: 4 }
+      ],
+      previousResponseId: 'resp_9'
+    }));
+
+    expect(conversation.getTurns().map(turn => turn.responseId)).toEqual([null, 'resp_9']);
+    expect(conversation.getHistory()[3]).toEqual({ type: 'message', role: 'assistant', content: 'Goodbye', timestamp: 4 });
+
+    expect(() => conversation.importHistory(JSON.stringify({ version: TRANSCRIPT_VERSION + 1, turns: [] })))
+      .toThrow(`format version ${TRANSCRIPT_VERSION + 1}`);
+  });
+
+  test('streamRespond() records the streamed text with the output of the completed response', async () => {
+    const encoder = new TextEncoder();
+    const events = [
+      { type: 'response.output_text.delta', delta: 'Hel' },
+      { type: 'response.output_text.delta', delta: 'lo' },
+      {
+        type: 'response.completed',
+        response: {
+          id: 'resp_s',
+          usage: { total_tokens: 12 },
+          output: [{ type: 'reasoning', summary: [{ type: 'summary_text', text: 'Greet back' }] }, message('Hello')]
+        }
+      }
+    ];
+    const chunks = events.map(event => encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: { getReader: () => ({ read: () => Promise.resolve(chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) }
+    });
+    const conversation = mind.createConversation();
+
+    const response = await conversation.streamRespond('Hi', () => {});
+
+    expect(response.text).toBe('Hello');
+    expect(conversation.getTurns()[0]).toMatchObject({ responseId: 'resp_s', usage: { total_tokens: 12 } });
+    expect(conversation.getHistory().map(item => item.type)).toEqual(['message', 'reasoning', 'message']);
+    expect(conversation.getLastMessage()).toMatchObject({ role: 'assistant', content: 'Hello', responseId: 'resp_s' });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for batched embedding generation and its use in PDF and memory imports
+ */
+
+const JSZip = require('jszip');
+const WarpMind = require('../src/warpmind.js');
+
+function createJsonResponse(body) {
+  return { ok: true, status: 200, json: () => Promise.resolve(body) };
+}
+
+function createErrorResponse(status, message) {
+  return {
+    ok: false,
+    status,
+    statusText: 'Error',
+    json: () => Promise.resolve({ error: { message } })
+  };
+}
+
+// Embeds each input as [length], returned in reverse order to check index sorting
+function embeddingsFor(inputs) {
+  const list = Array.isArray(inputs) ? inputs : [inputs];
+  return createJsonResponse({
+    data: list.map((text, index) => ({ index, embedding: [text.length] })).reverse(),
+    usage: { prompt_tokens: list.length, total_tokens: list.length }
+  });
+}
+
+describe('embedBatch()', () => {
+  let mind;
+  let originalWarn;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn().mockImplementation((url, init) => Promise.resolve(embeddingsFor(JSON.parse(init.body).input)));
+    originalWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    jest.clearAllMocks();
+  });
+
+  test('sends texts in batches and keeps input order', async () => {
+    const texts = ['a', 'bb', 'ccc', 'dddd', 'eeeee'];
+
+    const embeddings = await mind.embedBatch(texts, { batchSize: 2 });
+
+    expect(embeddings).toEqual([[1], [2], [3], [4], [5]]);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).input).toEqual(['a', 'bb']);
+    expect(mind.getUsage().byMethod.embedBatch.requests).toBe(3);
+  });
+
+  test('keeps at most `concurrency` requests in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    fetch.mockImplementation(async (url, init) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return embeddingsFor(JSON.parse(init.body).input);
+    });
+
+    await mind.embedBatch(Array.from({ length: 10 }, (_, i) => `text ${i}`), { batchSize: 1, concurrency: 3 });
+
+    expect(fetch).toHaveBeenCalledTimes(10);
+    expect(maxInFlight).toBe(3);
+  });
+
+  test('a failed batch is retried per text so only the bad text is lost', async () => {
+    fetch.mockImplementation((url, init) => {
+      const input = JSON.parse(init.body).input;
+      const list = Array.isArray(input) ? input : [input];
+      return Promise.resolve(list.includes('bad')
+        ? createErrorResponse(400, 'Input too long')
+        : embeddingsFor(input));
+    });
+    const progress = [];
+
+    const embeddings = await mind.embedBatch(['a', 'bad', 'ccc'], {
+      batchSize: 3,
+      onProgress: (update) => progress.push(update)
+    });
+
+    expect(embeddings).toEqual([[1], null, [3]]);
+    expect(progress[progress.length - 1]).toEqual({ completed: 2, failed: 1, total: 3 });
+  });
+
+  test('throws when every text failed', async () => {
+    fetch.mockResolvedValue(createErrorResponse(401, 'Bad key'));
+
+    await expect(mind.embedBatch(['a', 'b'])).rejects.toThrow('Embedding generation failed: API request failed: 401');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('validates its input', async () => {
+    await expect(mind.embedBatch('text')).rejects.toThrow('Texts must be an array of non-empty strings');
+    await expect(mind.embedBatch(['ok', ''])).rejects.toThrow('Texts must be an array of non-empty strings');
+    await expect(mind.embedBatch([])).resolves.toEqual([]);
+    await expect(mind.embedBatch(['ok'], { batchSize: 0 })).rejects.toThrow('batchSize must be a positive integer');
+    await expect(mind.embedBatch(['ok'], { concurrency: 0 })).rejects.toThrow('concurrency must be a positive integer');
+    await expect(mind.embedBatch(['ok'], { concurrency: 1.5 })).rejects.toThrow('concurrency must be a positive integer');
+  });
+
+  test('importMemories() regenerates embeddings in one batched request', async () => {
+    const result = await mind.importMemories({
+      memories: [
+        { content: 'first memory', tags: [] },
+        { content: 'second memory', tags: [] },
+        { content: 'third memory', tags: [] }
+      ]
+    });
+
+    expect(result.imported).toBe(3);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).input).toEqual(['first memory', 'second memory', 'third memory']);
+  });
+
+  test('importPdf() embeds chunks that were exported without embeddings', async () => {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ pdfId: 'notes', version: '1.0' }));
+    zip.file('metadata.json', JSON.stringify({ title: 'notes', numPages: 1, embedModel: 'text-embedding-3-small' }));
+    zip.file('content.json', JSON.stringify({ fullText: 'Hello world. Second chunk.', pageContents: [] }));
+    zip.file('embeddings.json', JSON.stringify([
+      { chunkIndex: 0, textStart: 0, textEnd: 12, embedding: [0.5] },
+      { chunkIndex: 1, textStart: 13, textEnd: 26, embedding: null }
+    ]));
+    const zipData = await zip.generateAsync({ type: 'nodebuffer' });
+    mind.registerTool = jest.fn();
+
+    const result = await mind.importPdf(zipData);
+
+    expect(result.chunks).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).input).toEqual(['Second chunk.']);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for pluggable embedding providers
+ */
+
+const JSZip = require('jszip');
+const WarpMind = require('../src/warpmind.js');
+const {
+  hashingEmbedding,
+  createFunctionEmbeddingProvider,
+  resolveEmbeddingProvider,
+  isCompatibleEmbedding
+} = require('../src/modules/embedding-providers.js');
+
+function createJsonResponse(body) {
+  return { ok: true, status: 200, json: () => Promise.resolve(body) };
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function createMind(embeddingProvider) {
+  return new WarpMind({
+    apiKey: 'test-key',
+    baseURL: 'https://api.test.com/v1',
+    memoryToolEnabled: false,
+    embeddingProvider
+  });
+}
+
+describe('Embedding providers', () => {
+  test('hashing embeddings are deterministic, normalized and similar for related texts', () => {
+    const cats = hashingEmbedding('Cats like to sleep in the sun');
+    const moreCats = hashingEmbedding('My cats sleep in the sun all day');
+    const taxes = hashingEmbedding('Quarterly tax filing deadlines');
+
+    expect(cats).toHaveLength(384);
+    expect(hashingEmbedding('Cats like to sleep in the sun')).toEqual(cats);
+    expect(dot(cats, cats)).toBeCloseTo(1);
+    expect(dot(cats, moreCats)).toBeGreaterThan(dot(cats, taxes));
+  });
+
+  test('function providers validate what the function returns', async () => {
+    const provider = createFunctionEmbeddingProvider(text => [text.length, 1], { id: 'length' });
+    await expect(provider.embed(['abc'])).resolves.toEqual([[3, 1]]);
+
+    const broken = createFunctionEmbeddingProvider(() => 'not a vector');
+    await expect(broken.embed(['abc'])).rejects.toThrow("Embedding provider 'custom' returned an invalid vector");
+  });
+
+  test('rejects invalid provider configs', () => {
+    expect(resolveEmbeddingProvider('api')).toBeNull();
+    expect(() => resolveEmbeddingProvider({ embed: async () => [] })).toThrow('Embedding provider objects need a string id');
+    expect(() => resolveEmbeddingProvider('bert')).toThrow("embeddingProvider must be 'api', 'hashing'");
+  });
+
+  test('vectors from another provider or with another length are not compatible', () => {
+    const stored = { embedding: [0.1, 0.2], embeddingProvider: 'hashing' };
+
+    expect(isCompatibleEmbedding(stored, 'hashing', 2)).toBe(true);
+    expect(isCompatibleEmbedding(stored, 'api:text-embedding-3-small', 2)).toBe(false);
+    expect(isCompatibleEmbedding(stored, 'hashing', 384)).toBe(false);
+    expect(isCompatibleEmbedding({ embedding: [0.1, 0.2] }, 'api:text-embedding-3-small', 2)).toBe(true);
+  });
+});
+
+describe('WarpMind with an embedding provider', () => {
+  let originalWarn;
+
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue(createJsonResponse({
+      data: [{ index: 0, embedding: [0.6, 0.8] }],
+      usage: { prompt_tokens: 1, total_tokens: 1 }
+    }));
+    originalWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    jest.clearAllMocks();
+  });
+
+  test("embeddingProvider: 'hashing' embeds offline", async () => {
+    const mind = createMind('hashing');
+
+    await expect(mind.embed('hello world')).resolves.toEqual(hashingEmbedding('hello world'));
+    await expect(mind.embedBatch(['a b', 'c d'], { batchSize: 1 })).resolves.toHaveLength(2);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(mind.getEmbeddingProviderId()).toBe('hashing');
+  });
+
+  test('the API provider id includes the model', () => {
+    const mind = createMind();
+
+    expect(mind.getEmbeddingProviderId()).toBe('api:text-embedding-3-small');
+    expect(mind.getEmbeddingProviderId({ model: 'text-embedding-3-large' })).toBe('api:text-embedding-3-large');
+  });
+
+  test('setEmbeddingProvider() switches to a user-supplied function', async () => {
+    const mind = createMind();
+    const embedText = jest.fn(async text => [text.length, 0]);
+
+    mind.setEmbeddingProvider(embedText);
+
+    await expect(mind.embed('four')).resolves.toEqual([4, 0]);
+    expect(embedText).toHaveBeenCalledWith('four');
+    expect(mind.getEmbeddingProviderId()).toBe('custom');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('memories record their provider and recall skips other providers', async () => {
+    const mind = createMind();
+    await mind.remember('Paris is the capital of France');
+
+    mind.setEmbeddingProvider('hashing');
+    await mind.remember('Cats like to sleep in the sun');
+
+    const results = await mind.recall('cats sleeping in the sun');
+
+    expect(results.map(result => result.content)).toEqual(['Cats like to sleep in the sun']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 memories embedded with a different provider'));
+  });
+
+  test('PDF search only compares chunks embedded by the query provider', async () => {
+    const mind = createMind('hashing');
+    mind.registerTool = jest.fn();
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ pdfId: 'pets', version: '1.0' }));
+    zip.file('metadata.json', JSON.stringify({ title: 'pets', numPages: 1, embedModel: 'text-embedding-3-small' }));
+    zip.file('content.json', JSON.stringify({ fullText: '', pageContents: [] }));
+    zip.file('embeddings.json', JSON.stringify([
+      { chunkIndex: 0, text: 'Dogs need long walks', embedding: [0.6, 0.8], embeddingProvider: 'api:text-embedding-3-small' },
+      { chunkIndex: 1, text: 'Cats sleep in the sun', embedding: hashingEmbedding('Cats sleep in the sun'), embeddingProvider: 'hashing' }
+    ]));
+    await mind.importPdf(await zip.generateAsync({ type: 'nodebuffer' }));
+
+    const search = await mind._searchPdf('pets', 'cats in the sun', 5);
+
+    expect(search.results.map(result => result.chunkIndex)).toEqual([1]);
+    expect(search.results[0].similarity).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the typed error hierarchy
+ * Covers HTTP status mapping, request context, network errors and module errors
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const {
+  WarpMindError,
+  TimeoutError,
+  AuthenticationError,
+  RateLimitError,
+  BadRequestError,
+  ServerError,
+  NetworkError,
+  ContentFilterError,
+  ToolExecutionError,
+  SchemaValidationError
+} = require('../src/warpmind.js');
+
+// Skip retry back-off delays
+jest.mock('../src/util', () => ({
+  ...jest.requireActual('../src/util'),
+  sleep: jest.fn().mockResolvedValue(undefined)
+}));
+
+function createErrorResponse(status, statusText, body, headers = {}) {
+  return {
+    ok: false,
+    status,
+    statusText,
+    headers: { get: (name) => headers[name.toLowerCase()] || null },
+    json: () => Promise.resolve(body)
+  };
+}
+
+describe('Typed errors', () => {
+  let mind;
+  let originalWarn;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+    originalWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    jest.clearAllMocks();
+  });
+
+  test('error classes are exported and share a base class', () => {
+    for (const ErrorType of [TimeoutError, AuthenticationError, RateLimitError, BadRequestError,
+      ServerError, NetworkError, ContentFilterError, ToolExecutionError, SchemaValidationError]) {
+      const error = new ErrorType('message');
+      expect(error).toBeInstanceOf(WarpMindError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe(ErrorType.name);
+      expect(WarpMind[ErrorType.name]).toBe(ErrorType);
+    }
+  });
+
+  test.each([
+    [400, 'Bad Request', BadRequestError, false],
+    [401, 'Unauthorized', AuthenticationError, false],
+    [403, 'Forbidden', AuthenticationError, false],
+    [404, 'Not Found', BadRequestError, false],
+    [500, 'Internal Server Error', ServerError, false]
+  ])('maps HTTP %i %s to the matching error type', async (status, statusText, ErrorType, retryable) => {
+    fetch.mockResolvedValue(createErrorResponse(status, statusText, { error: { message: 'Nope' } }));
+
+    const error = await mind.chat('Hello').catch(e => e);
+
+    expect(error).toBeInstanceOf(ErrorType);
+    expect(error.status).toBe(status);
+    expect(error.retryable).toBe(retryable);
+    expect(error.attempts).toBe(1);
+    expect(error.message).toBe(`API request failed: ${status} ${statusText}. Nope`);
+  });
+
+  test('RateLimitError carries the body, request id, endpoint and attempt count', async () => {
+    const body = { error: { message: 'Slow down', type: 'rate_limit' } };
+    fetch.mockResolvedValue(createErrorResponse(429, 'Too Many Requests', body, {
+      'x-request-id': 'req_123',
+      'retry-after': '2'
+    }));
+
+    const error = await mind.makeRequest('/chat/completions', {}, { maxRetries: 2 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.body).toEqual(body);
+    expect(error.requestId).toBe('req_123');
+    expect(error.endpoint).toBe('/chat/completions');
+    expect(error.attempts).toBe(3);
+    expect(error.retryable).toBe(true);
+    expect(error.retryAfter).toBe('2');
+  });
+
+  test('content filter rejections become ContentFilterError', async () => {
+    fetch.mockResolvedValue(createErrorResponse(400, 'Bad Request', {
+      error: { message: 'Filtered', code: 'content_filter' }
+    }));
+
+    await expect(mind.chat('Hello')).rejects.toBeInstanceOf(ContentFilterError);
+  });
+
+  test('a filtered completion with no content becomes ContentFilterError', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: null }, finish_reason: 'content_filter' }] })
+    });
+
+    await expect(mind.chat('Hello')).rejects.toBeInstanceOf(ContentFilterError);
+  });
+
+  test('unreachable APIs raise NetworkError after retrying', async () => {
+    fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+    const error = await mind.makeRequest('/models', null, { method: 'GET', maxRetries: 1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.retryable).toBe(true);
+    expect(error.attempts).toBe(2);
+    expect(error.message).toContain('Network error: Unable to connect to the API');
+  });
+
+  test('a missing API key raises AuthenticationError', async () => {
+    mind.setApiKey('');
+    await expect(mind.chat('Hello')).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  test('embed() keeps the error type while adding context', async () => {
+    fetch.mockResolvedValue(createErrorResponse(401, 'Unauthorized', { error: { message: 'Bad key' } }));
+
+    const error = await mind.embed('text').catch(e => e);
+
+    expect(error).toBeInstanceOf(AuthenticationError);
+    expect(error.message).toBe('Embedding generation failed: API request failed: 401 Unauthorized. Bad key');
+  });
+
+  test('audio errors use the same types', async () => {
+    fetch.mockResolvedValue(createErrorResponse(400, 'Bad Request', { error: { message: 'Invalid voice' } }));
+
+    const error = await mind.textToSpeech('Hello').catch(e => e);
+
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.endpoint).toBe('/audio/speech');
+    expect(error.message).toContain('TTS request failed: 400 Bad Request. Invalid voice');
+  });
+
+  test('failing tools raise ToolExecutionError with the tool name and cause', async () => {
+    const cause = new Error('Boom');
+    mind.registerTool({
+      name: 'explode',
+      description: 'Always fails',
+      parameters: { type: 'object', properties: {} },
+      handler: async () => { throw cause; }
+    });
+
+    const error = await mind._executeTool({ id: 'call_1', function: { name: 'explode', arguments: '{}' } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ToolExecutionError);
+    expect(error.toolName).toBe('explode');
+    expect(error.cause).toBe(cause);
+    expect(error.message).toBe('Tool execution failed: Boom');
+  });
+
+  test('process() raises SchemaValidationError with the raw response', async () => {
+    jest.spyOn(mind, 'chat').mockResolvedValue('not json');
+    jest.spyOn(console, 'error').mockImplementation();
+
+    const error = await mind.process('Extract', null, { name: 'The name' }, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.rawResponse).toBe('not json');
+    console.error.mockRestore();
+  });
+
+  test('process() does not retry non-retryable API errors', async () => {
+    const chatSpy = jest.spyOn(mind, 'chat').mockRejectedValue(new AuthenticationError('API request failed: 401'));
+    jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(mind.process('Extract', null, {}, { retries: 2 })).rejects.toBeInstanceOf(AuthenticationError);
+    expect(chatSpy).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for registering plain functions and objects as tools
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { descriptorsToSchema } = require('../src/core/json-schema.js');
+
+function toolCallResponse(name, args) {
+  return {
+    choices: [{
+      message: {
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }]
+      }
+    }]
+  };
+}
+
+class WeatherService {
+  constructor() {
+    this.unit = '°C';
+  }
+
+  /**
+   * Get the current weather for a city
+   * @param {string} city - City name
+   * @param {'celsius'|'fahrenheit'} [units="celsius"] - Temperature units
+   */
+  async getWeather(city, units) {
+    return `21${this.unit} in ${city} (${units})`;
+  }
+
+  /**
+   * Get the forecast for the coming days
+   * @param {Object} args
+   * @param {string} args.city - City name
+   * @param {integer} [args.days=3] - Number of days
+   */
+  getForecast({ city, days }) {
+    return { city, days };
+  }
+
+  _apiKey() {
+    return 'secret';
+  }
+}
+
+describe('Function tools', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+  });
+
+  test('registerFunction() builds the schema from type descriptors and passes arguments in order', async () => {
+    const calls = [];
+    function getWeather(city, days, context) {
+      calls.push({ city, days, context });
+      return { city, days };
+    }
+
+    const name = mind.registerFunction(getWeather, {
+      description: 'Get the weather',
+      params: { city: 'string', days: 'integer?' }
+    });
+
+    expect(name).toBe('getWeather');
+    expect(mind.getRegisteredTools({ schemas: true })).toEqual([{
+      name: 'getWeather',
+      description: 'Get the weather',
+      group: null,
+      parameters: {
+        type: 'object',
+        properties: { city: { type: 'string' }, days: { type: 'integer' } },
+        required: ['city']
+      }
+    }]);
+
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('getWeather', { city: 'Oslo' }))
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'Cold' } }] });
+    await mind.chat('Weather in Oslo?');
+
+    expect(calls).toEqual([{ city: 'Oslo', days: undefined, context: expect.objectContaining({ toolCallId: 'call_1' }) }]);
+  });
+
+  test('registerFunction() reads a JSDoc comment and functions taking one object get the arguments object', async () => {
+    function searchBooks({ query, limit }) {
+      return { query, limit };
+    }
+
+    mind.registerFunction(searchBooks, {
+      jsdoc: `/**
+               * Search the library catalogue
+               * @param {string} query - Words to search for
+               * @param {number} [limit=5] - Maximum number of books
+               */`
+    });
+    const [tool] = mind.getRegisteredTools({ schemas: true });
+
+    expect(tool.description).toBe('Search the library catalogue');
+    expect(tool.parameters.properties.limit).toEqual({ type: 'number', description: 'Maximum number of books', default: 5 });
+    await expect(mind._executeTool(toolCallResponse('searchBooks', { query: 'Dune' }).choices[0].message.tool_calls[0]))
+      .resolves.toEqual({ query: 'Dune', limit: 5 });
+  });
+
+  test('registerToolsFrom() registers the methods of a class instance using the JSDoc in the class', async () => {
+    const names = mind.registerToolsFrom(new WeatherService());
+
+    expect(names).toEqual(['getWeather', 'getForecast']);
+    expect(mind.getRegisteredTools('WeatherService')).toEqual(['getWeather', 'getForecast']);
+    const [weather, forecast] = mind.getRegisteredTools({ schemas: true });
+    expect(weather.description).toBe('Get the current weather for a city');
+    expect(weather.parameters).toEqual({
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: 'City name' },
+        units: { type: 'string', enum: ['celsius', 'fahrenheit'], description: 'Temperature units', default: 'celsius' }
+      },
+      required: ['city']
+    });
+    expect(forecast.parameters.required).toEqual(['city']);
+
+    const call = (toolName, args) => mind._executeTool(toolCallResponse(toolName, args).choices[0].message.tool_calls[0]);
+    await expect(call('getWeather', { city: 'Rome' })).resolves.toBe('21°C in Rome (celsius)');
+    await expect(call('getForecast', { city: 'Rome' })).resolves.toEqual({ city: 'Rome', days: 3 });
+  });
+
+  test('registerToolsFrom() works on plain objects and registers nothing if a name is taken', () => {
+    const calculator = {
+      add(a, b) { return a + b; },
+      divide(a, b) { return a / b; },
+      precision: 2
+    };
+
+    mind.registerToolsFrom(calculator, {
+      only: ['add'],
+      group: 'math',
+      methods: { add: { params: { a: 'number', b: 'number' } } }
+    });
+    expect(mind.getRegisteredTools({ group: 'math', schemas: true })[0]).toMatchObject({
+      name: 'add',
+      description: 'Add',
+      parameters: { properties: { a: { type: 'number' }, b: { type: 'number' } } }
+    });
+
+    expect(() => mind.registerToolsFrom(calculator)).toThrow("Tool with name 'add' is already registered");
+    expect(mind.getRegisteredTools()).toEqual(['add']);
+  });
+
+  test('type descriptors cover optional, list, allowed-value and nested properties', () => {
+    expect(descriptorsToSchema({
+      city: 'string',
+      days: 'number?',
+      tags: 'string[]',
+      units: 'celsius|fahrenheit',
+      address: { street: 'string', zip: { type: 'string', description: 'Postal code', default: '0000' } }
+    })).toEqual({
+      type: 'object',
+      properties: {
+        city: { type: 'string' },
+        days: { type: 'number' },
+        tags: { type: 'array', items: { type: 'string' } },
+        units: { type: 'string', enum: ['celsius', 'fahrenheit'] },
+        address: {
+          type: 'object',
+          properties: { street: { type: 'string' }, zip: { type: 'string', description: 'Postal code', default: '0000' } },
+          required: ['street']
+        }
+      },
+      required: ['city', 'tags', 'units', 'address']
+    });
+    expect(() => descriptorsToSchema({ city: 'strng' })).toThrow("Unknown type 'strng' for 'city'");
+  });
+
+  test('explains what is missing', () => {
+    expect(() => mind.registerFunction(() => 1)).toThrow('Anonymous functions need a name');
+    expect(() => mind.registerFunction(function route(from, to) {}, { params: { start: 'string', end: 'string' } }))
+      .toThrow("The parameters of 'route' (from, to) do not match the described parameters (start, end)");
+  });
+});
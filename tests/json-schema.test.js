@@ -0,0 +1,184 @@
+/**
+ * Tests for JSON Schema validation and schema-based structured output in process()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { SchemaValidationError } = require('../src/warpmind.js');
+const {
+  isJsonSchema,
+  shorthandToSchema,
+  validate,
+  formatErrors,
+  toStrictSchema
+} = require('../src/core/json-schema.js');
+
+const orderSchema = {
+  type: 'object',
+  properties: {
+    customer: { type: 'string' },
+    status: { type: 'string', enum: ['open', 'shipped'] },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          price: { type: 'number', minimum: 0 },
+          quantity: { type: 'integer' }
+        },
+        required: ['name', 'price']
+      }
+    }
+  },
+  required: ['customer', 'items']
+};
+
+function createChatResponse(content) {
+  return {
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ choices: [{ message: { content } }] })
+  };
+}
+
+describe('JSON Schema validation', () => {
+  test('tells full schemas from the key map shorthand', () => {
+    expect(isJsonSchema(orderSchema)).toBe(true);
+    expect(isJsonSchema({ type: ['string', 'null'] })).toBe(true);
+    expect(isJsonSchema({ name: 'The name', type: 'Kind of document' })).toBe(false);
+    expect(isJsonSchema({})).toBe(false);
+  });
+
+  test('the shorthand requires every key', () => {
+    const schema = shorthandToSchema({ name: 'The name' });
+
+    expect(validate({ name: 42 }, schema)).toEqual([]);
+    expect(formatErrors(validate({}, schema))).toEqual(["$: missing required property 'name'"]);
+    expect(shorthandToSchema({})).toEqual({});
+  });
+
+  test('reports nested errors with precise paths', () => {
+    const errors = validate({
+      customer: 'Ada',
+      status: 'lost',
+      items: [{ name: 'Pen', price: 2 }, { name: 'Ink', price: '3', quantity: 1.5 }, { price: -1 }]
+    }, orderSchema);
+
+    expect(formatErrors(errors)).toEqual([
+      '$.status: must be one of "open", "shipped"',
+      '$.items[1].price: expected number, got string',
+      '$.items[1].quantity: expected integer, got number',
+      "$.items[2]: missing required property 'name'",
+      '$.items[2].price: must be >= 0'
+    ]);
+  });
+
+  test('supports local references, combinators and additionalProperties', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        home: { $ref: '#/$defs/address' },
+        contact: { anyOf: [{ type: 'string', pattern: '@' }, { type: 'null' }] }
+      },
+      additionalProperties: false,
+      $defs: { address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } }
+    };
+
+    expect(validate({ home: { city: 'Oslo' }, contact: null }, schema)).toEqual([]);
+    expect(formatErrors(validate({ home: {}, contact: 'nope', age: 3 }, schema))).toEqual([
+      "$.home: missing required property 'city'",
+      '$.contact: does not match any of the allowed schemas',
+      '$.contact: must match the pattern @',
+      "$: unexpected property 'age'"
+    ]);
+  });
+
+  test('strict schemas require every property and make optional ones nullable', () => {
+    const { schema, strict } = toStrictSchema(orderSchema);
+
+    expect(strict).toBe(true);
+    expect(schema.additionalProperties).toBe(false);
+    expect(schema.required).toEqual(['customer', 'status', 'items']);
+    expect(schema.properties.status).toEqual({ anyOf: [orderSchema.properties.status, { type: 'null' }] });
+    expect(schema.properties.items.items.required).toEqual(['name', 'price', 'quantity']);
+    expect(toStrictSchema({ type: 'object', additionalProperties: true }).strict).toBe(false);
+  });
+});
+
+describe('process() with a JSON Schema', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends a strict json_schema response format and drops nulls for optional fields', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse(
+      '{"customer":"Ada","status":null,"items":[{"name":"Pen","price":2,"quantity":null}]}'
+    ));
+
+    const result = await mind.process('Extract the order', 'Ada bought a pen for 2', orderSchema);
+
+    expect(result).toEqual({ customer: 'Ada', items: [{ name: 'Pen', price: 2 }] });
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.response_format.type).toBe('json_schema');
+    expect(body.response_format.json_schema).toMatchObject({ name: 'response', strict: true });
+    expect(body.response_format.json_schema.schema.required).toEqual(['customer', 'status', 'items']);
+  });
+
+  test('retries with the validation errors fed back to the model', async () => {
+    fetch
+      .mockResolvedValueOnce(createChatResponse('{"customer":"Ada","items":[{"name":"Pen","price":"2"}]}'))
+      .mockResolvedValueOnce(createChatResponse('{"customer":"Ada","items":[{"name":"Pen","price":2}]}'));
+
+    const result = await mind.process('Extract the order', null, orderSchema, { retries: 1 });
+
+    expect(result.items[0].price).toBe(2);
+    const retryPrompt = JSON.parse(fetch.mock.calls[1][1].body).messages[0].content;
+    expect(retryPrompt).toContain('- $.items[0].price: expected number, got string');
+  });
+
+  test('throws SchemaValidationError with the list of problems', async () => {
+    fetch.mockResolvedValue(createChatResponse('{"customer":"Ada"}'));
+
+    const error = await mind.process('Extract', null, orderSchema, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.validationErrors).toEqual([{ path: '$', message: "missing required property 'items'" }]);
+  });
+
+  test('schemas whose root is not an object are wrapped and unwrapped', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse('{"result":["red","green"]}'));
+
+    const result = await mind.process('List the colors', 'red and green', { type: 'array', items: { type: 'string' } });
+
+    expect(result).toEqual(['red', 'green']);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.response_format.json_schema.schema.properties.result.type).toBe('array');
+  });
+
+  test('falls back to json_object once the backend rejects json_schema', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: () => Promise.resolve({ error: { message: "Invalid parameter: 'response_format' of type 'json_schema' is not supported" } })
+      })
+      .mockResolvedValue(createChatResponse('{"customer":"Ada","items":[]}'));
+
+    await mind.process('Extract', null, orderSchema);
+    await mind.process('Extract again', null, orderSchema);
+
+    const bodies = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+    expect(bodies.map(body => body.response_format.type)).toEqual(['json_schema', 'json_object', 'json_object']);
+    expect(bodies[1].messages[0].content).toContain('matches this JSON Schema');
+  });
+});
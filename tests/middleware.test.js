@@ -0,0 +1,196 @@
+/**
+ * Tests for the request/response middleware pipeline registered with use()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { RateLimitError } = require('../src/warpmind.js');
+
+// Skip retry back-off delays
+jest.mock('../src/util', () => ({
+  ...jest.requireActual('../src/util'),
+  sleep: jest.fn().mockResolvedValue(undefined)
+}));
+
+function createJsonResponse(body) {
+  return { ok: true, status: 200, json: () => Promise.resolve(body) };
+}
+
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(index < chunks.length
+          ? { done: false, value: encoder.encode(chunks[index++]) }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+describe('Middleware pipeline', () => {
+  let mind;
+  let originalWarn;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn().mockResolvedValue(createJsonResponse({
+      choices: [{ message: { content: 'Hi' } }]
+    }));
+    originalWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    jest.clearAllMocks();
+  });
+
+  test('use() rejects objects without hooks', () => {
+    expect(() => mind.use({})).toThrow('Middleware must be an object with at least one of');
+    expect(() => mind.use(null)).toThrow('Middleware must be an object');
+  });
+
+  test('onRequest can add headers and rewrite the payload', async () => {
+    mind.use({
+      onRequest(ctx) {
+        ctx.headers['X-Trace-Id'] = 'trace-1';
+        ctx.payload = { ...ctx.payload, user: 'student-42' };
+      }
+    });
+
+    await mind.chat('Hello');
+
+    const [, options] = fetch.mock.calls[0];
+    expect(options.headers['X-Trace-Id']).toBe('trace-1');
+    expect(JSON.parse(options.body).user).toBe('student-42');
+  });
+
+  test('context carries endpoint, attempt and timing', async () => {
+    const seen = [];
+    mind.use({
+      onRequest: (ctx) => { seen.push({ hook: 'request', endpoint: ctx.endpoint, attempt: ctx.attempt }); },
+      onResponse: (ctx) => { seen.push({ hook: 'response', duration: ctx.duration, result: ctx.result }); }
+    });
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', json: () => Promise.resolve({}) })
+      .mockResolvedValueOnce(createJsonResponse({ choices: [{ message: { content: 'Hi' } }] }));
+
+    await mind.chat('Hello');
+
+    expect(seen[0]).toEqual({ hook: 'request', endpoint: '/chat/completions', attempt: 1 });
+    expect(seen[1]).toEqual({ hook: 'request', endpoint: '/chat/completions', attempt: 2 });
+    expect(seen[2].hook).toBe('response');
+    expect(typeof seen[2].duration).toBe('number');
+    expect(seen[2].result.choices[0].message.content).toBe('Hi');
+  });
+
+  test('onRequest can short-circuit with a synthetic response', async () => {
+    const onResponse = jest.fn();
+    mind.use({
+      onRequest: () => ({ choices: [{ message: { content: 'Mocked' } }] }),
+      onResponse
+    });
+
+    const result = await mind.chat('Hello');
+
+    expect(result).toBe('Mocked');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(onResponse.mock.calls[0][0].shortCircuited).toBe(true);
+  });
+
+  test('onResponse can replace the result', async () => {
+    mind.use({
+      onResponse: (ctx) => ({
+        ...ctx.result,
+        choices: [{ message: { content: ctx.result.choices[0].message.content.toUpperCase() } }]
+      })
+    });
+
+    await expect(mind.chat('Hello')).resolves.toBe('HI');
+  });
+
+  test('onError sees the typed error and can recover', async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      json: () => Promise.resolve({ error: { message: 'Slow down' } })
+    });
+    const errors = [];
+    mind.use({
+      onError: (ctx) => {
+        errors.push(ctx.error);
+        return { choices: [{ message: { content: 'Fallback' } }] };
+      }
+    });
+
+    const result = await mind.makeRequest('/chat/completions', {}, { maxRetries: 0 });
+
+    expect(result.choices[0].message.content).toBe('Fallback');
+    expect(errors[0]).toBeInstanceOf(RateLimitError);
+  });
+
+  test('errors are rethrown when no hook recovers', async () => {
+    fetch.mockRejectedValue(new Error('boom'));
+    const onError = jest.fn();
+    mind.use({ onError });
+
+    await expect(mind.chat('Hello')).rejects.toThrow('boom');
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  test('the function returned by use() removes the middleware', async () => {
+    const onRequest = jest.fn();
+    const remove = mind.use({ onRequest });
+    remove();
+
+    await mind.chat('Hello');
+
+    expect(onRequest).not.toHaveBeenCalled();
+  });
+
+  test('streaming requests pass through onRequest and onStreamEvent', async () => {
+    fetch.mockResolvedValue(createStreamResponse([
+      'data: {"choices":[{"delta":{"content":"secret"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":" ok"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+    const onRequest = jest.fn();
+    const endpoints = [];
+    mind.use({
+      onRequest,
+      onStreamEvent: (ctx) => {
+        endpoints.push(ctx.endpoint);
+        if (ctx.event.delta === 'secret') {
+          return { ...ctx.event, delta: '[redacted]' };
+        }
+      }
+    });
+
+    const chunks = [];
+    const result = await mind.streamChat('Hello', (chunk) => chunks.push(chunk.content));
+
+    expect(onRequest.mock.calls[0][0].stream).toBe(true);
+    expect(endpoints).toEqual(['/chat/completions', '/chat/completions']);
+    expect(chunks).toEqual(['[redacted]', ' ok']);
+    expect(result).toBe('[redacted] ok');
+  });
+
+  test('onStreamEvent can drop events from streamRespond()', async () => {
+    fetch.mockResolvedValue(createStreamResponse([
+      'event: response.output_text.delta\ndata: {"delta":"Keep"}\n\n',
+      'event: response.output_text.delta\ndata: {"delta":" drop"}\n\n'
+    ]));
+    mind.use({ onStreamEvent: (ctx) => (ctx.event.delta === ' drop' ? null : undefined) });
+
+    const onChunk = jest.fn();
+    const result = await mind.streamRespond('Hello', onChunk);
+
+    expect(onChunk).toHaveBeenCalledTimes(1);
+    expect(result.text).toBe('Keep');
+  });
+});
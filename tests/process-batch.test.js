@@ -0,0 +1,170 @@
+/**
+ * Tests for processBatch()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { AuthenticationError } = require('../src/warpmind.js');
+
+function createChatResponse(content) {
+  return {
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({
+      choices: [{ message: { content } }],
+      usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 }
+    })
+  };
+}
+
+// Answers every request with the item text in upper case
+function echoUpperCase(url, init) {
+  const prompt = JSON.parse(init.body).messages[0].content;
+  const item = prompt.match(/Data to process:\n(.*)/)[1];
+  return Promise.resolve(createChatResponse(JSON.stringify({ upper: item.toUpperCase() })));
+}
+
+function createMemoryStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; }
+  };
+}
+
+const schema = { upper: 'The text in upper case' };
+
+describe('processBatch()', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn().mockImplementation(echoUpperCase);
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns one entry per item in input order and reports progress', async () => {
+    const progress = [];
+    const finished = [];
+
+    const results = await mind.processBatch('Upper-case this', ['a', 'b', 'c'], schema, {
+      onItem: ({ index }) => finished.push(index),
+      onProgress: (update) => progress.push(update)
+    });
+
+    expect(results).toEqual([
+      { index: 0, result: { upper: 'A' }, error: null },
+      { index: 1, result: { upper: 'B' }, error: null },
+      { index: 2, result: { upper: 'C' }, error: null }
+    ]);
+    expect(finished.sort()).toEqual([0, 1, 2]);
+    expect(progress[progress.length - 1]).toEqual({ completed: 3, failed: 0, total: 3 });
+    expect(mind.getUsage().byMethod.processBatch.requests).toBe(3);
+  });
+
+  test('keeps at most `concurrency` items in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    fetch.mockImplementation(async (url, init) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return echoUpperCase(url, init);
+    });
+
+    await mind.processBatch('Upper-case this', ['a', 'b', 'c', 'd', 'e'], schema, { concurrency: 2 });
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('failed items are reported without stopping the batch', async () => {
+    mind.process = jest.fn(async (prompt, item) => {
+      if (item === 'bad') throw new Error('Response validation failed');
+      return { upper: item.toUpperCase() };
+    });
+
+    const results = await mind.processBatch('Upper-case this', ['a', 'bad', 'c'], schema, { retries: 0 });
+
+    expect(results.map(entry => entry.result)).toEqual([{ upper: 'A' }, null, { upper: 'C' }]);
+    expect(results[1].error.message).toBe('Response validation failed');
+    expect(mind.process).toHaveBeenCalledWith('Upper-case this', 'a', schema, expect.objectContaining({ retries: 0 }));
+  });
+
+  test('stopOnError stops starting new items and throws the error', async () => {
+    mind.process = jest.fn(async (prompt, item) => {
+      if (item === 'bad') throw new Error('Response validation failed');
+      return { upper: item };
+    });
+
+    await expect(mind.processBatch('Upper-case this', ['bad', 'b', 'c'], schema, { concurrency: 1, stopOnError: true }))
+      .rejects.toThrow('Response validation failed');
+    expect(mind.process).toHaveBeenCalledTimes(1);
+  });
+
+  test('an authentication error ends the batch', async () => {
+    mind.process = jest.fn().mockRejectedValue(new AuthenticationError('API request failed: 401 Unauthorized'));
+
+    await expect(mind.processBatch('Upper-case this', ['a', 'b', 'c'], schema, { concurrency: 1 }))
+      .rejects.toBeInstanceOf(AuthenticationError);
+    expect(mind.process).toHaveBeenCalledTimes(1);
+  });
+
+  test('a checkpointed job resumes where it stopped', async () => {
+    const storage = createMemoryStorage();
+    const items = ['a', 'b', 'c', 'd'];
+    const checkpoint = { key: 'letters', storage };
+    mind.process = jest.fn(async (prompt, item) => {
+      if (item === 'c') throw new Error('Network error');
+      return { upper: item.toUpperCase() };
+    });
+
+    const firstRun = await mind.processBatch('Upper-case this', items, schema, { checkpoint });
+    expect(firstRun[2].error).not.toBeNull();
+    expect(JSON.parse(storage.items['warpmind-batch:letters']).results).toEqual({
+      0: { upper: 'A' }, 1: { upper: 'B' }, 3: { upper: 'D' }
+    });
+
+    // After a reload only the missing item is processed again
+    const reloaded = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    reloaded.process = jest.fn(async (prompt, item) => ({ upper: item.toUpperCase() }));
+    const resumed = [];
+
+    const secondRun = await reloaded.processBatch('Upper-case this', items, schema, {
+      checkpoint,
+      onItem: ({ index, resumed: fromCheckpoint }) => fromCheckpoint && resumed.push(index)
+    });
+
+    expect(reloaded.process).toHaveBeenCalledTimes(1);
+    expect(reloaded.process).toHaveBeenCalledWith('Upper-case this', 'c', schema, expect.any(Object));
+    expect(secondRun.map(entry => entry.result.upper)).toEqual(['A', 'B', 'C', 'D']);
+    expect(resumed).toEqual([0, 1, 3]);
+    expect(storage.items).toEqual({});
+  });
+
+  test('a checkpoint for different items is ignored', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('warpmind-batch:letters', JSON.stringify({ fingerprint: 'other', results: { 0: { upper: 'Z' } } }));
+
+    const results = await mind.processBatch('Upper-case this', ['a'], schema, { checkpoint: { key: 'letters', storage } });
+
+    expect(results[0].result).toEqual({ upper: 'A' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('validates its input', async () => {
+    await expect(mind.processBatch('Prompt', 'not an array', schema)).rejects.toThrow('Items must be an array');
+    await expect(mind.processBatch('Prompt', [], schema)).resolves.toEqual([]);
+    for (const concurrency of [0, -1, '2', 1.5]) {
+      await expect(mind.processBatch('Prompt', ['a'], schema, { concurrency }))
+        .rejects.toThrow('concurrency must be a positive integer');
+    }
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
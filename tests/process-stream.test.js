@@ -0,0 +1,148 @@
+/**
+ * Tests for the partial JSON parser and processStream()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { SchemaValidationError } = require('../src/warpmind.js');
+const { parsePartialJson } = require('../src/streaming/partial-json.js');
+
+// Streams the content in small pieces as Chat Completions SSE events, ending with a usage event
+function createStreamResponse(content, pieceLength = 7) {
+  const encoder = new TextEncoder();
+  const events = [];
+  for (let i = 0; i < content.length; i += pieceLength) {
+    events.push({ choices: [{ delta: { content: content.slice(i, i + pieceLength) } }] });
+  }
+  events.push({ choices: [], usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 } });
+  const chunks = events.map(event => encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+  chunks.push(encoder.encode('data: [DONE]\n\n'));
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+const bookSchema = {
+  type: 'object',
+  properties: {
+    genre: { type: 'string' },
+    books: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { title: { type: 'string' }, year: { type: 'integer' } },
+        required: ['title', 'year']
+      }
+    }
+  },
+  required: ['genre', 'books']
+};
+
+describe('parsePartialJson()', () => {
+  test('closes open strings, arrays and objects', () => {
+    expect(parsePartialJson('{"name": "Ad').value).toEqual({ name: 'Ad' });
+    expect(parsePartialJson('{"tags": ["a", "b').value).toEqual({ tags: ['a', 'b'] });
+    expect(parsePartialJson('[{"x": 1}, {"x": 2').value).toEqual([{ x: 1 }, { x: 2 }]);
+    expect(parsePartialJson('').value).toBeUndefined();
+  });
+
+  test('leaves out keys without a value and half-written literals', () => {
+    expect(parsePartialJson('{"a": 1, "b').value).toEqual({ a: 1 });
+    expect(parsePartialJson('{"a": 1, "b":').value).toEqual({ a: 1 });
+    expect(parsePartialJson('{"a": tr').value).toEqual({});
+    expect(parsePartialJson('{"a": "line\\').value).toEqual({ a: 'line' });
+    expect(parsePartialJson('{"a": "\\u00e9\\u00').value).toEqual({ a: 'é' });
+  });
+
+  test('counts completed array items and tells when the document is complete', () => {
+    const partial = parsePartialJson('{"items": [{"id": 1}, {"id": 2}, {"id"');
+
+    expect(partial.value.items).toEqual([{ id: 1 }, { id: 2 }, {}]);
+    expect(partial.completedItems(partial.value.items)).toBe(2);
+    expect(partial.complete).toBe(false);
+
+    const full = parsePartialJson(' {"items": [1, 2]} ');
+    expect(full.completedItems(full.value.items)).toBe(2);
+    expect(full.complete).toBe(true);
+  });
+});
+
+describe('processStream()', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports partial results and completed items while streaming', async () => {
+    const answer = {
+      genre: 'Science fiction',
+      books: [{ title: 'Dune', year: 1965 }, { title: 'Foundation', year: 1951 }, { title: 'Solaris', year: 1961 }]
+    };
+    fetch.mockResolvedValueOnce(createStreamResponse(JSON.stringify(answer)));
+    const updates = [];
+
+    const result = await mind.processStream('List classic books', 'science fiction', bookSchema, (partial, info) => {
+      updates.push({ partial: JSON.parse(JSON.stringify(partial)), ...info });
+    });
+
+    expect(result).toEqual(answer);
+    expect(updates.length).toBeGreaterThan(5);
+    expect(updates.some(update => update.partial.genre && update.partial.genre !== answer.genre)).toBe(true);
+    expect(updates[updates.length - 1].completedItems).toEqual(answer.books);
+    expect(updates.flatMap(update => update.newItems)).toEqual(answer.books);
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.stream).toBe(true);
+    expect(body.response_format.type).toBe('json_schema');
+    expect(body.cacheValidator).toBeUndefined();
+    expect(mind.getUsage().byMethod.processStream.requests).toBe(1);
+  });
+
+  test('unwraps schemas whose root is an array', async () => {
+    fetch.mockResolvedValueOnce(createStreamResponse('{"result": ["red", "green", "blue"]}', 4));
+    const seen = [];
+
+    const result = await mind.processStream('List the colors', null, { type: 'array', items: { type: 'string' } },
+      (partial, { newItems }) => seen.push(...newItems));
+
+    expect(result).toEqual(['red', 'green', 'blue']);
+    expect(seen).toEqual(['red', 'green', 'blue']);
+  });
+
+  test('retries an invalid answer with the problems fed back', async () => {
+    fetch
+      .mockResolvedValueOnce(createStreamResponse('{"genre": "Poetry", "books": [{"title": "Odes", "year": "1819"}]}'))
+      .mockResolvedValueOnce(createStreamResponse('{"genre": "Poetry", "books": [{"title": "Odes", "year": 1819}]}'));
+    const attempts = new Set();
+
+    const result = await mind.processStream('List books', null, bookSchema, (partial, { attempt }) => attempts.add(attempt), { retries: 1 });
+
+    expect(result.books[0].year).toBe(1819);
+    expect([...attempts]).toEqual([0, 1]);
+    const retryPrompt = JSON.parse(fetch.mock.calls[1][1].body).messages[0].content;
+    expect(retryPrompt).toContain('- $.books[0].year: expected integer, got string');
+  });
+
+  test('throws SchemaValidationError when the final answer stays invalid', async () => {
+    fetch.mockResolvedValueOnce(createStreamResponse('{"genre": "Poetry"}'));
+
+    const error = await mind.processStream('List books', null, bookSchema, null, { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.validationErrors).toEqual([{ path: '$', message: "missing required property 'books'" }]);
+  });
+});
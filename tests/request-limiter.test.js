@@ -0,0 +1,219 @@
+/**
+ * Tests for client-side request limits and token budgets
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { BudgetExceededError, AbortError } = require('../src/warpmind.js');
+
+function createJsonResponse(body) {
+  return { ok: true, status: 200, json: () => Promise.resolve(body) };
+}
+
+function createChatResponse(totalTokens = 10) {
+  return createJsonResponse({
+    choices: [{ message: { content: 'Hi' } }],
+    usage: { prompt_tokens: totalTokens, completion_tokens: 0, total_tokens: totalTokens }
+  });
+}
+
+function createMemoryStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+function createMind(limits) {
+  return new WarpMind({
+    apiKey: 'test-key',
+    baseURL: 'https://api.test.com/v1',
+    memoryToolEnabled: false,
+    limits
+  });
+}
+
+describe('Request limits', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockImplementation(() => Promise.resolve(createChatResponse()));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  test('without limits nothing is enforced', async () => {
+    const mind = createMind();
+
+    await Promise.all([mind.chat('a'), mind.chat('b'), mind.chat('c')]);
+
+    const limits = mind.getLimits();
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(limits.requestsPerMinute).toMatchObject({ limit: null, remaining: null });
+    expect(limits.tokensPerDay).toMatchObject({ limit: null, remaining: null });
+  });
+
+  test('rejects an invalid onLimit', () => {
+    expect(() => createMind({ onLimit: 'drop' })).toThrow("limits.onLimit must be 'queue' or 'reject'");
+  });
+
+  test('maxConcurrent queues requests until a slot frees up', async () => {
+    const mind = createMind({ maxConcurrent: 1, storage: null, sessionStorage: null });
+    let finishFirst;
+    fetch.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+
+    const first = mind.chat('first');
+    const second = mind.chat('second');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(mind.getLimits().maxConcurrent).toMatchObject({ limit: 1, active: 1, queued: 1, remaining: 0 });
+
+    finishFirst(createChatResponse());
+    await Promise.all([first, second]);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(mind.getLimits().maxConcurrent.active).toBe(0);
+  });
+
+  test("onLimit 'reject' throws BudgetExceededError instead of queueing", async () => {
+    const mind = createMind({ maxConcurrent: 1, onLimit: 'reject', storage: null, sessionStorage: null });
+    let finishFirst;
+    fetch.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+
+    const first = mind.chat('first');
+    await new Promise(resolve => setImmediate(resolve));
+    const error = await mind.chat('second').catch(e => e);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.limit).toBe('maxConcurrent');
+    expect(error.retryable).toBe(true);
+
+    finishFirst(createChatResponse());
+    await first;
+  });
+
+  test('requestsPerMinute rejects with the time until a slot frees up', async () => {
+    const mind = createMind({ requestsPerMinute: 2, onLimit: 'reject', storage: null, sessionStorage: null });
+
+    await mind.chat('a');
+    await mind.chat('b');
+    const error = await mind.chat('c').catch(e => e);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.limit).toBe('requestsPerMinute');
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(error.retryAfterMs).toBeLessThanOrEqual(60000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('requestsPerMinute queues requests until the window moves on', async () => {
+    jest.useFakeTimers();
+    const mind = createMind({ requestsPerMinute: 1, storage: null, sessionStorage: null });
+
+    await mind.chat('a');
+    const queued = mind.chat('b');
+    await jest.advanceTimersByTimeAsync(59000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await queued;
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('an exhausted token budget rejects even when queueing', async () => {
+    const mind = createMind({ tokensPerSession: 100, storage: null, sessionStorage: null });
+    fetch.mockImplementation(() => Promise.resolve(createChatResponse(60)));
+
+    await mind.chat('a');
+    await mind.chat('b');
+    const error = await mind.chat('c').catch(e => e);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.limit).toBe('tokensPerSession');
+    expect(error.retryable).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(mind.getLimits().tokensPerSession).toEqual({ limit: 100, used: 120, remaining: 0 });
+  });
+
+  test('budgets are saved so a new instance (page reload) keeps counting', async () => {
+    const storage = createMemoryStorage();
+    const sessionStorage = createMemoryStorage();
+    const limits = { tokensPerDay: 100, tokensPerSession: 1000, storage, sessionStorage };
+    fetch.mockImplementation(() => Promise.resolve(createChatResponse(100)));
+
+    await createMind(limits).chat('a');
+
+    const reloaded = createMind(limits);
+    expect(reloaded.getLimits().tokensPerDay).toMatchObject({ used: 100, remaining: 0 });
+    expect(reloaded.getLimits().tokensPerSession).toMatchObject({ used: 100, remaining: 900 });
+    await expect(reloaded.chat('b')).rejects.toMatchObject({ limit: 'tokensPerDay' });
+  });
+
+  test('the daily budget starts over on a new day', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('warpmind-limits', JSON.stringify({ day: '2000-01-01', dayTokens: 500, requestTimes: [] }));
+
+    const mind = createMind({ tokensPerDay: 100, storage, sessionStorage: null });
+
+    expect(mind.getLimits().tokensPerDay).toMatchObject({ used: 0, remaining: 100 });
+    await expect(mind.chat('a')).resolves.toBe('Hi');
+  });
+
+  test('streaming requests hold their slot until the stream is consumed', async () => {
+    const mind = createMind({ maxConcurrent: 1, storage: null, sessionStorage: null });
+    const encoder = new TextEncoder();
+    let releaseChunk;
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => {
+          let sent = false;
+          return {
+            read: () => (sent
+              ? Promise.resolve({ done: true, value: undefined })
+              : new Promise(resolve => {
+                releaseChunk = () => {
+                  sent = true;
+                  resolve({ done: false, value: encoder.encode('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n') });
+                };
+              }))
+          };
+        }
+      }
+    }));
+
+    const stream = mind.streamChat('first');
+    await new Promise(resolve => setImmediate(resolve));
+    const chat = mind.chat('second');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    releaseChunk();
+    await expect(stream).resolves.toBe('Hi');
+    await expect(chat).resolves.toBe('Hi');
+  });
+
+  test('aborting a queued request rejects it without sending', async () => {
+    const mind = createMind({ maxConcurrent: 1, storage: null, sessionStorage: null });
+    let finishFirst;
+    fetch.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+    const controller = new AbortController();
+
+    const first = mind.chat('first');
+    const second = mind.chat('second', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await expect(second).rejects.toBeInstanceOf(AbortError);
+    expect(mind.getLimits().maxConcurrent.queued).toBe(0);
+
+    finishFirst(createChatResponse());
+    await first;
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
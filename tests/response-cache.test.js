@@ -0,0 +1,219 @@
+/**
+ * Tests for the opt-in response cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WarpMind = require('../src/warpmind.js');
+const ResponseCache = require('../src/core/response-cache.js');
+
+function createJsonResponse(body) {
+  return { ok: true, status: 200, json: () => Promise.resolve(body) };
+}
+
+function createChatResponse(content = 'Hi') {
+  return createJsonResponse({
+    model: 'gpt-4o',
+    choices: [{ message: { content } }],
+    usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+  });
+}
+
+function createMind(cache) {
+  return new WarpMind({
+    apiKey: 'test-key',
+    baseURL: 'https://api.test.com/v1',
+    memoryToolEnabled: false,
+    cache
+  });
+}
+
+describe('ResponseCache', () => {
+  const request = {
+    endpoint: '/chat/completions',
+    url: 'https://api.test.com/v1/chat/completions',
+    method: 'POST',
+    responseType: 'json'
+  };
+
+  test('keys do not depend on property order', () => {
+    const cache = new ResponseCache(true);
+
+    const a = cache.getKey({ ...request, payload: { model: 'gpt-4o', temperature: 0, messages: [] } });
+    const b = cache.getKey({ ...request, payload: { messages: [], temperature: 0, model: 'gpt-4o' } });
+    const c = cache.getKey({ ...request, payload: { messages: [], temperature: 1, model: 'gpt-4o' } });
+
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+
+  test('only caches JSON POSTs to chat, completion and embedding endpoints', () => {
+    const cache = new ResponseCache(true);
+    const payload = { model: 'gpt-4o' };
+
+    expect(cache.getKey({ ...request, payload })).not.toBeNull();
+    expect(cache.getKey({ ...request, payload, responseType: 'stream' })).toBeNull();
+    expect(cache.getKey({ ...request, payload, endpoint: '/responses' })).toBeNull();
+    expect(cache.getKey({ ...request, payload }, { cache: false })).toBeNull();
+    expect(new ResponseCache().getKey({ ...request, payload })).toBeNull();
+  });
+
+  test('rejects unknown storage backends', () => {
+    expect(() => new ResponseCache({ storage: 'redis' })).toThrow("Unknown cache storage 'redis'");
+    expect(() => new ResponseCache({ storage: { get() {} } })).toThrow('Cache storage must implement set()');
+  });
+});
+
+describe('WarpMind response caching', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockImplementation(() => Promise.resolve(createChatResponse()));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('is disabled by default', async () => {
+    const mind = createMind();
+
+    await mind.chat('Hello');
+    await mind.chat('Hello');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(mind.getCacheStats().enabled).toBe(false);
+  });
+
+  test('repeated identical calls are served from the cache', async () => {
+    const mind = createMind({ enabled: true });
+
+    await expect(mind.chat('Hello')).resolves.toBe('Hi');
+    await expect(mind.chat('Hello')).resolves.toBe('Hi');
+    await mind.chat('Hello', { temperature: 0 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(mind.getCacheStats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  test('cache hits are not counted as usage', async () => {
+    const mind = createMind(true);
+
+    await mind.chat('Hello');
+    await mind.chat('Hello');
+
+    expect(mind.getUsage().total).toMatchObject({ requests: 1, totalTokens: 12 });
+  });
+
+  test('cache: false bypasses the cache for one call', async () => {
+    const mind = createMind(true);
+
+    await mind.chat('Hello');
+    await mind.chat('Hello', { cache: false });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).not.toHaveProperty('cache');
+  });
+
+  test('entries expire after ttlMs', async () => {
+    const mind = createMind({ ttlMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    await mind.chat('Hello');
+    now.mockReturnValue(1000999);
+    await mind.chat('Hello');
+    now.mockReturnValue(1001000);
+    await mind.chat('Hello');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('embeddings are cached', async () => {
+    const mind = createMind(true);
+    fetch.mockImplementation(() => Promise.resolve(createJsonResponse({
+      data: [{ embedding: [0.1, 0.2] }],
+      usage: { prompt_tokens: 2, total_tokens: 2 }
+    })));
+
+    await mind.embed('Hello');
+    await expect(mind.embed('Hello')).resolves.toEqual([0.1, 0.2]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('process() never caches a response that failed validation', async () => {
+    const mind = createMind(true);
+    jest.spyOn(console, 'warn').mockImplementation();
+    fetch
+      .mockImplementationOnce(() => Promise.resolve(createChatResponse('not json')))
+      .mockImplementation(() => Promise.resolve(createChatResponse('{"name":"Ada"}')));
+
+    // The invalid first answer is retried with feedback, so the second call cannot reuse it
+    await expect(mind.process('Extract', 'Ada', { name: 'The name' })).resolves.toEqual({ name: 'Ada' });
+    await expect(mind.process('Extract', 'Ada', { name: 'The name' })).resolves.toEqual({ name: 'Ada' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    await expect(mind.process('Extract', 'Ada', { name: 'The name' })).resolves.toEqual({ name: 'Ada' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('streaming requests are never cached', async () => {
+    const mind = createMind(true);
+    const encoder = new TextEncoder();
+    fetch.mockImplementation(() => {
+      let sent = false;
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        body: {
+          getReader: () => ({
+            read: () => {
+              if (sent) return Promise.resolve({ done: true, value: undefined });
+              sent = true;
+              return Promise.resolve({ done: false, value: encoder.encode('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n') });
+            }
+          })
+        }
+      });
+    });
+
+    await mind.streamChat('Hello');
+    await mind.streamChat('Hello');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('the file backend survives a new instance', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'warpmind-cache-'));
+    try {
+      await createMind({ storage: 'file', directory }).chat('Hello');
+      expect(fs.readdirSync(directory)).toHaveLength(1);
+
+      const reloaded = createMind({ storage: 'file', directory });
+      await expect(reloaded.chat('Hello')).resolves.toBe('Hi');
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await reloaded.clearCache();
+      expect(fs.readdirSync(directory)).toHaveLength(0);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('accepts a custom storage object', async () => {
+    const entries = new Map();
+    const storage = {
+      get: jest.fn(async (key) => entries.get(key) || null),
+      set: jest.fn(async (key, entry) => { entries.set(key, entry); }),
+      delete: jest.fn(async (key) => { entries.delete(key); }),
+      clear: jest.fn(async () => entries.clear())
+    };
+    const mind = createMind({ storage });
+
+    await mind.chat('Hello');
+    await mind.chat('Hello');
+
+    expect(storage.set).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
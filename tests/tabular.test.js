@@ -0,0 +1,173 @@
+/**
+ * Tests for CSV/TSV parsing, compact tables and extractTable()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const {
+  parseDelimited,
+  coerceValue,
+  inferColumnType,
+  formatTable
+} = require('../src/modules/tabular.js');
+
+function createChatResponse(content) {
+  return {
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({
+      choices: [{ message: { content } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    })
+  };
+}
+
+describe('CSV parsing', () => {
+  test('parses quoted cells and infers column types', () => {
+    const csv = [
+      'name,age,score,member,joined',
+      '"Lovelace, Ada",36,"1,234.5",yes,1815-12-10',
+      '"Turing ""Alan""",41,99,no,',
+      '"Hopper\nGrace",85,n/a,true,1906-12-09'
+    ].join('\r\n');
+
+    const table = parseDelimited(csv, { yesNoBooleans: true });
+
+    expect(table.columns).toEqual([
+      { name: 'name', type: 'string' },
+      { name: 'age', type: 'integer' },
+      { name: 'score', type: 'number' },
+      { name: 'member', type: 'boolean' },
+      { name: 'joined', type: 'date' }
+    ]);
+    expect(table.rows).toEqual([
+      { name: 'Lovelace, Ada', age: 36, score: 1234.5, member: true, joined: '1815-12-10' },
+      { name: 'Turing "Alan"', age: 41, score: 99, member: false, joined: null },
+      { name: 'Hopper\nGrace', age: 85, score: null, member: true, joined: '1906-12-09' }
+    ]);
+  });
+
+  test('keeps zero-padded numbers and yes/no flags as strings unless asked', () => {
+    const csv = 'zip,id,count,active,grade\n02139,00042,0,Y,y\n10001,00107,3,N,n';
+
+    const table = parseDelimited(csv);
+
+    expect(table.columns.map(column => column.type)).toEqual(['string', 'string', 'integer', 'string', 'string']);
+    expect(table.rows[0]).toEqual({ zip: '02139', id: '00042', count: 0, active: 'Y', grade: 'y' });
+    expect(inferColumnType(['0.5', '-0.25'])).toBe('number');
+    expect(coerceValue('yes', 'boolean')).toBe('yes');
+    expect(coerceValue('yes', 'boolean', { yesNoBooleans: true })).toBe(true);
+    expect(parseDelimited(csv, { yesNoBooleans: true }).rows[1]).toMatchObject({ active: false, grade: false });
+  });
+
+  test('detects tabs and semicolons and names missing headers', () => {
+    expect(parseDelimited('a\tb\n1\t2').delimiter).toBe('\t');
+    expect(parseDelimited('a;b\n1;2').rows).toEqual([{ a: 1, b: 2 }]);
+    expect(parseDelimited('x,x,\n1,2,3').columns.map(column => column.name)).toEqual(['x', 'x_2', 'column_3']);
+    expect(parseDelimited('1,2\n3,4', { header: false, inferTypes: false }).rows)
+      .toEqual([{ column_1: '1', column_2: '2' }, { column_1: '3', column_2: '4' }]);
+  });
+
+  test('coerces values written by people', () => {
+    expect(coerceValue('$1,200', 'number')).toBe(1200);
+    expect(coerceValue('2.5', 'integer')).toBe('2.5');
+    expect(coerceValue('March 1, 2024', 'date')).toBe('2024-03-01');
+    expect(coerceValue('2024-02-30', 'date')).toBe('2024-02-30');
+    expect(coerceValue('N/A', 'string')).toBeNull();
+    expect(inferColumnType(['1', '2.5', ''])).toBe('number');
+    expect(inferColumnType(['12', 'twelve'])).toBe('string');
+  });
+
+  test('formats tables as compact CSV with typed headers', () => {
+    const table = parseDelimited('name,age\n"Ada, L",36');
+
+    expect(formatTable(table)).toBe('name (string),age (integer)\n"Ada, L",36');
+    expect(formatTable([{ a: 1 }, { b: 'x' }])).toBe('a,b\n1,\n,x');
+  });
+});
+
+describe('readCsv() and extractTable()', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('readCsv() reads text, Blobs and URLs', async () => {
+    await expect(mind.readCsv('a,b\n1,2')).resolves.toMatchObject({ rows: [{ a: 1, b: 2 }] });
+    await expect(mind.readCsv(new Blob(['a\tb\n1\t2']))).resolves.toMatchObject({ rows: [{ a: 1, b: 2 }] });
+
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, text: () => Promise.resolve('city\nOslo') });
+    await expect(mind.readCsv('https://example.com/cities.csv')).resolves.toMatchObject({ rows: [{ city: 'Oslo' }] });
+    expect(fetch).toHaveBeenCalledWith('https://example.com/cities.csv', undefined);
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+    await expect(mind.readCsv('https://example.com/missing.csv')).rejects.toThrow('Failed to fetch CSV: 404 Not Found');
+  });
+
+  test('process() sends tables as compact CSV', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse('{"average": 38.5}'));
+    const table = await mind.readCsv('name,age\nAda,36\nAlan,41');
+
+    await mind.process('Average age', table, { average: 'Average age' });
+
+    const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+    expect(prompt).toContain('Data to process (CSV, 2 rows):\nname (string),age (integer)\nAda,36\nAlan,41');
+  });
+
+  test("dataFormat 'table' sends arrays of records as CSV", async () => {
+    fetch.mockResolvedValueOnce(createChatResponse('{"count": 2}'));
+
+    await mind.process('Count', [{ id: 1 }, { id: 2 }], { count: 'Count' }, { dataFormat: 'table' });
+
+    const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+    expect(prompt).toContain('Data to process (CSV, 2 rows):\nid\n1\n2');
+  });
+
+  test('extractTable() returns rows coerced to the declared column types', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse(JSON.stringify({
+      result: [
+        { product: 'Pen', price: '1,200', sold: '2024/3/1' },
+        { product: 'Ink', price: 3.5, sold: null }
+      ]
+    })));
+
+    const rows = await mind.extractTable('Sold a pen for 1,200 on March 1st and ink for 3.50', {
+      product: 'string',
+      price: { type: 'number', description: 'Price in USD' },
+      sold: 'date'
+    });
+
+    expect(rows).toEqual([
+      { product: 'Pen', price: 1200, sold: '2024-03-01' },
+      { product: 'Ink', price: 3.5, sold: null }
+    ]);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    const itemSchema = body.response_format.json_schema.schema.properties.result.items;
+    expect(itemSchema.required).toEqual(['product', 'price', 'sold']);
+    expect(itemSchema.properties.price).toEqual({ type: ['number', 'null'], description: 'Price in USD' });
+    expect(mind.getUsage().byMethod.extractTable.requests).toBe(1);
+  });
+
+  test('extractTable() retries rows whose values cannot be converted', async () => {
+    fetch
+      .mockResolvedValueOnce(createChatResponse('{"result":[{"qty":"a few"}]}'))
+      .mockResolvedValueOnce(createChatResponse('{"result":[{"qty":"3"}]}'));
+
+    await expect(mind.extractTable('three apples', { qty: 'integer' }, { retries: 1 })).resolves.toEqual([{ qty: 3 }]);
+
+    const retryPrompt = JSON.parse(fetch.mock.calls[1][1].body).messages[0].content;
+    expect(retryPrompt).toContain('$[0].qty: expected integer or null, got string');
+  });
+
+  test('extractTable() rejects unknown column types', async () => {
+    await expect(mind.extractTable('text', { when: 'timestamp' })).rejects.toThrow("Unknown column type 'timestamp' for 'when'");
+    await expect(mind.extractTable('text', {})).rejects.toThrow('extractTable() needs at least one column');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for classify(), extractEntities() and scoreSentiment()
+ */
+
+const WarpMind = require('../src/warpmind.js');
+
+function createChatResponse(content) {
+  return {
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({
+      choices: [{ message: { content: JSON.stringify(content) } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    })
+  };
+}
+
+function requestAt(index) {
+  const body = JSON.parse(fetch.mock.calls[index][1].body);
+  return { prompt: body.messages[0].content, schema: body.response_format.json_schema.schema };
+}
+
+describe('Text helpers', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('classify() returns a label from the list with a confidence', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse({ label: 'bug', confidence: 0.9 }));
+
+    const result = await mind.classify('The app crashes on start', { bug: 'Something is broken', feature: 'A request' });
+
+    expect(result).toEqual({ label: 'bug', confidence: 0.9 });
+    const { prompt, schema } = requestAt(0);
+    expect(prompt).toContain('- bug: Something is broken\n- feature: A request');
+    expect(schema.properties.label.enum).toEqual(['bug', 'feature']);
+    expect(mind.getUsage().byMethod.classify.requests).toBe(1);
+  });
+
+  test('classify() retries a label that is not in the list', async () => {
+    fetch
+      .mockResolvedValueOnce(createChatResponse({ label: 'question', confidence: 0.5 }))
+      .mockResolvedValueOnce(createChatResponse({ label: 'feature', confidence: 0.7 }));
+
+    const result = await mind.classify('Can you add dark mode?', ['bug', 'feature'], { retries: 1 });
+
+    expect(result.label).toBe('feature');
+    expect(requestAt(1).prompt).toContain('$.label: must be one of "bug", "feature"');
+  });
+
+  test('classify() supports multiple labels, explanations and few-shot examples', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse({
+      labels: [{ label: 'ui', confidence: 0.8 }, { label: 'performance', confidence: 0.6 }],
+      explanation: 'Mentions the slow menu'
+    }));
+
+    const result = await mind.classify('The menu is slow and ugly', ['ui', 'performance', 'billing'], {
+      multiLabel: true,
+      explain: true,
+      examples: [{ text: 'Invoice is wrong', labels: ['billing'] }]
+    });
+
+    expect(result.labels.map(entry => entry.label)).toEqual(['ui', 'performance']);
+    expect(result.explanation).toBe('Mentions the slow menu');
+    const { prompt, schema } = requestAt(0);
+    expect(prompt).toContain('Examples:\nInput: Invoice is wrong\nOutput: {"labels":["billing"]}');
+    expect(schema.required).toEqual(['labels', 'explanation']);
+  });
+
+  test('classify() handles an array of texts as a batch', async () => {
+    fetch.mockImplementation((url, init) => {
+      const prompt = JSON.parse(init.body).messages[0].content;
+      if (prompt.includes('broken text')) {
+        return Promise.resolve(createChatResponse({ label: 'unknown', confidence: 1 }));
+      }
+      return Promise.resolve(createChatResponse({ label: prompt.includes('crash') ? 'bug' : 'feature', confidence: 0.8 }));
+    });
+
+    const results = await mind.classify(['It crashes', 'Add export', 'broken text'], ['bug', 'feature'], { retries: 0 });
+
+    expect(results).toEqual([{ label: 'bug', confidence: 0.8 }, { label: 'feature', confidence: 0.8 }, null]);
+  });
+
+  test('extractEntities() returns the entity list', async () => {
+    fetch.mockResolvedValueOnce(createChatResponse({
+      entities: [
+        { type: 'person', text: 'Ada Lovelace', confidence: 0.95 },
+        { type: 'place', text: 'London', confidence: 0.9 }
+      ]
+    }));
+
+    const entities = await mind.extractEntities('Ada Lovelace was born in London', ['person', 'place']);
+
+    expect(entities).toEqual([
+      { type: 'person', text: 'Ada Lovelace', confidence: 0.95 },
+      { type: 'place', text: 'London', confidence: 0.9 }
+    ]);
+    expect(requestAt(0).schema.properties.entities.items.properties.type.enum).toEqual(['person', 'place']);
+  });
+
+  test('scoreSentiment() validates the score range', async () => {
+    fetch
+      .mockResolvedValueOnce(createChatResponse({ sentiment: 'positive', score: 5, confidence: 0.9 }))
+      .mockResolvedValueOnce(createChatResponse({ sentiment: 'positive', score: 0.8, confidence: 0.9 }));
+
+    const result = await mind.scoreSentiment('I love it', { retries: 1 });
+
+    expect(result).toEqual({ sentiment: 'positive', score: 0.8, confidence: 0.9 });
+    expect(requestAt(1).prompt).toContain('$.score: must be <= 1');
+  });
+
+  test('validates text and labels', async () => {
+    await expect(mind.classify('', ['a'])).rejects.toThrow('Text must be a non-empty string or an array of non-empty strings');
+    await expect(mind.classify('text', [])).rejects.toThrow('Labels must be a non-empty array');
+    await expect(mind.extractEntities('text', {})).rejects.toThrow('Entity types must be a non-empty array');
+    await expect(mind.scoreSentiment([])).resolves.toEqual([]);
+  });
+});
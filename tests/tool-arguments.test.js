@@ -0,0 +1,112 @@
+/**
+ * Tests for validating tool arguments against the registered parameter schema
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const { applyDefaults } = require('../src/core/json-schema.js');
+
+function toolCallResponse(args, id = 'call_1') {
+  return {
+    choices: [{
+      message: {
+        content: null,
+        tool_calls: [{
+          id,
+          type: 'function',
+          function: { name: 'searchBooks', arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+        }]
+      }
+    }]
+  };
+}
+
+function toolMessage(request) {
+  return JSON.parse(request.messages.find(message => message.role === 'tool').content);
+}
+
+describe('Tool argument validation', () => {
+  let mind;
+  let handler;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+    handler = jest.fn(async (args) => ({ books: [], args }));
+    mind.registerTool({
+      name: 'searchBooks',
+      description: 'Search the library',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          genre: { type: 'string', enum: ['fiction', 'science'] },
+          limit: { type: 'integer', minimum: 1, maximum: 8, default: 4 },
+          filters: {
+            type: 'object',
+            properties: { availableOnly: { type: 'boolean', default: true } }
+          }
+        },
+        required: ['query']
+      },
+      handler
+    });
+  });
+
+  test('fills in defaults before calling the handler', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse({ query: 'Dune', filters: {} }))
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'No books found' } }] });
+
+    await mind.chat('Find Dune');
+
+    expect(handler).toHaveBeenCalledWith({ query: 'Dune', limit: 4, filters: { availableOnly: true } }, expect.anything());
+  });
+
+  test('invalid arguments go back to the model, which can correct them', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse({ genre: 'poetry', limit: 20 }))
+      .mockResolvedValueOnce(toolCallResponse({ query: 'odes', genre: 'fiction', limit: 8 }, 'call_2'))
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'Found some odes' } }] });
+    const onToolError = jest.fn();
+
+    const result = await mind.chat('Find poetry', { onToolError });
+
+    expect(result).toBe('Found some odes');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ query: 'odes', genre: 'fiction', limit: 8 }, expect.anything());
+    expect(toolMessage(mind.makeRequest.mock.calls[1][1])).toEqual({
+      error: expect.stringContaining('Invalid arguments'),
+      invalidArguments: [
+        { path: '$', message: "missing required property 'query'" },
+        { path: '$.genre', message: 'must be one of "fiction", "science"' },
+        { path: '$.limit', message: 'must be <= 8' }
+      ],
+      hint: expect.any(String)
+    });
+    expect(onToolError).toHaveBeenCalledWith(expect.objectContaining({ name: 'searchBooks' }));
+    expect(mind._toolCallTracker.getCallHistory().map(call => call.status)).toEqual(['error', 'completed']);
+  });
+
+  test('arguments that are not JSON are rejected', async () => {
+    const error = await mind._executeTool(toolCallResponse('{"query": "Du').choices[0].message.tool_calls[0]).catch(e => e);
+
+    expect(error).toBeInstanceOf(WarpMind.ToolExecutionError);
+    expect(error.validationErrors[0].message).toMatch(/^not valid JSON/);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('applyDefaults() fills nested objects and arrays without sharing default values', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        tags: { type: 'array', default: [] },
+        items: { type: 'array', items: { type: 'object', properties: { qty: { type: 'integer', default: 1 } } } }
+      }
+    };
+    const first = applyDefaults({ items: [{}, { qty: 3 }] }, schema);
+    first.tags.push('changed');
+
+    expect(first).toEqual({ tags: ['changed'], items: [{ qty: 1 }, { qty: 3 }] });
+    expect(applyDefaults({}, schema).tags).toEqual([]);
+  });
+});
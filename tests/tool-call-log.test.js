@@ -0,0 +1,165 @@
+/**
+ * Tests for the persistent tool call log: storage, queries, export and replay
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WarpMind = require('../src/warpmind.js');
+const ToolCallTracker = require('../src/modules/tool-call-tracker.js');
+
+function toolCall(name, args = {}, id = 'call_1') {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+function toolCallResponse(name, args) {
+  return { choices: [{ message: { content: null, tool_calls: [toolCall(name, args)] } }] };
+}
+
+function answer(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+const cityParameters = { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] };
+
+// In-memory stand-in for a storage backend
+function memoryStorage(records = []) {
+  return {
+    records,
+    append: jest.fn(async (record) => { records.push(record); }),
+    load: jest.fn(async () => [...records]),
+    clear: jest.fn(async () => { records.length = 0; })
+  };
+}
+
+describe('Tool call log', () => {
+  let mind;
+  let storage;
+
+  beforeEach(() => {
+    storage = memoryStorage();
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false, toolCallLog: { storage } });
+    mind.makeRequest = jest.fn();
+    mind.registerTool({
+      name: 'weather',
+      description: 'Get the weather',
+      parameters: cityParameters,
+      handler: async ({ city }) => ({ city, temperature: 21 })
+    });
+  });
+
+  test('finished calls are written to storage with their conversation ID', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('weather', { city: 'Oslo' }))
+      .mockResolvedValueOnce(answer('21 degrees'));
+
+    await mind.chat('Weather in Oslo?', { conversationId: 'trip' });
+    const [call] = await mind.getToolCalls();
+
+    expect(storage.append).toHaveBeenCalledTimes(1);
+    expect(call).toMatchObject({
+      name: 'weather',
+      parameters: { city: 'Oslo' },
+      status: 'completed',
+      result: { city: 'Oslo', temperature: 21 },
+      conversationId: 'trip'
+    });
+    expect(call.startTime).toBeUndefined();
+    expect(mind.makeRequest.mock.calls[0][1].conversationId).toBeUndefined();
+  });
+
+  test('queries read calls from earlier sessions and filter them', async () => {
+    const at = (iso) => new Date(iso).toISOString();
+    storage.records.push(
+      { callId: 'a', name: 'weather', status: 'completed', timestamp: at('2024-03-01T10:00:00Z'), conversationId: 'x' },
+      { callId: 'b', name: 'search', status: 'error', timestamp: at('2024-03-02T10:00:00Z'), conversationId: 'y' },
+      { callId: 'c', name: 'weather', status: 'error', timestamp: at('2024-03-03T10:00:00Z'), conversationId: 'x' }
+    );
+    const ids = async (filters) => (await mind.getToolCalls(filters)).map(call => call.callId);
+
+    await expect(ids()).resolves.toEqual(['a', 'b', 'c']);
+    await expect(ids({ name: 'weather' })).resolves.toEqual(['a', 'c']);
+    await expect(ids({ name: ['search', 'weather'], status: 'error' })).resolves.toEqual(['b', 'c']);
+    await expect(ids({ since: '2024-03-02T00:00:00Z', until: new Date('2024-03-03T00:00:00Z') })).resolves.toEqual(['b']);
+    await expect(ids({ conversationId: 'x', limit: 1 })).resolves.toEqual(['c']);
+  });
+
+  test('the log exports to JSON and NDJSON and can be cleared', async () => {
+    await mind._executeTool(toolCall('weather', { city: 'Rome' }));
+    await mind._executeTool(toolCall('weather', { city: 'Oslo' }, 'call_2'));
+
+    const json = JSON.parse(await mind.exportToolCalls());
+    const lines = (await mind.exportToolCalls({ format: 'ndjson', name: 'weather' })).split('\n');
+
+    expect(json.map(call => call.parameters.city)).toEqual(['Rome', 'Oslo']);
+    expect(lines.map(line => JSON.parse(line).parameters.city)).toEqual(['Rome', 'Oslo']);
+    await expect(mind.exportToolCalls({ format: 'csv' })).rejects.toThrow("Unknown export format 'csv'");
+
+    await mind.clearToolCalls();
+    expect(storage.clear).toHaveBeenCalled();
+    await expect(mind.getToolCalls()).resolves.toEqual([]);
+  });
+
+  test('replay runs recorded calls against the current handlers and reports what changed', async () => {
+    await mind._executeTool(toolCall('weather', { city: 'Rome' }));
+    await mind._executeTool(toolCall('weather', { city: 'Oslo' }, 'call_2'));
+    storage.records.push({ callId: 'old', name: 'forecast', parameters: {}, status: 'completed', result: 'Rain', timestamp: new Date().toISOString() });
+
+    // A change to the handler breaks the result for Oslo
+    mind.unregisterTool('weather');
+    mind.registerTool({
+      name: 'weather',
+      description: 'Get the weather',
+      parameters: cityParameters,
+      handler: async ({ city }) => ({ city, temperature: city === 'Oslo' ? -3 : 21 })
+    });
+
+    const report = await mind.replayToolCalls();
+
+    expect(report).toMatchObject({ total: 3, unchanged: 1, changed: 1, skipped: 1 });
+    const [rome, oslo, forecast] = report.results;
+    expect(rome.outcome).toBe('unchanged');
+    expect(oslo.diff).toEqual([{ path: '$.result.temperature', before: 21, after: -3 }]);
+    expect(forecast).toMatchObject({ outcome: 'skipped', reason: 'The tool is no longer registered' });
+    // Replays are not added to the log
+    await expect(mind.getToolCalls()).resolves.toHaveLength(3);
+  });
+
+  test('the file backend keeps calls across tracker instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warpmind-log-'));
+    // The log's directory is created on the first write
+    const file = path.join(dir, 'logs', 'calls.ndjson');
+    try {
+      const first = new ToolCallTracker({ storage: 'file', path: file });
+      const call = first.startCall('weather', { city: 'Rome' }, { conversationId: 'trip' });
+      first.completeCall(call.callId, { temperature: 21 });
+      await first.flush();
+      fs.appendFileSync(file, '{"cut off');
+
+      const second = new ToolCallTracker({ storage: 'file', path: file });
+      const calls = await second.query({ conversationId: 'trip' });
+
+      expect(calls).toEqual([expect.objectContaining({ name: 'weather', result: { temperature: 21 } })]);
+      // clearHistory() only empties the memory; clearLog() removes the stored calls
+      expect(second.clearHistory()).toBeUndefined();
+      expect(fs.existsSync(file)).toBe(true);
+      await second.clearLog();
+      expect(fs.existsSync(file)).toBe(false);
+      expect(new ToolCallTracker.FileCallStorage().path).toBe('.warpmind-cache/tool-calls.ndjson');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('storage options are checked and write failures do not break tool calls', async () => {
+    expect(() => new ToolCallTracker({ storage: 'cloud' })).toThrow("Unknown tool call storage 'cloud'");
+    expect(() => new ToolCallTracker({ storage: { append() {} } })).toThrow('Tool call storage must implement load()');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation();
+    storage.append.mockRejectedValueOnce(new Error('Disk full'));
+    await expect(mind._executeTool(toolCall('weather', { city: 'Rome' }))).resolves.toEqual({ city: 'Rome', temperature: 21 });
+    await mind._toolCallTracker.flush();
+    expect(warn).toHaveBeenCalledWith('Tool call log write failed:', 'Disk full');
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for tool groups and selecting tools per call
+ */
+
+const WarpMind = require('../src/warpmind.js');
+
+function tool(name, group) {
+  return {
+    name,
+    description: `The ${name} tool`,
+    parameters: { type: 'object', properties: {} },
+    group,
+    handler: jest.fn(async () => ({ from: name }))
+  };
+}
+
+function toolCallResponse(name) {
+  return {
+    choices: [{
+      message: {
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: '{}' } }]
+      }
+    }]
+  };
+}
+
+function answer(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+const sentToolNames = (request) => (request.tools || []).map(t => t.function.name);
+
+describe('Tool groups', () => {
+  let mind;
+  let tools;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+    tools = {
+      searchPdf: tool('search_pdf_report', 'pdf'),
+      fullText: tool('get_full_text_report', 'pdf'),
+      weather: tool('weather'),
+      recall: tool('recall_memory', 'memory')
+    };
+    Object.values(tools).forEach(t => mind.registerTool(t));
+  });
+
+  test('the tools option selects tools by group and by name', async () => {
+    mind.makeRequest.mockResolvedValue(answer('Hi'));
+
+    await mind.chat('Hello', { tools: ['pdf', 'weather'] });
+    await mind.chat('Hello');
+    await mind.chat('Hello', { tools: [] });
+
+    const requests = mind.makeRequest.mock.calls.map(([, request]) => request);
+    expect(sentToolNames(requests[0])).toEqual(['search_pdf_report', 'get_full_text_report', 'weather']);
+    expect(sentToolNames(requests[1])).toEqual(['search_pdf_report', 'get_full_text_report', 'weather', 'recall_memory']);
+    expect(requests[2].tools).toBeUndefined();
+    expect(mind.getRegisteredTools('pdf')).toEqual(['search_pdf_report', 'get_full_text_report']);
+    await expect(mind.chat('Hello', { tools: ['pfd'] })).rejects.toThrow("Tool 'pfd' is not registered");
+  });
+
+  test('tool_choice forces a tool in the first round only', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('weather'))
+      .mockResolvedValueOnce(answer('Sunny'));
+
+    await mind.chat('Weather?', { tools: ['pdf'], tool_choice: 'weather' });
+
+    const [[, first], [, second]] = mind.makeRequest.mock.calls;
+    expect(first.tool_choice).toEqual({ type: 'function', function: { name: 'weather' } });
+    expect(sentToolNames(first)).toEqual(['search_pdf_report', 'get_full_text_report', 'weather']);
+    expect(second.tool_choice).toBe('auto');
+    expect(tools.weather.handler).toHaveBeenCalledTimes(1);
+    await expect(mind.chat('Hi', { tool_choice: 'missing' })).rejects.toThrow("Tool 'missing' in tool_choice is not registered");
+  });
+
+  test('a tool the model was not offered is not run', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('recall_memory'))
+      .mockResolvedValueOnce(answer('Sorry'));
+
+    await mind.chat('What do I like?', { tools: ['weather'] });
+
+    expect(tools.recall.handler).not.toHaveBeenCalled();
+    const toolMessage = mind.makeRequest.mock.calls[1][1].messages.find(message => message.role === 'tool');
+    expect(JSON.parse(toolMessage.content).error).toContain("Tool 'recall_memory' not found");
+  });
+
+  test('streamChat() applies the same selection', async () => {
+    const encoder = new TextEncoder();
+    const chunks = [encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\n`)];
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: { getReader: () => ({ read: () => Promise.resolve(chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) }
+    });
+
+    await mind.streamChat('Hello', () => {}, { tools: ['memory'], tool_choice: 'required' });
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(sentToolNames(body)).toEqual(['recall_memory']);
+    expect(body.tool_choice).toBe('required');
+  });
+
+  test('respond() sends the selected tools in Responses API format', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    const responses = [
+      { status: 'completed', output: [{ type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{}' }] },
+      { status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text: 'Sunny' }] }] }
+    ];
+    // The payload object is reused for the follow-up request, so keep a copy of each one
+    const payloads = [];
+    mind.makeRequest.mockImplementation(async (endpoint, payload) => {
+      payloads.push({ ...payload });
+      return responses.shift();
+    });
+
+    const result = await mind.respond('Weather?', { tools: ['weather'], tool_choice: 'weather' });
+
+    expect(result.text).toBe('Sunny');
+    const [first, second] = payloads;
+    expect(first.tools.map(t => t.name)).toEqual(['weather']);
+    expect(first.tool_choice).toEqual({ type: 'function', name: 'weather' });
+    expect(second.tool_choice).toBe('auto');
+    console.log.mockRestore();
+  });
+
+  test('agents and registerTool() accept groups', async () => {
+    const backend = WarpMind.createScriptedBackend(['Done']);
+    await mind.createAgent({ tools: ['pdf'], backend }).run('Read the report');
+
+    expect(backend.requests[0].tools).toEqual(['search_pdf_report', 'get_full_text_report']);
+    expect(() => mind.registerTool({ ...tool('other'), group: '' })).toThrow('Tool group must be a non-empty string');
+  });
+});
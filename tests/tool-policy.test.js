@@ -0,0 +1,134 @@
+/**
+ * Tests for tool timeouts, retries and confirmation
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const ToolCallTracker = require('../src/modules/tool-call-tracker.js');
+
+function toolCall(name, args = {}, id = 'call_1') {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+function toolCallResponse(name, args) {
+  return { choices: [{ message: { content: null, tool_calls: [toolCall(name, args)] } }] };
+}
+
+function answer(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+const noParameters = { type: 'object', properties: {} };
+
+describe('Tool execution policy', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.makeRequest = jest.fn();
+  });
+
+  test('a hanging handler times out, is told through its signal, and the model gets the error', async () => {
+    let handlerSignal;
+    mind.registerTool({
+      name: 'hang',
+      description: 'Never finishes',
+      parameters: noParameters,
+      timeoutMs: 20,
+      handler: (args, { signal }) => {
+        handlerSignal = signal;
+        return new Promise(() => {});
+      }
+    });
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('hang'))
+      .mockResolvedValueOnce(answer('The tool did not respond'));
+    const onToolError = jest.fn();
+
+    const result = await mind.chat('Go', { onToolError });
+
+    expect(result).toBe('The tool did not respond');
+    expect(handlerSignal.aborted).toBe(true);
+    const toolMessage = mind.makeRequest.mock.calls[1][1].messages.find(message => message.role === 'tool');
+    expect(JSON.parse(toolMessage.content)).toEqual({ error: "Tool execution failed: Tool 'hang' timed out after 20ms" });
+    expect(onToolError).toHaveBeenCalledWith(expect.objectContaining({ name: 'hang', timedOut: true, retries: 0 }));
+    expect(mind._toolCallTracker.getCallHistory()[0]).toMatchObject({ status: 'error', timedOut: true });
+  });
+
+  test('failed attempts are retried and recorded in the tracker', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockResolvedValueOnce({ temperature: 21 });
+    mind.registerTool({ name: 'weather', description: 'Get the weather', parameters: noParameters, retries: 2, handler });
+    const onToolResult = jest.fn();
+
+    const result = await mind._executeTool(toolCall('weather'), { onToolResult });
+
+    expect(result).toEqual({ temperature: 21 });
+    expect(handler.mock.calls.map(([, context]) => context.attempt)).toEqual([0, 1]);
+    expect(onToolResult).toHaveBeenCalledWith(expect.objectContaining({ retries: 1 }));
+    const [call] = mind._toolCallTracker.getCallHistory();
+    expect(call.retries).toEqual([
+      { attempt: 1, error: 'Service unavailable', timedOut: false, timestamp: expect.any(String) }
+    ]);
+    expect(ToolCallTracker.formatTrace([call])).toMatch(/^weather\(\{\}\) → \{"temperature":21\} \(\d+ms, 1 retry\)$/);
+  });
+
+  test('a timed-out attempt is only retried when the tool is idempotent', async () => {
+    const slowOnce = () => jest.fn()
+      .mockImplementationOnce(() => new Promise(() => {}))
+      .mockResolvedValueOnce('sent');
+    const sendEmail = slowOnce();
+    const lookup = slowOnce();
+    mind.registerTool({ name: 'sendEmail', description: 'Send an email', parameters: noParameters, timeoutMs: 20, retries: 1, handler: sendEmail });
+    mind.registerTool({ name: 'lookup', description: 'Look something up', parameters: noParameters, timeoutMs: 20, retries: 1, idempotent: true, handler: lookup });
+
+    await expect(mind._executeTool(toolCall('sendEmail'))).rejects.toThrow('timed out after 20ms');
+    await expect(mind._executeTool(toolCall('lookup'))).resolves.toBe('sent');
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(mind._toolCallTracker.getCallHistory()[1].retries[0]).toMatchObject({ timedOut: true });
+  });
+
+  test('tools that require confirmation only run once confirmed, and the handler gets the conversation', async () => {
+    const handler = jest.fn(async () => ({ deleted: true }));
+    mind.registerTool({ name: 'deleteFile', description: 'Delete a file', parameters: noParameters, requiresConfirmation: true, handler });
+
+    await expect(mind._executeTool(toolCall('deleteFile'))).rejects.toThrow('no confirmToolCall callback was given');
+    await expect(mind._executeTool(toolCall('deleteFile'), { confirmToolCall: async () => false }))
+      .rejects.toThrow('The user did not confirm this tool call');
+    expect(handler).not.toHaveBeenCalled();
+
+    const confirmToolCall = jest.fn(async () => true);
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse('deleteFile', {}))
+      .mockResolvedValueOnce(answer('Deleted'));
+    await mind.chat('Delete it', { confirmToolCall });
+
+    expect(confirmToolCall).toHaveBeenCalledWith(expect.objectContaining({ name: 'deleteFile', parameters: {} }));
+    const context = handler.mock.calls[0][1];
+    expect(context).toMatchObject({ toolCallId: 'call_1', callId: expect.stringMatching(/^call_/), attempt: 0 });
+    expect(context.signal).toBeInstanceOf(AbortSignal);
+    expect(context.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(mind.makeRequest.mock.calls[0][1].confirmToolCall).toBeUndefined();
+  });
+
+  test('cancelling the request stops a running handler without retrying it', async () => {
+    const handler = jest.fn((args, { signal }) => new Promise(() => {}));
+    mind.registerTool({ name: 'crawl', description: 'Crawl a site', parameters: noParameters, retries: 3, idempotent: true, handler });
+    const controller = new AbortController();
+
+    const running = mind._executeTool(toolCall('crawl'), {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(running).rejects.toThrow('Request was aborted');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('registerTool() checks the policy options', () => {
+    const tool = { name: 't', description: 'Test', parameters: noParameters, handler: () => null };
+    expect(() => mind.registerTool({ ...tool, timeoutMs: 0 })).toThrow('Tool timeoutMs must be a positive number');
+    expect(() => mind.registerTool({ ...tool, retries: 1.5 })).toThrow('Tool retries must be a non-negative integer');
+  });
+});
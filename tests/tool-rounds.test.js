@@ -0,0 +1,164 @@
+/**
+ * Tests for the tool round limit and parallel tool execution
+ */
+
+const WarpMind = require('../src/warpmind.js');
+
+function toolCallResponse(...calls) {
+  return {
+    choices: [{
+      message: {
+        content: null,
+        tool_calls: calls.map(([name, args], i) => ({
+          id: `call_${name}_${i}`,
+          type: 'function',
+          function: { name, arguments: JSON.stringify(args) }
+        }))
+      }
+    }]
+  };
+}
+
+function answer(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+describe('Tool rounds', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false, maxToolRounds: 3 });
+    mind.makeRequest = jest.fn();
+    mind.registerTool({
+      name: 'search',
+      description: 'Search the web',
+      parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+      handler: async ({ query }) => ({ hits: [query] })
+    });
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('maxToolRounds sets how many rounds run before the model must answer', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse(['search', { query: 'a' }]))
+      .mockResolvedValueOnce(toolCallResponse(['search', { query: 'b' }]))
+      .mockResolvedValueOnce(toolCallResponse(['search', { query: 'c' }]))
+      .mockResolvedValueOnce(answer('Done'));
+    const onToolLimitReached = jest.fn();
+
+    const result = await mind.chat('Research this', { onToolLimitReached });
+
+    expect(result).toBe('Done');
+    expect(mind.makeRequest).toHaveBeenCalledTimes(4);
+    expect(mind.makeRequest.mock.calls[2][1].tools).toHaveLength(1);
+    expect(mind.makeRequest.mock.calls[3][1].tools).toBeUndefined();
+    expect(onToolLimitReached).toHaveBeenCalledWith({ maxToolRounds: 3, lastToolCalls: ['search'] });
+    expect(mind.makeRequest.mock.calls[3][1].onToolLimitReached).toBeUndefined();
+  });
+
+  test('respond() stops a model that keeps requesting tools after maxToolRounds', async () => {
+    let call = 0;
+    mind.makeRequest.mockImplementation(async (endpoint, payload) => {
+      call++;
+      // The model asks for another search whenever it is allowed to
+      const output = payload.tools
+        ? [{ type: 'function_call', call_id: `call_${call}`, name: 'search', arguments: '{"query":"more"}' }]
+        : [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Enough searching' }] }];
+      return { id: `resp_${call}`, status: 'completed', output };
+    });
+    const onToolLimitReached = jest.fn();
+
+    const result = await mind.respond('Research this', { maxToolRounds: 2, onToolLimitReached });
+
+    expect(result.text).toBe('Enough searching');
+    expect(mind.makeRequest).toHaveBeenCalledTimes(3);
+    expect(onToolLimitReached).toHaveBeenCalledWith({ maxToolRounds: 2, lastToolCalls: ['search'] });
+    const payloads = mind.makeRequest.mock.calls.map(([, payload]) => payload);
+    expect(payloads.some(payload => 'maxToolRounds' in payload || 'onToolLimitReached' in payload)).toBe(false);
+  });
+
+  test('the limit is reported instead of passing silently', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse(['search', { query: 'a' }]))
+      .mockResolvedValueOnce(answer('Done'));
+
+    await mind.chat('Research this', { maxToolRounds: 1 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Tool round limit (1) reached'));
+
+    mind.makeRequest.mockResolvedValueOnce(toolCallResponse(['search', { query: 'a' }]));
+    await expect(mind.chat('Research this', {
+      maxToolRounds: 1,
+      onToolLimitReached: () => { throw new Error('Agent needs more steps'); }
+    })).rejects.toThrow('Agent needs more steps');
+    expect(mind.makeRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('no limit event when the model answers within the rounds', async () => {
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse(['search', { query: 'a' }]))
+      .mockResolvedValueOnce(answer('Done'));
+    const onToolLimitReached = jest.fn();
+
+    await mind.chat('Research this', { onToolLimitReached });
+
+    expect(onToolLimitReached).not.toHaveBeenCalled();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('tool calls of one turn run concurrently and keep their order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mind.registerTool({
+      name: 'fetchPage',
+      description: 'Fetch a page',
+      parameters: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+      handler: async ({ url }) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Later pages finish first
+        await new Promise(resolve => setTimeout(resolve, url === 'a' ? 30 : 5));
+        inFlight--;
+        return { url };
+      }
+    });
+    mind.makeRequest
+      .mockResolvedValueOnce(toolCallResponse(['fetchPage', { url: 'a' }], ['fetchPage', { url: 'b' }], ['fetchPage', { url: 'c' }]))
+      .mockResolvedValueOnce(answer('Summary'));
+
+    await mind.chat('Summarize these pages', { toolConcurrency: 2 });
+
+    expect(maxInFlight).toBe(2);
+    const toolMessages = mind.makeRequest.mock.calls[1][1].messages.filter(message => message.role === 'tool');
+    expect(toolMessages.map(message => JSON.parse(message.content).url)).toEqual(['a', 'b', 'c']);
+    expect(toolMessages.map(message => message.tool_call_id)).toEqual(['call_fetchPage_0', 'call_fetchPage_1', 'call_fetchPage_2']);
+  });
+
+  test('streamChat() uses the same round limit', async () => {
+    const encoder = new TextEncoder();
+    const streamOf = (...events) => {
+      const chunks = events.map(event => encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+      return {
+        ok: true,
+        status: 200,
+        body: { getReader: () => ({ read: () => Promise.resolve(chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) }
+      };
+    };
+    const toolCallEvent = { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'search', arguments: '{"query":"a"}' } }] } }] };
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(streamOf(toolCallEvent))
+      .mockResolvedValueOnce(streamOf({ choices: [{ delta: { content: 'Found it' } }] }));
+    const onToolLimitReached = jest.fn();
+
+    const result = await mind.streamChat('Research this', () => {}, { maxToolRounds: 1, onToolLimitReached });
+
+    expect(result).toBe('Found it');
+    const secondBody = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(secondBody.tools).toBeUndefined();
+    expect(secondBody.maxToolRounds).toBeUndefined();
+    expect(onToolLimitReached).toHaveBeenCalledWith({ maxToolRounds: 1, lastToolCalls: ['search'] });
+  });
+});
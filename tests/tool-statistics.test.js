@@ -0,0 +1,112 @@
+/**
+ * Tests for tool call statistics and live tool metrics
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const ToolCallTracker = require('../src/modules/tool-call-tracker.js');
+
+function toolCall(name, args = {}, id = 'call_1') {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+function record(name, status, duration, extra = {}) {
+  return {
+    callId: `${name}_${duration}`,
+    name,
+    parameters: {},
+    status,
+    duration,
+    retries: [],
+    timestamp: '2024-03-01T10:00:00.000Z',
+    ...(status === 'error' ? { error: 'Service unavailable' } : { result: 'ok' }),
+    ...extra
+  };
+}
+
+describe('Tool statistics', () => {
+  test('aggregates counts, rates, duration percentiles and common errors per tool', async () => {
+    const records = [
+      ...Array.from({ length: 18 }, (_, i) => record('weather', 'completed', (i + 1) * 10)),
+      record('weather', 'error', 190),
+      record('weather', 'error', 5000, { error: "Tool 'weather' timed out after 5000ms", timedOut: true }),
+      record('search', 'completed', 40, { retries: [{ attempt: 1, error: 'Busy' }] }),
+      record('search', 'error', 60),
+      record('search', 'error', 80)
+    ];
+    const tracker = new ToolCallTracker({
+      storage: { append: async () => {}, load: async () => records, clear: async () => {} }
+    });
+
+    const stats = await tracker.getStatistics();
+
+    expect(Object.keys(stats.byTool)).toEqual(['search', 'weather']);
+    expect(stats.byTool.weather).toMatchObject({
+      calls: 20,
+      completed: 18,
+      errors: 2,
+      timedOut: 1,
+      successRate: 0.9,
+      errorRate: 0.1,
+      duration: { p50: 100, p95: 190, max: 5000 }
+    });
+    expect(stats.byTool.weather.commonErrors).toEqual([
+      { message: 'Service unavailable', count: 1 },
+      { message: "Tool 'weather' timed out after 5000ms", count: 1 }
+    ]);
+    expect(stats.byTool.search).toMatchObject({ calls: 3, errors: 2, retried: 1, commonErrors: [{ message: 'Service unavailable', count: 2 }] });
+    expect(stats.total).toMatchObject({ calls: 23, errors: 4 });
+  });
+
+  test('filters by tool and time, and measures argument sizes', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    mind.registerTool({
+      name: 'echo',
+      description: 'Echo the text',
+      parameters: { type: 'object', properties: { text: { type: 'string' } } },
+      handler: async ({ text }) => text
+    });
+    mind.registerTool({ name: 'noop', description: 'Nothing', parameters: { type: 'object', properties: {} }, handler: async () => null });
+
+    await mind._executeTool(toolCall('echo', { text: 'hi' }));
+    await mind._executeTool(toolCall('echo', { text: 'x'.repeat(2000) }));
+    await mind._executeTool(toolCall('noop'));
+
+    const stats = await mind.getToolStatistics({ toolName: 'echo' });
+    expect(Object.keys(stats.byTool)).toEqual(['echo']);
+    expect(stats.byTool.echo.argumentSize).toEqual({
+      p50: 13,
+      p95: 2011,
+      max: 2011,
+      histogram: { '0-99': 1, '100-999': 0, '1000-9999': 1, '10000+': 0 }
+    });
+
+    const future = await mind.getToolStatistics({ since: Date.now() + 60000 });
+    expect(future.total).toMatchObject({ calls: 0, errorRate: 0, duration: { p50: null } });
+    expect(future.since).toEqual(expect.any(String));
+  });
+
+  test('live metrics report starts, retries and finished calls with running totals', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', memoryToolEnabled: false });
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Busy'))
+      .mockResolvedValueOnce('done')
+      .mockRejectedValue(new Error('Broken'));
+    mind.registerTool({ name: 'flaky', description: 'Sometimes fails', parameters: { type: 'object', properties: {} }, handler, retries: 1 });
+    const events = [];
+    const unsubscribe = mind.onToolMetrics(event => events.push(event));
+
+    await mind._executeTool(toolCall('flaky'));
+    await mind._executeTool(toolCall('flaky')).catch(() => {});
+
+    expect(events.map(event => event.type)).toEqual(['start', 'retry', 'complete', 'start', 'retry', 'error']);
+    expect(events[0]).toMatchObject({ name: 'flaky', active: 1, argumentSize: 2 });
+    expect(events[1]).toMatchObject({ attempt: 1, error: 'Busy' });
+    expect(events[2]).toMatchObject({ retries: 1, active: 0, totals: { calls: 1, completed: 1, errors: 0, errorRate: 0 } });
+    expect(events[5]).toMatchObject({ error: 'Broken', totals: { calls: 2, completed: 1, errors: 1, errorRate: 0.5 } });
+
+    unsubscribe();
+    await mind._executeTool(toolCall('flaky')).catch(() => {});
+    expect(events).toHaveLength(6);
+    expect(() => mind.onToolMetrics('nope')).toThrow('Metrics listener must be a function');
+  });
+});
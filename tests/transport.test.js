@@ -0,0 +1,167 @@
+/**
+ * Tests for the shared request transport
+ * Covers injected fetch, custom headers, auth, retries for streaming requests and multipart uploads
+ */
+
+const WarpMind = require('../src/warpmind.js');
+
+// Skip retry back-off delays
+jest.mock('../src/util', () => ({
+  ...jest.requireActual('../src/util'),
+  sleep: jest.fn().mockResolvedValue(undefined)
+}));
+
+/**
+ * Build a fetch response whose body streams the given SSE chunks
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(index < chunks.length
+          ? { done: false, value: encoder.encode(chunks[index++]) }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+function createErrorResponse(status, statusText) {
+  return {
+    ok: false,
+    status,
+    statusText,
+    headers: { get: () => null },
+    json: () => Promise.resolve({ error: { message: statusText } })
+  };
+}
+
+describe('Shared transport', () => {
+  let originalWarn;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    originalWarn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    jest.clearAllMocks();
+  });
+
+  test('uses the fetch implementation passed in the config', async () => {
+    const customFetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: 'Hi' } }] })
+    });
+    const mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', fetch: customFetch });
+
+    const result = await mind.chat('Hello');
+
+    expect(result).toBe('Hi');
+    expect(customFetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('setFetch() replaces and resets the fetch implementation', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1' });
+    const customFetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ data: [] }) });
+
+    mind.setFetch(customFetch);
+    await mind.makeRequest('/models', null, { method: 'GET' });
+    expect(customFetch).toHaveBeenCalledTimes(1);
+
+    mind.setFetch(null);
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ data: [] }) });
+    await mind.makeRequest('/models', null, { method: 'GET' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('streaming requests send custom headers and bearer auth', async () => {
+    const mind = new WarpMind({
+      apiKey: 'test-key',
+      baseURL: 'https://api.test.com/v1',
+      authType: 'bearer',
+      customHeaders: { 'X-Course': 'ai-101' }
+    });
+    global.fetch.mockResolvedValue(createStreamResponse([
+      'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+
+    await mind.streamChat('Hello');
+
+    const headers = global.fetch.mock.calls[0][1].headers;
+    expect(headers['X-Course']).toBe('ai-101');
+    expect(headers['Authorization']).toBe('Bearer test-key');
+    expect(headers).not.toHaveProperty('api-key');
+  });
+
+  test('streamChat() retries 429 and 503 responses before the stream starts', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1' });
+    global.fetch
+      .mockResolvedValueOnce(createErrorResponse(429, 'Too Many Requests'))
+      .mockResolvedValueOnce(createErrorResponse(503, 'Service Unavailable'))
+      .mockResolvedValueOnce(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Recovered"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+
+    const result = await mind.streamChat('Hello');
+
+    expect(result).toBe('Recovered');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('streamRespond() retries server errors before the stream starts', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1' });
+    global.fetch
+      .mockResolvedValueOnce(createErrorResponse(502, 'Bad Gateway'))
+      .mockResolvedValueOnce(createStreamResponse([
+        'event: response.output_text.delta\ndata: {"delta":"Hi"}\n\n'
+      ]));
+
+    const result = await mind.streamRespond('Hello', jest.fn());
+
+    expect(result.text).toBe('Hi');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('speechToText() honours bearer auth and lets fetch set the multipart Content-Type', async () => {
+    const mind = new WarpMind({
+      apiKey: 'test-key',
+      baseURL: 'https://api.test.com/v1',
+      authType: 'bearer',
+      customHeaders: { 'X-Course': 'ai-101' }
+    });
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ text: 'Transcribed' }) });
+
+    const result = await mind.speechToText(new Blob(['audio']));
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(result).toBe('Transcribed');
+    expect(url).toBe('https://api.test.com/v1/audio/transcriptions');
+    expect(options.body).toBeInstanceOf(FormData);
+    expect(options.headers['Authorization']).toBe('Bearer test-key');
+    expect(options.headers['X-Course']).toBe('ai-101');
+    expect(options.headers).not.toHaveProperty('Content-Type');
+  });
+
+  test('textToSpeech() retries rate-limited requests', async () => {
+    const mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1' });
+    const audio = new Blob(['audio'], { type: 'audio/mpeg' });
+    global.fetch
+      .mockResolvedValueOnce(createErrorResponse(429, 'Too Many Requests'))
+      .mockResolvedValueOnce({ ok: true, blob: () => Promise.resolve(audio) });
+
+    const result = await mind.textToSpeech('Hello');
+
+    expect(result).toBe(audio);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
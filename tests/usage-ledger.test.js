@@ -0,0 +1,209 @@
+/**
+ * Tests for token usage and cost accounting
+ */
+
+const WarpMind = require('../src/warpmind.js');
+const UsageLedger = require('../src/modules/usage-ledger.js');
+
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(index < chunks.length
+          ? { done: false, value: encoder.encode(chunks[index++]) }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+describe('UsageLedger', () => {
+  test('normalizes Chat Completions, Responses and Embeddings usage', () => {
+    const ledger = new UsageLedger();
+
+    ledger.record({
+      method: 'chat',
+      model: 'gpt-4o',
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120, prompt_tokens_details: { cached_tokens: 40 } }
+    });
+    ledger.record({
+      method: 'respond',
+      model: 'gpt-4o',
+      usage: { input_tokens: 10, output_tokens: 5, input_tokens_details: { cached_tokens: 0 } }
+    });
+    ledger.record({ method: 'embed', model: 'text-embedding-3-small', usage: { prompt_tokens: 8, total_tokens: 8 } });
+
+    const usage = ledger.getUsage();
+    expect(usage.total).toMatchObject({
+      requests: 3,
+      promptTokens: 118,
+      completionTokens: 25,
+      cachedTokens: 40,
+      totalTokens: 143
+    });
+    expect(usage.byModel['gpt-4o'].requests).toBe(2);
+    expect(usage.byMethod.embed.totalTokens).toBe(8);
+  });
+
+  test('estimates cost with cached input rates and dated model names', () => {
+    const ledger = new UsageLedger();
+
+    const entry = ledger.record({
+      method: 'chat',
+      model: 'gpt-4o-mini-2024-07-18',
+      usage: { prompt_tokens: 1000000, completion_tokens: 1000000, prompt_tokens_details: { cached_tokens: 500000 } }
+    });
+
+    // 0.5M uncached * 0.15 + 0.5M cached * 0.075 + 1M output * 0.60
+    expect(entry.cost).toBeCloseTo(0.075 + 0.0375 + 0.60, 6);
+  });
+
+  test('tracks models without a price and accepts price overrides', () => {
+    const ledger = new UsageLedger({ prices: { 'my-local-model': { input: 1, output: 2 } } });
+
+    ledger.record({ method: 'chat', model: 'mystery-model', usage: { prompt_tokens: 10, completion_tokens: 10 } });
+    const priced = ledger.record({ method: 'chat', model: 'my-local-model', usage: { prompt_tokens: 1000000, completion_tokens: 0 } });
+
+    expect(priced.cost).toBe(1);
+    expect(ledger.getUsage().unpricedModels).toEqual(['mystery-model']);
+    expect(ledger.getUsage().total.cost).toBe(1);
+  });
+
+  test('getUsage() returns a snapshot', () => {
+    const ledger = new UsageLedger();
+    ledger.record({ method: 'chat', model: 'gpt-4o', usage: { prompt_tokens: 1, completion_tokens: 1 } });
+
+    const snapshot = ledger.getUsage();
+    snapshot.total.requests = 99;
+    snapshot.byModel['gpt-4o'].requests = 99;
+
+    expect(ledger.getUsage().total.requests).toBe(1);
+    expect(ledger.getUsage().byModel['gpt-4o'].requests).toBe(1);
+  });
+});
+
+describe('WarpMind usage tracking', () => {
+  let mind;
+
+  beforeEach(() => {
+    mind = new WarpMind({ apiKey: 'test-key', baseURL: 'https://api.test.com/v1', memoryToolEnabled: false });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('chat() records every tool-call hop', async () => {
+    mind.registerTool({
+      name: 'lookup',
+      description: 'Looks something up',
+      parameters: { type: 'object', properties: {} },
+      handler: async () => 'found'
+    });
+    mind.makeRequest = jest.fn()
+      .mockResolvedValueOnce({
+        model: 'gpt-4o',
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }] } }],
+        usage: { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 }
+      })
+      .mockResolvedValueOnce({
+        model: 'gpt-4o',
+        choices: [{ message: { content: 'Done' } }],
+        usage: { prompt_tokens: 70, completion_tokens: 5, total_tokens: 75 }
+      });
+
+    await mind.chat('Look it up');
+
+    const usage = mind.getUsage();
+    expect(usage.total.requests).toBe(2);
+    expect(usage.total.totalTokens).toBe(135);
+    expect(usage.byMethod.chat.requests).toBe(2);
+    expect(usage.total.cost).toBeGreaterThan(0);
+  });
+
+  test('streamChat() requests and records the usage chunk', async () => {
+    fetch.mockResolvedValue(createStreamResponse([
+      'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":3,"total_tokens":15}}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+
+    await mind.streamChat('Hello');
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.stream_options).toEqual({ include_usage: true });
+    expect(mind.getUsage().byMethod.streamChat.totalTokens).toBe(15);
+  });
+
+  test('higher-level methods are attributed to themselves', async () => {
+    mind.makeRequest = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: '{"name":"Ada"}' } }],
+      usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+    });
+
+    await mind.process('Extract the name', 'Ada wrote programs', { name: 'The name' });
+
+    const [, requestData] = mind.makeRequest.mock.calls[0];
+    expect(requestData).not.toHaveProperty('usageMethod');
+    expect(mind.getUsage().byMethod.process.requests).toBe(1);
+    expect(mind.getUsage().byMethod.chat).toBeUndefined();
+  });
+
+  test('respond() and embed() are recorded', async () => {
+    mind.makeRequest = jest.fn()
+      .mockResolvedValueOnce({
+        id: 'resp_1',
+        status: 'completed',
+        output: [{ type: 'message', content: [{ type: 'output_text', text: 'Hi' }] }],
+        usage: { input_tokens: 10, output_tokens: 2, total_tokens: 12 }
+      })
+      .mockResolvedValueOnce({ data: [{ embedding: [0.1, 0.2] }], usage: { prompt_tokens: 4, total_tokens: 4 } });
+
+    await mind.respond('Hello');
+    await mind.embed('Hello');
+
+    const usage = mind.getUsage();
+    expect(usage.byMethod.respond.totalTokens).toBe(12);
+    expect(usage.byModel['text-embedding-3-small'].totalTokens).toBe(4);
+  });
+
+  test('onUsage() emits one event per request and can unsubscribe', async () => {
+    mind.makeRequest = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'Hi' } }],
+      usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 }
+    });
+    const listener = jest.fn();
+    const unsubscribe = mind.onUsage(listener);
+
+    await mind.chat('Hello');
+    unsubscribe();
+    await mind.chat('Hello again');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({ method: 'chat', model: 'gpt-4o', totalTokens: 6 });
+  });
+
+  test('resetUsage() clears the totals and prices can be configured', async () => {
+    const priced = new WarpMind({
+      apiKey: 'test-key',
+      baseURL: 'https://api.test.com/v1',
+      memoryToolEnabled: false,
+      prices: { 'gpt-4o': { input: 10, output: 10 } }
+    });
+    priced.makeRequest = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'Hi' } }],
+      usage: { prompt_tokens: 100000, completion_tokens: 0, total_tokens: 100000 }
+    });
+
+    await priced.chat('Hello');
+    expect(priced.getUsage().total.cost).toBeCloseTo(1, 6);
+
+    priced.resetUsage();
+    expect(priced.getUsage().total.requests).toBe(0);
+  });
+});
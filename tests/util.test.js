@@ -9,7 +9,9 @@ const {
   createTimeoutController,
   sleep,
   delayForRetry,
-  fileToBase64
+  fileToBase64,
+  stableStringify,
+  hashString
 } = require('../src/util');
 
 // Mock AbortController globally
@@ -362,6 +364,18 @@ describe('Utility Functions Tests', () => {
     });
   });
 
+  describe('stableStringify and hashString', () => {
+    it('should give equal strings and hashes for objects with the same content', () => {
+      const a = stableStringify({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], stop: undefined });
+      const b = stableStringify({ messages: [{ content: 'Hi', role: 'user' }], model: 'gpt-4o' });
+
+      expect(a).toBe(b);
+      expect(hashString(a)).toBe(hashString(b));
+      expect(hashString(a)).toMatch(/^[0-9a-f]{14}$/);
+      expect(hashString(a, 1)).not.toBe(hashString(a));
+    });
+  });
+
   describe('module exports', () => {
     it('should export all utility functions', () => {
       const utils = require('../src/util.js');
@@ -373,6 +387,8 @@ describe('Utility Functions Tests', () => {
       expect(utils.sleep).toBeDefined();
       expect(utils.delayForRetry).toBeDefined();
       expect(utils.fileToBase64).toBeDefined();
+      expect(utils.stableStringify).toBeDefined();
+      expect(utils.hashString).toBeDefined();
     });
 
     it.skip('should export to window object in browser environment', () => {